@@ -66,7 +66,16 @@
     m.setAttribute("aria-hidden", "true");
   }
 
+  // ── App banner ───────────────────────────────────────────
+  function showBanner(message, variant = "info") {
+    const el = document.getElementById("appBanner");
+    el.className = `app-banner app-banner-${variant}`;
+    el.textContent = message;
+  }
+
   // ── Boot ─────────────────────────────────────────────────
+  if (SchoolsDataset.error) showBanner(SchoolsDataset.error, "danger");
+
   // Refresh user data if logged in
   if (API.isLoggedIn()) {
     API.fetchMe().catch(() => {
@@ -1,41 +1,91 @@
 /**
- * API client — handles auth tokens and request helpers.
+ * API client — request helpers and cookie-mode auth.
+ *
+ * The browser signs in with `X-Auth-Mode: cookie`, so access and refresh
+ * tokens live in HttpOnly cookies that scripts can't read. Only the public
+ * user profile is kept in localStorage, as the "signed in" marker for the UI.
+ * Every request echoes the readable CSRF cookie back as X-CSRF-Token.
  */
 const API = (() => {
-  const TOKEN_KEY = "schoolter_token";
   const USER_KEY = "schoolter_user";
+  const LEGACY_KEYS = ["schoolter_token", "schoolter_refresh"];
+  const CSRF_COOKIE = "schoolter_csrf";
 
-  function getToken() { return localStorage.getItem(TOKEN_KEY); }
-  function setToken(t) { localStorage.setItem(TOKEN_KEY, t); }
-  function clearToken() { localStorage.removeItem(TOKEN_KEY); localStorage.removeItem(USER_KEY); }
+  // Auth endpoints answer 401 for bad credentials, not an expired access token
+  const NO_REFRESH = ["/auth/login", "/auth/login/2fa", "/auth/register", "/auth/refresh", "/auth/logout"];
+
+  // Tokens from before cookie mode are useless now; drop them
+  LEGACY_KEYS.forEach((k) => localStorage.removeItem(k));
+
+  function clearToken() { localStorage.removeItem(USER_KEY); }
 
   function getUser() {
     try { return JSON.parse(localStorage.getItem(USER_KEY)); } catch { return null; }
   }
   function setUser(u) { localStorage.setItem(USER_KEY, JSON.stringify(u)); }
 
-  function isLoggedIn() { return !!getToken(); }
-  function isAdmin() { const u = getUser(); return u && u.role === "admin"; }
+  function isLoggedIn() { return !!getUser(); }
+  // Any permission opens the admin panel; `can` decides what it shows
+  function can(permission) { return !!getUser()?.permissions?.includes(permission); }
+  function isAdmin() { return (getUser()?.permissions?.length || 0) > 0; }
 
-  async function request(method, path, body, opts = {}) {
-    const headers = {};
-    const token = getToken();
-    if (token) headers["Authorization"] = `Bearer ${token}`;
+  function getCsrfToken() {
+    const match = document.cookie.match(new RegExp(`(?:^|; )${CSRF_COOKIE}=([^;]*)`));
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  function authHeaders() {
+    const headers = { "X-Auth-Mode": "cookie" };
+    const csrf = getCsrfToken();
+    if (csrf) headers["X-CSRF-Token"] = csrf;
+    return headers;
+  }
+
+  // ── Refresh ──────────────────────────────────────────────
+  // Concurrent 401s share one refresh call so the rotated token isn't
+  // presented twice (which the server treats as token theft).
+  let refreshing = null;
+
+  function refreshTokens() {
+    if (!refreshing) {
+      refreshing = fetch("/api/auth/refresh", { method: "POST", headers: authHeaders(), credentials: "same-origin" })
+        .then(async (res) => {
+          if (!res.ok) return false;
+          const data = await res.json();
+          setUser(data.user);
+          return true;
+        })
+        .catch(() => false)
+        .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+  }
 
+  async function request(method, path, body, opts = {}) {
+    const extra = {};
     if (body && !(body instanceof FormData)) {
-      headers["Content-Type"] = "application/json";
+      extra["Content-Type"] = "application/json";
       body = JSON.stringify(body);
     }
 
-    const res = await fetch(`/api${path}`, { method, headers, body, ...opts });
+    // Headers are rebuilt per attempt: a refresh issues a new CSRF token
+    const send = () => fetch(`/api${path}`, {
+      method, body, credentials: "same-origin", ...opts,
+      headers: { ...authHeaders(), ...extra },
+    });
+
+    let res = await send();
+    if (res.status === 401 && isLoggedIn() && !NO_REFRESH.includes(path) && await refreshTokens()) {
+      res = await send();
+    }
     const data = await res.json().catch(() => ({}));
 
     if (!res.ok) {
-      if (res.status === 401) {
+      if (res.status === 401 && !NO_REFRESH.includes(path)) {
         clearToken();
         if (window.Router) Router.navigate("/login");
       }
-      throw Object.assign(new Error(data.error || "Request failed"), { status: res.status });
+      throw Object.assign(new Error(data.error || "Request failed"), { status: res.status, data });
     }
     return data;
   }
@@ -43,18 +93,25 @@ const API = (() => {
   const get = (p, o) => request("GET", p, null, o);
   const post = (p, b, o) => request("POST", p, b, o);
   const patch = (p, b, o) => request("PATCH", p, b, o);
-  const del = (p, o) => request("DELETE", p, null, o);
+  const put = (p, b, o) => request("PUT", p, b, o);
+  const del = (p, b, o) => request("DELETE", p, b, o);
 
+  // With 2FA on, login answers { mfaRequired, mfaToken } and the caller
+  // finishes with completeLogin once the user enters a code.
   async function login(email, password) {
     const data = await post("/auth/login", { email, password });
-    setToken(data.token);
+    if (!data.mfaRequired) setUser(data.user);
+    return data;
+  }
+
+  async function completeLogin(mfaToken, { code, recoveryCode }) {
+    const data = await post("/auth/login/2fa", { mfaToken, code, recoveryCode });
     setUser(data.user);
     return data;
   }
 
   async function register(email, password, name) {
     const data = await post("/auth/register", { email, password, name });
-    setToken(data.token);
     setUser(data.user);
     return data;
   }
@@ -64,11 +121,16 @@ const API = (() => {
     clearToken();
   }
 
+  // The server revokes every session on a password change and sets fresh cookies
+  async function changePassword(currentPassword, newPassword) {
+    return post("/auth/change-password", { currentPassword, newPassword });
+  }
+
   async function fetchMe() {
     const data = await get("/auth/me");
     setUser(data.user);
     return data.user;
   }
 
-  return { getToken, getUser, setUser, isLoggedIn, isAdmin, login, register, logout, fetchMe, clearToken, get, post, patch, del };
+  return { getUser, setUser, isLoggedIn, isAdmin, can, login, completeLogin, register, logout, changePassword, fetchMe, clearToken, get, post, patch, put, del };
 })();
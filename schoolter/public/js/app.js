@@ -12,14 +12,18 @@
   });
 
   Router.add("/login", AuthPages.loginPage, { guest: true });
+  Router.add("/sso/complete", AuthPages.ssoCompletePage);
   Router.add("/register", AuthPages.registerPage, { guest: true });
   Router.add("/forgot-password", AuthPages.forgotPasswordPage, { guest: true });
   Router.add("/reset-password", AuthPages.resetPasswordPage, { guest: true });
+  Router.add("/verify-email", AuthPages.verifyEmailPage);
 
   Router.add("/dashboard", DashboardPage.render, { auth: true });
   Router.add("/schools", SchoolsPage.render);
   Router.add("/billing", BillingPage.render, { auth: true });
   Router.add("/profile", ProfilePage.render, { auth: true });
+  Router.add("/organisation", OrganisationPage.render, { auth: true });
+  Router.add("/invite", OrganisationPage.acceptInvite);
   Router.add("/admin", AdminPage.render, { auth: true, admin: true });
 
   // ── Nav state ────────────────────────────────────────────
@@ -66,10 +70,55 @@
     m.setAttribute("aria-hidden", "true");
   }
 
+  // ── App banner ───────────────────────────────────────────
+  // action: optional { label, onClick } rendered as a button after the message
+  function showBanner(message, variant = "info", action) {
+    const el = document.getElementById("appBanner");
+    el.className = `app-banner app-banner-${variant}`;
+    el.textContent = message;
+    if (action) {
+      const btn = document.createElement("button");
+      btn.className = "btn btn-outline btn-sm app-banner-action";
+      btn.textContent = action.label;
+      btn.addEventListener("click", action.onClick);
+      el.appendChild(btn);
+    }
+  }
+
+  function hideBanner() {
+    document.getElementById("appBanner").className = "app-banner hidden";
+  }
+
+  // Impersonation always shows; then a dataset error, then a pending account
+  // deletion; otherwise remind signed-in users to confirm their email
+  function updateBanner() {
+    const user = API.getUser();
+    if (user?.impersonatedBy) {
+      return showBanner(`Viewing as ${user.name || user.email} (read-only).`, "warning", { label: "Stop viewing", onClick: stopImpersonating });
+    }
+    if (SchoolsDataset.error) return showBanner(SchoolsDataset.error, "danger");
+    if (user?.deletionScheduledAt) {
+      const day = new Date(user.deletionScheduledAt.replace(" ", "T") + "Z").toLocaleDateString();
+      showBanner(`Your account will be deleted on ${day}. To keep it, cancel the deletion from your profile.`, "danger");
+    } else if (user && user.emailVerified === false) {
+      showBanner("Please confirm your email address using the link we sent you. You can resend it from your profile.", "warning");
+    } else {
+      hideBanner();
+    }
+  }
+
+  // An expired impersonation has already ended (refreshing went back to the
+  // admin), so a failed call still lands on the admin's own account
+  async function stopImpersonating() {
+    try { await API.post("/auth/impersonation/end"); } catch {}
+    await API.fetchMe().catch(() => API.clearToken());
+    Router.navigate(API.isLoggedIn() ? "/admin" : "/login");
+  }
+
   // ── Boot ─────────────────────────────────────────────────
   // Refresh user data if logged in
   if (API.isLoggedIn()) {
-    API.fetchMe().catch(() => {
+    API.fetchMe().then(updateBanner).catch(() => {
       API.clearToken();
       Router.navigate("/login", true);
     });
@@ -80,6 +129,7 @@
   Router.resolve = function () {
     origResolve.call(Router);
     updateNav();
+    updateBanner();
   };
 
   updateNav();
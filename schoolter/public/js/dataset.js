@@ -0,0 +1,82 @@
+/**
+ * Schoolter — school dataset loader.
+ *
+ * data/schools.js declares a versioned SCHOOLS_DATASET envelope
+ * (server/pipeline/school.schema.json). This unwraps it into the
+ * LONDON_SCHOOLS array the pages read, adapts files written before the
+ * envelope existed, and refuses versions newer than this build understands
+ * instead of rendering half-broken pages.
+ */
+const SchoolsDataset = (() => {
+  const SUPPORTED_VERSION = 1;
+
+  // ── v0: window.SCHOOLS_DATA from the old db/export.js ────
+  function adaptV0(s) {
+    const { finance, ...school } = s;
+    const perf = s.performance || {};
+    const ks2 = perf.ks2, ks4 = perf.ks4, ks5 = perf.ks5;
+    const year = perf.year || null;
+    const adm = s.admissions;
+    const hist = adm && adm.catchment && adm.catchment.history;
+
+    school.performance = {
+      ks2: ks2 ? {
+        readingExpected: ks2.reading?.expected ?? null,
+        readingHigher: ks2.reading?.greaterDepth ?? null,
+        writingExpected: ks2.writing?.expected ?? null,
+        writingHigher: ks2.writing?.greaterDepth ?? null,
+        mathsExpected: ks2.maths?.expected ?? null,
+        mathsHigher: ks2.maths?.greaterDepth ?? null,
+        gpsExpected: ks2.gps?.expected ?? null,
+        combinedExpected: ks2.combined ?? null,
+        readingProgress: ks2.progress?.reading ?? null,
+        writingProgress: ks2.progress?.writing ?? null,
+        mathsProgress: ks2.progress?.maths ?? null,
+        year,
+      } : null,
+      ks4: ks4 ? (({ ebaccEntry, ebaccAvg, ...rest }) => ({ ...rest, ebacc_entry: ebaccEntry, ebacc_avg: ebaccAvg, year }))(ks4) : null,
+      ks5: ks5 ? (({ avgPointScore, ...rest }) => ({ ...rest, averagePointScore: avgPointScore, year }))(ks5) : null,
+    };
+    if (s.ofsted) {
+      const { inspectionDate, reportUrl, ...ofsted } = s.ofsted;
+      school.ofsted = { ...ofsted, date: inspectionDate, report: reportUrl };
+    }
+    if (adm) {
+      school.admissions = {
+        ...adm,
+        catchment: adm.catchment && {
+          ...adm.catchment,
+          history: Array.isArray(hist) ? Object.fromEntries(hist.map(h => [h.year, h.lastDistance])) : hist,
+          unit: "km",
+        },
+        criteria: (adm.criteria || []).map(({ category, ...c }) => ({ criterion: category, ...c })),
+      };
+    }
+    school.finances = finance || null;
+    return school;
+  }
+
+  function load() {
+    if (typeof SCHOOLS_DATASET !== "undefined") {
+      const version = SCHOOLS_DATASET.schemaVersion;
+      if (version > SUPPORTED_VERSION) {
+        return { version, schools: [], error: `School data uses format v${version}, but this page only understands v${SUPPORTED_VERSION}. Please reload to get the latest version of Schoolter.` };
+      }
+      return { version, schools: SCHOOLS_DATASET.schools || [], error: null };
+    }
+    // Pre-envelope extract.js output already matches v1
+    if (typeof LONDON_SCHOOLS !== "undefined") {
+      return { version: 1, schools: LONDON_SCHOOLS, error: null };
+    }
+    if (typeof window.SCHOOLS_DATA !== "undefined") {
+      return { version: 0, schools: window.SCHOOLS_DATA.map(adaptV0), error: null };
+    }
+    return { version: null, schools: [], error: "School data could not be loaded. Some pages will be empty." };
+  }
+
+  const result = load();
+  if (result.error) console.error(`[dataset] ${result.error}`);
+  if (typeof LONDON_SCHOOLS === "undefined") window.LONDON_SCHOOLS = result.schools;
+
+  return { SUPPORTED_VERSION, version: result.version, schools: result.schools, error: result.error };
+})();
@@ -1,12 +1,43 @@
 /**
- * Admin panel — user management, stats, audit log.
+ * Admin panel — user management, stats and analytics, audit log, lockouts, roles, security policy.
+ * Tabs and actions are shown according to the signed-in role's permissions.
  */
 const AdminPage = (() => {
   let currentPage = 1;
   let searchQuery = "";
+  let statusFilter = "";
+  let roleNames = ["user", "admin"];
+  let auditCursor = null;
+  let auditActions = null;
+  let analyticsDays = 30;
+  const selectedUsers = new Set();
+
+  const COLORS = ["#4f46e5","#059669","#d97706","#dc2626","#7c3aed","#0891b2"];
+  const BULK_ACTIONS = [
+    { id: "plan", label: "Change plan", permission: "billing.write" },
+    { id: "role", label: "Change role", permission: "roles.manage" },
+    { id: "suspend", label: "Suspend", permission: "users.write" },
+    { id: "unsuspend", label: "Unsuspend", permission: "users.write" },
+    { id: "delete", label: "Delete", permission: "users.delete" },
+    { id: "restore", label: "Restore deleted", permission: "users.delete" },
+    { id: "create", label: "Create accounts", permission: "users.write" },
+  ];
+  const RANGES = [[7, "7 days"], [30, "30 days"], [90, "90 days"], [365, "12 months"]];
+
+  const TABS = [
+    { id: "users", label: "Users", permission: "users.read" },
+    { id: "analytics", label: "Analytics", permission: "users.read" },
+    { id: "audit", label: "Audit Log", permission: "audit.read" },
+    { id: "lockouts", label: "Lockouts", permission: "users.read" },
+    { id: "roles", label: "Roles", permission: "roles.manage" },
+    { id: "coupons", label: "Promo Codes", permission: "coupons.manage" },
+    { id: "security", label: "Security", permission: "settings.manage" },
+  ];
 
   function render() {
     const el = document.getElementById("pageContent");
+    const tabs = TABS.filter(t => API.can(t.permission));
+    const bulkActions = BULK_ACTIONS.filter(a => API.can(a.permission));
     el.innerHTML = `
       <div class="page-container">
         <div class="page-header">
@@ -15,55 +46,326 @@ const AdminPage = (() => {
         </div>
 
         <!-- Admin stats -->
-        <div id="adminStats" class="stats-row" style="margin-bottom:24px">
+        <div id="adminStats" class="stats-row${API.can("users.read") ? "" : " hidden"}" style="margin-bottom:24px">
           <div class="stat-card"><div class="stat-card-value">—</div><div class="stat-card-label">Total Users</div></div>
         </div>
 
         <!-- Tabs -->
         <nav class="tabs admin-tabs" role="tablist">
-          <button class="tab active" data-atab="users" role="tab">Users</button>
-          <button class="tab" data-atab="audit" role="tab">Audit Log</button>
+          ${tabs.map(t => `<button class="tab" data-atab="${t.id}" role="tab">${t.label}</button>`).join("")}
         </nav>
 
-        <div id="adminPanel-users" class="tab-panel active">
+        <div id="adminPanel-users" class="tab-panel">
           <div class="admin-toolbar">
             <input type="text" id="adminUserSearch" placeholder="Search users by email or name..." class="admin-search-input">
+            <select id="adminUserStatus" class="inline-select" style="margin-left:8px">
+              <option value="">Active and suspended</option>
+              <option value="active">Active</option>
+              <option value="suspended">Suspended</option>
+              <option value="deleted">Deleted</option>
+              <option value="all">All</option>
+            </select>
           </div>
           <div id="userTable"><p class="text-muted">Loading...</p></div>
           <div id="userPagination" class="pagination" style="margin-top:16px"></div>
+          ${bulkActions.length ? `
+          <div class="card" style="margin-top:24px">
+            <h3>Bulk Actions</h3>
+            <form id="bulkForm" class="settings-form">
+              <div class="form-group">
+                <label for="bulkAction">Action</label>
+                <select id="bulkAction">${bulkActions.map(a => `<option value="${a.id}">${a.label}</option>`).join("")}</select>
+              </div>
+              <div class="form-group" data-bulk-for="plan">
+                <label for="bulkPlan">Plan</label>
+                <select id="bulkPlan"><option value="free">Free</option><option value="pro">Pro</option><option value="enterprise">Enterprise</option></select>
+              </div>
+              <div class="form-group" data-bulk-for="role">
+                <label for="bulkRole">Role</label>
+                <select id="bulkRole"></select>
+              </div>
+              <div class="form-group" data-bulk-for="suspend delete">
+                <label for="bulkReason">Reason</label>
+                <input type="text" id="bulkReason" maxlength="500" placeholder="Shown to staff only">
+              </div>
+              <div class="form-group">
+                <label for="bulkCsv">Users</label>
+                <small class="text-muted" id="bulkSelected"></small>
+                <textarea id="bulkCsv" rows="5" class="bulk-csv" placeholder="Or paste CSV with a header row: email,name,plan,role"></textarea>
+                <input type="file" id="bulkFile" accept=".csv,text/csv">
+              </div>
+              <div id="bulkErr" class="form-error hidden"></div>
+              <button type="submit" class="btn btn-outline">Preview</button>
+            </form>
+            <div id="bulkReport"></div>
+          </div>` : ""}
+        </div>
+
+        <div id="adminPanel-analytics" class="tab-panel">
+          <div class="admin-toolbar range-picker">
+            ${RANGES.map(([days, label]) => `<button class="btn btn-outline btn-sm" data-range="${days}">${label}</button>`).join("")}
+          </div>
+          <div class="analytics-grid">
+            <div class="analytics-card"><h3>Signups</h3><div id="chartSignups" class="column-chart"></div></div>
+            <div class="analytics-card"><h3>Monthly Recurring Revenue</h3><div id="chartMrr" class="column-chart"></div></div>
+            <div class="analytics-card"><h3>Plan Conversions</h3><div id="chartConversions" class="column-chart"></div></div>
+            <div class="analytics-card"><h3>Cancellations</h3><div id="chartCancellations" class="column-chart"></div></div>
+            <div class="analytics-card"><h3>Sign-ins</h3><div id="chartLogins" class="column-chart"></div></div>
+            <div class="analytics-card"><h3>Users by Plan</h3><div id="chartPlans" class="pie-chart-container"></div></div>
+          </div>
+          <div id="analyticsErr" class="form-error hidden"></div>
         </div>
 
         <div id="adminPanel-audit" class="tab-panel">
+          <form id="auditFilters" class="audit-filters">
+            <label>User email<input type="text" name="email" placeholder="parent@example.com"></label>
+            <label>Action<select name="action"><option value="">All actions</option></select></label>
+            <label>IP address<input type="text" name="ip" placeholder="203.0.113.7"></label>
+            <label>From<input type="date" name="from"></label>
+            <label>To<input type="date" name="to"></label>
+            <button type="submit" class="btn btn-primary btn-sm">Filter</button>
+            <button type="reset" class="btn btn-outline btn-sm">Clear</button>
+            <button type="button" class="btn btn-outline btn-sm" data-audit-export="csv">Export CSV</button>
+            <button type="button" class="btn btn-outline btn-sm" data-audit-export="ndjson">Export NDJSON</button>
+          </form>
           <div id="adminAuditLog"><p class="text-muted">Loading...</p></div>
+          <button id="auditMore" class="btn btn-outline btn-sm hidden" style="margin-top:16px">Load more</button>
+        </div>
+
+        <div id="adminPanel-lockouts" class="tab-panel">
+          <p class="text-muted" style="margin-bottom:16px">Accounts that are locked or have failed sign-ins in the last 24 hours.</p>
+          <div id="adminLockouts"><p class="text-muted">Loading...</p></div>
+        </div>
+
+        <div id="adminPanel-roles" class="tab-panel">
+          <div id="adminRoles"><p class="text-muted">Loading...</p></div>
+          <div class="card" style="margin-top:24px">
+            <h3>New Role</h3>
+            <form id="roleCreateForm" class="settings-form">
+              <div class="form-group">
+                <label for="roleName">Name</label>
+                <input type="text" id="roleName" required pattern="[a-z][a-z0-9_\-]{1,31}" placeholder="billing-support">
+              </div>
+              <div class="form-group">
+                <label for="roleDescription">Description</label>
+                <input type="text" id="roleDescription" maxlength="200">
+              </div>
+              <div id="roleErr" class="form-error hidden"></div>
+              <button type="submit" class="btn btn-primary">Create Role</button>
+            </form>
+          </div>
+        </div>
+
+        <div id="adminPanel-coupons" class="tab-panel">
+          <div id="adminCoupons"><p class="text-muted">Loading...</p></div>
+          <div class="card" style="margin-top:24px">
+            <h3>New Promo Code</h3>
+            <form id="couponCreateForm" class="settings-form">
+              <div class="form-group">
+                <label for="couponCode">Code</label>
+                <input type="text" id="couponCode" required pattern="[A-Za-z0-9_\-]{3,32}" placeholder="SPRING20" style="text-transform:uppercase">
+              </div>
+              <div class="form-group">
+                <label for="couponValue">Discount</label>
+                <div style="display:flex;gap:8px">
+                  <input type="number" id="couponValue" required min="0.01" step="0.01" style="max-width:120px">
+                  <select id="couponKind" class="inline-select">
+                    <option value="percent">% off</option>
+                    <option value="amount">£ off</option>
+                  </select>
+                </div>
+              </div>
+              <div class="form-group">
+                <label for="couponDuration">Applies to</label>
+                <div style="display:flex;gap:8px;align-items:center">
+                  <select id="couponDuration" class="inline-select">
+                    <option value="once">The first payment</option>
+                    <option value="repeating">A number of months</option>
+                    <option value="forever">Every payment</option>
+                  </select>
+                  <input type="number" id="couponMonths" min="1" max="36" step="1" placeholder="Months" class="hidden" style="max-width:100px">
+                </div>
+              </div>
+              <div class="form-group">
+                <label>Plans</label>
+                <div class="permission-list">
+                  <label><input type="checkbox" name="couponPlans" value="pro" checked> Pro</label>
+                  <label><input type="checkbox" name="couponPlans" value="enterprise" checked> Enterprise</label>
+                </div>
+              </div>
+              <div class="form-group">
+                <label for="couponMax">Maximum redemptions</label>
+                <input type="number" id="couponMax" min="1" step="1" placeholder="Unlimited">
+              </div>
+              <div class="form-group">
+                <label for="couponExpires">Expires</label>
+                <input type="date" id="couponExpires">
+              </div>
+              <div class="form-group">
+                <label for="couponDescription">Description</label>
+                <input type="text" id="couponDescription" maxlength="200" placeholder="Spring newsletter">
+              </div>
+              <div id="couponErr" class="form-error hidden"></div>
+              <button type="submit" class="btn btn-primary">Create Code</button>
+            </form>
+          </div>
+        </div>
+
+        <div id="adminPanel-security" class="tab-panel">
+          <div class="card">
+            <h3>Two-Factor Authentication</h3>
+            <label class="feature-row">
+              <span>Require 2FA for staff accounts</span>
+              <input type="checkbox" data-setting="requireAdmin2fa">
+            </label>
+            <p class="text-muted" style="margin-top:8px;font-size:.85rem">Staff (any role with admin permissions) without 2FA are blocked from admin features until they set it up on their profile.</p>
+          </div>
+          <div class="card" style="margin-top:24px">
+            <h3>Email Verification</h3>
+            <label class="feature-row">
+              <span>Require a confirmed email for paid checkout</span>
+              <input type="checkbox" data-setting="requireVerifiedEmailForCheckout">
+            </label>
+          </div>
+          <div class="card" style="margin-top:24px">
+            <h3>Audit Log Retention</h3>
+            <label class="feature-row">
+              <span>Days to keep audit entries</span>
+              <input type="number" min="0" step="1" class="inline-select" style="width:100px" data-setting="auditRetentionDays">
+            </label>
+            <p class="text-muted" style="margin-top:8px;font-size:.85rem">Older entries are moved to compressed archive files on the server every hour. 0 keeps everything.</p>
+          </div>
+          <div class="card" style="margin-top:24px">
+            <h3>Failed Payments</h3>
+            <label class="feature-row">
+              <span>Grace period in days</span>
+              <input type="number" min="1" max="60" step="1" class="inline-select" style="width:100px" data-setting="dunningGraceDays">
+            </label>
+            <p class="text-muted" style="margin-top:8px;font-size:.85rem">After a payment fails, the subscriber keeps their plan this long and is reminded 3 days and 1 day before the end. Then they move to Free and the subscription is canceled. Changes apply to new failures.</p>
+          </div>
+          <div id="securityErr" class="form-error hidden"></div>
         </div>
       </div>
     `;
 
     // Tab switching
-    el.querySelectorAll(".admin-tabs .tab").forEach(tab => {
-      tab.addEventListener("click", () => {
-        el.querySelectorAll(".admin-tabs .tab").forEach(t => t.classList.remove("active"));
-        el.querySelectorAll("#adminPanel-users, #adminPanel-audit").forEach(p => p.classList.remove("active"));
-        tab.classList.add("active");
-        document.getElementById(`adminPanel-${tab.dataset.atab}`).classList.add("active");
-        if (tab.dataset.atab === "audit") loadAuditLog();
-      });
+    function showTab(tab) {
+      el.querySelectorAll(".admin-tabs .tab").forEach(t => t.classList.remove("active"));
+      el.querySelectorAll(".tab-panel").forEach(p => p.classList.remove("active"));
+      tab.classList.add("active");
+      document.getElementById(`adminPanel-${tab.dataset.atab}`).classList.add("active");
+      if (tab.dataset.atab === "users") loadUsers();
+      if (tab.dataset.atab === "analytics") loadAnalytics();
+      if (tab.dataset.atab === "audit") loadAuditLog();
+      if (tab.dataset.atab === "lockouts") loadLockouts();
+      if (tab.dataset.atab === "roles") loadRoles();
+      if (tab.dataset.atab === "coupons") loadCoupons();
+      if (tab.dataset.atab === "security") loadSettings();
+    }
+    el.querySelectorAll(".admin-tabs .tab").forEach(tab => tab.addEventListener("click", () => showTab(tab)));
+
+    document.getElementById("roleCreateForm").addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const errEl = document.getElementById("roleErr");
+      errEl.classList.add("hidden");
+      try {
+        await API.post("/users/admin/roles", {
+          name: document.getElementById("roleName").value.trim(),
+          description: document.getElementById("roleDescription").value,
+          permissions: [],
+        });
+        e.target.reset();
+        loadRoles();
+      } catch (err) {
+        errEl.textContent = err.message;
+        errEl.classList.remove("hidden");
+      }
     });
 
+    document.getElementById("couponDuration").addEventListener("change", (e) => {
+      document.getElementById("couponMonths").classList.toggle("hidden", e.target.value !== "repeating");
+    });
+    document.getElementById("couponCreateForm").addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const errEl = document.getElementById("couponErr");
+      errEl.classList.add("hidden");
+      const value = Number(document.getElementById("couponValue").value);
+      const percent = document.getElementById("couponKind").value === "percent";
+      const expires = document.getElementById("couponExpires").value;
+      try {
+        await API.post("/billing/coupons", {
+          code: document.getElementById("couponCode").value.trim(),
+          ...(percent ? { percentOff: value } : { amountOffCents: Math.round(value * 100) }),
+          duration: document.getElementById("couponDuration").value,
+          durationMonths: document.getElementById("couponMonths").value || null,
+          plans: [...e.target.querySelectorAll("[name=couponPlans]:checked")].map(b => b.value),
+          maxRedemptions: document.getElementById("couponMax").value || null,
+          // The code works until the end of the chosen day
+          expiresAt: expires ? new Date(`${expires}T23:59:59`).toISOString() : null,
+          description: document.getElementById("couponDescription").value,
+        });
+        e.target.reset();
+        document.getElementById("couponMonths").classList.add("hidden");
+        loadCoupons();
+      } catch (err) {
+        errEl.textContent = err.message;
+        errEl.classList.remove("hidden");
+      }
+    });
+
+    el.querySelectorAll("[data-range]").forEach(btn => btn.addEventListener("click", () => {
+      analyticsDays = Number(btn.dataset.range);
+      loadAnalytics();
+    }));
+
+    // Audit filters; changing them starts again from the newest entry
+    const auditForm = document.getElementById("auditFilters");
+    auditForm.addEventListener("submit", (e) => { e.preventDefault(); loadAuditLog(); });
+    auditForm.addEventListener("reset", () => setTimeout(() => loadAuditLog(), 0));
+    document.getElementById("auditMore").addEventListener("click", () => loadAuditLog({ append: true }));
+    auditForm.querySelectorAll("[data-audit-export]").forEach(btn => btn.addEventListener("click", async () => {
+      // Refreshing first makes sure the access cookie is valid for the plain download
+      try { await API.fetchMe(); } catch (err) { return alert(err.message); }
+      const params = auditParams();
+      params.set("format", btn.dataset.auditExport);
+      const link = document.createElement("a");
+      link.href = `/api/users/admin/audit/export?${params}`;
+      link.download = "";
+      link.click();
+    }));
+
+    if (bulkActions.length) setupBulkForm();
+
     // Search
     let searchTimer;
     document.getElementById("adminUserSearch").addEventListener("input", (e) => {
       clearTimeout(searchTimer);
       searchTimer = setTimeout(() => { searchQuery = e.target.value; currentPage = 1; loadUsers(); }, 300);
     });
+    document.getElementById("adminUserStatus").addEventListener("change", (e) => {
+      statusFilter = e.target.value;
+      currentPage = 1;
+      loadUsers();
+    });
 
+    // The role dropdowns need the role list before the user table renders
+    const first = el.querySelector(".admin-tabs .tab");
+    if (!API.can("users.read")) { if (first) showTab(first); return; }
     loadStats();
-    loadUsers();
+    API.get("/users/admin/roles")
+      .then(data => {
+        roleNames = data.roles.map(r => r.name);
+        const bulkRole = document.getElementById("bulkRole");
+        if (bulkRole) bulkRole.innerHTML = roleNames.map(r => `<option value="${esc(r)}">${esc(capitalize(r))}</option>`).join("");
+      })
+      .catch(() => {})
+      .finally(() => showTab(first));
   }
 
   async function loadStats() {
     try {
       const data = await API.get("/users/admin/stats");
+      renderDonut("chartPlans", [["Free", data.freeUsers], ["Pro", data.proUsers], ["Enterprise", data.enterpriseUsers]].filter(([, c]) => c > 0));
       document.getElementById("adminStats").innerHTML = `
         <div class="stat-card"><div class="stat-card-value">${data.totalUsers}</div><div class="stat-card-label">Total Users</div></div>
         <div class="stat-card"><div class="stat-card-value">${data.freeUsers}</div><div class="stat-card-label">Free</div></div>
@@ -71,43 +373,132 @@ const AdminPage = (() => {
         <div class="stat-card"><div class="stat-card-value">${data.enterpriseUsers}</div><div class="stat-card-label">Enterprise</div></div>
         <div class="stat-card"><div class="stat-card-value">${data.recentSignups}</div><div class="stat-card-label">Signups (7d)</div></div>
         <div class="stat-card"><div class="stat-card-value">${data.activeSubscriptions}</div><div class="stat-card-label">Active Subs</div></div>
+        <div class="stat-card"><div class="stat-card-value">${data.organisations}</div><div class="stat-card-label">Organisations</div></div>
+        <div class="stat-card"><div class="stat-card-value">${data.orgSeats}</div><div class="stat-card-label">Paid Seats</div></div>
+        <div class="stat-card"><div class="stat-card-value">${data.suspendedUsers}</div><div class="stat-card-label">Suspended</div></div>
       `;
     } catch {}
   }
 
+  // ── Analytics ─────────────────────────────────────────
+  async function loadAnalytics() {
+    const errEl = document.getElementById("analyticsErr");
+    errEl.classList.add("hidden");
+    document.querySelectorAll("[data-range]").forEach(btn =>
+      btn.classList.toggle("active", Number(btn.dataset.range) === analyticsDays));
+    try {
+      const data = await API.get(`/users/admin/analytics?days=${analyticsDays}`);
+      const money = cents => new Intl.NumberFormat("en-GB", { style: "currency", currency: data.currency.toUpperCase() }).format(cents / 100);
+      renderColumnChart("chartSignups", data.signups.map(p => [p.date, p.count]), COLORS[0]);
+      renderColumnChart("chartMrr", data.mrr.map(p => [p.date, p.cents]), COLORS[1], money);
+      renderColumnChart("chartConversions", data.conversions.map(p => [p.date, p.count]), COLORS[4]);
+      renderColumnChart("chartCancellations", data.cancellations.map(p => [p.date, p.count]), COLORS[3]);
+      renderColumnChart("chartLogins", data.logins.map(p => [p.date, p.count, `${p.users} users`]), COLORS[5]);
+    } catch (err) {
+      errEl.textContent = err.message;
+      errEl.classList.remove("hidden");
+    }
+  }
+
+  // One column per day, oldest on the left; the total and latest value are
+  // shown above, and each column's value on hover.
+  function renderColumnChart(id, points, color, format = String) {
+    const el = document.getElementById(id);
+    const max = Math.max(...points.map(p => p[1]));
+    const total = points.reduce((s, p) => s + p[1], 0);
+    const latest = points[points.length - 1];
+    const summary = format === String ? `${total} total` : `${format(latest[1])} now`;
+    el.innerHTML = `
+      <div class="column-summary">${esc(summary)}</div>
+      <div class="column-track">${points.map(([date, value, extra]) => {
+        const h = max ? Math.max((value / max) * 100, value ? 2 : 0) : 0;
+        return `<div class="column" title="${esc(`${date}: ${format(value)}${extra ? ` (${extra})` : ""}`)}"><div class="column-fill" style="height:${h}%;background:${color}"></div></div>`;
+      }).join("")}</div>
+      <div class="column-axis"><span>${esc(points[0][0])}</span><span>${esc(latest[0])}</span></div>`;
+  }
+
+  function renderDonut(id, entries) {
+    const el = document.getElementById(id);
+    if (!el) return;
+    if (!entries.length) { el.innerHTML = "<p>No data</p>"; return; }
+    const total = entries.reduce((s, e) => s + e[1], 0);
+    let cum = 0;
+    const parts = [], legend = [];
+    entries.forEach(([l, c], i) => {
+      const col = COLORS[i % COLORS.length];
+      const d = (c / total) * 360;
+      parts.push(`${col} ${cum}deg ${cum + d}deg`);
+      cum += d;
+      legend.push(`<div class="pie-legend-item"><span class="pie-legend-swatch" style="background:${col}"></span>${esc(l)}: ${c} (${((c / total) * 100).toFixed(1)}%)</div>`);
+    });
+    el.innerHTML = `<div class="donut-chart" style="background:conic-gradient(${parts.join(",")})"><div class="donut-center">${total}</div></div><div class="pie-legend">${legend.join("")}</div>`;
+  }
+
   async function loadUsers() {
     const el = document.getElementById("userTable");
     try {
       const params = new URLSearchParams({ page: currentPage, limit: 15 });
       if (searchQuery) params.set("search", searchQuery);
+      if (statusFilter) params.set("status", statusFilter);
       const data = await API.get(`/users?${params}`);
       if (!data.users.length) { el.innerHTML = '<p class="text-muted">No users found.</p>'; return; }
+      const canRoles = API.can("roles.manage");
+      const canBilling = API.can("billing.write");
+      const canDelete = API.can("users.delete");
+      const canWrite = API.can("users.write");
+      const canImpersonate = API.can("users.impersonate");
 
       el.innerHTML = `
         <table class="admin-table">
-          <thead><tr><th>Name</th><th>Email</th><th>Role</th><th>Plan</th><th>Created</th><th>Actions</th></tr></thead>
+          <thead><tr><th><input type="checkbox" id="selectAllUsers" title="Select this page"></th><th>Name</th><th>Email</th><th>Role</th><th>Plan</th><th>Organisation</th><th>Created</th><th>Actions</th></tr></thead>
           <tbody>${data.users.map(u => `
             <tr data-uid="${u.id}">
-              <td>${esc(u.name)}</td>
+              <td><input type="checkbox" class="user-check" data-uid="${u.id}" ${selectedUsers.has(u.id) ? "checked" : ""}></td>
+              <td>${esc(u.name)}${u.status !== "active" ? ` <span class="badge badge-${u.status}" title="${esc(u.statusReason || "")}">${capitalize(u.status)}</span>` : ""}</td>
               <td>${esc(u.email)}</td>
               <td>
-                <select class="role-select inline-select" data-field="role" data-uid="${u.id}">
-                  <option value="user" ${u.role==="user"?"selected":""}>User</option>
-                  <option value="admin" ${u.role==="admin"?"selected":""}>Admin</option>
+                <select class="role-select inline-select" data-field="role" data-uid="${u.id}" ${canRoles ? "" : "disabled"}>
+                  ${[...new Set([...roleNames, u.role])].map(r => `<option value="${esc(r)}" ${u.role===r?"selected":""}>${esc(capitalize(r))}</option>`).join("")}
                 </select>
               </td>
               <td>
-                <select class="plan-select inline-select" data-field="plan" data-uid="${u.id}">
-                  <option value="free" ${u.plan==="free"?"selected":""}>Free</option>
-                  <option value="pro" ${u.plan==="pro"?"selected":""}>Pro</option>
-                  <option value="enterprise" ${u.plan==="enterprise"?"selected":""}>Enterprise</option>
+                <select class="plan-select inline-select" data-field="plan" data-uid="${u.id}" ${canBilling ? "" : "disabled"}>
+                  <option value="free" ${u.personalPlan==="free"?"selected":""}>Free</option>
+                  <option value="pro" ${u.personalPlan==="pro"?"selected":""}>Pro</option>
+                  <option value="enterprise" ${u.personalPlan==="enterprise"?"selected":""}>Enterprise</option>
                 </select>
               </td>
+              <td>${u.organisation ? `${esc(u.organisation.name)}<br><span class="text-muted">${u.organisation.role === "owner" ? "Owner" : "Member"}</span>` : "—"}</td>
               <td>${new Date(u.createdAt).toLocaleDateString()}</td>
-              <td><button class="btn btn-sm btn-danger delete-user-btn" data-uid="${u.id}">Delete</button></td>
+              <td>
+                ${canImpersonate && u.status === "active" && !u.permissions.length ? `<button class="btn btn-sm btn-outline view-as-btn" data-uid="${u.id}">View as</button>` : ""}
+                ${canWrite && u.status === "active" ? `<button class="btn btn-sm btn-outline status-btn" data-uid="${u.id}" data-status-action="suspend">Suspend</button>` : ""}
+                ${canWrite && u.status === "suspended" ? `<button class="btn btn-sm btn-outline status-btn" data-uid="${u.id}" data-status-action="unsuspend">Unsuspend</button>` : ""}
+                ${canDelete && u.status !== "deleted" ? `<button class="btn btn-sm btn-danger status-btn" data-uid="${u.id}" data-status-action="delete">Delete</button>` : ""}
+                ${canDelete && u.status === "deleted" ? `<button class="btn btn-sm btn-outline status-btn" data-uid="${u.id}" data-status-action="restore">Restore</button>
+                  <button class="btn btn-sm btn-danger status-btn" data-uid="${u.id}" data-status-action="purge">Purge</button>` : ""}
+              </td>
             </tr>`).join("")}</tbody>
         </table>`;
 
+      // Selection for bulk actions, kept across pages
+      const checks = [...el.querySelectorAll(".user-check")];
+      const selectAll = document.getElementById("selectAllUsers");
+      selectAll.checked = checks.every(c => c.checked);
+      checks.forEach(c => c.addEventListener("change", () => {
+        c.checked ? selectedUsers.add(c.dataset.uid) : selectedUsers.delete(c.dataset.uid);
+        selectAll.checked = checks.every(x => x.checked);
+        updateBulkSelection();
+      }));
+      selectAll.addEventListener("change", () => {
+        checks.forEach(c => {
+          c.checked = selectAll.checked;
+          selectAll.checked ? selectedUsers.add(c.dataset.uid) : selectedUsers.delete(c.dataset.uid);
+        });
+        updateBulkSelection();
+      });
+      updateBulkSelection();
+
       // Inline edits
       el.querySelectorAll(".inline-select").forEach(sel => {
         sel.addEventListener("change", async () => {
@@ -117,12 +508,34 @@ const AdminPage = (() => {
         });
       });
 
-      // Delete buttons
-      el.querySelectorAll(".delete-user-btn").forEach(btn => {
+      // Status: suspend and delete ask for a reason, purge can't be undone
+      el.querySelectorAll(".status-btn").forEach(btn => {
         btn.addEventListener("click", async () => {
-          if (!confirm("Delete this user permanently?")) return;
-          try { await API.del(`/users/${btn.dataset.uid}`); loadUsers(); loadStats(); }
-          catch (err) { alert(err.message); }
+          const action = btn.dataset.statusAction;
+          const uid = btn.dataset.uid;
+          let reason;
+          if (action === "suspend" || action === "delete") {
+            reason = prompt(action === "suspend" ? "Why is this account being suspended?" : "Why is this account being deleted? (optional)");
+            if (reason === null) return;
+          }
+          if (action === "purge" && !confirm("Purge this account? Its invoices, sessions and keys are removed for good.")) return;
+          try {
+            if (action === "delete") await API.del(`/users/${uid}`, { reason });
+            else await API.post(`/users/${uid}/${action}`, reason !== undefined ? { reason } : undefined);
+            loadUsers();
+            loadStats();
+          } catch (err) { alert(err.message); }
+        });
+      });
+
+      // View as user: read-only until stopped from the banner or it expires
+      el.querySelectorAll(".view-as-btn").forEach(btn => {
+        btn.addEventListener("click", async () => {
+          try {
+            await API.post(`/users/${btn.dataset.uid}/impersonate`);
+            await API.fetchMe();
+            Router.navigate("/dashboard");
+          } catch (err) { alert(err.message); }
         });
       });
 
@@ -137,30 +550,269 @@ const AdminPage = (() => {
       `;
       pgEl.querySelectorAll("button[data-p]").forEach(b => b.addEventListener("click", () => { currentPage = Number(b.dataset.p); loadUsers(); }));
     } catch (err) {
-      el.innerHTML = `<p class="form-error">${esc(err.message)}</p>`;
+      el.innerHTML = err.data?.code === "2fa_required"
+        ? `<p class="form-error">${esc(err.message)}. <a href="/profile" data-link>Go to your profile</a></p>`
+        : `<p class="form-error">${esc(err.message)}</p>`;
     }
   }
 
-  async function loadAuditLog() {
+  // ── Bulk actions ──────────────────────────────────────
+  // Preview is a dry run; its report offers to apply the same request.
+  function setupBulkForm() {
+    const form = document.getElementById("bulkForm");
+    const action = document.getElementById("bulkAction");
+    const showFields = () => form.querySelectorAll("[data-bulk-for]").forEach(g =>
+      g.classList.toggle("hidden", !g.dataset.bulkFor.split(" ").includes(action.value)));
+    action.addEventListener("change", () => { showFields(); updateBulkSelection(); });
+    showFields();
+
+    document.getElementById("bulkFile").addEventListener("change", async (e) => {
+      const file = e.target.files[0];
+      if (file) document.getElementById("bulkCsv").value = await file.text();
+    });
+
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const errEl = document.getElementById("bulkErr");
+      errEl.classList.add("hidden");
+      const csv = document.getElementById("bulkCsv").value.trim();
+      const body = { action: action.value };
+      if (csv) body.csv = csv;
+      else if (action.value !== "create" && selectedUsers.size) body.ids = [...selectedUsers];
+      else {
+        errEl.textContent = action.value === "create" ? "Paste a CSV of accounts to create." : "Select users in the table or paste a CSV.";
+        errEl.classList.remove("hidden");
+        return;
+      }
+      if (body.action === "plan") body.plan = document.getElementById("bulkPlan").value;
+      if (body.action === "role") body.role = document.getElementById("bulkRole").value;
+      if (body.action === "suspend" || body.action === "delete") body.reason = document.getElementById("bulkReason").value;
+      try {
+        renderBulkReport(await API.post("/users/admin/bulk", body), body);
+      } catch (err) {
+        errEl.textContent = err.message;
+        errEl.classList.remove("hidden");
+      }
+    });
+  }
+
+  function updateBulkSelection() {
+    const el = document.getElementById("bulkSelected");
+    if (!el) return;
+    el.textContent = document.getElementById("bulkAction").value === "create"
+      ? "New accounts are emailed a link to choose a password."
+      : `${selectedUsers.size} selected in the table.`;
+  }
+
+  function renderBulkReport(report, body) {
+    const el = document.getElementById("bulkReport");
+    const { summary } = report;
+    const changes = c => c ? Object.entries(c).map(([k, v]) => Array.isArray(v) ? `${k}: ${v[0]} → ${v[1]}` : `${k}: ${v}`).join(", ") : "";
+    el.innerHTML = `
+      <p class="${report.dryRun ? "text-muted" : "form-success"}" style="margin:20px 0 12px">
+        ${report.dryRun ? "Preview:" : "Done:"} ${summary.ok} ${report.dryRun ? "to change" : "changed"}, ${summary.skipped} skipped, ${summary.error} with errors.
+      </p>
+      <table class="audit-table">
+        <thead><tr><th>Row</th><th>User</th><th>Result</th><th>Detail</th></tr></thead>
+        <tbody>${report.results.map(r => `
+          <tr>
+            <td>${r.row}</td>
+            <td>${esc(r.email || r.id || "—")}</td>
+            <td class="bulk-${r.status}">${r.status === "ok" ? (report.dryRun ? "Will change" : "Changed") : capitalize(r.status)}</td>
+            <td>${esc(r.message || changes(r.changes))}</td>
+          </tr>`).join("")}</tbody>
+      </table>
+      ${report.dryRun && summary.ok ? `<button id="bulkApply" class="btn ${body.action === "delete" ? "btn-danger" : "btn-primary"}" style="margin-top:16px">Apply to ${summary.ok} user${summary.ok === 1 ? "" : "s"}</button>` : ""}`;
+
+    const apply = document.getElementById("bulkApply");
+    if (!apply) return;
+    apply.addEventListener("click", async () => {
+      apply.disabled = true;
+      try {
+        renderBulkReport(await API.post("/users/admin/bulk", { ...body, dryRun: false }), body);
+        selectedUsers.clear();
+        loadUsers();
+        loadStats();
+      } catch (err) {
+        apply.disabled = false;
+        alert(err.message);
+      }
+    });
+  }
+
+  // Filter values from the bar, without the empty ones
+  function auditParams() {
+    const form = new FormData(document.getElementById("auditFilters"));
+    return new URLSearchParams([...form.entries()].filter(([, v]) => v));
+  }
+
+  async function loadAuditLog({ append = false } = {}) {
     const el = document.getElementById("adminAuditLog");
+    const more = document.getElementById("auditMore");
     try {
-      const data = await API.get("/users/admin/audit?limit=100");
-      if (!data.entries.length) { el.innerHTML = '<p class="text-muted">No audit entries.</p>'; return; }
+      if (!auditActions) {
+        ({ actions: auditActions } = await API.get("/users/admin/audit/actions"));
+        document.querySelector('#auditFilters [name="action"]').insertAdjacentHTML("beforeend",
+          Object.entries(auditActions).map(([a, label]) => `<option value="${esc(a)}">${esc(label)}</option>`).join(""));
+      }
+      const params = auditParams();
+      params.set("limit", 100);
+      if (append && auditCursor) params.set("cursor", auditCursor);
+      const data = await API.get(`/users/admin/audit?${params}`);
+      auditCursor = data.nextCursor;
+      more.classList.toggle("hidden", !auditCursor);
+
+      const rows = data.entries.map(e => `
+            <tr>
+              <td>${esc(e.email || (e.userId ? "Deleted user" : "—"))}</td>
+              <td title="${esc(auditActions[e.action] || "")}">${esc(e.action)}</td>
+              <td class="audit-detail" title="${esc(e.detail ? JSON.stringify(e.detail) : "")}">${esc(e.detail ? JSON.stringify(e.detail) : "")}</td>
+              <td>${esc(e.ipAddress || "—")}</td>
+              <td>${fmtDate(e.createdAt)}</td>
+            </tr>`).join("");
+      if (append) return el.querySelector("tbody").insertAdjacentHTML("beforeend", rows);
+      if (!data.entries.length) { el.innerHTML = '<p class="text-muted">No audit entries match.</p>'; return; }
       el.innerHTML = `
         <table class="audit-table">
           <thead><tr><th>User</th><th>Action</th><th>Detail</th><th>IP</th><th>Date</th></tr></thead>
-          <tbody>${data.entries.map(e => `
+          <tbody>${rows}</tbody>
+        </table>`;
+    } catch (err) {
+      more.classList.add("hidden");
+      el.innerHTML = `<p class="form-error">${esc(err.message)}</p>`;
+    }
+  }
+
+  async function loadLockouts() {
+    const el = document.getElementById("adminLockouts");
+    try {
+      const { lockouts } = await API.get("/users/admin/lockouts");
+      if (!lockouts.length) { el.innerHTML = '<p class="text-muted">No locked accounts or recent failures.</p>'; return; }
+      el.innerHTML = `
+        <table class="audit-table">
+          <thead><tr><th>User</th><th>Failed attempts</th><th>Last failure</th><th>Status</th><th></th></tr></thead>
+          <tbody>${lockouts.map(u => `
             <tr>
-              <td>${esc(e.email || "—")}</td>
-              <td>${esc(e.action)}</td>
-              <td class="audit-detail">${esc(e.detail || "")}</td>
-              <td>${esc(e.ip_address || "—")}</td>
-              <td>${new Date(e.created_at).toLocaleString()}</td>
+              <td>${esc(u.name || u.email)}<br><span class="text-muted">${esc(u.email)}</span></td>
+              <td>${u.failedLoginCount}</td>
+              <td>${fmtDate(u.lastFailedLoginAt)}</td>
+              <td>${u.lockedUntil ? `<span class="cross">Locked until ${fmtDate(u.lockedUntil)}</span>` : "Active"}</td>
+              <td>${API.can("users.write") ? `<button class="btn btn-sm btn-outline unlock-btn" data-uid="${u.id}">${u.lockedUntil ? "Unlock" : "Reset count"}</button>` : ""}</td>
             </tr>`).join("")}</tbody>
         </table>`;
-    } catch { el.innerHTML = '<p class="text-muted">Could not load audit log.</p>'; }
+      el.querySelectorAll(".unlock-btn").forEach(btn => {
+        btn.addEventListener("click", async () => {
+          try { await API.post(`/users/${btn.dataset.uid}/unlock`); loadLockouts(); }
+          catch (err) { alert(err.message); }
+        });
+      });
+    } catch { el.innerHTML = '<p class="text-muted">Could not load lockouts.</p>'; }
+  }
+
+  async function loadRoles() {
+    const el = document.getElementById("adminRoles");
+    try {
+      const { roles, permissions } = await API.get("/users/admin/roles");
+      roleNames = roles.map(r => r.name);
+      el.innerHTML = `
+        <table class="admin-table">
+          <thead><tr><th>Role</th><th>Permissions</th><th>Users</th><th></th></tr></thead>
+          <tbody>${roles.map(r => `
+            <tr>
+              <td><strong>${esc(r.name)}</strong><br><span class="text-muted">${esc(r.description)}</span></td>
+              <td>
+                <div class="permission-list">${Object.entries(permissions).map(([key, label]) => `
+                  <label title="${esc(label)}">
+                    <input type="checkbox" data-role="${esc(r.name)}" value="${esc(key)}" ${r.permissions.includes(key) ? "checked" : ""} ${r.builtin ? "disabled" : ""}>
+                    ${esc(key)}
+                  </label>`).join("")}
+                </div>
+              </td>
+              <td>${r.users}</td>
+              <td>${r.builtin ? '<span class="text-muted">Built in</span>' : `<button class="btn btn-sm btn-danger delete-role-btn" data-role="${esc(r.name)}">Delete</button>`}</td>
+            </tr>`).join("")}</tbody>
+        </table>`;
+
+      el.querySelectorAll("input[data-role]").forEach(box => {
+        box.addEventListener("change", async () => {
+          const name = box.dataset.role;
+          const checked = [...el.querySelectorAll(`input[data-role="${CSS.escape(name)}"]:checked`)].map(b => b.value);
+          try { await API.patch(`/users/admin/roles/${encodeURIComponent(name)}`, { permissions: checked }); }
+          catch (err) { alert(err.message); loadRoles(); }
+        });
+      });
+      el.querySelectorAll(".delete-role-btn").forEach(btn => {
+        btn.addEventListener("click", async () => {
+          if (!confirm(`Delete the ${btn.dataset.role} role?`)) return;
+          try { await API.del(`/users/admin/roles/${encodeURIComponent(btn.dataset.role)}`); loadRoles(); }
+          catch (err) { alert(err.message); }
+        });
+      });
+    } catch (err) { el.innerHTML = `<p class="form-error">${esc(err.message)}</p>`; }
+  }
+
+  async function loadCoupons() {
+    const el = document.getElementById("adminCoupons");
+    try {
+      const { coupons } = await API.get("/billing/coupons");
+      if (!coupons.length) { el.innerHTML = '<p class="text-muted">No promo codes yet.</p>'; return; }
+      // Descriptions are HTML-escaped by the server
+      el.innerHTML = `
+        <table class="admin-table">
+          <thead><tr><th>Code</th><th>Discount</th><th>Plans</th><th>Redeemed</th><th>Expires</th><th>Status</th><th></th></tr></thead>
+          <tbody>${coupons.map(c => `
+            <tr>
+              <td><strong>${esc(c.code)}</strong>${c.description ? `<br><span class="text-muted">${c.description}</span>` : ""}</td>
+              <td>${esc(c.summary)}</td>
+              <td>${c.plans ? c.plans.map(capitalize).join(", ") : "All paid plans"}</td>
+              <td>${c.timesRedeemed}${c.maxRedemptions ? ` / ${c.maxRedemptions}` : ""}</td>
+              <td>${fmtDate(c.expiresAt)}</td>
+              <td>${c.active ? "Active" : '<span class="text-muted">Inactive</span>'}</td>
+              <td><button class="btn btn-sm ${c.active ? "btn-danger" : "btn-outline"} coupon-toggle-btn" data-cid="${c.id}" data-active="${c.active ? "" : "1"}">${c.active ? "Deactivate" : "Activate"}</button></td>
+            </tr>`).join("")}</tbody>
+        </table>`;
+      el.querySelectorAll(".coupon-toggle-btn").forEach(btn => {
+        btn.addEventListener("click", async () => {
+          try { await API.patch(`/billing/coupons/${btn.dataset.cid}`, { active: !!btn.dataset.active }); loadCoupons(); }
+          catch (err) { alert(err.message); }
+        });
+      });
+    } catch (err) { el.innerHTML = `<p class="form-error">${esc(err.message)}</p>`; }
+  }
+
+  async function loadSettings() {
+    const boxes = document.querySelectorAll("#adminPanel-security [data-setting]");
+    const errEl = document.getElementById("securityErr");
+    errEl.classList.add("hidden");
+    try {
+      const { settings } = await API.get("/users/admin/settings");
+      boxes.forEach(box => {
+        const key = box.dataset.setting;
+        const prop = box.type === "checkbox" ? "checked" : "value";
+        box[prop] = settings[key];
+        box.onchange = async () => {
+          errEl.classList.add("hidden");
+          const previous = settings[key];
+          try {
+            const data = await API.patch("/users/admin/settings", { [key]: prop === "checked" ? box.checked : Number(box.value) });
+            Object.assign(settings, data.settings);
+            box[prop] = data.settings[key];
+          } catch (err) {
+            box[prop] = previous;
+            errEl.textContent = err.message;
+            errEl.classList.remove("hidden");
+          }
+        };
+      });
+    } catch (err) {
+      errEl.textContent = err.message;
+      errEl.classList.remove("hidden");
+    }
   }
 
+  // SQLite timestamps are UTC without a zone marker
+  function fmtDate(s) { return s ? new Date(s.replace(" ", "T") + "Z").toLocaleString() : "—"; }
+  function capitalize(s) { return s ? s.charAt(0).toUpperCase() + s.slice(1) : ""; }
   function esc(s) { const d = document.createElement("div"); d.textContent = s || ""; return d.innerHTML; }
 
   return { render };
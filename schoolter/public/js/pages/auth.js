@@ -1,5 +1,6 @@
 /**
- * Auth pages: Login, Register, Forgot Password, Reset Password.
+ * Auth pages: Login (with the 2FA challenge step and SSO), Register, Forgot
+ * Password, Reset Password, Verify Email.
  */
 const AuthPages = (() => {
   function loginPage() {
@@ -20,6 +21,7 @@ const AuthPages = (() => {
             </div>
             <div id="loginError" class="form-error hidden"></div>
             <button type="submit" class="btn btn-primary btn-full">Sign In</button>
+            <button type="button" id="ssoBtn" class="btn btn-outline btn-full">Continue with SSO</button>
           </form>
           <div class="auth-links">
             <a href="/forgot-password" data-link>Forgot password?</a>
@@ -33,14 +35,123 @@ const AuthPages = (() => {
       const errEl = el.querySelector("#loginError");
       errEl.classList.add("hidden");
       try {
-        await API.login(
+        const data = await API.login(
           el.querySelector("#loginEmail").value,
           el.querySelector("#loginPassword").value
         );
+        if (data.mfaRequired) return challengeStep(data.mfaToken);
+        Router.navigate(data.twoFactorSetupRequired ? "/profile" : "/dashboard");
+      } catch (err) {
+        errEl.textContent = err.message;
+        errEl.classList.remove("hidden");
+      }
+    });
+
+    // SSO only needs the email: its domain picks the organisation's identity provider
+    el.querySelector("#ssoBtn").addEventListener("click", async () => {
+      const errEl = el.querySelector("#loginError");
+      const emailEl = el.querySelector("#loginEmail");
+      errEl.classList.add("hidden");
+      if (!emailEl.value || !emailEl.checkValidity()) {
+        errEl.textContent = "Enter your work email to continue with SSO.";
+        errEl.classList.remove("hidden");
+        return emailEl.focus();
+      }
+      try {
+        const { url } = await API.post("/auth/sso/start", { email: emailEl.value });
+        window.location = url;
+      } catch (err) {
+        errEl.textContent = err.message;
+        errEl.classList.remove("hidden");
+      }
+    });
+  }
+
+  // Where the SSO callback lands: the session cookies are already set, so
+  // load the profile (the signed-in marker) and carry on.
+  async function ssoCompletePage() {
+    const error = new URLSearchParams(location.search).get("error");
+    const el = document.getElementById("pageContent");
+    el.innerHTML = `
+      <div class="auth-page">
+        <div class="auth-card">
+          <h1 class="auth-title">Single sign-on</h1>
+          <div id="ssoError" class="form-error hidden"></div>
+          <p id="ssoPending" class="auth-subtitle">Signing you in...</p>
+          <div class="auth-links">
+            <a href="/login" data-link>Back to sign in</a>
+          </div>
+        </div>
+      </div>
+    `;
+    try {
+      if (error) throw new Error(error);
+      await API.fetchMe();
+      return Router.navigate("/dashboard");
+    } catch (err) {
+      const errEl = el.querySelector("#ssoError");
+      errEl.textContent = err.message;
+      errEl.classList.remove("hidden");
+    }
+    el.querySelector("#ssoPending").classList.add("hidden");
+  }
+
+  // Second login step for accounts with 2FA: a code from the authenticator
+  // app, or one of the recovery codes.
+  function challengeStep(mfaToken) {
+    const el = document.getElementById("pageContent");
+    let useRecovery = false;
+    el.innerHTML = `
+      <div class="auth-page">
+        <div class="auth-card">
+          <h1 class="auth-title">Two-factor authentication</h1>
+          <p class="auth-subtitle" id="mfaHint">Enter the 6-digit code from your authenticator app</p>
+          <form id="mfaForm" class="auth-form">
+            <div class="form-group">
+              <label for="mfaCode" id="mfaLabel">Authentication code</label>
+              <input type="text" id="mfaCode" required autocomplete="one-time-code" inputmode="numeric" pattern="[0-9 ]{6,7}" maxlength="7" placeholder="123456">
+            </div>
+            <div id="mfaError" class="form-error hidden"></div>
+            <button type="submit" class="btn btn-primary btn-full">Verify</button>
+          </form>
+          <div class="auth-links">
+            <a href="#" id="mfaToggle">Use a recovery code instead</a>
+            <a href="/login" data-link>&larr; Back to sign in</a>
+          </div>
+        </div>
+      </div>
+    `;
+    const input = el.querySelector("#mfaCode");
+    input.focus();
+
+    el.querySelector("#mfaToggle").addEventListener("click", (e) => {
+      e.preventDefault();
+      useRecovery = !useRecovery;
+      el.querySelector("#mfaHint").textContent = useRecovery
+        ? "Enter one of the recovery codes you saved when you set up 2FA"
+        : "Enter the 6-digit code from your authenticator app";
+      el.querySelector("#mfaLabel").textContent = useRecovery ? "Recovery code" : "Authentication code";
+      el.querySelector("#mfaToggle").textContent = useRecovery ? "Use your authenticator app instead" : "Use a recovery code instead";
+      input.value = "";
+      input.placeholder = useRecovery ? "xxxxx-xxxxx" : "123456";
+      input.inputMode = useRecovery ? "text" : "numeric";
+      if (useRecovery) { input.removeAttribute("pattern"); input.maxLength = 11; }
+      else { input.pattern = "[0-9 ]{6,7}"; input.maxLength = 7; }
+      input.focus();
+    });
+
+    el.querySelector("#mfaForm").addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const errEl = el.querySelector("#mfaError");
+      errEl.classList.add("hidden");
+      const value = input.value.trim();
+      try {
+        await API.completeLogin(mfaToken, useRecovery ? { recoveryCode: value } : { code: value });
         Router.navigate("/dashboard");
       } catch (err) {
         errEl.textContent = err.message;
         errEl.classList.remove("hidden");
+        input.select();
       }
     });
   }
@@ -121,9 +232,6 @@ const AuthPages = (() => {
         const msgEl = el.querySelector("#forgotMsg");
         msgEl.textContent = data.message || "Check your email for a reset link.";
         msgEl.classList.remove("hidden");
-        if (data.devToken) {
-          msgEl.innerHTML += `<br><small>Dev token: <code>${data.devToken}</code></small>`;
-        }
       } catch (err) {
         const errEl = el.querySelector("#forgotError");
         errEl.textContent = err.message;
@@ -177,5 +285,37 @@ const AuthPages = (() => {
     });
   }
 
-  return { loginPage, registerPage, forgotPasswordPage, resetPasswordPage };
+  // Landing page for the emailed link; works signed in or out.
+  async function verifyEmailPage() {
+    const token = new URLSearchParams(location.search).get("token") || "";
+    const el = document.getElementById("pageContent");
+    el.innerHTML = `
+      <div class="auth-page">
+        <div class="auth-card">
+          <h1 class="auth-title">Confirm your email</h1>
+          <div id="verifyMsg" class="form-success hidden"></div>
+          <div id="verifyError" class="form-error hidden"></div>
+          <p id="verifyPending" class="auth-subtitle">Confirming your email address...</p>
+          <div class="auth-links">
+            <a href="${API.isLoggedIn() ? "/dashboard" : "/login"}" data-link>Continue</a>
+          </div>
+        </div>
+      </div>
+    `;
+    try {
+      if (!token) throw new Error("This link is missing its token. Open the link from your email again.");
+      await API.post("/auth/verify-email", { token });
+      if (API.isLoggedIn()) await API.fetchMe();
+      const msgEl = el.querySelector("#verifyMsg");
+      msgEl.textContent = "Thanks! Your email address is confirmed.";
+      msgEl.classList.remove("hidden");
+    } catch (err) {
+      const errEl = el.querySelector("#verifyError");
+      errEl.textContent = err.message;
+      errEl.classList.remove("hidden");
+    }
+    el.querySelector("#verifyPending").classList.add("hidden");
+  }
+
+  return { loginPage, ssoCompletePage, registerPage, forgotPasswordPage, resetPasswordPage, verifyEmailPage };
 })();
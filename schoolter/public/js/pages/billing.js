@@ -1,10 +1,36 @@
 /**
- * Billing page — plan selection, checkout, invoices.
+ * Billing page — plan selection, free trial, promo codes, checkout, plan
+ * changes for subscribers, invoices.
  */
 const BillingPage = (() => {
+  const PLAN_RANK = { free: 0, pro: 1, enterprise: 2 };
+  const MONTHLY_PRICES = { free: 0, pro: 9.99, enterprise: 29.99 };
+  // Monthly or yearly, as picked above the plans; starts as the current interval
+  let interval = null;
+
   function render() {
     const user = API.getUser();
     const plan = user?.plan || "free";
+    // Members of a paid organisation get its plan; the organisation owner pays for it
+    const orgProvided = user?.organisation && user.plan !== user.personalPlan ? user.organisation : null;
+    // Checkout sends people back here with the session id once they've paid
+    const checkedOut = new URLSearchParams(location.search).has("session_id");
+    const trialing = user?.subscriptionStatus === "trialing" && !!user.trialEndsAt;
+    // A failed payment leaves the plan on until the grace period ends
+    const graceEnds = user?.graceEndsAt ? new Date(user.graceEndsAt.replace(" ", "T") + "Z") : null;
+    const canTrial = plan === "free" && !orgProvided && !!user?.trialAvailable;
+    // Subscribers change plan in place; everyone else goes through checkout
+    const subscribed = ["active", "past_due"].includes(user?.subscriptionStatus) && (user.personalPlan ?? plan) !== "free";
+    const subscription = subscribed ? {
+      plan: user.personalPlan ?? plan,
+      interval: user.subscriptionInterval || "monthly",
+      periodEnd: user.subscriptionPeriodEnd,
+      cancelAtPeriodEnd: !!user.cancelAtPeriodEnd,
+      scheduled: user.scheduledPlan,
+    } : null;
+    interval = interval || subscription?.interval || "monthly";
+    // Plans that can be bought from here, and so take a promo code
+    const upgradable = subscribed ? [] : ["pro", "enterprise"].filter(p => isUpgrade(p, plan) || (trialing && p === plan));
     const el = document.getElementById("pageContent");
 
     el.innerHTML = `
@@ -13,6 +39,12 @@ const BillingPage = (() => {
           <h1>Billing &amp; Subscription</h1>
           <p class="text-muted">Manage your plan, payment method, and invoices</p>
         </div>
+        ${checkedOut ? `<p class="form-success" style="margin-bottom:24px">Thanks! Your payment went through.</p>` : ""}
+        ${graceEnds ? `
+        <div class="app-banner app-banner-warning" style="border-radius:var(--radius);margin-bottom:24px">
+          Your last payment failed. Update your payment method by ${graceEnds.toLocaleDateString()} to keep ${capitalize(user.personalPlan ?? plan)}; after that your account moves to Free.
+          <button id="graceUpdateBtn" class="btn btn-outline btn-sm app-banner-action">Update payment method</button>
+        </div>` : ""}
 
         <!-- Current plan -->
         <div class="card" style="margin-bottom:24px">
@@ -23,36 +55,54 @@ const BillingPage = (() => {
               ${user?.subscriptionStatus === "active" ? `<span class="sub-status active">Active</span>` : ""}
               ${user?.subscriptionStatus === "past_due" ? `<span class="sub-status past-due">Past Due</span>` : ""}
               ${user?.subscriptionStatus === "canceled" ? `<span class="sub-status canceled">Canceled</span>` : ""}
-              ${user?.subscriptionPeriodEnd ? `<p class="text-muted text-sm" style="margin-top:6px">Renews ${new Date(user.subscriptionPeriodEnd).toLocaleDateString()}</p>` : ""}
+              ${trialing ? `<span class="sub-status trialing">Trial</span>` : ""}
+              ${trialing ? `<p class="text-muted text-sm" style="margin-top:6px">Free trial ends ${fmtDate(user.trialEndsAt)} (${trialDaysLeft(user.trialEndsAt)}). Subscribe to keep Pro.</p>` : ""}
+              ${orgProvided ? `<p class="text-muted text-sm" style="margin-top:6px">Provided by <a href="/organisation" data-link>${esc(orgProvided.name)}</a></p>` : ""}
+              ${subscription ? `<p class="text-muted text-sm" style="margin-top:6px">Billed ${subscription.interval}${subscription.periodEnd ? ` · ${subscription.cancelAtPeriodEnd ? "Ends" : "Renews"} ${fmtDay(subscription.periodEnd)}` : ""}</p>` : ""}
+              ${subscription?.scheduled ? `<p class="text-muted text-sm" style="margin-top:6px">Changes to ${capitalize(subscription.scheduled.plan)} (${subscription.scheduled.interval}) on ${fmtDay(subscription.periodEnd)}</p>` : ""}
             </div>
-            ${plan !== "free" ? `<button id="manageSubBtn" class="btn btn-outline">Manage Subscription</button>` : ""}
+            ${(user?.personalPlan ?? plan) !== "free" && !trialing ? `<button id="manageSubBtn" class="btn btn-outline">Manage Subscription</button>` : ""}
           </div>
         </div>
 
+        <!-- Promo code -->
+        ${upgradable.length ? `
+        <div class="card" style="margin-bottom:24px">
+          <h3>Promo Code</h3>
+          <form id="promoForm" style="display:flex;gap:8px;align-items:center;flex-wrap:wrap">
+            <input type="text" id="promoCode" placeholder="Enter a code" maxlength="32" autocomplete="off" style="max-width:220px">
+            <button type="submit" class="btn btn-outline btn-sm">Apply</button>
+          </form>
+          <p id="promoResult" class="text-sm" style="margin-top:8px"></p>
+        </div>` : ""}
+
         <!-- Plans -->
+        <div style="display:flex;gap:8px;justify-content:center;margin-bottom:16px">
+          ${["monthly", "yearly"].map(i => `<button class="btn btn-sm ${i === interval ? "btn-primary" : "btn-outline"}" data-interval="${i}">${capitalize(i)}</button>`).join("")}
+        </div>
         <div class="plans-grid">
-          ${planCard("free", "Free", "$0", "forever", [
+          ${planCard("free", "Free", [
             "Browse all London schools",
             "Search &amp; filter",
             "School detail view",
             "20 searches per day",
-          ], plan)}
+          ], { plan, subscription })}
 
-          ${planCard("pro", "Pro", "$9.99", "/month", [
+          ${planCard("pro", "Pro", [
             "Everything in Free",
             "Unlimited searches",
             "Advanced analytics",
             "School comparisons",
             "Email support",
-          ], plan)}
+          ], { plan, subscription, trialing, canTrial })}
 
-          ${planCard("enterprise", "Enterprise", "$29.99", "/month", [
+          ${planCard("enterprise", "Enterprise", [
             "Everything in Pro",
             "Data export (CSV/JSON)",
             "API access",
             "Priority support",
             "Custom integrations",
-          ], plan)}
+          ], { plan, subscription, trialing })}
         </div>
 
         <!-- Invoices -->
@@ -63,40 +113,130 @@ const BillingPage = (() => {
       </div>
     `;
 
-    // Manage subscription button
-    const manageBtn = document.getElementById("manageSubBtn");
-    if (manageBtn) {
-      manageBtn.addEventListener("click", async () => {
+    // Manage subscription buttons
+    ["manageSubBtn", "graceUpdateBtn"].map(id => document.getElementById(id)).filter(Boolean).forEach(btn => {
+      btn.addEventListener("click", async () => {
         try {
           const data = await API.post("/billing/portal");
-          if (data.url) window.location.href = data.url;
-          else alert("Stripe portal not available. Configure Stripe keys to enable.");
+          window.location.href = data.url;
         } catch (err) {
           alert(err.message);
         }
       });
+    });
+
+    // Promo code — checked against each plan it could be used on, then sent with checkout
+    let promo = null;
+    const promoForm = document.getElementById("promoForm");
+    if (promoForm) {
+      promoForm.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const code = document.getElementById("promoCode").value.trim();
+        const result = document.getElementById("promoResult");
+        promo = null;
+        result.className = "text-sm";
+        if (!code) { result.textContent = ""; return; }
+        const checks = await Promise.allSettled(upgradable.map(p => API.post("/billing/coupons/validate", { code, plan: p })));
+        const plans = upgradable.filter((p, i) => checks[i].status === "fulfilled");
+        if (!plans.length) {
+          result.className = "text-sm form-error";
+          result.textContent = checks[0].reason.message;
+          return;
+        }
+        const coupon = checks[upgradable.indexOf(plans[0])].value;
+        promo = { code: coupon.code, plans };
+        result.className = "text-sm form-success";
+        result.textContent = `${coupon.code}: ${coupon.summary} on ${plans.map(capitalize).join(" or ")}.`;
+      });
     }
 
     // Checkout buttons
     el.querySelectorAll("[data-checkout]").forEach(btn => {
       btn.addEventListener("click", async () => {
         const targetPlan = btn.dataset.checkout;
+        const code = promo?.plans.includes(targetPlan) ? promo.code : undefined;
+        try {
+          const data = await API.post("/billing/checkout", { plan: targetPlan, interval, code });
+          window.location.href = data.url;
+        } catch (err) {
+          alert(err.message);
+        }
+      });
+    });
+
+    el.querySelectorAll("[data-interval]").forEach(btn => {
+      btn.addEventListener("click", () => { interval = btn.dataset.interval; render(); });
+    });
+
+    // Plan changes — previewed first, so the subscriber sees the charge or the date
+    el.querySelectorAll("[data-change]").forEach(btn => {
+      btn.addEventListener("click", async () => {
+        const target = { plan: btn.dataset.change, interval };
+        try {
+          const { preview } = await API.post("/billing/subscription/preview", target);
+          const what = `${capitalize(target.plan)} (${target.interval})`;
+          const message = preview.effective === "now"
+            ? `Switch to ${what} now? You'll be charged ${money(preview.amountDueCents, preview.currency)} today, less the unused part of your current plan.`
+            : `Switch to ${what} on ${fmtDay(preview.effectiveAt)}? You keep your current plan until then.`;
+          if (!confirm(message)) return;
+          await API.post("/billing/subscription/change", target);
+          await API.fetchMe();
+          render();
+        } catch (err) {
+          alert(err.message);
+        }
+      });
+    });
+
+    const SUB_ACTIONS = {
+      cancel: { confirm: "Cancel your subscription? You keep your plan until the end of the period you've paid for.", run: () => API.post("/billing/subscription/cancel") },
+      resume: { run: () => API.post("/billing/subscription/resume") },
+      keep: { run: () => API.del("/billing/subscription/change") },
+    };
+    el.querySelectorAll("[data-sub-action]").forEach(btn => {
+      btn.addEventListener("click", async () => {
+        const action = SUB_ACTIONS[btn.dataset.subAction];
+        if (action.confirm && !confirm(action.confirm)) return;
         try {
-          const data = await API.post("/billing/checkout", { plan: targetPlan, interval: "monthly" });
-          if (data.url) window.location.href = data.url;
-          else alert("Stripe not configured. Set STRIPE_SECRET_KEY in .env to enable payments.");
+          await action.run();
+          await API.fetchMe();
+          render();
         } catch (err) {
           alert(err.message);
         }
       });
     });
 
+    // Free trial
+    const trialBtn = document.getElementById("startTrialBtn");
+    if (trialBtn) {
+      trialBtn.addEventListener("click", async () => {
+        trialBtn.disabled = true;
+        try {
+          await API.post("/billing/trial");
+          await API.fetchMe();
+          render();
+        } catch (err) {
+          trialBtn.disabled = false;
+          alert(err.message);
+        }
+      });
+    }
+
     loadInvoices();
   }
 
-  function planCard(key, name, price, period, features, currentPlan) {
-    const isCurrent = key === currentPlan;
-    const isUpgrade = key !== "free" && (currentPlan === "free" || (key === "enterprise" && currentPlan === "pro"));
+  function isUpgrade(key, currentPlan) {
+    return key !== "free" && (currentPlan === "free" || (key === "enterprise" && currentPlan === "pro"));
+  }
+
+  // ctx: { plan, subscription, trialing, canTrial }
+  function planCard(key, name, features, ctx) {
+    const price = key === "free" ? "$0"
+      : `$${(MONTHLY_PRICES[key] * (interval === "yearly" ? 12 : 1)).toFixed(2)}`;
+    const period = key === "free" ? "forever" : interval === "yearly" ? "/year" : "/month";
+    const isCurrent = key === ctx.plan;
+    const footer = ctx.subscription ? subscriberAction(key, name, ctx.subscription) : buyerAction(key, name, ctx, isCurrent);
     return `
       <div class="plan-card ${isCurrent ? "plan-current" : ""}">
         <div class="plan-card-header">
@@ -106,15 +246,42 @@ const BillingPage = (() => {
         <ul class="plan-features-list">
           ${features.map(f => `<li>${f}</li>`).join("")}
         </ul>
-        <div class="plan-card-footer">
-          ${isCurrent ? `<span class="btn btn-outline btn-full" style="opacity:.6;cursor:default">Current Plan</span>`
-            : isUpgrade ? `<button class="btn btn-primary btn-full" data-checkout="${key}">Upgrade to ${name}</button>`
-            : `<span class="btn btn-outline btn-full" style="opacity:.5;cursor:default">${key === "free" ? "Included" : "—"}</span>`}
-        </div>
+        <div class="plan-card-footer">${footer}</div>
       </div>
     `;
   }
 
+  function staticButton(label, opacity = ".6") {
+    return `<span class="btn btn-outline btn-full" style="opacity:${opacity};cursor:default">${label}</span>`;
+  }
+
+  // Checkout, or the free trial, for people without a subscription
+  function buyerAction(key, name, ctx, isCurrent) {
+    return `
+      ${isCurrent && ctx.trialing ? `<button class="btn btn-primary btn-full" data-checkout="${key}">Subscribe to ${name}</button>`
+        : isCurrent ? staticButton("Current Plan")
+        : isUpgrade(key, ctx.plan) ? `<button class="btn btn-primary btn-full" data-checkout="${key}">Upgrade to ${name}</button>`
+        : staticButton(key === "free" ? "Included" : "—", ".5")}
+      ${ctx.canTrial ? `<button id="startTrialBtn" class="btn btn-outline btn-full" style="margin-top:8px">Try ${name} free — no card needed</button>` : ""}`;
+  }
+
+  // Changes, cancelling and resuming for subscribers
+  function subscriberAction(key, name, sub) {
+    if (key === "free") {
+      return sub.cancelAtPeriodEnd ? staticButton(`From ${fmtDay(sub.periodEnd)}`)
+        : `<button class="btn btn-outline btn-full" data-sub-action="cancel">Cancel subscription</button>`;
+    }
+    if (key === sub.plan && interval === sub.interval) {
+      if (sub.cancelAtPeriodEnd) return `<button class="btn btn-primary btn-full" data-sub-action="resume">Resume ${name}</button>`;
+      if (sub.scheduled) return `<button class="btn btn-outline btn-full" data-sub-action="keep">Keep ${name}</button>`;
+      return staticButton("Current Plan");
+    }
+    if (sub.scheduled?.plan === key && sub.scheduled.interval === interval) return staticButton(`Starts ${fmtDay(sub.periodEnd)}`);
+    const label = key === sub.plan ? `Switch to ${interval}`
+      : PLAN_RANK[key] > PLAN_RANK[sub.plan] ? `Upgrade to ${name}` : `Downgrade to ${name}`;
+    return `<button class="btn ${PLAN_RANK[key] >= PLAN_RANK[sub.plan] ? "btn-primary" : "btn-outline"} btn-full" data-change="${key}">${label}</button>`;
+  }
+
   async function loadInvoices() {
     const el = document.getElementById("invoiceList");
     try {
@@ -140,7 +307,20 @@ const BillingPage = (() => {
     }
   }
 
+  function trialDaysLeft(endsAt) {
+    const days = Math.max(0, Math.ceil((new Date(endsAt.replace(" ", "T") + "Z") - Date.now()) / 86400000));
+    return days === 1 ? "1 day left" : `${days} days left`;
+  }
+
+  function money(cents, currency) {
+    return new Intl.NumberFormat(undefined, { style: "currency", currency: (currency || "gbp").toUpperCase() }).format(cents / 100);
+  }
+
+  // Subscription dates are ISO timestamps
+  function fmtDay(s) { return s ? new Date(s).toLocaleDateString() : "—"; }
+  function fmtDate(s) { return s ? new Date(s.replace(" ", "T") + "Z").toLocaleDateString() : "—"; }
   function capitalize(s) { return s ? s.charAt(0).toUpperCase() + s.slice(1) : ""; }
+  function esc(s) { const d = document.createElement("div"); d.textContent = s || ""; return d.innerHTML; }
 
   return { render };
 })();
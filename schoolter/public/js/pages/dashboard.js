@@ -8,6 +8,12 @@ const DashboardPage = (() => {
     const planLabel = plan.charAt(0).toUpperCase() + plan.slice(1);
     const totalSchools = typeof LONDON_SCHOOLS !== "undefined" ? LONDON_SCHOOLS.length : 0;
     const boroughs = typeof LONDON_SCHOOLS !== "undefined" ? new Set(LONDON_SCHOOLS.map(s => s.borough)).size : 0;
+    const trialEnds = user?.subscriptionStatus === "trialing" && user.trialEndsAt
+      ? new Date(user.trialEndsAt.replace(" ", "T") + "Z") : null;
+    const trialDays = trialEnds ? Math.max(0, Math.ceil((trialEnds - Date.now()) / 86400000)) : 0;
+    const graceEnds = user?.graceEndsAt ? new Date(user.graceEndsAt.replace(" ", "T") + "Z") : null;
+    const subscriptionLabel = user?.subscriptionStatus === "active" ? "Active"
+      : graceEnds ? "Past due" : trialEnds ? "Trial" : "—";
 
     const el = document.getElementById("pageContent");
     el.innerHTML = `
@@ -17,6 +23,21 @@ const DashboardPage = (() => {
           <p class="text-muted">Your Schoolter dashboard</p>
         </div>
 
+        ${graceEnds ? `
+        <div class="app-banner app-banner-warning" style="border-radius:var(--radius);margin-bottom:24px">
+          Your last payment failed. You keep ${planLabel} until ${graceEnds.toLocaleDateString()}, then your account moves to Free.
+          <a href="/billing" data-link class="btn btn-outline btn-sm app-banner-action">Update payment method</a>
+        </div>` : ""}
+
+        ${trialEnds ? `
+        <div class="card" style="margin-bottom:24px;display:flex;justify-content:space-between;align-items:center;gap:16px;flex-wrap:wrap">
+          <div>
+            <h3>Pro trial — ${trialDays === 1 ? "1 day" : `${trialDays} days`} left</h3>
+            <p class="text-muted text-sm">Your free trial ends ${trialEnds.toLocaleDateString()}. After that you'll be back on Free unless you subscribe.</p>
+          </div>
+          <a href="/billing" data-link class="btn btn-primary">Subscribe to Pro</a>
+        </div>` : ""}
+
         <div class="stats-row">
           <div class="stat-card">
             <div class="stat-card-value">${totalSchools}</div>
@@ -31,7 +52,7 @@ const DashboardPage = (() => {
             <div class="stat-card-label">Current plan</div>
           </div>
           <div class="stat-card">
-            <div class="stat-card-value">${user?.subscriptionStatus === "active" ? "Active" : "—"}</div>
+            <div class="stat-card-value">${subscriptionLabel}</div>
             <div class="stat-card-label">Subscription</div>
           </div>
         </div>
@@ -58,7 +79,7 @@ const DashboardPage = (() => {
                 <span class="check">&#10003;</span>
               </div>
               <div class="feature-row">
-                <span>Unlimited comparisons</span>
+                <span>Unlimited searches &amp; comparisons</span>
                 <span class="${plan === "free" ? "cross" : "check"}">${plan === "free" ? "&#10007;" : "&#10003;"}</span>
               </div>
               <div class="feature-row">
@@ -76,9 +97,35 @@ const DashboardPage = (() => {
             </div>
             ${plan === "free" ? '<a href="/billing" data-link class="btn btn-primary btn-full" style="margin-top:16px">Upgrade Plan</a>' : ""}
           </div>
+
+          <div class="card">
+            <h3>Today's Usage</h3>
+            <div id="usageRows" class="plan-features"><p class="text-muted">Loading...</p></div>
+          </div>
         </div>
       </div>
     `;
+
+    loadUsage();
+  }
+
+  // ── Usage ────────────────────────────────────────────────
+  const USAGE_LABELS = { search: "Searches", compare: "Comparisons", view: "School profiles" };
+
+  async function loadUsage() {
+    const el = document.getElementById("usageRows");
+    try {
+      const { usage } = await API.get("/usage");
+      const rows = Object.entries(usage.metrics).map(([metric, m]) => {
+        const value = m.limit === -1 ? `${m.used} / Unlimited` : `${m.used} / ${m.limit}`;
+        const cls = m.limit !== -1 && m.remaining === 0 ? "cross" : "check";
+        return `<div class="feature-row"><span>${esc(USAGE_LABELS[metric] || metric)}</span><span class="${cls}">${value}</span></div>`;
+      }).join("");
+      const resets = new Date(usage.resetsAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+      el.innerHTML = `${rows}<p class="text-muted" style="margin-top:12px;font-size:.8rem">Resets daily at ${resets}</p>`;
+    } catch {
+      el.innerHTML = '<p class="text-muted">Usage is unavailable right now.</p>';
+    }
   }
 
   function esc(str) {
@@ -0,0 +1,309 @@
+/**
+ * Organisation page — create an organisation, manage members, invitations,
+ * seats and single sign-on. Also handles the /invite link from invitation
+ * emails.
+ */
+const OrganisationPage = (() => {
+  async function render() {
+    const el = document.getElementById("pageContent");
+    el.innerHTML = `<div class="page-container"><p class="text-muted">Loading...</p></div>`;
+
+    const user = await API.fetchMe().catch(() => API.getUser());
+    if (!user?.organisation) return renderCreate(el);
+
+    try {
+      const isOwner = user.organisation.role === "owner";
+      const data = await API.get("/orgs/current");
+      if (isOwner) data.sso = await API.get("/orgs/current/sso");
+      renderOrganisation(el, data, isOwner);
+    } catch (err) {
+      el.innerHTML = `<div class="page-container"><p class="form-error">${esc(err.message)}</p></div>`;
+    }
+  }
+
+  // ── No organisation yet ──────────────────────────────────
+  function renderCreate(el) {
+    el.innerHTML = `
+      <div class="page-container">
+        <div class="page-header">
+          <h1>Organisation</h1>
+          <p class="text-muted">Share an Enterprise plan with your team</p>
+        </div>
+        <div class="settings-grid">
+          <div class="card">
+            <h3>Create an organisation</h3>
+            <p class="text-muted" style="margin-bottom:16px">You'll be the owner. Buy a seat for each member, then invite them by email. Members get the organisation's plan.</p>
+            <form id="orgCreateForm" class="settings-form">
+              <div class="form-group">
+                <label for="orgName">Organisation name</label>
+                <input type="text" id="orgName" required maxlength="100" placeholder="Acme Academy Trust">
+              </div>
+              <div id="orgErr" class="form-error hidden"></div>
+              <button type="submit" class="btn btn-primary">Create Organisation</button>
+            </form>
+          </div>
+        </div>
+      </div>
+    `;
+    el.querySelector("#orgCreateForm").addEventListener("submit", async (e) => {
+      e.preventDefault();
+      hide("orgErr");
+      try {
+        await API.post("/orgs", { name: document.getElementById("orgName").value });
+        render();
+      } catch (err) { show("orgErr", err.message); }
+    });
+  }
+
+  // ── Organisation ─────────────────────────────────────────
+  function renderOrganisation(el, { organisation: org, members, invitations, sso }, isOwner) {
+    const seats = org.seats;
+    const subscribed = ["active", "trialing", "past_due"].includes(org.subscriptionStatus);
+    el.innerHTML = `
+      <div class="page-container">
+        <div class="page-header">
+          <h1>${esc(org.name)}</h1>
+          <p class="text-muted">You are ${isOwner ? "the owner" : "a member"} of this organisation</p>
+        </div>
+
+        <div class="stats-row">
+          <div class="stat-card"><div class="stat-card-value">${capitalize(org.plan)}</div><div class="stat-card-label">Plan</div></div>
+          <div class="stat-card"><div class="stat-card-value">${seats.members + seats.pending} / ${seats.seats}</div><div class="stat-card-label">Seats used</div></div>
+          <div class="stat-card"><div class="stat-card-value">${subscribed ? capitalize(org.subscriptionStatus.replace("_", " ")) : "—"}</div><div class="stat-card-label">Subscription</div></div>
+        </div>
+
+        <div class="settings-grid">
+          <div class="card">
+            <h3>Members</h3>
+            <table class="audit-table">
+              <thead><tr><th>Name</th><th>Role</th><th>Joined</th><th></th></tr></thead>
+              <tbody>${members.map(m => `
+                <tr>
+                  <td>${esc(m.name || m.email)}<br><span class="text-muted">${esc(m.email)}</span></td>
+                  <td>${capitalize(m.role)}</td>
+                  <td>${fmtDate(m.joinedAt)}</td>
+                  <td>${isOwner && m.role !== "owner" ? `<button class="btn btn-outline btn-sm" data-remove="${esc(m.id)}">Remove</button>` : ""}</td>
+                </tr>`).join("")}</tbody>
+            </table>
+            <div id="memberErr" class="form-error hidden"></div>
+            ${isOwner ? "" : '<button id="leaveOrg" class="btn btn-outline btn-sm" style="margin-top:16px">Leave organisation</button>'}
+          </div>
+
+          ${isOwner ? `
+          <div class="card">
+            <h3>Invite People</h3>
+            <form id="inviteForm" class="settings-form">
+              <div class="form-group">
+                <label for="inviteEmail">Email</label>
+                <input type="email" id="inviteEmail" required placeholder="colleague@example.com">
+                <small class="text-muted">${seats.available} seat${seats.available === 1 ? "" : "s"} available</small>
+              </div>
+              <div id="inviteMsg" class="form-success hidden"></div>
+              <div id="inviteErr" class="form-error hidden"></div>
+              <button type="submit" class="btn btn-primary">Send Invitation</button>
+            </form>
+            ${invitations.length ? `
+            <table class="audit-table" style="margin-top:16px">
+              <thead><tr><th>Pending</th><th>Expires</th><th></th></tr></thead>
+              <tbody>${invitations.map(i => `
+                <tr>
+                  <td>${esc(i.email)}</td>
+                  <td>${fmtDate(i.expiresAt)}</td>
+                  <td><button class="btn btn-outline btn-sm" data-revoke="${esc(i.id)}">Revoke</button></td>
+                </tr>`).join("")}</tbody>
+            </table>` : ""}
+          </div>
+
+          <div class="card">
+            <h3>Seats &amp; Billing</h3>
+            <form id="seatsForm" class="settings-form">
+              <div class="form-group">
+                <label for="seatCount">Seats</label>
+                <input type="number" id="seatCount" min="${Math.max(1, seats.members + seats.pending)}" max="500" value="${seats.seats}" required>
+                <small class="text-muted">One seat per member, including you. Enterprise is billed per seat.</small>
+              </div>
+              <div id="billingErr" class="form-error hidden"></div>
+              <div class="quick-actions">
+                ${subscribed
+                  ? '<button type="submit" class="btn btn-primary">Update Seats</button><button type="button" id="orgPortal" class="btn btn-outline">Manage Billing</button>'
+                  : '<button type="submit" class="btn btn-primary">Subscribe to Enterprise</button>'}
+              </div>
+            </form>
+            ${subscribed ? "" : '<button id="deleteOrg" class="btn btn-danger btn-sm" style="margin-top:16px">Delete organisation</button>'}
+          </div>
+
+          <div class="card">
+            <h3>Single Sign-On</h3>
+            <p class="text-muted" style="margin-bottom:16px">Let members sign in through your OpenID Connect identity provider. Register this redirect URI with it: <code>${esc(sso.redirectUri)}</code></p>
+            <form id="ssoForm" class="settings-form">
+              <div class="form-group">
+                <label for="ssoIssuer">Issuer URL</label>
+                <input type="url" id="ssoIssuer" required value="${esc(sso.connection?.issuer)}" placeholder="https://login.example.com">
+              </div>
+              <div class="form-group">
+                <label for="ssoClientId">Client ID</label>
+                <input type="text" id="ssoClientId" required value="${esc(sso.connection?.clientId)}">
+              </div>
+              <div class="form-group">
+                <label for="ssoClientSecret">Client secret</label>
+                <input type="password" id="ssoClientSecret" autocomplete="off" placeholder="${sso.connection?.hasClientSecret ? "Saved — leave blank to keep it" : "Leave blank for a public client"}">
+              </div>
+              <div class="form-group">
+                <label for="ssoDomains">Email domains</label>
+                <input type="text" id="ssoDomains" required value="${esc(sso.connection?.domains.join(", "))}" placeholder="example.com">
+                <small class="text-muted">Comma-separated. Your own email domain and its subdomains.</small>
+              </div>
+              <div id="ssoErr" class="form-error hidden"></div>
+              <div class="quick-actions">
+                <button type="submit" class="btn btn-primary">Save SSO</button>
+                ${sso.connection ? '<button type="button" id="ssoRemove" class="btn btn-outline">Remove SSO</button>' : ""}
+              </div>
+            </form>
+            ${sso.connection?.domainVerification.length ? `
+            <table class="audit-table" style="margin-top:16px">
+              <thead><tr><th>Domain</th><th>Verification</th><th></th></tr></thead>
+              <tbody>${sso.connection.domainVerification.map(d => `
+                <tr>
+                  <td>${esc(d.domain)}</td>
+                  <td>${d.verified ? `Verified ${fmtDate(d.verifiedAt)}` : `Add a TXT record named <code>${esc(d.record.name)}</code> with the value <code>${esc(d.record.value)}</code>`}</td>
+                  <td>${d.verified ? "" : `<button class="btn btn-outline btn-sm" data-verify-domain="${esc(d.domain)}">Verify</button>`}</td>
+                </tr>`).join("")}</tbody>
+            </table>
+            <small class="text-muted">Members on a domain can sign in with SSO once it is verified.</small>` : ""}
+            ${org.plan === "enterprise" ? "" : '<small class="text-muted">SSO sign-in needs an active Enterprise subscription.</small>'}
+          </div>` : ""}
+        </div>
+      </div>
+    `;
+
+    el.querySelectorAll("[data-remove]").forEach(btn => btn.addEventListener("click", async () => {
+      if (!confirm("Remove this member? They lose the organisation's plan straight away.")) return;
+      try { await API.del(`/orgs/current/members/${encodeURIComponent(btn.dataset.remove)}`); render(); }
+      catch (err) { show("memberErr", err.message); }
+    }));
+
+    el.querySelector("#leaveOrg")?.addEventListener("click", async () => {
+      if (!confirm(`Leave ${org.name}? You'll go back to your own plan.`)) return;
+      try { await API.post("/orgs/current/leave"); render(); }
+      catch (err) { show("memberErr", err.message); }
+    });
+
+    if (!isOwner) return;
+
+    el.querySelector("#inviteForm").addEventListener("submit", async (e) => {
+      e.preventDefault();
+      hide("inviteMsg"); hide("inviteErr");
+      const email = document.getElementById("inviteEmail").value;
+      try {
+        await API.post("/orgs/current/invitations", { email });
+        render();
+      } catch (err) { show("inviteErr", err.message); }
+    });
+
+    el.querySelectorAll("[data-revoke]").forEach(btn => btn.addEventListener("click", async () => {
+      try { await API.del(`/orgs/current/invitations/${encodeURIComponent(btn.dataset.revoke)}`); render(); }
+      catch (err) { show("inviteErr", err.message); }
+    }));
+
+    el.querySelector("#seatsForm").addEventListener("submit", async (e) => {
+      e.preventDefault();
+      hide("billingErr");
+      const count = Number(document.getElementById("seatCount").value);
+      try {
+        if (subscribed) {
+          await API.patch("/orgs/current/seats", { seats: count });
+          render();
+        } else {
+          const data = await API.post("/orgs/current/checkout", { interval: "monthly", seats: count });
+          if (data.url) window.location.href = data.url;
+        }
+      } catch (err) { show("billingErr", err.message); }
+    });
+
+    el.querySelector("#orgPortal")?.addEventListener("click", async () => {
+      try {
+        const data = await API.post("/orgs/current/portal");
+        if (data.url) window.location.href = data.url;
+      } catch (err) { show("billingErr", err.message); }
+    });
+
+    el.querySelector("#deleteOrg")?.addEventListener("click", async () => {
+      if (!confirm(`Delete ${org.name}? Members lose access and pending invitations are cancelled.`)) return;
+      try { await API.del("/orgs/current"); render(); }
+      catch (err) { show("billingErr", err.message); }
+    });
+
+    el.querySelector("#ssoForm").addEventListener("submit", async (e) => {
+      e.preventDefault();
+      hide("ssoErr");
+      const secret = document.getElementById("ssoClientSecret").value;
+      try {
+        await API.put("/orgs/current/sso", {
+          issuer: document.getElementById("ssoIssuer").value,
+          clientId: document.getElementById("ssoClientId").value,
+          ...(secret ? { clientSecret: secret } : {}),
+          domains: document.getElementById("ssoDomains").value.split(","),
+        });
+        render();
+      } catch (err) { show("ssoErr", err.message); }
+    });
+
+    el.querySelectorAll("[data-verify-domain]").forEach(btn => btn.addEventListener("click", async () => {
+      hide("ssoErr");
+      btn.disabled = true;
+      try { await API.post(`/orgs/current/sso/domains/${encodeURIComponent(btn.dataset.verifyDomain)}/verify`); render(); }
+      catch (err) { show("ssoErr", err.message); btn.disabled = false; }
+    }));
+
+    el.querySelector("#ssoRemove")?.addEventListener("click", async () => {
+      if (!confirm("Remove single sign-on? Members will need a password to sign in.")) return;
+      try { await API.del("/orgs/current/sso"); render(); }
+      catch (err) { show("ssoErr", err.message); }
+    });
+  }
+
+  // ── Invitation link ──────────────────────────────────────
+  async function acceptInvite() {
+    const token = new URLSearchParams(location.search).get("token") || "";
+    const el = document.getElementById("pageContent");
+    el.innerHTML = `
+      <div class="auth-page">
+        <div class="auth-card">
+          <h1 class="auth-title">Join an organisation</h1>
+          <div id="inviteResult"><p class="auth-subtitle">Accepting your invitation...</p></div>
+        </div>
+      </div>
+    `;
+    const result = el.querySelector("#inviteResult");
+
+    if (!API.isLoggedIn()) {
+      result.innerHTML = `
+        <p class="auth-subtitle">Sign in, or create an account with the invited email address, then open the invitation link again.</p>
+        <div class="auth-links">
+          <a href="/login" data-link>Sign in</a>
+          <a href="/register" data-link>Create an account</a>
+        </div>`;
+      return;
+    }
+
+    try {
+      const { organisation } = await API.post("/orgs/invitations/accept", { token });
+      await API.fetchMe();
+      result.innerHTML = `
+        <p class="form-success">You've joined ${esc(organisation.name)}.</p>
+        <div class="auth-links"><a href="/organisation" data-link>Go to your organisation</a></div>`;
+    } catch (err) {
+      result.innerHTML = `<p class="form-error">${esc(err.message)}</p>
+        <div class="auth-links"><a href="/dashboard" data-link>Back to dashboard</a></div>`;
+    }
+  }
+
+  // SQLite timestamps are UTC without a zone marker
+  function fmtDate(s) { return s ? new Date(s.replace(" ", "T") + "Z").toLocaleDateString() : "—"; }
+  function show(id, msg) { const e = document.getElementById(id); e.textContent = msg; e.classList.remove("hidden"); }
+  function hide(id) { document.getElementById(id)?.classList.add("hidden"); }
+  function capitalize(s) { return s ? s.charAt(0).toUpperCase() + s.slice(1) : ""; }
+  function esc(s) { const d = document.createElement("div"); d.textContent = s || ""; return d.innerHTML; }
+
+  return { render, acceptInvite };
+})();
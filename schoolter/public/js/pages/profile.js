@@ -1,5 +1,6 @@
 /**
- * Profile & Settings page — edit name, change password, view audit log.
+ * Profile & Settings page — edit name, change password, two-factor auth, manage sessions and API keys, view audit log,
+ * export data and delete the account.
  */
 const ProfilePage = (() => {
   function render() {
@@ -24,7 +25,9 @@ const ProfilePage = (() => {
               <div class="form-group">
                 <label for="profileEmail">Email</label>
                 <input type="email" id="profileEmail" value="${esc(user?.email || "")}" disabled>
-                <small class="text-muted">Contact support to change email</small>
+                <small class="text-muted">${user?.emailVerified === false
+                  ? 'Not confirmed yet. <a href="#" id="resendVerification">Resend the confirmation email</a>'
+                  : "Contact support to change email"}</small>
               </div>
               <div id="profileMsg" class="form-success hidden"></div>
               <div id="profileErr" class="form-error hidden"></div>
@@ -54,6 +57,14 @@ const ProfilePage = (() => {
             </form>
           </div>
 
+          <!-- Two-factor authentication -->
+          <div class="card">
+            <h3>Two-Factor Authentication</h3>
+            <div id="twoFactorBody"><p class="text-muted">Loading...</p></div>
+            <div id="twoFactorMsg" class="form-success hidden"></div>
+            <div id="twoFactorErr" class="form-error hidden"></div>
+          </div>
+
           <!-- Account info -->
           <div class="card">
             <h3>Account Info</h3>
@@ -65,11 +76,65 @@ const ProfilePage = (() => {
             </div>
           </div>
 
+          <!-- Active sessions -->
+          <div class="card">
+            <h3>Where You're Signed In</h3>
+            <div id="sessionList"><p class="text-muted">Loading...</p></div>
+            <div id="sessionErr" class="form-error hidden"></div>
+            <button id="signOutEverywhere" class="btn btn-outline btn-sm" style="margin-top:16px">Sign out everywhere</button>
+          </div>
+
+          <!-- API keys -->
+          <div class="card">
+            <h3>API Keys</h3>
+            <p class="text-muted" style="margin-bottom:16px">Send a key in the <code>X-API-Key</code> header to use the API from scripts.</p>
+            <div id="apiKeyList"><p class="text-muted">Loading...</p></div>
+            <form id="apiKeyForm" class="settings-form" style="margin-top:16px">
+              <div class="form-group">
+                <label for="apiKeyName">Name</label>
+                <input type="text" id="apiKeyName" required maxlength="60" placeholder="Nightly export">
+              </div>
+              <div class="form-group">
+                <label class="feature-row"><span>Read data</span><input type="checkbox" name="apiKeyScope" value="read" checked></label>
+                <label class="feature-row"><span>Create, change and delete data</span><input type="checkbox" name="apiKeyScope" value="write"></label>
+              </div>
+              <div id="apiKeyErr" class="form-error hidden"></div>
+              <button type="submit" class="btn btn-primary btn-sm">Create Key</button>
+            </form>
+            <div id="newApiKey"></div>
+          </div>
+
           <!-- Recent activity -->
           <div class="card">
             <h3>Recent Activity</h3>
             <div id="auditLog"><p class="text-muted">Loading...</p></div>
           </div>
+
+          <!-- Danger zone -->
+          <div class="card">
+            <h3>Danger Zone</h3>
+            <p class="text-muted" style="margin-bottom:16px">Download a copy of everything we store about you: profile, activity, invoices, sessions and API keys.</p>
+            <div class="quick-actions">
+              <button type="button" class="btn btn-outline btn-sm" data-export="json">Export as JSON</button>
+              <button type="button" class="btn btn-outline btn-sm" data-export="zip">Export as ZIP</button>
+            </div>
+            <div id="exportErr" class="form-error hidden"></div>
+            ${user?.deletionScheduledAt ? `
+            <p style="margin:24px 0 16px"><strong>Your account will be deleted on ${fmtDate(user.deletionScheduledAt)}.</strong> Your subscription won't renew.</p>
+            <div id="deleteErr" class="form-error hidden"></div>
+            <button type="button" id="restoreAccount" class="btn btn-primary btn-sm">Keep my account</button>` : `
+            <form id="deleteForm" class="settings-form" style="margin-top:24px">
+              <p class="text-muted">Deleting your account signs you out everywhere and stops your subscription renewing. Until the grace period ends you can sign in and cancel; after that your data is erased.</p>
+              ${user?.hasPassword === false ? `
+              <p class="text-muted">You sign in with SSO, so there's no password to confirm with. Deleting needs a sign-in from the last 10 minutes.</p>` : `
+              <div class="form-group">
+                <label for="deletePw">Confirm with your password</label>
+                <input type="password" id="deletePw" required autocomplete="current-password">
+              </div>`}
+              <div id="deleteErr" class="form-error hidden"></div>
+              <button type="submit" class="btn btn-danger btn-sm">Delete my account</button>
+            </form>`}
+          </div>
         </div>
       </div>
     `;
@@ -86,6 +151,15 @@ const ProfilePage = (() => {
       } catch (err) { show("profileErr", err.message); }
     });
 
+    el.querySelector("#resendVerification")?.addEventListener("click", async (e) => {
+      e.preventDefault();
+      hide("profileMsg"); hide("profileErr");
+      try {
+        const data = await API.post("/auth/resend-verification");
+        show("profileMsg", data.message);
+      } catch (err) { show("profileErr", err.message); }
+    });
+
     // Password form
     el.querySelector("#passwordForm").addEventListener("submit", async (e) => {
       e.preventDefault();
@@ -95,18 +169,265 @@ const ProfilePage = (() => {
         return show("pwErr", "Passwords do not match");
       }
       try {
-        await API.post("/auth/change-password", {
-          currentPassword: document.getElementById("currentPw").value,
-          newPassword: newPw,
-        });
-        show("pwMsg", "Password changed.");
+        await API.changePassword(document.getElementById("currentPw").value, newPw);
+        show("pwMsg", "Password changed. Other devices have been signed out.");
         el.querySelector("#passwordForm").reset();
       } catch (err) { show("pwErr", err.message); }
     });
 
+    el.querySelector("#signOutEverywhere").addEventListener("click", async () => {
+      if (!confirm("Sign out of every device, including this one?")) return;
+      try {
+        await API.del("/users/me/sessions");
+        API.clearToken();
+        Router.navigate("/login");
+      } catch (err) { show("sessionErr", err.message); }
+    });
+
+    el.querySelector("#apiKeyForm").addEventListener("submit", async (e) => {
+      e.preventDefault();
+      hide("apiKeyErr");
+      const scopes = [...el.querySelectorAll('input[name="apiKeyScope"]:checked')].map(b => b.value);
+      try {
+        const { key } = await API.post("/users/me/api-keys", { name: document.getElementById("apiKeyName").value, scopes });
+        e.target.reset();
+        document.getElementById("newApiKey").innerHTML = `
+          <p style="margin-top:16px"><strong>Copy this key now.</strong> It won't be shown again.</p>
+          <pre class="recovery-codes" style="columns:1">${esc(key)}</pre>`;
+        loadApiKeys();
+        loadAudit();
+      } catch (err) { show("apiKeyErr", err.message); }
+    });
+
+    // Refreshing first makes sure the access cookie is valid for the plain download
+    el.querySelectorAll("[data-export]").forEach(btn => btn.addEventListener("click", async () => {
+      hide("exportErr");
+      try {
+        await API.fetchMe();
+        const link = document.createElement("a");
+        link.href = `/api/users/me/export?format=${btn.dataset.export}`;
+        link.download = "";
+        link.click();
+      } catch (err) { show("exportErr", err.message); }
+    }));
+
+    el.querySelector("#deleteForm")?.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      hide("deleteErr");
+      if (!confirm("Delete your account? You'll be signed out everywhere.")) return;
+      try {
+        await API.del("/users/me", { password: document.getElementById("deletePw")?.value });
+        API.clearToken();
+        Router.navigate("/login");
+      } catch (err) { show("deleteErr", err.message); }
+    });
+
+    el.querySelector("#restoreAccount")?.addEventListener("click", async () => {
+      hide("deleteErr");
+      try {
+        await API.post("/users/me/restore");
+        await API.fetchMe();
+        Router.resolve();
+      } catch (err) { show("deleteErr", err.message); }
+    });
+
+    loadTwoFactor();
+    loadSessions();
+    loadApiKeys();
     loadAudit();
   }
 
+  // ── Two-factor authentication ────────────────────────────
+  async function loadTwoFactor() {
+    const el = document.getElementById("twoFactorBody");
+    try {
+      const { twoFactor } = await API.get("/auth/2fa");
+      renderTwoFactor(twoFactor);
+    } catch {
+      el.innerHTML = '<p class="text-muted">Could not load two-factor settings.</p>';
+    }
+  }
+
+  function renderTwoFactor(status) {
+    const el = document.getElementById("twoFactorBody");
+    hide("twoFactorErr");
+    if (!status.enabled) {
+      el.innerHTML = `
+        ${status.required ? '<p class="form-error">Staff accounts must use two-factor authentication. Set it up to keep using admin features.</p>' : ""}
+        <p class="text-muted">Protect your account with a code from an authenticator app each time you sign in.</p>
+        <button id="twoFactorSetup" class="btn btn-primary" style="margin-top:12px">Set up 2FA</button>`;
+      el.querySelector("#twoFactorSetup").addEventListener("click", beginSetup);
+      return;
+    }
+
+    el.innerHTML = `
+      <div class="info-rows">
+        <div class="info-row"><span class="info-label">Status</span><span class="info-value check">Enabled</span></div>
+        <div class="info-row"><span class="info-label">Since</span><span class="info-value">${fmtDate(status.enabledAt)}</span></div>
+        <div class="info-row"><span class="info-label">Recovery codes left</span><span class="info-value">${status.recoveryCodesRemaining}</span></div>
+      </div>
+      <form id="twoFactorForm" class="settings-form" style="margin-top:16px">
+        <div class="form-group">
+          <label for="twoFactorCode">Authentication code</label>
+          <input type="text" id="twoFactorCode" autocomplete="one-time-code" inputmode="numeric" maxlength="7" placeholder="123456">
+        </div>
+        <div class="form-group">
+          <label for="twoFactorPw">Password <small class="text-muted">(to turn off 2FA)</small></label>
+          <input type="password" id="twoFactorPw" autocomplete="current-password">
+        </div>
+        <div class="quick-actions">
+          <button type="button" id="twoFactorRegen" class="btn btn-outline btn-sm">New recovery codes</button>
+          ${status.required ? "" : '<button type="button" id="twoFactorDisable" class="btn btn-danger btn-sm">Turn off 2FA</button>'}
+        </div>
+      </form>
+      <div id="recoveryCodes"></div>`;
+
+    el.querySelector("#twoFactorRegen").addEventListener("click", async () => {
+      hide("twoFactorErr"); hide("twoFactorMsg");
+      try {
+        const data = await API.post("/auth/2fa/recovery-codes", { code: document.getElementById("twoFactorCode").value.trim() });
+        showRecoveryCodes(data.recoveryCodes);
+        show("twoFactorMsg", "New recovery codes generated. The old ones no longer work.");
+      } catch (err) { show("twoFactorErr", err.message); }
+    });
+
+    el.querySelector("#twoFactorDisable")?.addEventListener("click", async () => {
+      hide("twoFactorErr"); hide("twoFactorMsg");
+      if (!confirm("Turn off two-factor authentication?")) return;
+      try {
+        const data = await API.post("/auth/2fa/disable", {
+          password: document.getElementById("twoFactorPw").value,
+          code: document.getElementById("twoFactorCode").value.trim(),
+        });
+        API.setUser(data.user);
+        show("twoFactorMsg", "Two-factor authentication is off.");
+        loadTwoFactor();
+        loadAudit();
+      } catch (err) { show("twoFactorErr", err.message); }
+    });
+  }
+
+  // The otpauth:// link opens authenticator apps on mobile; on desktop the
+  // secret is entered by hand.
+  async function beginSetup() {
+    const el = document.getElementById("twoFactorBody");
+    hide("twoFactorErr"); hide("twoFactorMsg");
+    try {
+      const { secret, otpauthUrl } = await API.post("/auth/2fa/setup");
+      el.innerHTML = `
+        <p class="text-muted">Add Schoolter to your authenticator app, then enter the code it shows.</p>
+        <div class="info-rows" style="margin:12px 0">
+          <div class="info-row"><span class="info-label">Setup key</span><span class="info-value"><code>${esc(secret.match(/.{1,4}/g).join(" "))}</code></span></div>
+          <div class="info-row"><span class="info-label">On this device</span><span class="info-value"><a href="${esc(otpauthUrl)}">Open in authenticator app</a></span></div>
+        </div>
+        <form id="twoFactorEnableForm" class="settings-form">
+          <div class="form-group">
+            <label for="twoFactorEnableCode">Authentication code</label>
+            <input type="text" id="twoFactorEnableCode" required autocomplete="one-time-code" inputmode="numeric" maxlength="7" placeholder="123456">
+          </div>
+          <button type="submit" class="btn btn-primary">Turn on 2FA</button>
+        </form>`;
+      el.querySelector("#twoFactorEnableForm").addEventListener("submit", async (e) => {
+        e.preventDefault();
+        hide("twoFactorErr");
+        try {
+          const data = await API.post("/auth/2fa/enable", { code: document.getElementById("twoFactorEnableCode").value.trim() });
+          API.setUser(data.user);
+          await loadTwoFactor();
+          showRecoveryCodes(data.recoveryCodes);
+          show("twoFactorMsg", "Two-factor authentication is on.");
+          loadAudit();
+        } catch (err) { show("twoFactorErr", err.message); }
+      });
+    } catch (err) { show("twoFactorErr", err.message); }
+  }
+
+  function showRecoveryCodes(codes) {
+    document.getElementById("recoveryCodes").innerHTML = `
+      <p style="margin-top:16px"><strong>Save these recovery codes.</strong> Each one signs you in once if you lose your authenticator. They won't be shown again.</p>
+      <pre class="recovery-codes">${codes.map(esc).join("\n")}</pre>`;
+  }
+
+  // ── Sessions ─────────────────────────────────────────────
+  async function loadSessions() {
+    const el = document.getElementById("sessionList");
+    try {
+      const { sessions } = await API.get("/users/me/sessions");
+      if (sessions.length === 0) {
+        el.innerHTML = '<p class="text-muted">No active sessions.</p>';
+        return;
+      }
+      el.innerHTML = `<table class="audit-table"><thead><tr><th>Device</th><th>IP</th><th>Signed in</th><th>Last seen</th><th></th></tr></thead><tbody>${
+        sessions.map(s => `<tr>
+          <td>${esc(describeDevice(s.userAgent))}${s.current ? ' <span class="text-muted">(this device)</span>' : ""}</td>
+          <td>${esc(s.ipAddress || "—")}</td>
+          <td>${fmtDate(s.createdAt)}</td>
+          <td>${fmtDate(s.lastSeenAt)}</td>
+          <td><button class="btn btn-outline btn-sm" data-session="${esc(s.id)}" data-current="${s.current}">Sign out</button></td>
+        </tr>`).join("")
+      }</tbody></table>`;
+      el.querySelectorAll("[data-session]").forEach(btn => btn.addEventListener("click", () => revokeSession(btn)));
+    } catch {
+      el.innerHTML = '<p class="text-muted">Could not load sessions.</p>';
+    }
+  }
+
+  async function revokeSession(btn) {
+    hide("sessionErr");
+    try {
+      await API.del(`/users/me/sessions/${encodeURIComponent(btn.dataset.session)}`);
+      if (btn.dataset.current === "true") {
+        API.clearToken();
+        Router.navigate("/login");
+        return;
+      }
+      loadSessions();
+      loadAudit();
+    } catch (err) { show("sessionErr", err.message); }
+  }
+
+  // ── API keys ─────────────────────────────────────────────
+  async function loadApiKeys() {
+    const el = document.getElementById("apiKeyList");
+    try {
+      const { apiKeys } = await API.get("/users/me/api-keys");
+      if (apiKeys.length === 0) {
+        el.innerHTML = '<p class="text-muted">No API keys yet.</p>';
+        return;
+      }
+      el.innerHTML = `<table class="audit-table"><thead><tr><th>Name</th><th>Key</th><th>Scopes</th><th>Last used</th><th></th></tr></thead><tbody>${
+        apiKeys.map(k => `<tr>
+          <td>${esc(k.name)}</td>
+          <td><code>${esc(k.prefix)}…</code></td>
+          <td>${k.scopes.map(esc).join(", ")}</td>
+          <td>${k.lastUsedAt ? fmtDate(k.lastUsedAt) : "Never"}</td>
+          <td><button class="btn btn-outline btn-sm" data-api-key="${esc(k.id)}">Revoke</button></td>
+        </tr>`).join("")
+      }</tbody></table>`;
+      el.querySelectorAll("[data-api-key]").forEach(btn => btn.addEventListener("click", async () => {
+        if (!confirm("Revoke this key? Scripts using it will stop working.")) return;
+        hide("apiKeyErr");
+        try {
+          await API.del(`/users/me/api-keys/${encodeURIComponent(btn.dataset.apiKey)}`);
+          loadApiKeys();
+          loadAudit();
+        } catch (err) { show("apiKeyErr", err.message); }
+      }));
+    } catch {
+      el.innerHTML = '<p class="text-muted">Could not load API keys.</p>';
+    }
+  }
+
+  function describeDevice(ua) {
+    if (!ua) return "Unknown device";
+    const browser = /Edg\//.test(ua) ? "Edge" : /OPR\//.test(ua) ? "Opera" : /Firefox\//.test(ua) ? "Firefox"
+      : /Chrome\//.test(ua) ? "Chrome" : /Safari\//.test(ua) ? "Safari" : null;
+    const os = /iPhone|iPad/.test(ua) ? "iOS" : /Android/.test(ua) ? "Android" : /Windows/.test(ua) ? "Windows"
+      : /Mac OS X/.test(ua) ? "macOS" : /Linux/.test(ua) ? "Linux" : null;
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || ua.slice(0, 40);
+  }
+
   async function loadAudit() {
     const el = document.getElementById("auditLog");
     try {
@@ -123,6 +444,8 @@ const ProfilePage = (() => {
     }
   }
 
+  // SQLite timestamps are UTC without a zone marker
+  function fmtDate(s) { return s ? new Date(s.replace(" ", "T") + "Z").toLocaleString() : "—"; }
   function show(id, msg) { const e = document.getElementById(id); e.textContent = msg; e.classList.remove("hidden"); }
   function hide(id) { document.getElementById(id)?.classList.add("hidden"); }
   function capitalize(s) { return s ? s.charAt(0).toUpperCase() + s.slice(1) : ""; }
@@ -6,6 +6,10 @@ const SchoolsPage = (() => {
   const PAGE_SIZE = 24;
   let currentPage = 1;
   let filteredSchools = [];
+  let searchResults = { schools: [], pagination: { page: 1, totalPages: 0, total: 0 } };
+  let searchSeq = 0;
+  let searchTimer = null;
+  const SEARCH_DEBOUNCE_MS = 400;
   let regionFilter = "all"; // "all", "london", "kent"
   const COLORS = ["#4f46e5","#059669","#d97706","#dc2626","#7c3aed","#0891b2","#be185d","#65a30d","#c026d3","#ea580c","#0d9488","#4338ca"];
 
@@ -138,7 +142,13 @@ const SchoolsPage = (() => {
   function bindEvents() {
     const si = document.getElementById("searchInput");
     const cb = document.getElementById("clearSearch");
-    si.addEventListener("input", () => { cb.classList.toggle("visible", si.value.length > 0); currentPage = 1; applyFilters(); });
+    si.addEventListener("input", () => {
+      cb.classList.toggle("visible", si.value.length > 0);
+      currentPage = 1;
+      // Each distinct query counts as a search, so wait for typing to pause
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(applyFilters, SEARCH_DEBOUNCE_MS);
+    });
     cb.addEventListener("click", () => { si.value = ""; cb.classList.remove("visible"); currentPage = 1; applyFilters(); });
     document.querySelectorAll(".schools-page .filters select").forEach(s => s.addEventListener("change", () => { currentPage = 1; applyFilters(); }));
 
@@ -167,11 +177,15 @@ const SchoolsPage = (() => {
   }
 
   function getOfstedRating(s) { return s.ofsted?.rating || s.ofstedRating || "N/A"; }
-  function getA8(s) { return s.performance?.ks4?.attainment8 ?? null; }
-  function getP8(s) { return s.performance?.ks4?.progress8 ?? null; }
-  function getKS2(s) { return s.performance?.ks2?.combinedExpected ?? null; }
+  // Full records nest results under performance; API list items carry them flat
+  function getA8(s) { return s.performance?.ks4?.attainment8 ?? s.attainment8 ?? null; }
+  function getP8(s) { return s.performance?.ks4?.progress8 ?? s.progress8 ?? null; }
+  function getKS2(s) { return s.performance?.ks2?.combinedExpected ?? s.ks2Combined ?? null; }
 
+  // The league table and analytics summarise the local dataset; the list is
+  // a search on the server (see searchSchools)
   function applyFilters() {
+    clearTimeout(searchTimer);
     const q = document.getElementById("searchInput").value.toLowerCase().trim();
     const f = {
       borough: document.getElementById("filterBorough").value,
@@ -217,9 +231,59 @@ const SchoolsPage = (() => {
       }
     });
 
-    document.getElementById("resultCount").textContent = `${filteredSchools.length} school${filteredSchools.length !== 1 ? "s" : ""} found`;
-    renderList();
-    renderPagination();
+    searchSchools();
+  }
+
+  // ── Search ────────────────────────────────────────────
+  // Goes through GET /api/schools so it counts against the daily search
+  // limit (per IP address when signed out). Paging and sorting the same
+  // query don't count again. Responses to superseded requests are dropped.
+  const SEARCH_FILTERS = {
+    borough: "filterBorough", phase: "filterPhase", gender: "filterGender", ofsted: "filterOfsted",
+    religion: "filterReligion", funding: "filterFunding", sector: "filterSector", sixthForm: "filterSixthForm",
+  };
+
+  async function searchSchools() {
+    const params = new URLSearchParams();
+    const q = document.getElementById("searchInput").value.trim();
+    if (q) params.set("q", q);
+    if (regionFilter !== "all") params.set("region", regionFilter);
+    for (const [param, id] of Object.entries(SEARCH_FILTERS)) {
+      const value = document.getElementById(id).value;
+      if (value) params.set(param, value);
+    }
+    params.set("sort", document.getElementById("sortBy").value);
+    params.set("page", currentPage);
+    params.set("limit", PAGE_SIZE);
+
+    const seq = ++searchSeq;
+    const count = document.getElementById("resultCount");
+    try {
+      const data = await API.get(`/schools?${params}`);
+      if (seq !== searchSeq) return;
+      searchResults = data;
+      const total = data.pagination.total;
+      count.textContent = `${total} school${total !== 1 ? "s" : ""} found`;
+      renderList();
+      renderPagination();
+    } catch (err) {
+      if (seq !== searchSeq) return;
+      count.textContent = "";
+      document.getElementById("pagination").innerHTML = "";
+      document.getElementById("schoolList").innerHTML = isLimitError(err)
+        ? limitGate("School Search", err)
+        : `<div class="form-error">${esc(err.message)}</div>`;
+    }
+  }
+
+  function isLimitError(err) { return err.status === 402 || err.status === 403; }
+
+  // Signed-out visitors are offered an account; signed-in users an upgrade
+  function limitGate(title, err) {
+    const action = API.isLoggedIn()
+      ? `<a href="/billing" data-link class="btn btn-primary">Upgrade Now</a>`
+      : `<a href="/register" data-link class="btn btn-primary">Create Account</a> <a href="/login" data-link class="btn btn-outline">Sign In</a>`;
+    return `<div class="upgrade-gate"><h3>${title}</h3><p>${esc(err.message)}</p>${action}</div>`;
   }
 
   function ofstedRank(s) {
@@ -242,18 +306,17 @@ const SchoolsPage = (() => {
 
   function renderList() {
     const c = document.getElementById("schoolList");
-    const start = (currentPage-1)*PAGE_SIZE;
-    const page = filteredSchools.slice(start, start+PAGE_SIZE);
+    const page = searchResults.schools;
     if(!page.length){ c.innerHTML='<p class="empty-state">No schools match your criteria.</p>'; return; }
     c.innerHTML = page.map(s => {
       const rating = getOfstedRating(s);
       const a8 = getA8(s);
       const ks2 = getKS2(s);
-      const oversubscribed = s.admissions?.oversubscribed;
+      const oversubscribed = s.admissions?.oversubscribed ?? s.oversubscribed;
       const isKent = isKentSchool(s);
       const phaseClass = s.phase.toLowerCase().replace(/[^a-z]/g, "-") + "-phase";
       return `
-      <div class="school-card hover-lift" data-id="${s.id}">
+      <div class="school-card hover-lift" data-urn="${esc(s.urn)}">
         <div class="school-card-image">
           <span class="region-badge ${isKent ? 'kent' : 'london'}">${isKent ? 'Kent' : 'London'}</span>
           <span class="sector-indicator ${(s.sector||'state').toLowerCase()}">${esc(s.sector||'State')}</span>
@@ -280,20 +343,20 @@ const SchoolsPage = (() => {
         </div>` : ""}
       </div>`;
     }).join("");
-    c.querySelectorAll(".school-card").forEach(card => card.addEventListener("click", ()=> openSchoolModal(Number(card.dataset.id))));
+    c.querySelectorAll(".school-card").forEach(card => card.addEventListener("click", ()=> openSchoolModal(card.dataset.urn)));
   }
 
   // ── Pagination ────────────────────────────────────────
   function renderPagination() {
     const c = document.getElementById("pagination");
-    const tp = Math.ceil(filteredSchools.length/PAGE_SIZE);
+    const tp = searchResults.pagination.totalPages;
     if(tp<=1){c.innerHTML="";return;}
     let h=`<button ${currentPage===1?"disabled":""} data-p="${currentPage-1}">&laquo;</button>`;
     const pgs = tp<=7?Array.from({length:tp},(_,i)=>i+1):currentPage<=3?[1,2,3,4,"...",tp]:currentPage>=tp-2?[1,"...",tp-3,tp-2,tp-1,tp]:[1,"...",currentPage-1,currentPage,currentPage+1,"...",tp];
     pgs.forEach(p=>{h+=p==="..."?`<button disabled>...</button>`:`<button class="${p===currentPage?"active":""}" data-p="${p}">${p}</button>`;});
     h+=`<button ${currentPage===tp?"disabled":""} data-p="${currentPage+1}">&raquo;</button>`;
     c.innerHTML=h;
-    c.querySelectorAll("button[data-p]").forEach(b=>b.addEventListener("click",()=>{currentPage=Number(b.dataset.p);renderList();renderPagination();}));
+    c.querySelectorAll("button[data-p]").forEach(b=>b.addEventListener("click",()=>{currentPage=Number(b.dataset.p);searchSchools();}));
   }
 
   // ── League Table ──────────────────────────────────────
@@ -349,7 +412,7 @@ const SchoolsPage = (() => {
       </tr></thead><tbody>
       ${schools.map((s,i) => {
         const p8 = getP8(s);
-        return `<tr data-id="${s.id}"><td class="rank-col">${i+1}</td><td><strong>${esc(s.name)}</strong></td><td>${esc(s.borough)}</td>
+        return `<tr data-urn="${esc(s.urn)}"><td class="rank-col">${i+1}</td><td><strong>${esc(s.name)}</strong></td><td>${esc(s.borough)}</td>
           <td><span class="ofsted-badge ofsted-${getOfstedRating(s).toLowerCase().replace(/\s+/g,"-")}">${getOfstedRating(s)}</span></td>
           <td class="score-col">${getA8(s)}</td>
           <td class="score-col ${p8>0?'trend-up':p8<0?'trend-down':''}">${p8>0?"+":""}${p8}</td>
@@ -361,7 +424,7 @@ const SchoolsPage = (() => {
         <th class="rank-col">#</th><th>School</th><th>Borough</th><th>Ofsted</th>
         <th class="score-col">Reading</th><th class="score-col">Maths</th><th class="score-col">Writing</th><th class="score-col">Combined</th>
       </tr></thead><tbody>
-      ${schools.map((s,i) => `<tr data-id="${s.id}"><td class="rank-col">${i+1}</td><td><strong>${esc(s.name)}</strong></td><td>${esc(s.borough)}</td>
+      ${schools.map((s,i) => `<tr data-urn="${esc(s.urn)}"><td class="rank-col">${i+1}</td><td><strong>${esc(s.name)}</strong></td><td>${esc(s.borough)}</td>
         <td><span class="ofsted-badge ofsted-${getOfstedRating(s).toLowerCase().replace(/\s+/g,"-")}">${getOfstedRating(s)}</span></td>
         <td class="score-col">${s.performance?.ks2?.readingExpected??"-"}%</td>
         <td class="score-col">${s.performance?.ks2?.mathsExpected??"-"}%</td>
@@ -372,15 +435,27 @@ const SchoolsPage = (() => {
   }
 
   function bindLeagueClicks() {
-    document.querySelectorAll(".league-table tbody tr[data-id]").forEach(row => {
-      row.addEventListener("click", () => openSchoolModal(Number(row.dataset.id)));
+    document.querySelectorAll(".league-table tbody tr[data-urn]").forEach(row => {
+      row.addEventListener("click", () => openSchoolModal(row.dataset.urn));
     });
   }
 
   // ── Enhanced School Modal ─────────────────────────────
-  function openSchoolModal(id) {
-    const s = LONDON_SCHOOLS.find(x=>x.id===id);
-    if(!s) return;
+  // Profiles come from GET /api/schools/:urn so they count against the daily
+  // view limit; over the limit the modal shows the gate instead.
+  async function openSchoolModal(urn) {
+    let s;
+    try {
+      ({ school: s } = await API.get(`/schools/${encodeURIComponent(urn)}`));
+    } catch (err) {
+      document.getElementById("modalBody").innerHTML = isLimitError(err)
+        ? limitGate("School Profiles", err)
+        : `<div class="form-error">${esc(err.message)}</div>`;
+      // The gate's links leave the page, so the modal goes with them
+      document.querySelectorAll("#modalBody a[data-link]").forEach(a => a.addEventListener("click", hideModal));
+      showModal();
+      return;
+    }
     const tabs = [{ id: "overview", label: "Overview" }];
     if (s.ofsted && s.ofsted.date) tabs.push({ id: "ofsted", label: "Ofsted" });
     if (s.performance && (s.performance.ks2 || s.performance.ks4 || s.performance.ks5)) tabs.push({ id: "results", label: "Results" });
@@ -408,10 +483,19 @@ const SchoolsPage = (() => {
       });
     });
 
+    showModal();
+  }
+
+  function showModal() {
     const m = document.getElementById("schoolModal");
     m.classList.add("open"); m.setAttribute("aria-hidden","false");
   }
 
+  function hideModal() {
+    const m = document.getElementById("schoolModal");
+    m.classList.remove("open"); m.setAttribute("aria-hidden","true");
+  }
+
   function renderModalTab(s, tabId) {
     const container = document.getElementById("modalTabContent");
     switch (tabId) {
@@ -791,13 +875,12 @@ const SchoolsPage = (() => {
   // ── Compare ───────────────────────────────────────────
   function renderComparePanel() {
     const gate = document.getElementById("compareGate");
-    const user = API.getUser();
-    if (user && user.plan === "free") {
-      gate.innerHTML = `<div class="upgrade-gate"><h3>School Comparison</h3><p>Upgrade to Pro or Enterprise to compare any two schools side by side.</p><a href="/billing" data-link class="btn btn-primary">Upgrade Now</a></div>`;
+    if (!API.isLoggedIn()) {
+      gate.innerHTML = limitGate("School Comparison", { message: "Sign in to compare schools side by side." });
       return;
     }
     const sorted = [...LONDON_SCHOOLS].sort((a,b)=>a.name.localeCompare(b.name));
-    const opts = sorted.map(s=>`<option value="${s.id}">${esc(s.name)} (${esc(s.borough)})</option>`).join("");
+    const opts = sorted.map(s=>`<option value="${esc(s.urn)}">${esc(s.name)} (${esc(s.borough)})</option>`).join("");
     gate.innerHTML = `
       <div class="compare-controls">
         <div class="compare-select-group"><label for="cmpS1">School 1</label><select id="cmpS1"><option value="">Select...</option>${opts}</select></div>
@@ -808,12 +891,21 @@ const SchoolsPage = (() => {
     document.getElementById("cmpS2").addEventListener("change", doCompare);
   }
 
-  function doCompare() {
-    const id1=Number(document.getElementById("cmpS1").value), id2=Number(document.getElementById("cmpS2").value);
+  // Comparisons render the records GET /api/schools/compare returns, so they
+  // count against the plan's daily compareLimit; a 402/403 swaps the result
+  // for an upgrade gate.
+  async function doCompare() {
+    const urn1=document.getElementById("cmpS1").value, urn2=document.getElementById("cmpS2").value;
     const c=document.getElementById("compareResult");
-    if(!id1||!id2){c.innerHTML='<p class="text-muted">Select two schools to compare.</p>';return;}
-    const s1=LONDON_SCHOOLS.find(s=>s.id===id1), s2=LONDON_SCHOOLS.find(s=>s.id===id2);
-    if(!s1||!s2) return;
+    if(!urn1||!urn2){c.innerHTML='<p class="text-muted">Select two schools to compare.</p>';return;}
+    if(urn1===urn2){c.innerHTML='<p class="text-muted">Select two different schools.</p>';return;}
+    let s1, s2;
+    try {
+      ({ schools: [s1, s2] } = await API.get(`/schools/compare?urns=${encodeURIComponent(urn1)},${encodeURIComponent(urn2)}`));
+    } catch (err) {
+      c.innerHTML = isLimitError(err) ? limitGate("School Comparison", err) : `<div class="form-error">${esc(err.message)}</div>`;
+      return;
+    }
     const fmtP8 = s => { const v=getP8(s); return v!=null?(v>0?"+":"")+v:"-"; };
     const rows=[
       ["Sector",s1.sector||"State",s2.sector||"State"],
@@ -1,10 +1,16 @@
 /**
  * Database Export — generates schools.js from SQLite database
  * Run: npm run db:export
+ *
+ * Writes the versioned SCHOOLS_DATASET envelope (see server/pipeline/dataset.js).
+ * Sections stored by the pipeline loader are exported as-is; schools without
+ * them get deterministic synthetic data in the same shape. The export aborts
+ * without writing anything if a record fails school.schema.json.
  */
 const Database = require("better-sqlite3");
 const path = require("path");
 const fs = require("fs");
+const { SCHEMA_VERSION, validateSchools, buildDataset, writeDatasetJs } = require("../pipeline/dataset");
 
 const DB_PATH = path.join(__dirname, "schoolter.db");
 const OUTPUT_PATH = path.join(__dirname, "..", "..", "public", "data", "schools.js");
@@ -17,6 +23,7 @@ if (!fs.existsSync(DB_PATH)) {
 }
 
 const db = new Database(DB_PATH, { readonly: true });
+const { getSection } = require("../services/schools");
 
 // ── Deterministic seeded PRNG (based on URN) ────────────────
 function seedRandom(seed) {
@@ -68,22 +75,25 @@ function generatePerformanceData(school) {
   const boost = (isPrivate ? 15 : 0) + (isGrammar ? 12 : 0) + (isOutstanding ? 5 : 0);
   const tierBoost = (4 - tier) * 5;
 
-  const performance = { year: "2023" };
+  const year = "2023";
+  const performance = { ks2: null, ks4: null, ks5: null };
 
   if (school.phase === "Primary") {
     // KS2 data
     const base = 60 + tierBoost + boost;
     performance.ks2 = {
-      reading: { expected: Math.min(95, seededInt(rng, base, base + 20)), greaterDepth: seededInt(rng, 15, 40) },
-      writing: { expected: Math.min(95, seededInt(rng, base - 5, base + 15)), greaterDepth: seededInt(rng, 10, 35) },
-      maths: { expected: Math.min(95, seededInt(rng, base, base + 20)), greaterDepth: seededInt(rng, 15, 40) },
-      gps: { expected: Math.min(95, seededInt(rng, base, base + 20)) },
-      combined: Math.min(90, seededInt(rng, base - 10, base + 10)),
-      progress: {
-        reading: seededFloat(rng, -1.5, 3.0),
-        writing: seededFloat(rng, -1.5, 3.0),
-        maths: seededFloat(rng, -1.5, 3.0),
-      }
+      readingExpected: Math.min(95, seededInt(rng, base, base + 20)),
+      readingHigher: seededInt(rng, 15, 40),
+      writingExpected: Math.min(95, seededInt(rng, base - 5, base + 15)),
+      writingHigher: seededInt(rng, 10, 35),
+      mathsExpected: Math.min(95, seededInt(rng, base, base + 20)),
+      mathsHigher: seededInt(rng, 15, 40),
+      gpsExpected: Math.min(95, seededInt(rng, base, base + 20)),
+      combinedExpected: Math.min(90, seededInt(rng, base - 10, base + 10)),
+      readingProgress: seededFloat(rng, -1.5, 3.0),
+      writingProgress: seededFloat(rng, -1.5, 3.0),
+      mathsProgress: seededFloat(rng, -1.5, 3.0),
+      year,
     };
   } else if (school.phase === "Secondary" || school.phase === "All-Through") {
     // KS4 data
@@ -93,8 +103,8 @@ function generatePerformanceData(school) {
     performance.ks4 = {
       attainment8: seededFloat(rng, baseA8, Math.min(80, baseA8 + 15)),
       progress8: seededFloat(rng, baseP8 - 0.5, Math.min(1.5, baseP8 + 0.5)),
-      ebaccEntry: seededInt(rng, 20 + tierBoost, Math.min(95, 50 + tierBoost + boost)),
-      ebaccAvg: seededFloat(rng, 3.5 + tierBoost/10, Math.min(7.5, 5.0 + tierBoost/10 + boost/10)),
+      ebacc_entry: seededInt(rng, 20 + tierBoost, Math.min(95, 50 + tierBoost + boost)),
+      ebacc_avg: seededFloat(rng, 3.5 + tierBoost/10, Math.min(7.5, 5.0 + tierBoost/10 + boost/10)),
       grade5EnMa: seededInt(rng, 30 + tierBoost + boost/2, Math.min(95, 60 + tierBoost + boost)),
       subjects: {
         english: seededFloat(rng, 4.0, 7.5),
@@ -109,14 +119,15 @@ function generatePerformanceData(school) {
         computing: seededFloat(rng, 4.0, 7.0),
         drama: seededFloat(rng, 4.5, 7.5),
         business: seededFloat(rng, 4.0, 7.0),
-      }
+      },
+      year,
     };
 
     // KS5 data if has sixth form
     if (school.has_sixth_form) {
       const baseAPS = 30 + tierBoost + boost/2;
       performance.ks5 = {
-        avgPointScore: seededFloat(rng, baseAPS, Math.min(50, baseAPS + 10)),
+        averagePointScore: seededFloat(rng, baseAPS, Math.min(50, baseAPS + 10)),
         aabOrHigher: seededInt(rng, 10 + tierBoost + boost/2, Math.min(80, 30 + tierBoost + boost)),
         subjects: {
           maths: seededFloat(rng, 25, 45),
@@ -139,7 +150,8 @@ function generatePerformanceData(school) {
           oxbridge: isGrammar || isPrivate ? seededInt(rng, 5, 25) : seededInt(rng, 0, 8),
           apprenticeships: seededInt(rng, 5, 20),
           employment: seededInt(rng, 2, 15),
-        }
+        },
+        year,
       };
     }
   }
@@ -161,30 +173,28 @@ function generateAdmissionsData(school) {
   const officialRadius = seededFloat(rng, baseRadius * 0.8, baseRadius * 1.5, 2);
   const effectiveRadius = isPopular ? seededFloat(rng, officialRadius * 0.3, officialRadius * 0.7, 2) : seededFloat(rng, officialRadius * 0.6, officialRadius * 1.0, 2);
 
-  // Generate 3-year catchment history
-  const catchmentHistory = [];
+  // Generate 3-year catchment history (year -> last distance offered)
+  const catchmentHistory = {};
+  let offers = capacity;
   for (let year = 2021; year <= 2023; year++) {
-    catchmentHistory.push({
-      year: year.toString(),
-      lastDistance: seededFloat(rng, effectiveRadius * 0.8, effectiveRadius * 1.2, 3),
-      offers: Math.round(capacity * seededFloat(rng, 0.95, 1.05)),
-    });
+    catchmentHistory[year] = seededFloat(rng, effectiveRadius * 0.8, effectiveRadius * 1.2, 3);
+    offers = Math.round(capacity * seededFloat(rng, 0.95, 1.05));
   }
 
   // Admission criteria
   const criteria = [
-    { priority: 1, category: "Looked After Children", description: "Children in care or previously in care" },
-    { priority: 2, category: "Siblings", description: "Children with siblings at the school" },
-    { priority: 3, category: "Distance", description: "Proximity to school (straight line)" },
+    { priority: 1, criterion: "Looked After Children", description: "Children in care or previously in care" },
+    { priority: 2, criterion: "Siblings", description: "Children with siblings at the school" },
+    { priority: 3, criterion: "Distance", description: "Proximity to school (straight line)" },
   ];
 
   if (school.religious_character && school.religious_character !== "None") {
-    criteria.splice(2, 0, { priority: 3, category: "Faith", description: `Regular church attendance (${school.religious_character})` });
+    criteria.splice(2, 0, { priority: 3, criterion: "Faith", description: `Regular church attendance (${school.religious_character})` });
     criteria[3].priority = 4;
   }
 
   if (school.funding_type === "Grammar") {
-    criteria.splice(1, 0, { priority: 2, category: "Aptitude", description: "11+ examination performance" });
+    criteria.splice(1, 0, { priority: 2, criterion: "Aptitude", description: "11+ examination performance" });
     criteria.forEach((c, i) => c.priority = i + 1);
   }
 
@@ -205,12 +215,14 @@ function generateAdmissionsData(school) {
       second: Math.round(applicationsTotal * seededFloat(rng, 0.15, 0.25)),
       third: Math.round(applicationsTotal * seededFloat(rng, 0.1, 0.15)),
     },
+    offers,
     oversubscribed: applicationsTotal > capacity,
     lastDistanceOffered: effectiveRadius,
     catchment: {
       officialRadius,
       effectiveRadius,
       history: catchmentHistory,
+      unit: "km",
     },
     criteria,
     appeals: {
@@ -261,13 +273,14 @@ function generateOfstedData(school) {
 
   const year = seededInt(rng, 2019, 2023);
   const month = seededInt(rng, 1, 12);
+  const pad = (n) => String(n).padStart(2, "0");
 
   return {
     rating: currentRating,
-    inspectionDate: `${year}-${String(month).padStart(2, "0")}-${seededInt(rng, 1, 28)}`,
+    date: `${year}-${pad(month)}-${pad(seededInt(rng, 1, 28))}`,
     previousRating: prevRating,
-    previousDate: `${year - seededInt(rng, 2, 5)}-${String(seededInt(rng, 1, 12)).padStart(2, "0")}-${seededInt(rng, 1, 28)}`,
-    reportUrl: `https://reports.ofsted.gov.uk/provider/21/${school.urn}`,
+    previousDate: `${year - seededInt(rng, 2, 5)}-${pad(seededInt(rng, 1, 12))}-${pad(seededInt(rng, 1, 28))}`,
+    report: `https://reports.ofsted.gov.uk/provider/21/${school.urn}`,
     parentView: {
       recommend: seededInt(rng, 70, 98),
       happy: seededInt(rng, 75, 98),
@@ -301,7 +314,7 @@ function generateContactData(school) {
 }
 
 // ── Generate synthetic finance data ────────────────
-function generateFinanceData(school) {
+function generateFinancesData(school) {
   const rng = seedRandom(parseInt(school.urn) || 100000);
   const tier = BOROUGH_TIER[school.borough] || 3;
 
@@ -323,6 +336,15 @@ function generateFinanceData(school) {
   };
 }
 
+const GENERATORS = {
+  performance: generatePerformanceData,
+  admissions: generateAdmissionsData,
+  demographics: generateDemographicsData,
+  ofsted: generateOfstedData,
+  contact: generateContactData,
+  finances: generateFinancesData,
+};
+
 // ── Export schools ────────────────
 const schools = db.prepare(`
   SELECT id, urn, name, borough, region, phase, type, gender, religious_character,
@@ -341,7 +363,7 @@ const exportedSchools = schools.map((s, idx) => {
     urn: s.urn,
     name: s.name,
     borough: s.borough,
-    type: s.phase,
+    type: s.type || s.phase,
     phase: s.phase,
     gender: s.gender,
     religiousCharacter: s.religious_character,
@@ -359,36 +381,32 @@ const exportedSchools = schools.map((s, idx) => {
     region: s.region,
   };
 
-  // Add enriched data
-  school.performance = generatePerformanceData(s);
-  school.admissions = generateAdmissionsData(s);
-  school.demographics = generateDemographicsData(s);
-  school.ofsted = generateOfstedData(s);
-  school.contact = generateContactData(s);
-  school.finance = generateFinanceData(s);
+  // Add enriched data — stored sections first, synthetic fallback
+  for (const [section, generate] of Object.entries(GENERATORS)) {
+    school[section] = getSection(s.urn, section) || generate(s);
+  }
 
   return school;
 });
 
-// Generate JavaScript output
-const output = `// Generated by Schoolter Data Pipeline
-// ${new Date().toISOString()}
+const errors = validateSchools(exportedSchools);
+if (errors.length > 0) {
+  console.error(`Export aborted: ${errors.length} record(s) do not match dataset schema v${SCHEMA_VERSION}`);
+  errors.slice(0, 20).forEach((e) => console.error(`  ${e}`));
+  process.exit(1);
+}
+
+const dataset = buildDataset(exportedSchools);
+const header = `// Generated by Schoolter Data Pipeline
+// ${dataset.generatedAt}
 // Total: ${exportedSchools.length} schools (London + Kent)
+// Dataset schema v${SCHEMA_VERSION} — see server/pipeline/school.schema.json
 
-window.SCHOOLS_DATA = ${JSON.stringify(exportedSchools, null, 2)};
 `;
 
-// Ensure directories exist
-const ensureDir = (dir) => {
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-};
-
-ensureDir(path.dirname(OUTPUT_PATH));
-ensureDir(path.dirname(DOCS_OUTPUT_PATH));
-
 // Write to both locations
-fs.writeFileSync(OUTPUT_PATH, output);
-fs.writeFileSync(DOCS_OUTPUT_PATH, output);
+writeDatasetJs(OUTPUT_PATH, dataset, header);
+writeDatasetJs(DOCS_OUTPUT_PATH, dataset, header);
 
 console.log(`Exported to:`);
 console.log(`  - ${OUTPUT_PATH}`);
@@ -1,5 +1,6 @@
 /**
- * Database initialization — creates tables and seeds users + schools.
+ * Database initialization — creates tables and seeds users, schools and their
+ * sections (from the dataset in public/data/schools.js).
  * Run: npm run db:init
  */
 const Database = require("better-sqlite3");
@@ -7,6 +8,8 @@ const bcrypt = require("bcryptjs");
 const { v4: uuid } = require("uuid");
 const path = require("path");
 const fs = require("fs");
+const { SCHEMA_VERSION, readDatasetFile, upgradeV0Record } = require("../pipeline/dataset");
+const { loadSchoolSections } = require("../pipeline/load");
 
 const DB_PATH = path.join(__dirname, "schoolter.db");
 const db = new Database(DB_PATH);
@@ -16,18 +19,51 @@ db.pragma("foreign_keys = ON");
 
 // ── User Schema ─────────────────────────────────────────────
 db.exec(`
+  -- Roles grant permissions from the catalogue in services/roles.js; the
+  -- JSON list may be ["*"] for every permission
+  CREATE TABLE IF NOT EXISTS roles (
+    name        TEXT PRIMARY KEY,
+    description TEXT NOT NULL DEFAULT '',
+    permissions TEXT NOT NULL DEFAULT '[]',
+    builtin     INTEGER NOT NULL DEFAULT 0,
+    created_at  TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at  TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
   CREATE TABLE IF NOT EXISTS users (
     id            TEXT PRIMARY KEY,
     email         TEXT UNIQUE NOT NULL,
     password_hash TEXT NOT NULL,
     name          TEXT NOT NULL DEFAULT '',
-    role          TEXT NOT NULL DEFAULT 'user' CHECK(role IN ('user','admin')),
+    role          TEXT NOT NULL DEFAULT 'user' REFERENCES roles(name),
     plan          TEXT NOT NULL DEFAULT 'free' CHECK(plan IN ('free','pro','enterprise')),
     stripe_customer_id    TEXT,
     stripe_subscription_id TEXT,
     subscription_status   TEXT DEFAULT 'none' CHECK(subscription_status IN ('none','active','past_due','canceled','trialing')),
     subscription_period_end TEXT,
+    subscription_interval TEXT CHECK(subscription_interval IN ('monthly','yearly')),
+    cancel_at_period_end INTEGER NOT NULL DEFAULT 0,
+    scheduled_plan TEXT CHECK(scheduled_plan IN ('pro','enterprise')),
+    scheduled_interval TEXT CHECK(scheduled_interval IN ('monthly','yearly')),
+    past_due_since TEXT,
+    grace_ends_at TEXT,
+    dunning_reminders_sent INTEGER NOT NULL DEFAULT 0,
+    subscription_event_at INTEGER,
+    trial_started_at TEXT,
+    trial_ends_at TEXT,
     avatar_url    TEXT,
+    totp_secret   TEXT,
+    totp_enabled  INTEGER NOT NULL DEFAULT 0,
+    totp_enabled_at TEXT,
+    totp_last_step INTEGER,
+    email_verified_at TEXT,
+    failed_login_count INTEGER NOT NULL DEFAULT 0,
+    last_failed_login_at TEXT,
+    locked_until  TEXT,
+    deletion_scheduled_at TEXT,
+    status        TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active','suspended','deleted')),
+    status_reason TEXT,
+    status_changed_at TEXT,
     created_at    TEXT NOT NULL DEFAULT (datetime('now')),
     updated_at    TEXT NOT NULL DEFAULT (datetime('now'))
   );
@@ -41,13 +77,33 @@ db.exec(`
     created_at TEXT NOT NULL DEFAULT (datetime('now'))
   );
 
+  CREATE TABLE IF NOT EXISTS email_verifications (
+    id         TEXT PRIMARY KEY,
+    user_id    TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    used       INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- Failed sign-ins for emails without an account, throttled like users'
+  -- (see services/auth.js) so the answers don't reveal which emails exist
+  CREATE TABLE IF NOT EXISTS login_failures (
+    email                TEXT PRIMARY KEY,
+    failed_login_count   INTEGER NOT NULL DEFAULT 0,
+    last_failed_login_at TEXT,
+    locked_until         TEXT
+  );
+
   CREATE TABLE IF NOT EXISTS sessions (
     id         TEXT PRIMARY KEY,
     user_id    TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     token_hash TEXT NOT NULL,
+    previous_token_hash TEXT,
     ip_address TEXT,
     user_agent TEXT,
     expires_at TEXT NOT NULL,
+    last_used_at TEXT,
     created_at TEXT NOT NULL DEFAULT (datetime('now'))
   );
 
@@ -74,12 +130,238 @@ db.exec(`
     created_at          TEXT NOT NULL DEFAULT (datetime('now'))
   );
 
+  -- Daily metered usage per user (see services/usage.js); day is a UTC date
+  CREATE TABLE IF NOT EXISTS usage_counters (
+    user_id    TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    metric     TEXT NOT NULL,
+    day        TEXT NOT NULL,
+    count      INTEGER NOT NULL DEFAULT 0,
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (user_id, metric, day)
+  );
+
+  -- The same for anonymous callers, per IP address; kept for the day only
+  CREATE TABLE IF NOT EXISTS anonymous_usage_counters (
+    ip         TEXT NOT NULL,
+    metric     TEXT NOT NULL,
+    day        TEXT NOT NULL,
+    count      INTEGER NOT NULL DEFAULT 0,
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (ip, metric, day)
+  );
+
+  -- Uses already counted today (hashed query, schools compared or viewed);
+  -- subject is a user id or "ip:<address>". Pruned once the day is over.
+  CREATE TABLE IF NOT EXISTS usage_keys (
+    subject TEXT NOT NULL,
+    metric  TEXT NOT NULL,
+    day     TEXT NOT NULL,
+    key     TEXT NOT NULL,
+    PRIMARY KEY (subject, metric, day, key)
+  );
+
+  -- Organisations group users under one subscription; seats mirror the
+  -- Stripe subscription quantity (see services/organisations.js)
+  CREATE TABLE IF NOT EXISTS organisations (
+    id            TEXT PRIMARY KEY,
+    name          TEXT NOT NULL,
+    owner_id      TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    plan          TEXT NOT NULL DEFAULT 'free' CHECK(plan IN ('free','pro','enterprise')),
+    seats         INTEGER NOT NULL DEFAULT 1,
+    stripe_customer_id     TEXT,
+    stripe_subscription_id TEXT,
+    subscription_status    TEXT DEFAULT 'none' CHECK(subscription_status IN ('none','active','past_due','canceled','trialing')),
+    subscription_period_end TEXT,
+    subscription_event_at  INTEGER,
+    past_due_since TEXT,
+    grace_ends_at  TEXT,
+    dunning_reminders_sent INTEGER NOT NULL DEFAULT 0,
+    created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at    TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- A user belongs to at most one organisation
+  CREATE TABLE IF NOT EXISTS organisation_members (
+    org_id     TEXT NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+    user_id    TEXT NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    role       TEXT NOT NULL DEFAULT 'member' CHECK(role IN ('owner','member')),
+    joined_at  TEXT NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (org_id, user_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS organisation_invitations (
+    id          TEXT PRIMARY KEY,
+    org_id      TEXT NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+    email       TEXT NOT NULL,
+    token_hash  TEXT NOT NULL,
+    invited_by  TEXT REFERENCES users(id) ON DELETE SET NULL,
+    expires_at  TEXT NOT NULL,
+    accepted_at TEXT,
+    created_at  TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- One-time 2FA recovery codes, stored hashed (see services/twoFactor.js)
+  CREATE TABLE IF NOT EXISTS recovery_codes (
+    id         TEXT PRIMARY KEY,
+    user_id    TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash  TEXT NOT NULL,
+    used_at    TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- Admin-managed policy switches (see services/settings.js); values are JSON
+  CREATE TABLE IF NOT EXISTS app_settings (
+    key        TEXT PRIMARY KEY,
+    value      TEXT NOT NULL,
+    updated_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- Personal API keys, stored hashed (see services/apiKeys.js)
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id           TEXT PRIMARY KEY,
+    user_id      TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name         TEXT NOT NULL,
+    prefix       TEXT NOT NULL,
+    key_hash     TEXT NOT NULL UNIQUE,
+    scopes       TEXT NOT NULL DEFAULT '["read"]',
+    last_used_at TEXT,
+    last_used_ip TEXT,
+    created_at   TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- OpenID Connect sign-in, one identity provider per organisation (see services/sso.js)
+  CREATE TABLE IF NOT EXISTS sso_connections (
+    org_id        TEXT PRIMARY KEY REFERENCES organisations(id) ON DELETE CASCADE,
+    issuer        TEXT NOT NULL,
+    client_id     TEXT NOT NULL,
+    client_secret TEXT,
+    created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at    TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- Email domains an organisation's identity provider signs in for
+  CREATE TABLE IF NOT EXISTS sso_domains (
+    domain     TEXT PRIMARY KEY,
+    org_id     TEXT NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+    verification_token TEXT,
+    verified_at TEXT
+  );
+
+  -- In-flight authorization requests: PKCE verifier and nonce per state
+  CREATE TABLE IF NOT EXISTS sso_states (
+    state         TEXT PRIMARY KEY,
+    org_id        TEXT NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+    code_verifier TEXT NOT NULL,
+    nonce         TEXT NOT NULL,
+    expires_at    TEXT NOT NULL,
+    created_at    TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- Identity provider accounts linked to users, by issuer + subject
+  CREATE TABLE IF NOT EXISTS user_identities (
+    id         TEXT PRIMARY KEY,
+    user_id    TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    issuer     TEXT NOT NULL,
+    subject    TEXT NOT NULL,
+    email      TEXT,
+    last_login_at TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE (issuer, subject)
+  );
+
+  -- Admin "view as user" sessions; the token carries the id (see services/impersonation.js)
+  CREATE TABLE IF NOT EXISTS impersonations (
+    id         TEXT PRIMARY KEY,
+    admin_id   TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_id    TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    session_id TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    ended_at   TEXT,
+    end_reason TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  -- Every Stripe webhook event received, keyed by Stripe's event id (see services/stripeEvents.js)
+  CREATE TABLE IF NOT EXISTS stripe_events (
+    id              TEXT PRIMARY KEY,
+    type            TEXT NOT NULL,
+    created         INTEGER NOT NULL,
+    payload         TEXT NOT NULL,
+    status          TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending','processed','failed')),
+    outcome         TEXT,
+    attempts        INTEGER NOT NULL DEFAULT 0,
+    last_error      TEXT,
+    next_attempt_at TEXT,
+    received_at     TEXT NOT NULL DEFAULT (datetime('now')),
+    processed_at    TEXT
+  );
+
+  -- Promo codes (see services/coupons.js). A coupon takes percent_off or
+  -- amount_off_cents; plans is a JSON list, or null for every paid plan.
+  -- provider_ids maps billing provider name to that provider's coupon id.
+  CREATE TABLE IF NOT EXISTS coupons (
+    id               TEXT PRIMARY KEY,
+    code             TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    description      TEXT NOT NULL DEFAULT '',
+    percent_off      INTEGER CHECK(percent_off BETWEEN 1 AND 100),
+    amount_off_cents INTEGER CHECK(amount_off_cents > 0),
+    duration         TEXT NOT NULL DEFAULT 'once' CHECK(duration IN ('once','repeating','forever')),
+    duration_months  INTEGER,
+    plans            TEXT,
+    max_redemptions  INTEGER,
+    times_redeemed   INTEGER NOT NULL DEFAULT 0,
+    expires_at       TEXT,
+    active           INTEGER NOT NULL DEFAULT 1,
+    provider_ids     TEXT NOT NULL DEFAULT '{}',
+    created_by       TEXT REFERENCES users(id) ON DELETE SET NULL,
+    created_at       TEXT NOT NULL DEFAULT (datetime('now')),
+    CHECK((percent_off IS NULL) != (amount_off_cents IS NULL))
+  );
+
+  -- Each user can redeem a coupon once
+  CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    coupon_id           TEXT NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+    user_id             TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    checkout_session_id TEXT,
+    created_at          TEXT NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (coupon_id, user_id)
+  );
+
+  -- Objects of the fake billing provider, as JSON in Stripe's shape (see services/billingFake.js)
+  CREATE TABLE IF NOT EXISTS fake_billing_objects (
+    id          TEXT PRIMARY KEY,
+    type        TEXT NOT NULL,
+    customer_id TEXT,
+    data        TEXT NOT NULL,
+    created_at  TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
   CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
   CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+  CREATE INDEX IF NOT EXISTS idx_sessions_token ON sessions(token_hash);
   CREATE INDEX IF NOT EXISTS idx_audit_user ON audit_log(user_id);
+  CREATE INDEX IF NOT EXISTS idx_audit_action ON audit_log(action);
+  CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at);
   CREATE INDEX IF NOT EXISTS idx_invoices_user ON invoices(user_id);
+  CREATE INDEX IF NOT EXISTS idx_email_verifications_token ON email_verifications(token_hash);
+  CREATE INDEX IF NOT EXISTS idx_org_invitations_org ON organisation_invitations(org_id);
+  CREATE INDEX IF NOT EXISTS idx_org_invitations_token ON organisation_invitations(token_hash);
+  CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id);
+  CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
+  CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities(user_id);
+  CREATE INDEX IF NOT EXISTS idx_sso_domains_org ON sso_domains(org_id);
+  CREATE INDEX IF NOT EXISTS idx_stripe_events_status ON stripe_events(status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS idx_fake_billing_customer ON fake_billing_objects(customer_id, type);
 `);
 
+// ── Seed roles ──────────────────────────────────────────────
+// admin and user are built in; support is a starting point admins can edit.
+const seedRole = db.prepare("INSERT OR IGNORE INTO roles (name, description, permissions, builtin) VALUES (?, ?, ?, ?)");
+seedRole.run("admin", "Full access", JSON.stringify(["*"]), 1);
+seedRole.run("user", "No admin access", "[]", 1);
+seedRole.run("support", "Read users and the audit log", JSON.stringify(["users.read", "audit.read"]), 0);
+
 // ── School Schema ─────────────────────────────────────────────
 db.exec(`
   CREATE TABLE IF NOT EXISTS schools (
@@ -119,6 +401,9 @@ db.exec(`
     ks2_reading_progress REAL,
     ks2_maths_progress REAL,
     ks2_writing_progress REAL,
+    ks2_reading_higher REAL,
+    ks2_maths_higher REAL,
+    ks2_writing_higher REAL,
     ks4_attainment8 REAL,
     ks4_progress8 REAL,
     ks4_ebacc_entry REAL,
@@ -128,7 +413,9 @@ db.exec(`
     ks5_average_point_score REAL,
     ks5_aab_or_higher REAL,
     ks5_subjects TEXT,
+    ks5_vocational TEXT,
     ks5_destinations TEXT,
+    data_source TEXT,
     FOREIGN KEY (school_urn) REFERENCES schools(urn)
   );
 
@@ -137,6 +424,7 @@ db.exec(`
     school_urn TEXT NOT NULL,
     year TEXT,
     capacity INTEGER,
+    offers INTEGER,
     applications_total INTEGER,
     applications_first INTEGER,
     applications_second INTEGER,
@@ -151,6 +439,7 @@ db.exec(`
     appeals_successful INTEGER,
     open_days TEXT,
     application_deadline TEXT,
+    data_source TEXT,
     FOREIGN KEY (school_urn) REFERENCES schools(urn)
   );
 
@@ -161,6 +450,7 @@ db.exec(`
     eal_percent REAL,
     sen_percent REAL,
     ethnicities TEXT,
+    data_source TEXT,
     FOREIGN KEY (school_urn) REFERENCES schools(urn)
   );
 
@@ -173,6 +463,7 @@ db.exec(`
     previous_date TEXT,
     report_url TEXT,
     parent_view TEXT,
+    data_source TEXT,
     FOREIGN KEY (school_urn) REFERENCES schools(urn)
   );
 
@@ -182,6 +473,7 @@ db.exec(`
     phone TEXT,
     email TEXT,
     headteacher TEXT,
+    data_source TEXT,
     FOREIGN KEY (school_urn) REFERENCES schools(urn)
   );
 
@@ -192,6 +484,7 @@ db.exec(`
     per_pupil_funding INTEGER,
     teacher_count INTEGER,
     pupil_teacher_ratio REAL,
+    data_source TEXT,
     FOREIGN KEY (school_urn) REFERENCES schools(urn)
   );
 
@@ -201,7 +494,93 @@ db.exec(`
   CREATE INDEX IF NOT EXISTS idx_schools_postcode ON schools(postcode);
   CREATE INDEX IF NOT EXISTS idx_performance_urn ON school_performance(school_urn);
   CREATE INDEX IF NOT EXISTS idx_admissions_urn ON school_admissions(school_urn);
+  CREATE INDEX IF NOT EXISTS idx_demographics_urn ON school_demographics(school_urn);
+  CREATE INDEX IF NOT EXISTS idx_ofsted_urn ON school_ofsted(school_urn);
+  CREATE INDEX IF NOT EXISTS idx_contact_urn ON school_contact(school_urn);
+  CREATE INDEX IF NOT EXISTS idx_finances_urn ON school_finances(school_urn);
+`);
+
+// ── Migrations ──────────────────────────────────────────────
+// CREATE TABLE IF NOT EXISTS leaves older databases untouched, so columns
+// added after a table first shipped are backfilled here.
+// Returns true when the column was added.
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some((c) => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  }
+  return false;
+}
+
+addColumnIfMissing("school_performance", "ks2_reading_higher", "REAL");
+addColumnIfMissing("school_performance", "ks2_maths_higher", "REAL");
+addColumnIfMissing("school_performance", "ks2_writing_higher", "REAL");
+addColumnIfMissing("school_performance", "ks5_vocational", "TEXT");
+addColumnIfMissing("school_admissions", "offers", "INTEGER");
+addColumnIfMissing("sessions", "previous_token_hash", "TEXT");
+addColumnIfMissing("sessions", "last_used_at", "TEXT");
+addColumnIfMissing("users", "totp_secret", "TEXT");
+addColumnIfMissing("users", "totp_enabled", "INTEGER NOT NULL DEFAULT 0");
+addColumnIfMissing("users", "totp_enabled_at", "TEXT");
+addColumnIfMissing("users", "totp_last_step", "INTEGER");
+addColumnIfMissing("users", "failed_login_count", "INTEGER NOT NULL DEFAULT 0");
+addColumnIfMissing("users", "last_failed_login_at", "TEXT");
+addColumnIfMissing("users", "locked_until", "TEXT");
+addColumnIfMissing("users", "deletion_scheduled_at", "TEXT");
+addColumnIfMissing("users", "status", "TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active','suspended','deleted'))");
+addColumnIfMissing("users", "status_reason", "TEXT");
+addColumnIfMissing("users", "status_changed_at", "TEXT");
+addColumnIfMissing("users", "subscription_event_at", "INTEGER");
+addColumnIfMissing("organisations", "subscription_event_at", "INTEGER");
+addColumnIfMissing("users", "trial_started_at", "TEXT");
+addColumnIfMissing("users", "trial_ends_at", "TEXT");
+addColumnIfMissing("users", "subscription_interval", "TEXT CHECK(subscription_interval IN ('monthly','yearly'))");
+addColumnIfMissing("users", "cancel_at_period_end", "INTEGER NOT NULL DEFAULT 0");
+addColumnIfMissing("users", "scheduled_plan", "TEXT CHECK(scheduled_plan IN ('pro','enterprise'))");
+addColumnIfMissing("users", "scheduled_interval", "TEXT CHECK(scheduled_interval IN ('monthly','yearly'))");
+for (const table of ["users", "organisations"]) {
+  addColumnIfMissing(table, "past_due_since", "TEXT");
+  addColumnIfMissing(table, "grace_ends_at", "TEXT");
+  addColumnIfMissing(table, "dunning_reminders_sent", "INTEGER NOT NULL DEFAULT 0");
+}
+// SSO domains claimed before verification existed sign nobody in until verified
+addColumnIfMissing("sso_domains", "verification_token", "TEXT");
+addColumnIfMissing("sso_domains", "verified_at", "TEXT");
+db.exec("UPDATE sso_domains SET verification_token = lower(hex(randomblob(24))) WHERE verification_token IS NULL");
+// Retried webhooks used to insert an invoice once per delivery; keep the
+// first copy of each before making stripe_invoice_id unique.
+db.exec(`
+  DELETE FROM invoices WHERE stripe_invoice_id IS NOT NULL AND rowid NOT IN (
+    SELECT MIN(rowid) FROM invoices WHERE stripe_invoice_id IS NOT NULL GROUP BY stripe_invoice_id
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_stripe ON invoices(stripe_invoice_id);
 `);
+// Accounts from before email verification existed are treated as verified
+if (addColumnIfMissing("users", "email_verified_at", "TEXT")) {
+  db.exec("UPDATE users SET email_verified_at = created_at");
+}
+// users.role used to be limited to 'user'/'admin' by a CHECK constraint.
+// SQLite can't drop a constraint, so rebuild the table with the role
+// referencing roles instead. Foreign keys are off so the DROP doesn't cascade.
+const usersSql = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'users'").get().sql;
+if (usersSql.includes("CHECK(role IN ('user','admin'))")) {
+  const columns = db.prepare("PRAGMA table_info(users)").all().map((c) => c.name).join(", ");
+  db.pragma("foreign_keys = OFF");
+  db.transaction(() => {
+    db.exec(usersSql
+      .replace(/^CREATE TABLE "?users"?/, "CREATE TABLE users_new")
+      .replace("CHECK(role IN ('user','admin'))", "REFERENCES roles(name)"));
+    db.exec(`INSERT INTO users_new (${columns}) SELECT ${columns} FROM users`);
+    db.exec("DROP TABLE users");
+    db.exec("ALTER TABLE users_new RENAME TO users");
+    db.exec("CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)");
+  })();
+  db.pragma("foreign_keys = ON");
+}
+for (const table of ["school_performance", "school_admissions", "school_demographics", "school_ofsted", "school_contact", "school_finances"]) {
+  addColumnIfMissing(table, "data_source", "TEXT");
+}
 
 // ── Seed admin user ─────────────────────────────────────────────
 const adminEmail = "admin@schoolter.app";
@@ -210,8 +589,8 @@ const existing = db.prepare("SELECT id FROM users WHERE email = ?").get(adminEma
 if (!existing) {
   const hash = bcrypt.hashSync("admin123!", 12);
   db.prepare(`
-    INSERT INTO users (id, email, password_hash, name, role, plan, subscription_status)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO users (id, email, password_hash, name, role, plan, subscription_status, email_verified_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
   `).run(uuid(), adminEmail, hash, "Admin", "admin", "enterprise", "active");
   console.log("Seeded admin user: admin@schoolter.app / admin123!");
 }
@@ -351,5 +730,22 @@ const insertMany = db.transaction((schools) => {
 insertMany(ALL_SCHOOLS);
 console.log(`Seeded ${ALL_SCHOOLS.length} schools (${LONDON_SCHOOLS.length} London + ${KENT_SCHOOLS.length} Kent)`);
 
+// ── Seed school sections ─────────────────────────────────────
+// Results, admissions, Ofsted and the other sections come from the dataset the
+// Schools page ships, so the API and the page's league table and compare list
+// show the same schools and figures. `npm run pipeline` replaces both.
+const DATASET_PATH = path.join(__dirname, "..", "..", "public", "data", "schools.js");
+if (!fs.existsSync(DATASET_PATH)) {
+  console.warn(`No dataset at ${DATASET_PATH}; schools have no sections until the pipeline runs`);
+} else {
+  const { schemaVersion, schools } = readDatasetFile(DATASET_PATH);
+  if (schemaVersion > SCHEMA_VERSION) {
+    console.warn(`The dataset uses schema v${schemaVersion}, newer than v${SCHEMA_VERSION}; school sections not loaded`);
+  } else {
+    const { loaded } = loadSchoolSections(schemaVersion === 0 ? schools.map(upgradeV0Record) : schools);
+    console.log(`Loaded sections for ${loaded} schools from public/data/schools.js`);
+  }
+}
+
 console.log("Database initialized at", DB_PATH);
 db.close();
@@ -39,6 +39,9 @@ CREATE TABLE IF NOT EXISTS school_performance (
   ks2_reading_progress REAL,
   ks2_maths_progress REAL,
   ks2_writing_progress REAL,
+  ks2_reading_higher REAL,
+  ks2_maths_higher REAL,
+  ks2_writing_higher REAL,
   -- KS4
   ks4_attainment8 REAL,
   ks4_progress8 REAL,
@@ -50,7 +53,9 @@ CREATE TABLE IF NOT EXISTS school_performance (
   ks5_average_point_score REAL,
   ks5_aab_or_higher REAL,
   ks5_subjects TEXT, -- JSON
+  ks5_vocational TEXT, -- JSON
   ks5_destinations TEXT, -- JSON
+  data_source TEXT, -- 'real' | 'synthetic'
   FOREIGN KEY (school_urn) REFERENCES schools(urn)
 );
 
@@ -59,6 +64,7 @@ CREATE TABLE IF NOT EXISTS school_admissions (
   school_urn TEXT NOT NULL,
   year TEXT,
   capacity INTEGER,
+  offers INTEGER,
   applications_total INTEGER,
   applications_first INTEGER,
   applications_second INTEGER,
@@ -73,6 +79,7 @@ CREATE TABLE IF NOT EXISTS school_admissions (
   appeals_successful INTEGER,
   open_days TEXT, -- JSON
   application_deadline TEXT,
+  data_source TEXT,
   FOREIGN KEY (school_urn) REFERENCES schools(urn)
 );
 
@@ -83,6 +90,7 @@ CREATE TABLE IF NOT EXISTS school_demographics (
   eal_percent REAL,
   sen_percent REAL,
   ethnicities TEXT, -- JSON
+  data_source TEXT,
   FOREIGN KEY (school_urn) REFERENCES schools(urn)
 );
 
@@ -95,6 +103,7 @@ CREATE TABLE IF NOT EXISTS school_ofsted (
   previous_date TEXT,
   report_url TEXT,
   parent_view TEXT, -- JSON
+  data_source TEXT,
   FOREIGN KEY (school_urn) REFERENCES schools(urn)
 );
 
@@ -104,6 +113,7 @@ CREATE TABLE IF NOT EXISTS school_contact (
   phone TEXT,
   email TEXT,
   headteacher TEXT,
+  data_source TEXT,
   FOREIGN KEY (school_urn) REFERENCES schools(urn)
 );
 
@@ -114,6 +124,7 @@ CREATE TABLE IF NOT EXISTS school_finances (
   per_pupil_funding INTEGER,
   teacher_count INTEGER,
   pupil_teacher_ratio REAL,
+  data_source TEXT,
   FOREIGN KEY (school_urn) REFERENCES schools(urn)
 );
 
@@ -124,3 +135,7 @@ CREATE INDEX IF NOT EXISTS idx_schools_phase ON schools(phase);
 CREATE INDEX IF NOT EXISTS idx_schools_postcode ON schools(postcode);
 CREATE INDEX IF NOT EXISTS idx_performance_urn ON school_performance(school_urn);
 CREATE INDEX IF NOT EXISTS idx_admissions_urn ON school_admissions(school_urn);
+CREATE INDEX IF NOT EXISTS idx_demographics_urn ON school_demographics(school_urn);
+CREATE INDEX IF NOT EXISTS idx_ofsted_urn ON school_ofsted(school_urn);
+CREATE INDEX IF NOT EXISTS idx_contact_urn ON school_contact(school_urn);
+CREATE INDEX IF NOT EXISTS idx_finances_urn ON school_finances(school_urn);
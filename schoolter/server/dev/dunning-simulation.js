@@ -0,0 +1,201 @@
+/**
+ * Walks the dunning flow (services/dunning.js) through simulated time.
+ * Run: npm run dunning:simulate [-- scenario ...]  (every scenario by default)
+ *
+ * Each scenario creates a throwaway user on Pro, applies webhook events
+ * through the real handlers with `created` on a simulated clock, runs
+ * runDunning at chosen moments of that clock and checks the user, the emails
+ * and the provider cancellations. Times follow the dunningGraceDays setting.
+ *
+ * No server is needed and nothing is kept: each scenario runs in a
+ * transaction that is rolled back, emails are recorded instead of sent, and
+ * the billing provider is replaced by one that records cancellations. Exits
+ * non-zero when any check fails.
+ */
+require("dotenv").config();
+const { v4: uuid } = require("uuid");
+const db = require("../db/connection");
+const billing = require("../services/billing");
+const dunning = require("../services/dunning");
+const mailer = require("../services/mailer");
+const { getSetting } = require("../services/settings");
+
+const DAY = 24 * 60 * 60;
+const MINUTE = 60;
+
+function simulation() {
+  const run = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  const start = Math.floor(Date.now() / 1000);
+  const user = {
+    id: uuid(),
+    email: `dunning-sim-${run}@example.test`,
+    password_hash: "!",
+    plan: "pro",
+    subscription_status: "active",
+    stripe_customer_id: `cus_sim_${run}`,
+    stripe_subscription_id: `sub_sim_${run}`,
+  };
+  const mails = [];
+  const canceled = [];
+  const failures = [];
+  let eventCount = 0;
+
+  mailer.setTransport({
+    name: "simulation",
+    send: async (message) => {
+      if (message.to === user.email) mails.push(message.template);
+      return { messageId: uuid() };
+    },
+  });
+  billing.setProvider({
+    name: "simulation",
+    cancelSubscription: async (id) => { canceled.push(id); },
+  });
+
+  function at(days, seconds = 0) {
+    return start + days * DAY + seconds;
+  }
+
+  return {
+    user,
+    graceDays: getSetting("dunningGraceDays"),
+    failures,
+    at,
+
+    create(state = {}) {
+      const row = { ...user, ...state };
+      const columns = Object.keys(row);
+      db.prepare(`INSERT INTO users (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`)
+        .run(...Object.values(row));
+    },
+
+    event(type, created, object = {}) {
+      const base = type.startsWith("invoice.")
+        ? { id: `in_sim_${run}_${eventCount}`, object: "invoice", customer: user.stripe_customer_id, subscription: user.stripe_subscription_id, amount_due: 999, currency: "gbp" }
+        : { id: user.stripe_subscription_id, object: "subscription", customer: user.stripe_customer_id, status: "active", metadata: { plan: "pro" } };
+      return billing.handleWebhookEvent({
+        id: `evt_sim_${run}_${eventCount++}`, object: "event", type, created, data: { object: { ...base, ...object } },
+      });
+    },
+
+    runDunning(time) {
+      return dunning.runDunning(new Date(time * 1000));
+    },
+
+    // Compares the user's columns, then the emails and cancellations since the last check
+    check(label, { user: want = {}, mails: wantMails = [], canceled: wantCanceled = 0 }) {
+      const row = db.prepare("SELECT * FROM users WHERE id = ?").get(user.id);
+      for (const [column, value] of Object.entries(want)) {
+        if (row[column] !== value) failures.push(`${label}: user.${column} is ${JSON.stringify(row[column])}, expected ${JSON.stringify(value)}`);
+      }
+      if (mails.join() !== wantMails.join()) failures.push(`${label}: emails [${mails}], expected [${wantMails}]`);
+      if (canceled.length !== wantCanceled) failures.push(`${label}: ${canceled.length} cancellations, expected ${wantCanceled}`);
+      mails.length = 0;
+      canceled.length = 0;
+    },
+  };
+}
+
+// Seconds into the simulation as SQLite time
+function sqlTime(seconds) {
+  return new Date(seconds * 1000).toISOString().replace("T", " ").slice(0, 19);
+}
+
+const SCENARIOS = {
+  "grace-expires": {
+    description: "An unpaid subscription keeps its plan, is reminded, then moves to Free and is canceled",
+    async run(sim) {
+      sim.create();
+      sim.event("invoice.payment_failed", sim.at(0));
+      sim.check("failed", {
+        user: { plan: "pro", subscription_status: "past_due", past_due_since: sqlTime(sim.at(0)), grace_ends_at: sqlTime(sim.at(sim.graceDays)) },
+        mails: ["paymentFailed"],
+      });
+      for (const days of dunning.REMINDER_DAYS.filter((d) => d < sim.graceDays)) {
+        await sim.runDunning(sim.at(sim.graceDays - days, MINUTE));
+        sim.check(`${days} days left`, { user: { plan: "pro" }, mails: ["paymentReminder"] });
+        await sim.runDunning(sim.at(sim.graceDays - days, 2 * MINUTE));
+        sim.check(`${days} days left, run again`, {});
+      }
+      await sim.runDunning(sim.at(sim.graceDays, -MINUTE));
+      sim.check("just before the end", { user: { plan: "pro", subscription_status: "past_due" } });
+      await sim.runDunning(sim.at(sim.graceDays, MINUTE));
+      sim.check("after the end", {
+        user: { plan: "free", subscription_status: "canceled", grace_ends_at: null, past_due_since: null },
+        mails: ["pastDueDowngraded"],
+        canceled: 1,
+      });
+      sim.event("customer.subscription.updated", sim.at(sim.graceDays, -2 * MINUTE), { status: "past_due" });
+      sim.check("update from before the end arrives late", { user: { plan: "free", subscription_status: "canceled" } });
+      sim.event("customer.subscription.deleted", sim.at(sim.graceDays, 2 * MINUTE), { status: "canceled" });
+      sim.check("provider confirms", { user: { plan: "free", subscription_status: "canceled" } });
+    },
+  },
+
+  "payment-recovers": {
+    description: "A payment during the grace period ends it and nothing is downgraded",
+    async run(sim) {
+      sim.create();
+      sim.event("invoice.payment_failed", sim.at(0));
+      sim.check("failed", { user: { subscription_status: "past_due" }, mails: ["paymentFailed"] });
+      sim.event("invoice.paid", sim.at(0.5), { status: "paid", amount_paid: 999 });
+      sim.event("customer.subscription.updated", sim.at(0.5));
+      sim.check("paid", { user: { plan: "pro", subscription_status: "active", grace_ends_at: null, dunning_reminders_sent: 0 }, mails: ["paymentReceipt"] });
+      await sim.runDunning(sim.at(sim.graceDays + 1));
+      sim.check("after the old deadline", { user: { plan: "pro", subscription_status: "active" } });
+    },
+  },
+
+  "retries-keep-deadline": {
+    description: "Failed retries don't restart the grace period or repeat the email",
+    async run(sim) {
+      sim.create();
+      sim.event("invoice.payment_failed", sim.at(0));
+      sim.event("customer.subscription.updated", sim.at(0), { status: "past_due" });
+      sim.event("invoice.payment_failed", sim.at(Math.min(2, sim.graceDays / 2)));
+      sim.check("retried", { user: { subscription_status: "past_due", grace_ends_at: sqlTime(sim.at(sim.graceDays)) }, mails: ["paymentFailed"] });
+    },
+  },
+
+  "legacy-past-due": {
+    description: "A subscription past due from before dunning gets a grace period from the next run",
+    async run(sim) {
+      sim.create({ subscription_status: "past_due" });
+      await sim.runDunning(sim.at(0));
+      sim.check("first run", { user: { plan: "pro", grace_ends_at: sqlTime(sim.at(sim.graceDays)) }, mails: ["paymentFailed"] });
+      await sim.runDunning(sim.at(sim.graceDays, MINUTE));
+      sim.check("after the end", { user: { plan: "free", subscription_status: "canceled" }, mails: ["pastDueDowngraded"], canceled: 1 });
+    },
+  },
+};
+
+async function runScenario(name) {
+  const scenario = SCENARIOS[name];
+  if (!scenario) throw new Error(`Unknown scenario: ${name}`);
+  const sim = simulation();
+  db.exec("BEGIN");
+  try {
+    await scenario.run(sim);
+  } catch (err) {
+    sim.failures.push(`threw: ${err.message}`);
+  } finally {
+    db.exec("ROLLBACK");
+  }
+  console.log(`${sim.failures.length ? "FAIL" : "ok  "} ${name} — ${scenario.description}`);
+  for (const f of sim.failures) console.log(`     ${f}`);
+  return !sim.failures.length;
+}
+
+async function main() {
+  const names = process.argv.slice(2).length ? process.argv.slice(2) : Object.keys(SCENARIOS);
+  let passed = 0;
+  for (const name of names) if (await runScenario(name)) passed++;
+  const graceDays = getSetting("dunningGraceDays");
+  console.log(`\n${passed}/${names.length} scenarios passed (grace period ${graceDays} day${graceDays === 1 ? "" : "s"})`);
+  process.exit(passed === names.length ? 0 : 1);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
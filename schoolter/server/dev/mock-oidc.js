@@ -0,0 +1,136 @@
+/**
+ * Mock OpenID Connect provider for trying SSO locally.
+ * Run: npm run mock:oidc  (issuer http://localhost:4000 by default)
+ *
+ * Accepts any client id and secret. The authorize page asks which email to
+ * sign in as instead of checking a password, then issues an RS256 ID token
+ * for it. PKCE (S256) and the redirect URI are checked like a real provider.
+ * Keys and codes live in memory, so restarting invalidates everything.
+ */
+const express = require("express");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CODE_TTL_MS = 60 * 1000;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString("hex");
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+function esc(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function base64url(buf) {
+  return buf.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post", "none"],
+    scopes_supported: ["openid", "email", "profile"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: "jwk" }), kid: KID, use: "sig", alg: "RS256" }] });
+});
+
+// Sign-in form; the hidden fields carry the authorization request through
+app.get("/authorize", (req, res) => {
+  const q = req.query;
+  if (q.response_type !== "code" || !q.client_id || !q.redirect_uri) {
+    return res.status(400).send("response_type=code, client_id and redirect_uri are required");
+  }
+  if (q.code_challenge_method !== "S256" || !q.code_challenge) {
+    return res.status(400).send("PKCE with S256 is required");
+  }
+  const hidden = ["client_id", "redirect_uri", "state", "nonce", "code_challenge"]
+    .map((k) => `<input type="hidden" name="${k}" value="${esc(q[k])}">`).join("");
+  res.send(`<!doctype html><html><body style="font-family:system-ui;max-width:420px;margin:60px auto">
+    <h2>Mock identity provider</h2>
+    <p>Signing in to <code>${esc(q.client_id)}</code></p>
+    <form method="post" action="/authorize">${hidden}
+      <p><label>Email<br><input name="email" value="${esc(q.login_hint)}" required style="width:100%"></label></p>
+      <p><label>Name<br><input name="name" value="Mock User" style="width:100%"></label></p>
+      <p><label><input type="checkbox" name="email_verified" checked> Email verified</label></p>
+      <p><button name="action" value="allow">Sign in</button> <button name="action" value="deny">Deny</button></p>
+    </form></body></html>`);
+});
+
+app.post("/authorize", (req, res) => {
+  const b = req.body;
+  let target;
+  try { target = new URL(b.redirect_uri); } catch { return res.status(400).send("Invalid redirect_uri"); }
+  if (b.state) target.searchParams.set("state", b.state);
+  if (b.action === "deny") {
+    target.searchParams.set("error", "access_denied");
+    return res.redirect(target.toString());
+  }
+
+  const code = base64url(crypto.randomBytes(24));
+  codes.set(code, {
+    clientId: b.client_id,
+    redirectUri: b.redirect_uri,
+    codeChallenge: b.code_challenge,
+    nonce: b.nonce,
+    email: b.email,
+    name: b.name,
+    emailVerified: b.email_verified === "on",
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+  target.searchParams.set("code", code);
+  res.redirect(target.toString());
+});
+
+app.post("/token", (req, res) => {
+  const b = req.body;
+  let clientId = b.client_id;
+  const basic = (req.get("authorization") || "").match(/^Basic (.+)$/);
+  if (basic) clientId = decodeURIComponent(Buffer.from(basic[1], "base64").toString().split(":")[0]);
+
+  const grant = codes.get(b.code);
+  codes.delete(b.code);
+  if (b.grant_type !== "authorization_code" || !grant || grant.expiresAt < Date.now()) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+  if (grant.clientId !== clientId || grant.redirectUri !== b.redirect_uri) {
+    return res.status(400).json({ error: "invalid_grant", error_description: "client_id or redirect_uri mismatch" });
+  }
+  const challenge = base64url(crypto.createHash("sha256").update(b.code_verifier || "").digest());
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: "invalid_grant", error_description: "PKCE verification failed" });
+  }
+
+  const idToken = jwt.sign({
+    email: grant.email,
+    email_verified: grant.emailVerified,
+    name: grant.name,
+    nonce: grant.nonce,
+  }, privateKey, {
+    algorithm: "RS256",
+    keyid: KID,
+    issuer: ISSUER,
+    audience: grant.clientId,
+    subject: crypto.createHash("sha256").update(grant.email.toLowerCase()).digest("hex").slice(0, 24),
+    expiresIn: "5m",
+  });
+  res.json({ access_token: base64url(crypto.randomBytes(24)), token_type: "Bearer", expires_in: 300, id_token: idToken });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER}`);
+});
@@ -6,7 +6,7 @@ const express = require("express");
 const path = require("path");
 const cors = require("cors");
 const cookieParser = require("cookie-parser");
-const { helmetMiddleware, globalLimiter, apiLimiter } = require("./middleware/security");
+const { helmetMiddleware, globalLimiter, apiLimiter, apiKeyLimiter, resolveApiKey, csrfProtection } = require("./middleware/security");
 
 // Ensure DB exists
 const dbPath = path.join(__dirname, "db", "schoolter.db");
@@ -16,12 +16,18 @@ if (!fs.existsSync(dbPath)) {
   require("child_process").execSync("node " + path.join(__dirname, "db", "init.js"), { stdio: "inherit" });
 }
 
+// Refuses to start in production without a way to deliver mail (services/mailer.js)
+require("./services/mailer").getTransport();
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // ── Global middleware ──────────────────────────────────────
 app.use(helmetMiddleware);
+// X-API-Key requests are rate limited per key rather than per IP
+app.use("/api", resolveApiKey);
 app.use(globalLimiter);
+app.use("/api", apiKeyLimiter);
 app.use(cors({ origin: process.env.APP_URL || true, credentials: true }));
 app.use(cookieParser());
 
@@ -31,10 +37,21 @@ app.use((req, res, next) => {
   express.json({ limit: "1mb" })(req, res, next);
 });
 
+// CSRF check for cookie-authenticated API requests (see middleware/security.js)
+app.use("/api", csrfProtection);
+
 // ── API routes ─────────────────────────────────────────────
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/users", apiLimiter, require("./routes/users"));
 app.use("/api/billing", require("./routes/billing"));
+app.use("/api/orgs", apiLimiter, require("./routes/orgs"));
+app.use("/api/schools", apiLimiter, require("./routes/schools"));
+app.use("/api/usage", apiLimiter, require("./routes/usage"));
+
+// Checkout and portal pages of the fake billing provider (never in production)
+if (require("./services/billing").getProvider()?.name === "fake") {
+  app.use("/fake-billing", require("./routes/fakeBilling"));
+}
 
 // ── Static files ───────────────────────────────────────────
 const publicDir = path.join(__dirname, "..", "public");
@@ -57,3 +74,45 @@ app.use((err, req, res, _next) => {
 app.listen(PORT, () => {
   console.log(`Schoolter running on http://localhost:${PORT}`);
 });
+
+// ── Scheduled jobs ─────────────────────────────────────────
+// Run at startup and hourly: purge accounts past their deletion grace
+// period, archive audit entries past the retention period, move lapsed
+// trials back to Free, remind or downgrade past-due subscriptions, and drop
+// past days' usage keys and anonymous usage counts.
+const account = require("./services/account");
+const audit = require("./services/audit");
+const trials = require("./services/trials");
+const dunning = require("./services/dunning");
+const usage = require("./services/usage");
+function runScheduledJobs() {
+  account.purgeDueAccounts().catch((err) => console.error("Account purge failed:", err.message));
+  dunning.runDunning().catch((err) => console.error("Dunning failed:", err.message));
+  try {
+    audit.archiveOldEntries();
+  } catch (err) {
+    console.error("Audit archive failed:", err.message);
+  }
+  try {
+    trials.expireTrials();
+  } catch (err) {
+    console.error("Trial expiry failed:", err.message);
+  }
+  try {
+    usage.pruneUsage();
+  } catch (err) {
+    console.error("Usage prune failed:", err.message);
+  }
+}
+runScheduledJobs();
+setInterval(runScheduledJobs, 60 * 60 * 1000).unref();
+
+// Failed Stripe webhook events are retried with backoff (services/stripeEvents.js)
+const stripeEvents = require("./services/stripeEvents");
+setInterval(() => {
+  try {
+    stripeEvents.retryFailedEvents();
+  } catch (err) {
+    console.error("Stripe event retry failed:", err.message);
+  }
+}, 5 * 60 * 1000).unref();
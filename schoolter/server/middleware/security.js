@@ -1,17 +1,25 @@
 /**
- * Security middleware stack: helmet, rate limiter, CSRF, auth guard.
+ * Security middleware stack: helmet, rate limiter, CSRF, auth guard, API keys, impersonation, role and permission guards, email gate, usage metering.
  */
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
+const csurf = require("csurf");
+const jwt = require("jsonwebtoken");
 const validator = require("validator");
 const auth = require("../services/auth");
+const usage = require("../services/usage");
+const twoFactor = require("../services/twoFactor");
+const roles = require("../services/roles");
+const apiKeys = require("../services/apiKeys");
+const impersonation = require("../services/impersonation");
+const { getSetting } = require("../services/settings");
 
 // ── Helmet — HTTP security headers ────────────────────────
 const helmetMiddleware = helmet({
   contentSecurityPolicy: {
     directives: {
       defaultSrc: ["'self'"],
-      scriptSrc: ["'self'", "'unsafe-inline'", "https://js.stripe.com"],
+      scriptSrc: ["'self'", "https://js.stripe.com"],
       styleSrc: ["'self'", "'unsafe-inline'"],
       frameSrc: ["https://js.stripe.com", "https://hooks.stripe.com"],
       imgSrc: ["'self'", "data:", "https:"],
@@ -21,11 +29,14 @@ const helmetMiddleware = helmet({
 });
 
 // ── Rate limiters ──────────────────────────────────────────
+// Requests authenticated by an API key (see resolveApiKey) skip the per-IP
+// limiters and count against apiKeyLimiter instead, one bucket per key.
 const globalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 300,
   standardHeaders: true,
   legacyHeaders: false,
+  skip: (req) => !!req.apiKey,
   message: { error: "Too many requests, please try again later." },
 });
 
@@ -42,37 +53,252 @@ const apiLimiter = rateLimit({
   max: 60,
   standardHeaders: true,
   legacyHeaders: false,
+  skip: (req) => !!req.apiKey,
   message: { error: "API rate limit exceeded." },
 });
 
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: Number(process.env.API_KEY_RATE_LIMIT) || 120,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => !req.apiKey,
+  keyGenerator: (req) => req.apiKey.id,
+  message: { error: "API key rate limit exceeded." },
+});
+
+// ── Auth cookies ───────────────────────────────────────────
+// Browsers opt into cookie mode with `X-Auth-Mode: cookie` on login/register;
+// tokens then live in HttpOnly cookies instead of the response body. API
+// clients keep using bearer tokens.
+const ACCESS_COOKIE = "schoolter_access";
+const REFRESH_COOKIE = "schoolter_refresh";
+const CSRF_COOKIE = "schoolter_csrf";
+const COOKIE_SECURE = process.env.COOKIE_SECURE
+  ? process.env.COOKIE_SECURE === "true"
+  : process.env.NODE_ENV === "production";
+
+const baseCookie = { httpOnly: true, secure: COOKIE_SECURE, sameSite: "strict" };
+
+function wantsCookies(req) {
+  return req.get("X-Auth-Mode") === "cookie" || req.authVia === "cookie";
+}
+
+function setAccessCookie(res, token) {
+  res.cookie(ACCESS_COOKIE, token, {
+    ...baseCookie,
+    path: "/api",
+    maxAge: Math.max(0, jwt.decode(token).exp * 1000 - Date.now()),
+  });
+}
+
+function setAuthCookies(res, { token, refreshToken }) {
+  setAccessCookie(res, token);
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...baseCookie,
+    path: "/api/auth",
+    maxAge: auth.REFRESH_TOKEN_DAYS * 86400000,
+  });
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie(ACCESS_COOKIE, { ...baseCookie, path: "/api" });
+  res.clearCookie(REFRESH_COOKIE, { ...baseCookie, path: "/api/auth" });
+}
+
+// ── CSRF (double-submit) ───────────────────────────────────
+// csurf keeps its secret in an HttpOnly cookie; the derived token is mirrored
+// into a readable cookie that API.request echoes back as X-CSRF-Token. Only
+// requests authenticated by cookie are checked — a bearer token can't be
+// attached by a cross-site form, so API clients are unaffected. The CSRF
+// cookies live as long as a refresh token (csurf takes maxAge in seconds).
+const CSRF_MAX_AGE = auth.REFRESH_TOKEN_DAYS * 86400000;
+const csrfCookie = { key: "schoolter_csrf_secret", path: "/", maxAge: CSRF_MAX_AGE / 1000, ...baseCookie };
+const csrfCheck = csurf({ cookie: csrfCookie });
+const csrfIssue = csurf({ cookie: csrfCookie, ignoreMethods: ["GET", "HEAD", "OPTIONS", "POST", "PUT", "PATCH", "DELETE"] });
+
+function csrfProtection(req, res, next) {
+  const bearer = (req.headers.authorization || "").startsWith("Bearer ") || !!req.apiKey;
+  const cookieAuth = !bearer && !!(req.cookies[ACCESS_COOKIE] || req.cookies[REFRESH_COOKIE]);
+
+  (cookieAuth ? csrfCheck : csrfIssue)(req, res, (err) => {
+    if (err) {
+      if (err.code === "EBADCSRFTOKEN") return res.status(403).json({ error: "Invalid CSRF token" });
+      return next(err);
+    }
+    if (!bearer) res.cookie(CSRF_COOKIE, req.csrfToken(), { secure: COOKIE_SECURE, sameSite: "strict", path: "/", maxAge: CSRF_MAX_AGE });
+    next();
+  });
+}
+
 // ── JWT auth middleware ────────────────────────────────────
-function requireAuth(req, res, next) {
+// Resolves the bearer access token to a user. Throws when the token is
+// invalid, expired, or its session has been revoked (logout, password change).
+// Impersonation tokens (with `act`) also need their impersonation to be live.
+function authenticate(token) {
+  const payload = auth.verifyToken(token);
+  if (!payload.sid || !auth.isSessionActive(payload.sid)) throw new Error("Session revoked");
+  const acting = payload.act ? impersonation.resolve(payload.imp) : null;
+  if (payload.act && !acting) throw new Error("Impersonation ended");
+  auth.touchSession(payload.sid);
+  return { user: auth.getPublicUser(payload.sub), sessionId: payload.sid, impersonation: acting };
+}
+
+function attachAuth(req, { user, sessionId, impersonation: acting }, via) {
+  req.user = user;
+  req.sessionId = sessionId;
+  req.authVia = via;
+  if (acting) req.impersonation = acting;
+}
+
+// A bearer header wins over the access cookie when both are present.
+function getRequestToken(req) {
   const header = req.headers.authorization;
-  if (!header || !header.startsWith("Bearer ")) {
+  if (header && header.startsWith("Bearer ")) return { token: header.slice(7), via: "bearer" };
+  if (req.cookies && req.cookies[ACCESS_COOKIE]) return { token: req.cookies[ACCESS_COOKIE], via: "cookie" };
+  return null;
+}
+
+// ── API keys ───────────────────────────────────────────────
+// Runs before the rate limiters so a valid X-API-Key gets its own bucket.
+// A bad key isn't rejected here: it's remembered and requireAuth answers 401,
+// after the per-IP limiters have counted the request.
+const API_KEY_HEADER = "X-API-Key";
+
+function resolveApiKey(req, res, next) {
+  const raw = req.get(API_KEY_HEADER);
+  if (!raw) return next();
+  try {
+    const { user, key } = apiKeys.authenticate(raw, req.ip);
+    req.user = user;
+    req.apiKey = key;
+    req.authVia = "api_key";
+  } catch (err) {
+    req.apiKeyError = err;
+  }
+  next();
+}
+
+// Checks the key's scope and audits writes made with it. Returns false once it has responded.
+function acceptApiKey(req, res) {
+  if (req.apiKeyError) {
+    res.status(401).json({ error: req.apiKeyError.message });
+    return false;
+  }
+  if (!apiKeys.allowsMethod(req.apiKey, req.method)) {
+    res.status(403).json({ error: "This API key is read-only", code: "insufficient_scope" });
+    return false;
+  }
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.on("finish", () => {
+      auth.logAudit(req.user.id, "api_key_request", JSON.stringify({
+        keyId: req.apiKey.id, key: req.apiKey.prefix, method: req.method, path: req.originalUrl, status: res.statusCode,
+      }), req.ip);
+    });
+  }
+  return true;
+}
+
+// ── Impersonation ──────────────────────────────────────────
+// Viewing as a user is read-only: the only writes allowed end it.
+const IMPERSONATION_EXITS = ["/api/auth/impersonation/end", "/api/auth/logout"];
+
+function rejectImpersonatedWrite(req, res) {
+  if (!req.impersonation || ["GET", "HEAD", "OPTIONS"].includes(req.method)) return false;
+  if (IMPERSONATION_EXITS.includes(req.originalUrl.split("?")[0])) return false;
+  res.status(403).json({ error: "You're viewing as another user; changes are disabled", code: "impersonation_read_only" });
+  return true;
+}
+
+function requireAuth(req, res, next) {
+  if (req.apiKey || req.apiKeyError) return acceptApiKey(req, res) && next();
+  const found = getRequestToken(req);
+  if (!found) {
     return res.status(401).json({ error: "Authentication required" });
   }
+  let result;
   try {
-    const payload = auth.verifyToken(header.slice(7));
-    const user = auth.getPublicUser(payload.sub);
-    if (!user) return res.status(401).json({ error: "User not found" });
-    req.user = user;
-    next();
+    result = authenticate(found.token);
   } catch {
     return res.status(401).json({ error: "Invalid or expired token" });
   }
+  if (!result.user || result.user.status === "deleted") return res.status(401).json({ error: "User not found" });
+  if (result.user.status === "suspended") {
+    return res.status(403).json({ error: "This account has been suspended", code: "account_suspended" });
+  }
+  attachAuth(req, result, found.via);
+  if (rejectImpersonatedWrite(req, res)) return;
+  next();
+}
+
+// Attaches req.user when a valid token is sent; anonymous requests pass through.
+function optionalAuth(req, res, next) {
+  if (req.apiKey || req.apiKeyError) return acceptApiKey(req, res) && next();
+  const found = getRequestToken(req);
+  if (found) {
+    try {
+      const result = authenticate(found.token);
+      if (result.user?.status === "active") attachAuth(req, result, found.via);
+    } catch { /* treat as anonymous */ }
+  }
+  if (rejectImpersonatedWrite(req, res)) return;
+  next();
+}
+
+// Account security (passwords, 2FA, sessions, API keys, data export) and
+// staff routes need the user's own signed-in session; an API key or an
+// impersonating admin isn't enough.
+function requireSession(req, res, next) {
+  if (req.apiKey) {
+    return res.status(403).json({ error: "This needs a signed-in session, not an API key", code: "session_required" });
+  }
+  if (req.impersonation) {
+    return res.status(403).json({ error: "Not available while viewing as another user", code: "session_required" });
+  }
+  next();
 }
 
 // ── Role guard ─────────────────────────────────────────────
-function requireRole(...roles) {
+// Site roles ("admin", "user") match users.role. Roles prefixed "org:"
+// ("org:owner", "org:member") match the user's role in their organisation.
+function hasRole(user, role) {
+  if (role.startsWith("org:")) return user.organisation?.role === role.slice(4);
+  return user.role === role;
+}
+
+// Under the admin 2FA policy, staff must enroll before using admin routes.
+function send2faRequired(res) {
+  return res.status(403).json({ error: "Set up two-factor authentication to use admin features", code: "2fa_required" });
+}
+
+function requireRole(...allowed) {
   return (req, res, next) => {
-    if (!req.user || !roles.includes(req.user.role)) {
+    const matched = req.user && allowed.filter((role) => hasRole(req.user, role));
+    if (!matched || !matched.length) {
       return res.status(403).json({ error: "Insufficient permissions" });
     }
+    if (matched.every((role) => role === "admin") && twoFactor.isRequired(req.user) && !req.user.twoFactorEnabled) {
+      return send2faRequired(res);
+    }
+    next();
+  };
+}
+
+// ── Permission guard ───────────────────────────────────────
+// Passes when the user's role grants any of `permissions` (see services/roles.js).
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!req.user || !permissions.some((p) => roles.hasPermission(req.user, p))) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+    if (req.apiKey) return requireSession(req, res, next);
+    if (twoFactor.isRequired(req.user) && !req.user.twoFactorEnabled) return send2faRequired(res);
     next();
   };
 }
 
 // ── Plan guard ─────────────────────────────────────────────
+// Checks the effective plan, so organisation members pass on the organisation's plan.
 function requirePlan(...plans) {
   return (req, res, next) => {
     if (!req.user || !plans.includes(req.user.plan)) {
@@ -82,6 +308,54 @@ function requirePlan(...plans) {
   };
 }
 
+// ── Email verification gate ────────────────────────────────
+// Blocks accounts with an unconfirmed email while the named setting is on.
+function requireVerifiedEmail(settingKey) {
+  return (req, res, next) => {
+    if (req.user && !req.user.emailVerified && getSetting(settingKey)) {
+      return res.status(403).json({ error: "Verify your email address to continue", code: "email_unverified" });
+    }
+    next();
+  };
+}
+
+// ── Usage meter ────────────────────────────────────────────
+// Counts one use of `metric` against the daily plan limit: the user's plan,
+// or the Free plan per IP address for anonymous requests. Responds 403 when
+// the plan doesn't include the feature and 402 once the day's quota is used
+// up. `key(req)` names what is being used (see services/usage.js) so a repeat
+// of it the same day isn't counted again.
+function meter(metric, { key } = {}) {
+  return (req, res, next) => {
+    // Admins viewing as a user don't use up the user's allowance
+    if (req.impersonation) return next();
+
+    const result = usage.consume(req.user || { ip: req.ip }, metric, key ? key(req) : null);
+    res.set({
+      "X-Usage-Limit": String(result.limit),
+      "X-Usage-Remaining": String(result.remaining),
+      "X-Usage-Reset": result.resetsAt,
+    });
+    if (!result.allowed) {
+      const notInPlan = result.reason === "not_in_plan";
+      return res.status(notInPlan ? 403 : 402).json({
+        error: notInPlan
+          ? "Upgrade your plan to access this feature"
+          : req.user
+            ? `Daily ${metric} limit reached. Upgrade your plan for unlimited access.`
+            : `Daily ${metric} limit reached. Sign in or create an account for more.`,
+        code: result.reason,
+        metric,
+        used: result.used,
+        limit: result.limit,
+        remaining: result.remaining,
+        resetsAt: result.resetsAt,
+      });
+    }
+    next();
+  };
+}
+
 // ── Input sanitisation helper ──────────────────────────────
 function sanitize(str) {
   if (typeof str !== "string") return str;
@@ -101,9 +375,22 @@ module.exports = {
   globalLimiter,
   authLimiter,
   apiLimiter,
+  apiKeyLimiter,
+  REFRESH_COOKIE,
+  wantsCookies,
+  setAccessCookie,
+  setAuthCookies,
+  clearAuthCookies,
+  csrfProtection,
+  resolveApiKey,
   requireAuth,
+  optionalAuth,
+  requireSession,
   requireRole,
+  requirePermission,
   requirePlan,
+  requireVerifiedEmail,
+  meter,
   sanitize,
   validateEmail,
   validatePassword,
@@ -0,0 +1,216 @@
+/**
+ * Dataset contract — the versioned file format shared by extract.js,
+ * db/export.js and the SPA loader (public/js/dataset.js).
+ *
+ * public/data/schools.js declares a SCHOOLS_DATASET envelope
+ * ({ schemaVersion, generatedAt, count, schools }) and every record in
+ * `schools` must validate against school.schema.json.
+ */
+const fs = require("fs");
+const path = require("path");
+const SCHEMA = require("./school.schema.json");
+
+const SCHEMA_VERSION = SCHEMA.version;
+
+// Top-level record fields that are not enrichment sections.
+const BASE_FIELDS = [...SCHEMA.required, "region"];
+
+// ── Validation ──────────────────────────────────────────────
+// A small JSON Schema (draft-07) subset: type, enum, required, properties,
+// additionalProperties, items, minimum and local $ref. Enough for our schema
+// without pulling a validator into the pipeline.
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function resolveRef(ref) {
+  return ref.replace(/^#\//, "").split("/").reduce((node, key) => node[key], SCHEMA);
+}
+
+function validate(value, schema, at, errors) {
+  if (schema.$ref) return validate(value, resolveRef(schema.$ref), at, errors);
+
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const actual = typeOf(value);
+    const ok = allowed.includes(actual) || (actual === "integer" && allowed.includes("number"));
+    if (!ok) {
+      errors.push(`${at}: expected ${allowed.join(" or ")}, got ${actual}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(", ")}`);
+    return;
+  }
+  if (typeof value === "number" && schema.minimum != null && value < schema.minimum) {
+    errors.push(`${at}: must be >= ${schema.minimum}`);
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+    }
+    const props = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (props[key]) {
+        validate(child, props[key], `${at}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === "object") {
+        validate(child, schema.additionalProperties, `${at}.${key}`, errors);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validate(item, schema.items, `${at}[${i}]`, errors));
+  }
+}
+
+/** Validate one record; returns a list of error strings (empty when valid). */
+function validateSchool(record, label = "school") {
+  const errors = [];
+  validate(record, SCHEMA, label, errors);
+  return errors;
+}
+
+/** Validate every record; returns a flat list of errors labelled by URN or index. */
+function validateSchools(schools) {
+  return schools.flatMap((s, i) => validateSchool(s, `schools[${i}]${s && s.urn ? ` (URN ${s.urn})` : ""}`));
+}
+
+/** Strip a record down to its base (non-enrichment) fields. */
+function pickBaseFields(record) {
+  const base = {};
+  for (const key of BASE_FIELDS) {
+    if (key in record) base[key] = record[key];
+  }
+  if (!("urn" in base)) base.urn = null;
+  return base;
+}
+
+// ── Reading ─────────────────────────────────────────────────
+/**
+ * Evaluate a schools.js file and return { schemaVersion, schools }.
+ * Files written before the envelope existed are reported as version 0
+ * (db/export.js `window.SCHOOLS_DATA`) or version 1 (extract.js `LONDON_SCHOOLS`).
+ */
+function readDatasetFile(filePath) {
+  const content = fs.readFileSync(filePath, "utf8");
+  const m = { exports: {} };
+  const win = {};
+  new Function("module", "window", content)(m, win);
+
+  if (win.SCHOOLS_DATASET || (m.exports && m.exports.schemaVersion)) {
+    const dataset = win.SCHOOLS_DATASET || m.exports;
+    return { schemaVersion: dataset.schemaVersion, schools: dataset.schools };
+  }
+  if (win.LONDON_SCHOOLS || Array.isArray(m.exports)) {
+    return { schemaVersion: 1, schools: win.LONDON_SCHOOLS || m.exports };
+  }
+  if (win.SCHOOLS_DATA) {
+    return { schemaVersion: 0, schools: win.SCHOOLS_DATA };
+  }
+  throw new Error(`No school dataset found in ${filePath}`);
+}
+
+/**
+ * Convert a version 0 record to the current shape, the same mapping as
+ * adaptV0 in public/js/dataset.js.
+ */
+function upgradeV0Record(s) {
+  const { finance, ...school } = s;
+  const perf = s.performance || {};
+  const { ks2, ks4, ks5 } = perf;
+  const year = perf.year || null;
+  const adm = s.admissions;
+  const hist = adm && adm.catchment && adm.catchment.history;
+
+  school.performance = {
+    ks2: ks2 ? {
+      readingExpected: ks2.reading?.expected ?? null,
+      readingHigher: ks2.reading?.greaterDepth ?? null,
+      writingExpected: ks2.writing?.expected ?? null,
+      writingHigher: ks2.writing?.greaterDepth ?? null,
+      mathsExpected: ks2.maths?.expected ?? null,
+      mathsHigher: ks2.maths?.greaterDepth ?? null,
+      gpsExpected: ks2.gps?.expected ?? null,
+      combinedExpected: ks2.combined ?? null,
+      readingProgress: ks2.progress?.reading ?? null,
+      writingProgress: ks2.progress?.writing ?? null,
+      mathsProgress: ks2.progress?.maths ?? null,
+      year,
+    } : null,
+    ks4: ks4 ? (({ ebaccEntry, ebaccAvg, ...rest }) => ({ ...rest, ebacc_entry: ebaccEntry, ebacc_avg: ebaccAvg, year }))(ks4) : null,
+    ks5: ks5 ? (({ avgPointScore, ...rest }) => ({ ...rest, averagePointScore: avgPointScore, year }))(ks5) : null,
+  };
+  if (s.ofsted) {
+    const { inspectionDate, reportUrl, ...ofsted } = s.ofsted;
+    school.ofsted = { ...ofsted, date: inspectionDate, report: reportUrl };
+  }
+  if (adm) {
+    school.admissions = {
+      ...adm,
+      catchment: adm.catchment && {
+        ...adm.catchment,
+        history: Array.isArray(hist) ? Object.fromEntries(hist.map((h) => [h.year, h.lastDistance])) : hist,
+        unit: "km",
+      },
+      criteria: (adm.criteria || []).map(({ category, ...c }) => ({ criterion: category, ...c })),
+    };
+  }
+  school.finances = finance || null;
+  return school;
+}
+
+// ── Writing ─────────────────────────────────────────────────
+function buildDataset(schools, meta = {}) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    count: schools.length,
+    ...meta,
+    schools,
+  };
+}
+
+/** Render the envelope as a browser script that also works with require(). */
+function renderDatasetJs(dataset, header = "") {
+  return `${header}const SCHOOLS_DATASET = ${JSON.stringify(dataset, null, 2)};
+
+if (typeof window !== 'undefined') {
+  window.SCHOOLS_DATASET = SCHOOLS_DATASET;
+}
+if (typeof module !== 'undefined') {
+  module.exports = SCHOOLS_DATASET;
+}
+`;
+}
+
+function writeDatasetJs(filePath, dataset, header) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, renderDatasetJs(dataset, header));
+}
+
+function writeDatasetJson(filePath, dataset) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(dataset, null, 2));
+}
+
+module.exports = {
+  SCHEMA,
+  SCHEMA_VERSION,
+  validateSchool,
+  validateSchools,
+  pickBaseFields,
+  readDatasetFile,
+  upgradeV0Record,
+  buildDataset,
+  renderDatasetJs,
+  writeDatasetJs,
+  writeDatasetJson,
+};
@@ -13,6 +13,7 @@
  *   node server/pipeline/extract.js --quick    # GIAS only, no enrichment (synthetic fill)
  *   node server/pipeline/extract.js --enrich   # GIAS + Ofsted + performance data
  *   node server/pipeline/extract.js --full     # Everything including website scraping
+ *   node server/pipeline/extract.js --no-db    # Write schools.js/json only, skip the database load
  *
  * When real data sources are unavailable, generates deterministic synthetic data
  * based on school URN and characteristics so re-runs produce consistent results.
@@ -25,6 +26,11 @@ const https = require("https");
 const http = require("http");
 const fs = require("fs");
 const path = require("path");
+const { loadSchools } = require("./load");
+const {
+  SCHEMA_VERSION, validateSchools, pickBaseFields, readDatasetFile,
+  buildDataset, writeDatasetJs, writeDatasetJson,
+} = require("./dataset");
 
 // ── Paths ───────────────────────────────────────────────────
 const DATA_DIR = path.join(__dirname, "..", "..", "public", "data");
@@ -66,6 +72,7 @@ const TARGET_REGIONS = [...LONDON_BOROUGHS, ...KENT_DISTRICTS];
 const MODE_QUICK = process.argv.includes("--quick");
 const MODE_ENRICH = process.argv.includes("--enrich");
 const MODE_FULL = process.argv.includes("--full");
+const SKIP_DB = process.argv.includes("--no-db");
 
 // ── Helpers ─────────────────────────────────────────────────
 function log(msg) {
@@ -1131,35 +1138,19 @@ function loadStaticSchools() {
   }
 
   log(`Loading existing static schools from ${staticPath}`);
-  const content = fs.readFileSync(staticPath, "utf8");
-
-  // Extract the JSON array from the JS file
-  const match = content.match(
-    /const\s+LONDON_SCHOOLS\s*=\s*(\[[\s\S]*?\]);/
-  );
-  if (!match) {
-    // Try eval-style parsing as fallback
-    try {
-      // Create a sandboxed module context
-      const m = { exports: {} };
-      const fn = new Function("module", "window", content);
-      fn(m, {});
-      if (Array.isArray(m.exports)) return m.exports;
-    } catch (_) { /* fall through */ }
-    log("Could not parse static schools.js");
-    return null;
-  }
-
   try {
-    return JSON.parse(match[1]);
-  } catch (_) {
-    // The static file uses JS object syntax (no quoted keys), try eval
-    try {
-      return eval(match[1]);
-    } catch (e) {
-      log(`Failed to parse static data: ${e.message}`);
+    // Accepts the current SCHOOLS_DATASET envelope as well as the older
+    // LONDON_SCHOOLS / SCHOOLS_DATA files. Only base fields are kept since
+    // every section is regenerated by enrichSchool().
+    const { schemaVersion, schools } = readDatasetFile(staticPath);
+    if (schemaVersion > SCHEMA_VERSION) {
+      log(`Static schools.js uses dataset schema v${schemaVersion}; this pipeline writes v${SCHEMA_VERSION}`);
       return null;
     }
+    return schools.map(pickBaseFields);
+  } catch (e) {
+    log(`Could not parse static schools.js: ${e.message}`);
+    return null;
   }
 }
 
@@ -1195,31 +1186,15 @@ function writeOutput(schools) {
  * Coverage: All 33 London boroughs + Kent districts
  * Data sources: ${sourceCounts.real} real, ${sourceCounts.mixed} mixed, ${sourceCounts.synthetic} synthetic
  *
- * Schema includes: base GIAS fields + ofsted, performance, admissions,
- * demographics, contact, finances (locrating-style enrichment)
+ * Dataset schema v${SCHEMA_VERSION} — see server/pipeline/school.schema.json
  */
 `;
-  const jsContent = `${header}const LONDON_SCHOOLS = ${JSON.stringify(cleanSchools, null, 2)};
-
-if (typeof window !== 'undefined') {
-  window.LONDON_SCHOOLS = LONDON_SCHOOLS;
-}
-if (typeof module !== 'undefined') {
-  module.exports = LONDON_SCHOOLS;
-}
-`;
-  fs.writeFileSync(outputPath, jsContent);
+  writeDatasetJs(outputPath, buildDataset(cleanSchools), header);
   log(`Wrote ${cleanSchools.length} schools to ${outputPath}`);
 
   // Write JSON file
   const jsonPath = path.join(DATA_DIR, "schools.json");
-  const jsonOutput = {
-    generatedAt: new Date().toISOString(),
-    count: cleanSchools.length,
-    dataSources: sourceCounts,
-    schools: cleanSchools,
-  };
-  fs.writeFileSync(jsonPath, JSON.stringify(jsonOutput, null, 2));
+  writeDatasetJson(jsonPath, buildDataset(cleanSchools, { dataSources: sourceCounts }));
   log(`Wrote JSON to ${jsonPath}`);
 }
 
@@ -1514,9 +1489,30 @@ async function main() {
       }
     }
 
-    // Step 3: Write output
+    enriched.forEach((s) => {
+      s.region = s.region || (KENT_DISTRICTS.some((d) => (s.borough || "").toLowerCase().includes(d.toLowerCase())) ? "Kent" : "London");
+    });
+
+    // Step 3: Validate against the dataset contract — never publish a file the SPA can't read
+    const errors = validateSchools(enriched.map(({ _dataSources, ...s }) => s));
+    if (errors.length > 0) {
+      log(`FATAL: ${errors.length} schema error(s) in enriched dataset (schema v${SCHEMA_VERSION}):`);
+      errors.slice(0, 20).forEach((e) => log(`  ${e}`));
+      if (errors.length > 20) log(`  ... and ${errors.length - 20} more`);
+      process.exit(1);
+    }
+
+    // Step 4: Write output
     writeOutput(enriched);
 
+    // Step 5: Persist to the database (upsert by URN, single transaction)
+    if (SKIP_DB) {
+      log("Skipping database load (--no-db)");
+    } else {
+      const { loaded, skipped } = loadSchools(enriched);
+      log(`Loaded ${loaded} schools into the database${skipped ? ` (${skipped} without URN skipped)` : ""}`);
+    }
+
     // Log summary
     const phases = {};
     const sectors = {};
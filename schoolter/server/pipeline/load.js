@@ -0,0 +1,278 @@
+/**
+ * Pipeline loader — persists enriched school records into SQLite.
+ *
+ * Each school is upserted by URN and its child rows (performance, admissions,
+ * demographics, ofsted, contact, finances) are replaced, all inside a single
+ * transaction so a failed run leaves the previous data intact. The provenance
+ * recorded by enrichSchool() in `_dataSources` is stored per child row in
+ * its `data_source` column.
+ *
+ * Requires a database created by `npm run db:init`.
+ */
+const Database = require("better-sqlite3");
+const path = require("path");
+const fs = require("fs");
+
+const DB_PATH = path.join(__dirname, "..", "db", "schoolter.db");
+
+const CHILD_TABLES = [
+  "school_performance", "school_admissions", "school_demographics",
+  "school_ofsted", "school_contact", "school_finances",
+];
+
+function json(value) {
+  return value == null ? null : JSON.stringify(value);
+}
+
+function bool(value) {
+  return value == null ? null : value ? 1 : 0;
+}
+
+function openDatabase(dbPath = DB_PATH) {
+  if (!fs.existsSync(dbPath)) {
+    throw new Error("Database not found. Run: npm run db:init first");
+  }
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  return db;
+}
+
+function prepareStatements(db) {
+  return {
+    upsertSchool: db.prepare(`
+      INSERT INTO schools (urn, name, borough, region, phase, type, gender, religious_character,
+        ofsted_rating, age_range, pupils, address, postcode, lat, lng, has_sixth_form, funding_type, sector, website)
+      VALUES (@urn, @name, @borough, @region, @phase, @type, @gender, @religiousCharacter,
+        @ofstedRating, @ageRange, @pupils, @address, @postcode, @lat, @lng, @hasSixthForm, @fundingType, @sector, @website)
+      ON CONFLICT(urn) DO UPDATE SET
+        name = excluded.name, borough = excluded.borough, region = excluded.region, phase = excluded.phase,
+        type = excluded.type, gender = excluded.gender, religious_character = excluded.religious_character,
+        ofsted_rating = excluded.ofsted_rating, age_range = excluded.age_range, pupils = excluded.pupils,
+        address = excluded.address, postcode = excluded.postcode, lat = excluded.lat, lng = excluded.lng,
+        has_sixth_form = excluded.has_sixth_form, funding_type = excluded.funding_type,
+        sector = excluded.sector, website = excluded.website, updated_at = CURRENT_TIMESTAMP
+    `),
+    clearChildren: CHILD_TABLES.map((t) => db.prepare(`DELETE FROM ${t} WHERE school_urn = ?`)),
+    insertPerformance: db.prepare(`
+      INSERT INTO school_performance (school_urn, year,
+        ks2_reading_expected, ks2_maths_expected, ks2_writing_expected, ks2_gps_expected, ks2_combined_expected,
+        ks2_reading_progress, ks2_maths_progress, ks2_writing_progress,
+        ks2_reading_higher, ks2_maths_higher, ks2_writing_higher,
+        ks4_attainment8, ks4_progress8, ks4_ebacc_entry, ks4_ebacc_avg, ks4_grade5_en_ma, ks4_subjects,
+        ks5_average_point_score, ks5_aab_or_higher, ks5_subjects, ks5_vocational, ks5_destinations, data_source)
+      VALUES (@urn, @year,
+        @ks2ReadingExpected, @ks2MathsExpected, @ks2WritingExpected, @ks2GpsExpected, @ks2CombinedExpected,
+        @ks2ReadingProgress, @ks2MathsProgress, @ks2WritingProgress,
+        @ks2ReadingHigher, @ks2MathsHigher, @ks2WritingHigher,
+        @ks4Attainment8, @ks4Progress8, @ks4EbaccEntry, @ks4EbaccAvg, @ks4Grade5EnMa, @ks4Subjects,
+        @ks5AveragePointScore, @ks5AabOrHigher, @ks5Subjects, @ks5Vocational, @ks5Destinations, @source)
+    `),
+    insertAdmissions: db.prepare(`
+      INSERT INTO school_admissions (school_urn, year, capacity, offers, applications_total, applications_first,
+        applications_second, applications_third, oversubscribed, last_distance_offered, catchment_official_radius,
+        catchment_effective_radius, catchment_history, criteria, appeals_lodged, appeals_successful, open_days,
+        application_deadline, data_source)
+      VALUES (@urn, @year, @capacity, @offers, @total, @first, @second, @third, @oversubscribed, @lastDistanceOffered,
+        @officialRadius, @effectiveRadius, @history, @criteria, @appealsLodged, @appealsSuccessful, @openDays,
+        @applicationDeadline, @source)
+    `),
+    insertDemographics: db.prepare(`
+      INSERT INTO school_demographics (school_urn, fsm_percent, eal_percent, sen_percent, ethnicities, data_source)
+      VALUES (@urn, @fsmPercent, @ealPercent, @senPercent, @ethnicities, @source)
+    `),
+    insertOfsted: db.prepare(`
+      INSERT INTO school_ofsted (school_urn, rating, inspection_date, previous_rating, previous_date, report_url, parent_view, data_source)
+      VALUES (@urn, @rating, @date, @previousRating, @previousDate, @report, @parentView, @source)
+    `),
+    insertContact: db.prepare(`
+      INSERT INTO school_contact (school_urn, phone, email, headteacher, data_source)
+      VALUES (@urn, @phone, @email, @headteacher, @source)
+    `),
+    insertFinances: db.prepare(`
+      INSERT INTO school_finances (school_urn, total_income, per_pupil_funding, teacher_count, pupil_teacher_ratio, data_source)
+      VALUES (@urn, @totalIncome, @perPupilFunding, @teacherCount, @pupilTeacherRatio, @source)
+    `),
+  };
+}
+
+function loadSchool(stmts, s) {
+  const urn = String(s.urn);
+
+  stmts.upsertSchool.run({
+    urn,
+    name: s.name,
+    borough: s.borough,
+    region: s.region || "London",
+    phase: s.phase || null,
+    type: s.type || null,
+    gender: s.gender || "Mixed",
+    religiousCharacter: s.religiousCharacter || "None",
+    ofstedRating: s.ofstedRating || null,
+    ageRange: s.ageRange || null,
+    pupils: s.pupils ?? null,
+    address: s.address || null,
+    postcode: s.postcode || null,
+    lat: s.lat ?? null,
+    lng: s.lng ?? null,
+    hasSixthForm: s.hasSixthForm ? 1 : 0,
+    fundingType: s.fundingType || null,
+    sector: s.sector || "State",
+    website: s.website || null,
+  });
+
+  loadSections(stmts, urn, s);
+}
+
+// Replaces the school's child rows with the record's sections.
+function loadSections(stmts, urn, s) {
+  const sources = s._dataSources || {};
+  stmts.clearChildren.forEach((stmt) => stmt.run(urn));
+
+  const p = s.performance;
+  if (p && (p.ks2 || p.ks4 || p.ks5)) {
+    const ks2 = p.ks2 || {}, ks4 = p.ks4 || {}, ks5 = p.ks5 || {};
+    stmts.insertPerformance.run({
+      urn,
+      year: ks2.year || ks4.year || ks5.year || p.year || null,
+      ks2ReadingExpected: ks2.readingExpected ?? null,
+      ks2MathsExpected: ks2.mathsExpected ?? null,
+      ks2WritingExpected: ks2.writingExpected ?? null,
+      ks2GpsExpected: ks2.gpsExpected ?? null,
+      ks2CombinedExpected: ks2.combinedExpected ?? null,
+      ks2ReadingProgress: ks2.readingProgress ?? null,
+      ks2MathsProgress: ks2.mathsProgress ?? null,
+      ks2WritingProgress: ks2.writingProgress ?? null,
+      ks2ReadingHigher: ks2.readingHigher ?? null,
+      ks2MathsHigher: ks2.mathsHigher ?? null,
+      ks2WritingHigher: ks2.writingHigher ?? null,
+      ks4Attainment8: ks4.attainment8 ?? null,
+      ks4Progress8: ks4.progress8 ?? null,
+      ks4EbaccEntry: ks4.ebacc_entry ?? null,
+      ks4EbaccAvg: ks4.ebacc_avg ?? null,
+      ks4Grade5EnMa: ks4.grade5EnMa ?? null,
+      ks4Subjects: json(ks4.subjects),
+      ks5AveragePointScore: ks5.averagePointScore ?? null,
+      ks5AabOrHigher: ks5.aabOrHigher ?? null,
+      ks5Subjects: json(ks5.subjects),
+      ks5Vocational: json(ks5.vocational),
+      ks5Destinations: json(ks5.destinations),
+      source: sources.performance || null,
+    });
+  }
+
+  const a = s.admissions;
+  if (a) {
+    stmts.insertAdmissions.run({
+      urn,
+      year: a.year || null,
+      capacity: a.capacity ?? null,
+      offers: a.offers ?? null,
+      total: a.applications?.total ?? null,
+      first: a.applications?.first ?? null,
+      second: a.applications?.second ?? null,
+      third: a.applications?.third ?? null,
+      oversubscribed: bool(a.oversubscribed) ?? 0,
+      lastDistanceOffered: a.lastDistanceOffered ?? null,
+      officialRadius: a.catchment?.officialRadius ?? null,
+      effectiveRadius: a.catchment?.effectiveRadius ?? null,
+      history: json(a.catchment?.history),
+      criteria: json(a.criteria),
+      appealsLodged: a.appeals?.lodged ?? null,
+      appealsSuccessful: a.appeals?.successful ?? null,
+      openDays: json(a.openDays),
+      applicationDeadline: a.applicationDeadline || null,
+      source: sources.admissions || null,
+    });
+  }
+
+  const d = s.demographics;
+  if (d) {
+    stmts.insertDemographics.run({
+      urn,
+      fsmPercent: d.fsmPercent ?? null,
+      ealPercent: d.ealPercent ?? null,
+      senPercent: d.senPercent ?? null,
+      ethnicities: json(d.ethnicities),
+      source: sources.demographics || null,
+    });
+  }
+
+  const o = s.ofsted;
+  if (o) {
+    stmts.insertOfsted.run({
+      urn,
+      rating: o.rating || null,
+      date: o.date || null,
+      previousRating: o.previousRating || null,
+      previousDate: o.previousDate || null,
+      report: o.report || null,
+      parentView: json(o.parentView),
+      source: sources.ofsted || null,
+    });
+  }
+
+  const c = s.contact;
+  if (c) {
+    stmts.insertContact.run({
+      urn,
+      phone: c.phone || null,
+      email: c.email || null,
+      headteacher: c.headteacher || null,
+      source: sources.contact || null,
+    });
+  }
+
+  const f = s.finances;
+  if (f) {
+    stmts.insertFinances.run({
+      urn,
+      totalIncome: f.totalIncome ?? null,
+      perPupilFunding: f.perPupilFunding ?? null,
+      teacherCount: f.teacherCount ?? null,
+      pupilTeacherRatio: f.pupilTeacherRatio ?? null,
+      source: sources.finances || null,
+    });
+  }
+}
+
+/**
+ * Upsert enriched schools into the database in one transaction.
+ * Records without a URN cannot be keyed and are skipped.
+ * Returns { loaded, skipped }.
+ */
+function loadSchools(schools, { dbPath } = {}) {
+  const db = openDatabase(dbPath);
+  try {
+    const stmts = prepareStatements(db);
+    const keyed = schools.filter((s) => s.urn);
+    db.transaction((rows) => {
+      for (const s of rows) loadSchool(stmts, s);
+    })(keyed);
+    return { loaded: keyed.length, skipped: schools.length - keyed.length };
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Replace the sections of schools already in the database, leaving their base
+ * rows as they are (db/init.js seeds those). Records for unknown URNs are
+ * skipped. Returns { loaded, skipped }.
+ */
+function loadSchoolSections(schools, { dbPath } = {}) {
+  const db = openDatabase(dbPath);
+  try {
+    const stmts = prepareStatements(db);
+    const exists = db.prepare("SELECT 1 FROM schools WHERE urn = ?");
+    const known = schools.filter((s) => s.urn && exists.get(String(s.urn)));
+    db.transaction((rows) => {
+      for (const s of rows) loadSections(stmts, String(s.urn), s);
+    })(known);
+    return { loaded: known.length, skipped: schools.length - known.length };
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = { loadSchools, loadSchoolSections };
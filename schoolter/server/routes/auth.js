@@ -1,7 +1,32 @@
 const express = require("express");
 const router = express.Router();
 const authService = require("../services/auth");
-const { authLimiter, requireAuth, sanitize, validateEmail, validatePassword } = require("../middleware/security");
+const twoFactor = require("../services/twoFactor");
+const sso = require("../services/sso");
+const impersonation = require("../services/impersonation");
+const {
+  authLimiter, requireAuth, requireSession, optionalAuth, sanitize, validateEmail, validatePassword,
+  REFRESH_COOKIE, wantsCookies, setAccessCookie, setAuthCookies, clearAuthCookies,
+} = require("../middleware/security");
+
+const clientInfo = (req) => ({ ip: req.ip, userAgent: req.get("user-agent") });
+
+// Cookie-mode clients get the token pair as HttpOnly cookies; bearer clients in the body.
+function sendTokens(req, res, { token, refreshToken, ...rest }, status = 200) {
+  if (wantsCookies(req)) {
+    setAuthCookies(res, { token, refreshToken });
+    return res.status(status).json(rest);
+  }
+  res.status(status).json({ token, refreshToken, ...rest });
+}
+
+// Throttled (429) and locked (423) logins say when to come back; suspended
+// accounts (403) get a code the client can show a message for.
+function sendLoginError(res, err) {
+  if (!err.retryAfter) return res.status(err.status || 500).json({ error: err.message, ...(err.code ? { code: err.code } : {}) });
+  res.set("Retry-After", String(err.retryAfter));
+  res.status(err.status).json({ error: err.message, code: err.code, retryAfter: err.retryAfter });
+}
 
 // POST /api/auth/register
 router.post("/register", authLimiter, (req, res) => {
@@ -13,9 +38,9 @@ router.post("/register", authLimiter, (req, res) => {
     if (!validateEmail(email)) return res.status(400).json({ error: "Invalid email address" });
     if (!validatePassword(password)) return res.status(400).json({ error: "Password must be 8-128 characters" });
 
-    const result = authService.register({ email, password, name });
+    const result = authService.register({ email, password, name }, clientInfo(req));
     authService.logAudit(result.user.id, "register", null, req.ip);
-    res.status(201).json(result);
+    sendTokens(req, res, result, 201);
   } catch (err) {
     res.status(err.status || 500).json({ error: err.message });
   }
@@ -30,32 +55,114 @@ router.post("/login", authLimiter, (req, res) => {
     if (!validateEmail(email)) return res.status(400).json({ error: "Invalid email address" });
     if (!password) return res.status(400).json({ error: "Password is required" });
 
-    const result = authService.login({ email, password });
+    const result = authService.login({ email, password }, clientInfo(req));
+    if (result.mfaRequired) {
+      authService.logAudit(result.userId, "login_2fa_challenge", null, req.ip);
+      return res.json({ mfaRequired: true, mfaToken: result.mfaToken });
+    }
     authService.logAudit(result.user.id, "login", null, req.ip);
-    res.json(result);
+    sendTokens(req, res, { ...result, twoFactorSetupRequired: twoFactor.isRequired(result.user) && !result.user.twoFactorEnabled });
+  } catch (err) {
+    sendLoginError(res, err);
+  }
+});
+
+// POST /api/auth/login/2fa — second login step: { mfaToken, code } or { mfaToken, recoveryCode }
+router.post("/login/2fa", authLimiter, (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) return res.status(400).json({ error: "Authentication code is required" });
+
+    const { method, ...result } = authService.completeLogin({ mfaToken, code, recoveryCode }, clientInfo(req));
+    authService.logAudit(result.user.id, "login", JSON.stringify({ secondFactor: method }), req.ip);
+    sendTokens(req, res, result);
   } catch (err) {
+    sendLoginError(res, err);
+  }
+});
+
+// POST /api/auth/refresh — rotate the refresh token and issue a new access token.
+// Takes the refresh token from the body (bearer clients) or its cookie.
+router.post("/refresh", authLimiter, (req, res) => {
+  const fromCookie = !req.body.refreshToken && req.cookies[REFRESH_COOKIE];
+  try {
+    const result = authService.refreshSession(req.body.refreshToken || req.cookies[REFRESH_COOKIE], clientInfo(req));
+    impersonation.endForSession(authService.verifyToken(result.token).sid, "expired", req.ip);
+    if (fromCookie) req.authVia = "cookie";
+    sendTokens(req, res, result);
+  } catch (err) {
+    if (fromCookie) clearAuthCookies(res);
     res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-// POST /api/auth/logout
-router.post("/logout", requireAuth, (req, res) => {
-  authService.logAudit(req.user.id, "logout", null, req.ip);
+// POST /api/auth/logout — revoke the current session. Works with an expired
+// access token too, as long as the refresh token is sent in the body.
+router.post("/logout", optionalAuth, (req, res) => {
+  const refreshToken = req.body.refreshToken || req.cookies[REFRESH_COOKIE];
+  // While impersonating, the session (and the sign-out) is the admin's
+  const session = req.sessionId
+    ? { id: req.sessionId, user_id: req.impersonation ? req.impersonation.admin.id : req.user.id }
+    : refreshToken && authService.validateSession(refreshToken);
+  if (req.impersonation) impersonation.end(req.impersonation.id, "logout", req.ip);
+  clearAuthCookies(res);
+  if (session) {
+    authService.revokeSessionById(session.id);
+    authService.logAudit(session.user_id, "logout", null, req.ip);
+  }
   res.json({ ok: true });
 });
 
-// GET /api/auth/me
+// GET /api/auth/me — while impersonating, `impersonatedBy` names the admin
 router.get("/me", requireAuth, (req, res) => {
-  res.json({ user: req.user });
+  res.json({ user: req.impersonation ? { ...req.user, impersonatedBy: req.impersonation.admin } : req.user });
+});
+
+// POST /api/auth/impersonation/end — back to the admin's own account
+router.post("/impersonation/end", requireAuth, (req, res) => {
+  try {
+    if (!req.impersonation) return res.status(400).json({ error: "You aren't viewing as another user" });
+    const row = impersonation.end(req.impersonation.id, "ended", req.ip);
+    const token = authService.signToken(row.admin_id, row.session_id);
+    const user = authService.getPublicUser(row.admin_id);
+    if (wantsCookies(req)) {
+      setAccessCookie(res, token);
+      return res.json({ user });
+    }
+    res.json({ token, user });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/auth/verify-email — confirm the address from the emailed link
+router.post("/verify-email", authLimiter, (req, res) => {
+  try {
+    if (!req.body.token) return res.status(400).json({ error: "Token is required" });
+    const userId = authService.verifyEmail(req.body.token);
+    authService.logAudit(userId, "verify_email", null, req.ip);
+    res.json({ message: "Email verified", user: authService.getPublicUser(userId) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/auth/resend-verification
+router.post("/resend-verification", requireAuth, authLimiter, (req, res) => {
+  try {
+    authService.sendVerificationEmail(req.user.id);
+    res.json({ message: `Verification email sent to ${req.user.email}` });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
 // POST /api/auth/forgot-password
 router.post("/forgot-password", authLimiter, (req, res) => {
   const email = sanitize(req.body.email);
   if (!validateEmail(email)) return res.status(400).json({ error: "Invalid email" });
-  const token = authService.requestPasswordReset(email);
-  // In production, never return the token — send it by email.
-  res.json({ message: "If that email exists, a reset link has been sent.", ...(process.env.NODE_ENV !== "production" ? { devToken: token } : {}) });
+  authService.requestPasswordReset(email);
+  res.json({ message: "If that email exists, a reset link has been sent." });
 });
 
 // POST /api/auth/reset-password
@@ -64,7 +171,8 @@ router.post("/reset-password", authLimiter, (req, res) => {
     const { token, newPassword } = req.body;
     if (!token) return res.status(400).json({ error: "Token is required" });
     if (!validatePassword(newPassword)) return res.status(400).json({ error: "Password must be 8-128 characters" });
-    authService.resetPassword({ token, newPassword });
+    const userId = authService.resetPassword({ token, newPassword });
+    authService.logAudit(userId, "reset_password", null, req.ip);
     res.json({ message: "Password has been reset" });
   } catch (err) {
     res.status(err.status || 500).json({ error: err.message });
@@ -72,23 +180,103 @@ router.post("/reset-password", authLimiter, (req, res) => {
 });
 
 // POST /api/auth/change-password
-router.post("/change-password", requireAuth, (req, res) => {
+router.post("/change-password", requireAuth, requireSession, (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
     if (!validatePassword(newPassword)) return res.status(400).json({ error: "New password must be 8-128 characters" });
 
-    // Verify current password by attempting login
-    const db = require("../db/connection");
-    const bcrypt = require("bcryptjs");
-    const user = db.prepare("SELECT * FROM users WHERE id = ?").get(req.user.id);
-    if (!bcrypt.compareSync(currentPassword, user.password_hash)) {
-      return res.status(401).json({ error: "Current password is incorrect" });
-    }
-
-    const hash = bcrypt.hashSync(newPassword, 12);
-    db.prepare("UPDATE users SET password_hash = ?, updated_at = datetime('now') WHERE id = ?").run(hash, req.user.id);
+    // Signs out every other device; the caller continues on the returned tokens
+    const tokens = authService.changePassword(req.user.id, { currentPassword, newPassword }, clientInfo(req));
     authService.logAudit(req.user.id, "change_password", null, req.ip);
-    res.json({ message: "Password changed" });
+    sendTokens(req, res, { message: "Password changed", ...tokens });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── Single sign-on ─────────────────────────────────────────
+// POST /api/auth/sso/start — { email }; returns the identity provider URL to send the browser to
+router.post("/sso/start", authLimiter, async (req, res) => {
+  try {
+    const email = sanitize(req.body.email);
+    if (!validateEmail(email)) return res.status(400).json({ error: "Invalid email address" });
+    res.json({ url: await sso.startLogin(email) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message, ...(err.code ? { code: err.code } : {}) });
+  }
+});
+
+// GET /api/auth/sso/callback — the provider redirects here. Always a browser,
+// so the session goes into cookies and the app picks it up at /sso/complete.
+// SSO sign-ins skip Schoolter's own 2FA; the identity provider owns that step.
+router.get("/sso/callback", authLimiter, async (req, res) => {
+  try {
+    const param = (name) => (typeof req.query[name] === "string" ? req.query[name] : undefined);
+    const result = await sso.completeLogin({
+      code: param("code"), state: param("state"), error: param("error"), errorDescription: param("error_description"),
+    });
+    authService.assertActive(result.userId);
+    setAuthCookies(res, authService.issueTokens(result.userId, req.ip, req.get("user-agent")));
+    authService.logAudit(result.userId, "login", JSON.stringify({
+      method: "sso", orgId: result.orgId, created: result.created, joined: result.joined,
+    }), req.ip);
+    res.redirect("/sso/complete");
+  } catch (err) {
+    res.redirect(`/sso/complete?error=${encodeURIComponent(err.message)}`);
+  }
+});
+
+// ── Two-factor authentication ──────────────────────────────
+// GET /api/auth/2fa — enrollment status for the current user
+router.get("/2fa", requireAuth, requireSession, (req, res) => {
+  try {
+    res.json({ twoFactor: twoFactor.getStatus(req.user.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/auth/2fa/setup — new secret and otpauth:// URI; not active until confirmed
+router.post("/2fa/setup", requireAuth, requireSession, (req, res) => {
+  try {
+    res.json(twoFactor.beginEnrollment(req.user.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/auth/2fa/enable — confirm setup with a code; returns recovery codes once
+router.post("/2fa/enable", requireAuth, requireSession, authLimiter, (req, res) => {
+  try {
+    const recoveryCodes = twoFactor.enable(req.user.id, req.body.code);
+    authService.logAudit(req.user.id, "enable_2fa", null, req.ip);
+    res.json({ recoveryCodes, user: authService.getPublicUser(req.user.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/auth/2fa/disable — needs the password and a code or recovery code
+router.post("/2fa/disable", requireAuth, requireSession, authLimiter, (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    twoFactor.disable(req.user.id, { password, code, recoveryCode });
+    authService.logAudit(req.user.id, "disable_2fa", null, req.ip);
+    res.json({ user: authService.getPublicUser(req.user.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes — replace recovery codes; needs a current code
+router.post("/2fa/recovery-codes", requireAuth, requireSession, authLimiter, (req, res) => {
+  try {
+    if (!twoFactor.check(req.user.id, { code: req.body.code })) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+    const recoveryCodes = twoFactor.regenerateRecoveryCodes(req.user.id);
+    authService.logAudit(req.user.id, "regenerate_recovery_codes", null, req.ip);
+    res.json({ recoveryCodes });
   } catch (err) {
     res.status(err.status || 500).json({ error: err.message });
   }
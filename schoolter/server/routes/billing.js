@@ -1,60 +1,246 @@
 const express = require("express");
 const router = express.Router();
-const stripe = require("../services/stripe");
-const { requireAuth, requireRole } = require("../middleware/security");
+const billing = require("../services/billing");
+const stripeEvents = require("../services/stripeEvents");
+const coupons = require("../services/coupons");
+const trials = require("../services/trials");
+const { PLAN_RANK } = require("../services/organisations");
+const { logAudit } = require("../services/auth");
+const { requireAuth, requireRole, requirePermission, requireVerifiedEmail } = require("../middleware/security");
 
 // GET /api/billing/plans
 router.get("/plans", (req, res) => {
-  res.json({ plans: stripe.listPlans() });
+  res.json({ plans: billing.listPlans() });
 });
 
-// POST /api/billing/checkout — create Stripe checkout session
-router.post("/checkout", requireAuth, async (req, res) => {
+// Nothing to buy or try when the organisation already provides this plan or better
+function orgProvides(req, res, plan) {
+  const org = req.user.organisation;
+  if (!org || PLAN_RANK[org.plan] < PLAN_RANK[plan]) return false;
+  res.status(409).json({ error: `Your ${billing.getPlanDetails(org.plan).name} plan is provided by ${org.name}` });
+  return true;
+}
+
+// POST /api/billing/checkout — create a checkout session with the billing provider
+router.post("/checkout", requireAuth, requireVerifiedEmail("requireVerifiedEmailForCheckout"), async (req, res) => {
   try {
-    const { plan, interval } = req.body; // plan: 'pro'|'enterprise', interval: 'monthly'|'yearly'
+    const { plan, interval, code } = req.body; // plan: 'pro'|'enterprise', interval: 'monthly'|'yearly', code: optional promo code
     if (!["pro", "enterprise"].includes(plan)) return res.status(400).json({ error: "Invalid plan" });
     if (!["monthly", "yearly"].includes(interval)) return res.status(400).json({ error: "Invalid interval" });
+    if (orgProvides(req, res, plan)) return;
+    // A second checkout would leave the first subscription billing alongside it
+    if (billing.getSubscription(req.user.id)) {
+      return res.status(409).json({
+        error: "You already have a subscription. Change it with POST /api/billing/subscription/change instead.",
+        code: "subscription_exists",
+      });
+    }
 
-    const session = await stripe.createCheckoutSession(req.user.id, plan, interval);
+    const session = await billing.createCheckoutSession(req.user.id, plan, interval, code);
     res.json(session);
   } catch (err) {
-    res.status(err.status || 500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message, ...(err.code ? { code: err.code } : {}) });
+  }
+});
+
+// POST /api/billing/trial — start the free Pro trial, no card needed
+router.post("/trial", requireAuth, requireVerifiedEmail("requireVerifiedEmailForCheckout"), (req, res) => {
+  try {
+    if (orgProvides(req, res, "pro")) return;
+    const trialEndsAt = trials.startTrial(req.user.id);
+    res.json({ ok: true, plan: "pro", trialEndsAt });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message, ...(err.code ? { code: err.code } : {}) });
+  }
+});
+
+// POST /api/billing/coupons/validate — check a promo code before checkout
+router.post("/coupons/validate", requireAuth, (req, res) => {
+  try {
+    const { code, plan } = req.body;
+    const { code: normalized, summary, description } = coupons.toCoupon(coupons.findRedeemable(code, req.user.id, plan));
+    res.json({ code: normalized, summary, description });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message, ...(err.code ? { code: err.code } : {}) });
   }
 });
 
-// POST /api/billing/portal — create Stripe customer portal session
+// POST /api/billing/portal — create a customer portal session
 router.post("/portal", requireAuth, async (req, res) => {
   try {
-    const session = await stripe.createPortalSession(req.user.id);
+    const session = await billing.createPortalSession(req.user.id);
     res.json(session);
   } catch (err) {
     res.status(err.status || 500).json({ error: err.message });
   }
 });
 
+// ── Subscription ───────────────────────────────────────────
+// GET /api/billing/subscription — the user's own subscription, or null
+router.get("/subscription", requireAuth, (req, res) => {
+  try {
+    res.json({ subscription: billing.getSubscription(req.user.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/billing/subscription/preview { plan, interval } — what a change would charge, and when
+router.post("/subscription/preview", requireAuth, async (req, res) => {
+  try {
+    res.json({ preview: await billing.previewSubscriptionChange(req.user.id, req.body.plan, req.body.interval) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/billing/subscription/change { plan, interval } — upgrades now, downgrades at period end
+router.post("/subscription/change", requireAuth, async (req, res) => {
+  try {
+    const from = billing.getSubscription(req.user.id);
+    const { plan, interval } = req.body;
+    const result = await billing.changeSubscription(req.user.id, plan, interval);
+    logAudit(req.user.id, result.effective === "now" ? "subscription_changed" : "subscription_change_scheduled",
+      JSON.stringify({ from: { plan: from.plan, interval: from.interval }, to: { plan, interval } }), req.ip);
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/billing/subscription/change — drop a scheduled change and keep the current plan
+router.delete("/subscription/change", requireAuth, async (req, res) => {
+  try {
+    const subscription = await billing.cancelScheduledChange(req.user.id);
+    logAudit(req.user.id, "subscription_change_canceled", null, req.ip);
+    res.json({ subscription });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/billing/subscription/cancel — end the subscription when the paid period runs out
+router.post("/subscription/cancel", requireAuth, async (req, res) => {
+  try {
+    const subscription = await billing.setRenewal(req.user.id, false);
+    logAudit(req.user.id, "subscription_cancel_scheduled", JSON.stringify({ endsAt: subscription.currentPeriodEnd }), req.ip);
+    res.json({ subscription });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/billing/subscription/resume — renew after all
+router.post("/subscription/resume", requireAuth, async (req, res) => {
+  try {
+    const subscription = await billing.setRenewal(req.user.id, true);
+    logAudit(req.user.id, "subscription_resumed", null, req.ip);
+    res.json({ subscription });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // GET /api/billing/invoices
 router.get("/invoices", requireAuth, (req, res) => {
-  const invoices = stripe.getInvoices(req.user.id);
+  const invoices = billing.getInvoices(req.user.id);
   res.json({ invoices });
 });
 
-// POST /api/billing/webhook — Stripe webhook (raw body required)
+// GET /api/billing/users/:userId/invoices — staff view of a user's invoices
+router.get("/users/:userId/invoices", requireAuth, requirePermission("billing.refund"), (req, res) => {
+  res.json({ invoices: billing.getInvoices(req.params.userId) });
+});
+
+// POST /api/billing/invoices/:id/refund — refund a paid invoice in full
+router.post("/invoices/:id/refund", requireAuth, requirePermission("billing.refund"), async (req, res) => {
+  try {
+    const refund = await billing.refundInvoice(req.params.id);
+    logAudit(req.user.id, "admin_refund_invoice", JSON.stringify(refund), req.ip);
+    res.json({ ok: true, refund });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/billing/webhook — billing provider webhook (raw body required)
 router.post("/webhook", express.raw({ type: "application/json" }), (req, res) => {
-  const stripeInstance = stripe.getStripe();
-  if (!stripeInstance) return res.status(503).json({ error: "Stripe not configured" });
+  let event;
+  try {
+    event = billing.requireProvider().constructEvent(req.body, req.headers);
+  } catch (err) {
+    if (err.status !== 400) return res.status(err.status || 500).json({ error: err.message });
+    console.error("Webhook signature verification failed:", err.message);
+    return res.status(400).json({ error: "Webhook signature verification failed" });
+  }
 
-  const sig = req.headers["stripe-signature"];
-  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  // Once stored, the event is ours to retry, so a failure is still acknowledged
+  try {
+    const { duplicate } = stripeEvents.receive(event);
+    res.json({ received: true, ...(duplicate ? { duplicate } : {}) });
+  } catch (err) {
+    console.error("Webhook event could not be stored:", err.message);
+    res.status(500).json({ error: "Webhook event could not be stored" });
+  }
+});
 
-  if (!webhookSecret) return res.status(500).json({ error: "Webhook secret not configured" });
+// ── Promo codes (staff) ────────────────────────────────────
+// GET /api/billing/coupons
+router.get("/coupons", requireAuth, requirePermission("coupons.manage"), (req, res) => {
+  res.json({ coupons: coupons.list() });
+});
 
+// POST /api/billing/coupons { code, percentOff | amountOffCents, duration, durationMonths, plans, maxRedemptions, expiresAt, description }
+router.post("/coupons", requireAuth, requirePermission("coupons.manage"), (req, res) => {
   try {
-    const event = stripeInstance.webhooks.constructEvent(req.body, sig, webhookSecret);
-    stripe.handleWebhookEvent(event);
-    res.json({ received: true });
+    const coupon = coupons.create(req.user.id, req.body);
+    logAudit(req.user.id, "admin_create_coupon", JSON.stringify({ couponId: coupon.id, code: coupon.code, summary: coupon.summary }), req.ip);
+    res.status(201).json({ coupon });
   } catch (err) {
-    console.error("Webhook signature verification failed:", err.message);
-    res.status(400).json({ error: "Webhook signature verification failed" });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/billing/coupons/:id { active, description, maxRedemptions, expiresAt }
+router.patch("/coupons/:id", requireAuth, requirePermission("coupons.manage"), (req, res) => {
+  try {
+    const coupon = coupons.update(req.params.id, req.body);
+    const changes = Object.fromEntries(["active", "description", "maxRedemptions", "expiresAt"]
+      .filter((k) => req.body[k] !== undefined).map((k) => [k, req.body[k]]));
+    logAudit(req.user.id, "admin_update_coupon", JSON.stringify({ couponId: coupon.id, code: coupon.code, changes }), req.ip);
+    res.json({ coupon });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── Webhook events (staff) ─────────────────────────────────
+// GET /api/billing/events?status=failed&type=invoice.paid&limit=50
+router.get("/events", requireAuth, requirePermission("billing.write"), (req, res) => {
+  try {
+    res.json({ events: stripeEvents.list(req.query) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// GET /api/billing/events/:id — one event with its payload
+router.get("/events/:id", requireAuth, requirePermission("billing.write"), (req, res) => {
+  try {
+    res.json({ event: stripeEvents.get(req.params.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/billing/events/:id/replay — apply a stored event again
+router.post("/events/:id/replay", requireAuth, requirePermission("billing.write"), (req, res) => {
+  try {
+    const event = stripeEvents.replay(req.params.id);
+    logAudit(req.user.id, "admin_replay_stripe_event", JSON.stringify({ eventId: event.id, type: event.type, status: event.status, outcome: event.outcome }), req.ip);
+    res.json({ event });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -0,0 +1,157 @@
+/**
+ * Checkout and portal pages of the fake billing provider (services/billingFake.js).
+ * Mounted at /fake-billing only while that provider is in use.
+ *
+ * Session ids in the URLs are unguessable and are the only credential, as
+ * with Stripe's hosted pages.
+ */
+const express = require("express");
+const router = express.Router();
+const fake = require("../services/billingFake");
+
+router.use(express.urlencoded({ extended: false }));
+
+function esc(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function money(cents) {
+  return `£${(cents / 100).toFixed(2)}`;
+}
+
+function date(seconds) {
+  return new Date(seconds * 1000).toLocaleDateString("en-GB", { day: "numeric", month: "short", year: "numeric" });
+}
+
+function page(res, title, body, status = 200) {
+  res.status(status).send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${esc(title)} — Fake billing</title>
+  <link rel="stylesheet" href="/css/style.css">
+</head>
+<body>
+  <div class="page-container" style="max-width:560px">
+    <p class="text-muted text-sm">Fake billing provider — no real payment is taken.</p>
+    <div class="card">
+      <h2>${esc(title)}</h2>
+      ${body}
+    </div>
+  </div>
+</body>
+</html>`);
+}
+
+function fail(res, err) {
+  page(res, "Something went wrong", `<p>${esc(err.message)}</p>`, err.status || 500);
+}
+
+// ── Checkout ───────────────────────────────────────────────
+router.get("/checkout/:id", (req, res) => {
+  const session = fake.find("checkout.session", req.params.id);
+  if (!session) return page(res, "Checkout not found", "<p>This checkout link is invalid.</p>", 404);
+  if (session.status === "expired") {
+    return page(res, "Checkout expired", `<p>This checkout has expired. <a href="${esc(session.cancel_url)}">Back to Schoolter</a></p>`, 410);
+  }
+  if (session.status !== "open") {
+    return page(res, "Checkout complete", `<p><a href="${esc(session.cancel_url)}">Back to Schoolter</a></p>`);
+  }
+
+  const subtotal = session.unit_amount * session.quantity;
+  const coupon = session.coupon && fake.find("coupon", session.coupon);
+  const discount = !coupon ? 0
+    : Math.min(subtotal, coupon.percent_off ? Math.round(subtotal * coupon.percent_off / 100) : coupon.amount_off);
+  const total = subtotal - discount;
+  page(res, `Subscribe to ${session.metadata.plan}`, `
+    <p>${session.quantity > 1 ? `${session.quantity} seats × ${money(session.unit_amount)}` : money(session.unit_amount)}
+      per ${session.interval === "yearly" ? "year" : "month"}</p>
+    ${coupon ? `<p>${esc(coupon.name)}: −${money(discount)}</p>` : ""}
+    <p><strong>Due today: ${money(total)}</strong></p>
+    <form method="post" action="/fake-billing/checkout/${esc(session.id)}/pay" style="display:flex;gap:8px">
+      <button class="btn btn-primary">Pay ${money(total)}</button>
+      <a class="btn btn-outline" href="${esc(session.cancel_url)}">Cancel</a>
+    </form>
+  `);
+});
+
+router.post("/checkout/:id/pay", async (req, res) => {
+  try {
+    res.redirect(303, await fake.completeCheckout(req.params.id));
+  } catch (err) {
+    fail(res, err);
+  }
+});
+
+// ── Portal ─────────────────────────────────────────────────
+const ACTIONS = {
+  "cancel-at-period-end": { label: "Cancel at period end", run: (id) => fake.setCancelAtPeriodEnd(id, true) },
+  resume: { label: "Resume renewal", run: (id) => fake.setCancelAtPeriodEnd(id, false) },
+  renew: { label: "Renew now", run: fake.renew },
+  "fail-payment": { label: "Fail the next payment", run: fake.failPayment },
+  cancel: { label: "Cancel now", run: fake.cancelSubscription },
+};
+
+function portalSession(req) {
+  const session = fake.find("billing_portal.session", req.params.id);
+  if (!session || session.expires_at < Date.now() / 1000) {
+    throw Object.assign(new Error("This portal link is invalid or has expired."), { status: 404 });
+  }
+  return session;
+}
+
+function subscriptionActions(sub) {
+  if (sub.status === "canceled") return [];
+  return [
+    sub.cancel_at_period_end ? "resume" : "cancel-at-period-end",
+    "renew",
+    ...(sub.status === "past_due" ? [] : ["fail-payment"]),
+    "cancel",
+  ];
+}
+
+router.get("/portal/:id", (req, res) => {
+  let session;
+  try {
+    session = portalSession(req);
+  } catch (err) {
+    return fail(res, err);
+  }
+
+  const subs = fake.listSubscriptions(session.customer);
+  page(res, "Manage subscription", `
+    ${subs.length ? subs.map((sub) => `
+      <div style="border-top:1px solid #e5e7eb;padding:12px 0">
+        <p><strong>${esc(sub.metadata.plan)}</strong> (${esc(sub.metadata.interval)})${sub.items.data[0].quantity > 1 ? ` × ${sub.items.data[0].quantity}` : ""}
+          — ${esc(sub.status.replace("_", " "))}</p>
+        <p class="text-muted text-sm">${sub.status === "canceled" ? `Ended ${date(sub.canceled_at)}`
+          : `${sub.cancel_at_period_end ? "Ends" : "Renews"} ${date(sub.current_period_end)}`}${sub.scheduled_change && sub.status !== "canceled"
+          ? ` on ${esc(sub.scheduled_change.plan)} (${esc(sub.scheduled_change.interval)})` : ""}</p>
+        <div style="display:flex;flex-wrap:wrap;gap:8px">
+          ${subscriptionActions(sub).map((action) => `
+            <form method="post" action="/fake-billing/portal/${esc(session.id)}/subscriptions/${esc(sub.id)}/${action}">
+              <button class="btn btn-sm ${action === "cancel" ? "btn-danger" : "btn-outline"}">${ACTIONS[action].label}</button>
+            </form>`).join("")}
+        </div>
+      </div>`).join("") : "<p>No subscriptions.</p>"}
+    <p><a class="btn btn-primary" href="${esc(session.return_url)}">Back to Schoolter</a></p>
+  `);
+});
+
+router.post("/portal/:id/subscriptions/:subId/:action", async (req, res) => {
+  try {
+    const session = portalSession(req);
+    const action = ACTIONS[req.params.action];
+    const sub = fake.find("subscription", req.params.subId);
+    if (!action || !sub || sub.customer !== session.customer) {
+      throw Object.assign(new Error("Unknown subscription or action"), { status: 404 });
+    }
+    await action.run(sub.id);
+    res.redirect(303, `/fake-billing/portal/${session.id}`);
+  } catch (err) {
+    fail(res, err);
+  }
+});
+
+module.exports = router;
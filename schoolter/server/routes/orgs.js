@@ -0,0 +1,218 @@
+const express = require("express");
+const router = express.Router();
+const orgs = require("../services/organisations");
+const billing = require("../services/billing");
+const sso = require("../services/sso");
+const { logAudit } = require("../services/auth");
+const { requireAuth, requireSession, requireRole, requireVerifiedEmail, sanitize, validateEmail } = require("../middleware/security");
+
+const MAX_SEATS = 500;
+const owner = [requireAuth, requireRole("org:owner")];
+const member = [requireAuth, requireRole("org:owner", "org:member")];
+
+function parseSeats(value) {
+  const seats = Number(value);
+  return Number.isInteger(seats) && seats >= 1 && seats <= MAX_SEATS ? seats : null;
+}
+
+// Seats can't drop below the people already holding one.
+function assertSeatsCover(orgId, seats) {
+  const usage = orgs.seatUsage(orgId);
+  if (seats < usage.members + usage.pending) {
+    throw Object.assign(new Error(`${usage.members + usage.pending} seats are in use (members and pending invitations)`), { status: 400 });
+  }
+}
+
+// POST /api/orgs — create an organisation owned by the caller
+router.post("/", requireAuth, (req, res) => {
+  try {
+    const name = sanitize(req.body.name || "");
+    if (!name) return res.status(400).json({ error: "Organisation name is required" });
+
+    const organisation = orgs.createOrganisation(req.user.id, name);
+    logAudit(req.user.id, "create_organisation", JSON.stringify({ orgId: organisation.id }), req.ip);
+    res.status(201).json({ organisation });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/orgs/invitations/accept — join with an emailed invitation token
+router.post("/invitations/accept", requireAuth, (req, res) => {
+  try {
+    const orgId = orgs.acceptInvitation(req.body.token, req.user);
+    logAudit(req.user.id, "join_organisation", JSON.stringify({ orgId }), req.ip);
+    res.json({ organisation: orgs.getOrganisation(orgId) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message, ...(err.code ? { code: err.code } : {}) });
+  }
+});
+
+// GET /api/orgs/current — the caller's organisation; owners also see pending invitations
+router.get("/current", ...member, (req, res) => {
+  const orgId = req.user.organisation.id;
+  res.json({
+    organisation: orgs.getOrganisation(orgId),
+    members: orgs.listMembers(orgId),
+    invitations: req.user.organisation.role === "owner" ? orgs.listInvitations(orgId) : [],
+  });
+});
+
+// PATCH /api/orgs/current — rename
+router.patch("/current", ...owner, (req, res) => {
+  const name = sanitize(req.body.name || "");
+  if (!name) return res.status(400).json({ error: "Organisation name is required" });
+  res.json({ organisation: orgs.renameOrganisation(req.user.organisation.id, name) });
+});
+
+// DELETE /api/orgs/current — only once the subscription has been canceled
+router.delete("/current", ...owner, (req, res) => {
+  try {
+    const orgId = req.user.organisation.id;
+    orgs.deleteOrganisation(orgId);
+    logAudit(req.user.id, "delete_organisation", JSON.stringify({ orgId }), req.ip);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/orgs/current/leave — members only; the owner deletes the organisation instead
+router.post("/current/leave", requireAuth, requireRole("org:member"), (req, res) => {
+  try {
+    const orgId = req.user.organisation.id;
+    orgs.removeMember(orgId, req.user.id);
+    logAudit(req.user.id, "leave_organisation", JSON.stringify({ orgId }), req.ip);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/orgs/current/members/:userId
+router.delete("/current/members/:userId", ...owner, (req, res) => {
+  try {
+    const orgId = req.user.organisation.id;
+    orgs.removeMember(orgId, req.params.userId);
+    logAudit(req.user.id, "remove_org_member", JSON.stringify({ orgId, targetUser: req.params.userId }), req.ip);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/orgs/current/invitations — invite by email; takes a seat until accepted or revoked
+router.post("/current/invitations", ...owner, (req, res) => {
+  try {
+    const email = sanitize(req.body.email);
+    if (!validateEmail(email)) return res.status(400).json({ error: "Invalid email address" });
+
+    const orgId = req.user.organisation.id;
+    const invitationId = orgs.inviteMember(orgId, email, req.user);
+    logAudit(req.user.id, "invite_org_member", JSON.stringify({ orgId, email }), req.ip);
+    res.status(201).json({ id: invitationId, invitations: orgs.listInvitations(orgId) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message, ...(err.code ? { code: err.code } : {}) });
+  }
+});
+
+// DELETE /api/orgs/current/invitations/:id
+router.delete("/current/invitations/:id", ...owner, (req, res) => {
+  try {
+    orgs.revokeInvitation(req.user.organisation.id, req.params.id);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── Single sign-on ─────────────────────────────────────────
+// GET /api/orgs/current/sso — the identity provider connection, without its secret
+router.get("/current/sso", ...owner, (req, res) => {
+  res.json({ connection: sso.getConnection(req.user.organisation.id), redirectUri: sso.REDIRECT_URI });
+});
+
+// PUT /api/orgs/current/sso — { issuer, clientId, clientSecret?, domains: [...] }
+router.put("/current/sso", ...owner, requireSession, async (req, res) => {
+  try {
+    const orgId = req.user.organisation.id;
+    const { issuer, clientId, clientSecret, domains } = req.body;
+    const connection = await sso.saveConnection(orgId, req.user, {
+      issuer: typeof issuer === "string" ? issuer.trim() : "",
+      clientId: typeof clientId === "string" ? clientId.trim() : "",
+      clientSecret,
+      domains,
+    });
+    logAudit(req.user.id, "update_org_sso", JSON.stringify({ orgId, issuer: connection.issuer, domains: connection.domains }), req.ip);
+    res.json({ connection });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message, ...(err.code ? { code: err.code } : {}) });
+  }
+});
+
+// POST /api/orgs/current/sso/domains/:domain/verify — checks the domain's DNS TXT record
+router.post("/current/sso/domains/:domain/verify", ...owner, requireSession, async (req, res) => {
+  try {
+    const orgId = req.user.organisation.id;
+    const connection = await sso.verifyDomain(orgId, req.params.domain);
+    logAudit(req.user.id, "verify_org_sso_domain", JSON.stringify({ orgId, domain: req.params.domain.toLowerCase() }), req.ip);
+    res.json({ connection });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message, ...(err.code ? { code: err.code } : {}) });
+  }
+});
+
+// DELETE /api/orgs/current/sso — members go back to password sign-in
+router.delete("/current/sso", ...owner, requireSession, (req, res) => {
+  const orgId = req.user.organisation.id;
+  sso.deleteConnection(orgId);
+  logAudit(req.user.id, "delete_org_sso", JSON.stringify({ orgId }), req.ip);
+  res.json({ ok: true });
+});
+
+// ── Billing ────────────────────────────────────────────────
+// POST /api/orgs/current/checkout — Enterprise subscription with `seats` seats
+router.post("/current/checkout", ...owner, requireVerifiedEmail("requireVerifiedEmailForCheckout"), async (req, res) => {
+  try {
+    const { interval } = req.body;
+    const seats = parseSeats(req.body.seats);
+    if (!["monthly", "yearly"].includes(interval)) return res.status(400).json({ error: "Invalid interval" });
+    if (!seats) return res.status(400).json({ error: `Seats must be a whole number from 1 to ${MAX_SEATS}` });
+
+    const orgId = req.user.organisation.id;
+    if (["active", "trialing", "past_due"].includes(orgs.getOrganisation(orgId).subscriptionStatus)) {
+      return res.status(409).json({ error: "The organisation already has a subscription. Change its seats with PATCH /api/orgs/current/seats instead.", code: "subscription_exists" });
+    }
+    assertSeatsCover(orgId, seats);
+    res.json(await billing.createOrgCheckoutSession(orgId, interval, seats));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/orgs/current/portal — Stripe portal for the organisation's subscription
+router.post("/current/portal", ...owner, async (req, res) => {
+  try {
+    res.json(await billing.createOrgPortalSession(req.user.organisation.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/orgs/current/seats — change the subscription quantity
+router.patch("/current/seats", ...owner, async (req, res) => {
+  try {
+    const seats = parseSeats(req.body.seats);
+    if (!seats) return res.status(400).json({ error: `Seats must be a whole number from 1 to ${MAX_SEATS}` });
+
+    const orgId = req.user.organisation.id;
+    assertSeatsCover(orgId, seats);
+    await billing.updateOrgSeats(orgId, seats);
+    logAudit(req.user.id, "update_org_seats", JSON.stringify({ orgId, seats }), req.ip);
+    res.json({ organisation: orgs.getOrganisation(orgId) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
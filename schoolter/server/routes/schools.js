@@ -0,0 +1,79 @@
+const express = require("express");
+const router = express.Router();
+const schools = require("../services/schools");
+const { requireAuth, optionalAuth, meter } = require("../middleware/security");
+
+const MAX_COMPARE = 4;
+
+// What each metered request uses; repeats the same day are free (see services/usage.js).
+// A search is its filters and text: paging and re-sorting it isn't a new search.
+const LIST_VIEW_PARAMS = ["page", "limit", "sort"];
+const searchKey = (req) => JSON.stringify(Object.keys(req.query)
+  .filter((k) => !LIST_VIEW_PARAMS.includes(k))
+  .sort()
+  .map((k) => [k, String(req.query[k]).trim().toLowerCase()])
+  .filter(([, v]) => v));
+const compareKey = (req) => [...req.compareUrns].sort().join(",");
+const schoolKey = (req) => req.params.urn;
+
+// 404 before metering, so a mistyped URN doesn't use up a view
+function requireSchool(req, res, next) {
+  if (!schools.schoolExists(req.params.urn)) return res.status(404).json({ error: "School not found" });
+  next();
+}
+
+// 400 before metering, so a bad sort or filter doesn't use up a search
+function validateListQuery(req, res, next) {
+  try {
+    schools.validateListQuery(req.query);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  next();
+}
+
+// GET /api/schools — filtered, sorted, paginated list (metered: search)
+router.get("/", optionalAuth, validateListQuery, meter("search", { key: searchKey }), (req, res) => {
+  try {
+    res.json(schools.listSchools(req.query));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// GET /api/schools/filters — distinct values for each list filter
+router.get("/filters", (req, res) => {
+  res.json({ filters: schools.getFilterOptions() });
+});
+
+// GET /api/schools/compare?urns=a,b — full records side by side (metered: compare)
+router.get("/compare", requireAuth, (req, res, next) => {
+  const urns = [...new Set(String(req.query.urns || "").split(",").map((u) => u.trim()).filter(Boolean))];
+  if (urns.length < 2 || urns.length > MAX_COMPARE) {
+    return res.status(400).json({ error: `Provide between 2 and ${MAX_COMPARE} distinct URNs` });
+  }
+  const missing = urns.filter((urn) => !schools.schoolExists(urn));
+  if (missing.length) return res.status(404).json({ error: `School not found: ${missing.join(", ")}` });
+  req.compareUrns = urns;
+  next();
+}, meter("compare", { key: compareKey }), (req, res) => {
+  res.json({ schools: req.compareUrns.map((urn) => schools.getSchool(urn)) });
+});
+
+// GET /api/schools/:urn — full record with all sub-resources (metered: view)
+router.get("/:urn", optionalAuth, requireSchool, meter("view", { key: schoolKey }), (req, res) => {
+  res.json({ school: schools.getSchool(req.params.urn) });
+});
+
+// GET /api/schools/:urn/:section — performance, admissions, demographics, ofsted, contact or finances
+// (metered: view, shared with the full record of the same school)
+router.get("/:urn/:section", optionalAuth, (req, res, next) => {
+  if (!schools.SECTIONS.includes(req.params.section)) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  next();
+}, requireSchool, meter("view", { key: schoolKey }), (req, res) => {
+  res.json({ [req.params.section]: schools.getSection(req.params.urn, req.params.section) });
+});
+
+module.exports = router;
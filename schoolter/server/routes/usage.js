@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const { requireAuth } = require("../middleware/security");
+const usage = require("../services/usage");
+
+// GET /api/usage — today's metered usage and limits for the current user
+router.get("/", requireAuth, (req, res) => {
+  res.json({ usage: usage.getUsage(req.user) });
+});
+
+module.exports = router;
@@ -1,49 +1,111 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db/connection");
-const { requireAuth, requireRole, sanitize, validateEmail } = require("../middleware/security");
-const { sanitizeUser, logAudit } = require("../services/auth");
+const {
+  requireAuth, requireSession, requirePermission, sanitize, validateEmail, clearAuthCookies, wantsCookies, setAccessCookie,
+} = require("../middleware/security");
+const {
+  sanitizeUser, logAudit, listSessions, revokeSessionById, revokeAllSessions, sendVerificationEmail,
+  listLockouts, clearLoginFailures,
+} = require("../services/auth");
+const { getSettings, setSetting } = require("../services/settings");
+const roles = require("../services/roles");
+const apiKeys = require("../services/apiKeys");
+const account = require("../services/account");
+const impersonation = require("../services/impersonation");
+const audit = require("../services/audit");
+const analytics = require("../services/analytics");
+const bulkUsers = require("../services/bulkUsers");
+const userStatus = require("../services/userStatus");
+
+// Staff see why an account isn't active; the user object itself only has the status
+function adminUser(u) {
+  return { ...sanitizeUser(u), statusReason: u.status_reason, statusChangedAt: u.status_changed_at };
+}
 
 // GET /api/users — admin list all users
-router.get("/", requireAuth, requireRole("admin"), (req, res) => {
+router.get("/", requireAuth, requirePermission("users.read"), (req, res) => {
   const page = Math.max(1, parseInt(req.query.page) || 1);
   const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 25));
   const offset = (page - 1) * limit;
   const search = req.query.search ? `%${sanitize(req.query.search)}%` : null;
 
-  let rows, total;
+  // ?organisation=<id> narrows the list to that organisation's members.
+  // ?status= is active, suspended, deleted or all; deleted accounts are
+  // left out unless asked for.
+  const where = [];
+  const params = [];
+  const status = req.query.status || "";
+  if (status && status !== "all" && !userStatus.STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Unknown status: ${status}` });
+  }
+  if (userStatus.STATUSES.includes(status)) {
+    where.push("status = ?");
+    params.push(status);
+  } else if (status !== "all") {
+    where.push("status != 'deleted'");
+  }
   if (search) {
-    rows = db.prepare("SELECT * FROM users WHERE email LIKE ? OR name LIKE ? ORDER BY created_at DESC LIMIT ? OFFSET ?")
-      .all(search, search, limit, offset);
-    total = db.prepare("SELECT COUNT(*) as c FROM users WHERE email LIKE ? OR name LIKE ?").get(search, search).c;
-  } else {
-    rows = db.prepare("SELECT * FROM users ORDER BY created_at DESC LIMIT ? OFFSET ?").all(limit, offset);
-    total = db.prepare("SELECT COUNT(*) as c FROM users").get().c;
+    where.push("(email LIKE ? OR name LIKE ?)");
+    params.push(search, search);
   }
+  if (req.query.organisation) {
+    where.push("id IN (SELECT user_id FROM organisation_members WHERE org_id = ?)");
+    params.push(req.query.organisation);
+  }
+  const clause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const rows = db.prepare(`SELECT * FROM users ${clause} ORDER BY created_at DESC LIMIT ? OFFSET ?`).all(...params, limit, offset);
+  const total = db.prepare(`SELECT COUNT(*) as c FROM users ${clause}`).get(...params).c;
 
   res.json({
-    users: rows.map(sanitizeUser),
+    users: rows.map(adminUser),
     pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
   });
 });
 
 // GET /api/users/:id — admin get single user
-router.get("/:id", requireAuth, requireRole("admin"), (req, res) => {
+router.get("/:id", requireAuth, requirePermission("users.read"), (req, res) => {
   const user = db.prepare("SELECT * FROM users WHERE id = ?").get(req.params.id);
   if (!user) return res.status(404).json({ error: "User not found" });
-  res.json({ user: sanitizeUser(user) });
+  res.json({ user: adminUser(user) });
 });
 
-// PATCH /api/users/:id — admin update user
-router.patch("/:id", requireAuth, requireRole("admin"), (req, res) => {
+// PATCH /api/users/:id — admin update user; each field needs its own permission
+router.patch("/:id", requireAuth, requirePermission("users.write", "billing.write", "roles.manage"), (req, res) => {
   const user = db.prepare("SELECT * FROM users WHERE id = ?").get(req.params.id);
   if (!user) return res.status(404).json({ error: "User not found" });
 
+  const needed = [];
+  if (req.body.name !== undefined || req.body.email) needed.push("users.write");
+  if (req.body.plan) needed.push("billing.write");
+  if (req.body.role) needed.push("roles.manage");
+  const missing = needed.filter((p) => !roles.hasPermission(req.user, p));
+  if (missing.length) return res.status(403).json({ error: `Missing permission: ${missing.join(", ")}` });
+  try {
+    // Only staff who hold every permission the account has can edit it
+    roles.assertCanGrant(req.user, roles.getPermissions(user.role));
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
   const updates = {};
   if (req.body.name !== undefined) updates.name = sanitize(req.body.name);
-  if (req.body.role && ["user", "admin"].includes(req.body.role)) updates.role = req.body.role;
+  if (req.body.role && req.body.role !== user.role && roles.roleExists(req.body.role)) {
+    if (user.id === req.user.id) return res.status(400).json({ error: "You can't change your own role" });
+    try {
+      // Both the old and the new role's permissions must be the caller's to give
+      roles.assertCanGrant(req.user, [...roles.getPermissions(user.role), ...roles.getPermissions(req.body.role)]);
+    } catch (err) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    updates.role = req.body.role;
+  }
   if (req.body.plan && ["free", "pro", "enterprise"].includes(req.body.plan)) updates.plan = req.body.plan;
-  if (req.body.email && validateEmail(req.body.email)) updates.email = req.body.email;
+  if (req.body.email && validateEmail(req.body.email) && req.body.email !== user.email) {
+    updates.email = req.body.email;
+    updates.email_verified_at = null; // the new address has to be confirmed
+  }
 
   if (Object.keys(updates).length === 0) {
     return res.status(400).json({ error: "No valid fields to update" });
@@ -54,24 +116,52 @@ router.patch("/:id", requireAuth, requireRole("admin"), (req, res) => {
   db.prepare(`UPDATE users SET ${sets}, updated_at = datetime('now') WHERE id = ?`).run(...values, req.params.id);
 
   logAudit(req.user.id, "admin_update_user", JSON.stringify({ targetUser: req.params.id, updates }), req.ip);
+  if (updates.email) sendVerificationEmail(req.params.id);
 
   const updated = db.prepare("SELECT * FROM users WHERE id = ?").get(req.params.id);
-  res.json({ user: sanitizeUser(updated) });
+  res.json({ user: adminUser(updated) });
 });
 
-// DELETE /api/users/:id — admin delete user
-router.delete("/:id", requireAuth, requireRole("admin"), (req, res) => {
-  if (req.params.id === req.user.id) {
-    return res.status(400).json({ error: "Cannot delete your own account" });
+// DELETE /api/users/me — { password }; schedules deletion of the caller's own
+// account and signs them out. SSO accounts without a password send nothing but
+// must have signed in recently. Registered before /:id so "me" isn't an id.
+router.delete("/me", requireAuth, requireSession, async (req, res) => {
+  try {
+    const deletionScheduledAt = await account.scheduleDeletion(req.user.id, { password: req.body.password, sessionId: req.sessionId });
+    logAudit(req.user.id, "account_deletion_scheduled", JSON.stringify({ deletionScheduledAt }), req.ip);
+    clearAuthCookies(res);
+    res.json({ ok: true, deletionScheduledAt });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message, ...(err.code ? { code: err.code } : {}) });
   }
-  const user = db.prepare("SELECT id FROM users WHERE id = ?").get(req.params.id);
+});
+
+// POST /api/users/:id/unlock — admin clears failed logins and any lockout
+router.post("/:id/unlock", requireAuth, requirePermission("users.write"), (req, res) => {
+  const user = db.prepare("SELECT id, failed_login_count, locked_until FROM users WHERE id = ?").get(req.params.id);
   if (!user) return res.status(404).json({ error: "User not found" });
 
-  db.prepare("DELETE FROM users WHERE id = ?").run(req.params.id);
-  logAudit(req.user.id, "admin_delete_user", JSON.stringify({ targetUser: req.params.id }), req.ip);
+  clearLoginFailures(user.id);
+  logAudit(req.user.id, "admin_unlock_user", JSON.stringify({ targetUser: user.id, failures: user.failed_login_count }), req.ip);
   res.json({ ok: true });
 });
 
+// POST /api/users/:id/impersonate — read-only "view as user". Cookie clients
+// get the impersonation token as their access cookie; their refresh cookie
+// still belongs to the admin, so refreshing ends it.
+router.post("/:id/impersonate", requireAuth, requirePermission("users.impersonate"), (req, res) => {
+  try {
+    const { token, user, impersonation: started } = impersonation.start(req.user, req.params.id, req.sessionId, req.ip);
+    if (wantsCookies(req)) {
+      setAccessCookie(res, token);
+      return res.json({ user, impersonation: started });
+    }
+    res.json({ token, user, impersonation: started });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // PATCH /api/users/me/profile — user updates own profile
 router.patch("/me/profile", requireAuth, (req, res) => {
   const updates = {};
@@ -96,20 +186,293 @@ router.get("/me/audit", requireAuth, (req, res) => {
   res.json({ entries: rows });
 });
 
-// GET /api/admin/audit — admin full audit log
-router.get("/admin/audit", requireAuth, requireRole("admin"), (req, res) => {
-  const limit = Math.min(200, parseInt(req.query.limit) || 50);
-  const rows = db.prepare("SELECT a.*, u.email FROM audit_log a LEFT JOIN users u ON u.id = a.user_id ORDER BY a.created_at DESC LIMIT ?").all(limit);
-  res.json({ entries: rows });
+// GET /api/users/me/export — everything stored about the caller; ?format=zip
+// for one JSON file per section
+router.get("/me/export", requireAuth, requireSession, (req, res) => {
+  try {
+    const zip = req.query.format === "zip";
+    const filename = `schoolter-export-${new Date().toISOString().slice(0, 10)}.${zip ? "zip" : "json"}`;
+    const body = zip ? account.exportZip(req.user.id) : JSON.stringify(account.exportData(req.user.id), null, 2);
+    logAudit(req.user.id, "data_export", JSON.stringify({ format: zip ? "zip" : "json" }), req.ip);
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    res.type(zip ? "application/zip" : "application/json").send(body);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/users/me/restore — cancels a scheduled deletion during the grace period
+router.post("/me/restore", requireAuth, requireSession, async (req, res) => {
+  try {
+    await account.cancelDeletion(req.user.id);
+    logAudit(req.user.id, "account_deletion_canceled", null, req.ip);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// GET /api/users/me/sessions — devices the user is signed in on
+router.get("/me/sessions", requireAuth, requireSession, (req, res) => {
+  const sessions = listSessions(req.user.id).map((s) => ({
+    id: s.id,
+    ipAddress: s.ip_address,
+    userAgent: s.user_agent,
+    createdAt: s.created_at,
+    lastSeenAt: s.last_used_at || s.created_at,
+    expiresAt: s.expires_at,
+    current: s.id === req.sessionId,
+  }));
+  res.json({ sessions });
+});
+
+// DELETE /api/users/me/sessions/:id — sign out one device
+router.delete("/me/sessions/:id", requireAuth, requireSession, (req, res) => {
+  const session = listSessions(req.user.id).find((s) => s.id === req.params.id);
+  if (!session) return res.status(404).json({ error: "Session not found" });
+
+  revokeSessionById(session.id);
+  if (session.id === req.sessionId) clearAuthCookies(res);
+  logAudit(req.user.id, "revoke_session", JSON.stringify({ sessionId: session.id, current: session.id === req.sessionId }), req.ip);
+  res.json({ ok: true });
+});
+
+// DELETE /api/users/me/sessions — sign out everywhere, including this device
+router.delete("/me/sessions", requireAuth, requireSession, (req, res) => {
+  const count = listSessions(req.user.id).length;
+  revokeAllSessions(req.user.id);
+  clearAuthCookies(res);
+  logAudit(req.user.id, "revoke_all_sessions", JSON.stringify({ count }), req.ip);
+  res.json({ ok: true });
+});
+
+// ── API keys ───────────────────────────────────────────────
+// GET /api/users/me/api-keys — the caller's keys, without the secrets
+router.get("/me/api-keys", requireAuth, requireSession, (req, res) => {
+  res.json({ apiKeys: apiKeys.listKeys(req.user.id), scopes: apiKeys.SCOPES });
+});
+
+// POST /api/users/me/api-keys — { name, scopes: ["read", "write"] }; the key is only returned here
+router.post("/me/api-keys", requireAuth, requireSession, (req, res) => {
+  try {
+    const { key, apiKey } = apiKeys.createKey(req.user.id, { name: sanitize(req.body.name || ""), scopes: req.body.scopes });
+    logAudit(req.user.id, "api_key_create", JSON.stringify({ keyId: apiKey.id, name: apiKey.name, scopes: apiKey.scopes }), req.ip);
+    res.status(201).json({ key, apiKey });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/users/me/api-keys/:id — revoke
+router.delete("/me/api-keys/:id", requireAuth, requireSession, (req, res) => {
+  try {
+    const apiKey = apiKeys.revokeKey(req.user.id, req.params.id);
+    logAudit(req.user.id, "api_key_revoke", JSON.stringify({ keyId: apiKey.id, name: apiKey.name }), req.ip);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── Account status ─────────────────────────────────────────
+// Suspend, unsuspend, delete (soft) and restore share one shape; see
+// services/userStatus.js. Each is audited with the reason, if any. These
+// come after the /me routes so POST /me/restore isn't taken for an id.
+function statusRoute(action, auditAction) {
+  return (req, res) => {
+    try {
+      const reason = typeof req.body.reason === "string" ? sanitize(req.body.reason) : undefined;
+      const user = userStatus.change(req.user, req.params.id, action, reason);
+      logAudit(req.user.id, auditAction, JSON.stringify({ targetUser: user.id, ...(reason ? { reason } : {}) }), req.ip);
+      res.json({ user: adminUser(user) });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  };
+}
+
+// POST /api/users/:id/suspend — { reason }; signs the user out and blocks them
+router.post("/:id/suspend", requireAuth, requirePermission("users.write"), statusRoute("suspend", "admin_suspend_user"));
+
+// POST /api/users/:id/unsuspend
+router.post("/:id/unsuspend", requireAuth, requirePermission("users.write"), statusRoute("unsuspend", "admin_unsuspend_user"));
+
+// DELETE /api/users/:id — { reason? }; soft delete, restorable for USER_RESTORE_DAYS
+router.delete("/:id", requireAuth, requirePermission("users.delete"), statusRoute("delete", "admin_delete_user"));
+
+// POST /api/users/:id/restore — undo a delete within the restore window
+router.post("/:id/restore", requireAuth, requirePermission("users.delete"), statusRoute("restore", "admin_restore_user"));
+
+// POST /api/users/:id/purge — permanently remove a deleted account and its
+// sessions, invoices, keys and identities, and cancel its subscription
+router.post("/:id/purge", requireAuth, requirePermission("users.delete"), async (req, res) => {
+  try {
+    const user = await userStatus.purge(req.user, req.params.id);
+    logAudit(req.user.id, "admin_purge_user", JSON.stringify({ targetUser: user.id, email: user.email }), req.ip);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/users/admin/bulk — { action: plan|role|suspend|unsuspend|delete|restore|create,
+// ids | csv, plan, role, reason, dryRun }. A dry run (the default) reports what each
+// row would do; dryRun: false applies it. Each action has its own permission.
+router.post("/admin/bulk", requireAuth, requirePermission(...Object.values(bulkUsers.ACTIONS)), (req, res) => {
+  try {
+    res.json(bulkUsers.run(req.user, req.body, req.ip));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── Audit log ──────────────────────────────────────────────
+const AUDIT_FILTERS = ["userId", "email", "action", "ip", "from", "to"];
+const auditFilters = (query) => Object.fromEntries(AUDIT_FILTERS.filter((k) => query[k]).map((k) => [k, String(query[k])]));
+
+// Writes lines as the client takes them, instead of building the whole export in memory.
+function streamLines(res, lines) {
+  for (const line of lines) {
+    if (!res.write(line)) return res.once("drain", () => streamLines(res, lines));
+  }
+  res.end();
+}
+
+// GET /api/users/admin/audit — newest first; filters userId, email, action (comma-separated),
+// ip, from, to; pages with ?cursor=<nextCursor>&limit=
+router.get("/admin/audit", requireAuth, requirePermission("audit.read"), (req, res) => {
+  try {
+    res.json(audit.listEntries(auditFilters(req.query), { cursor: req.query.cursor, limit: req.query.limit }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-// GET /api/admin/stats — admin dashboard stats
-router.get("/admin/stats", requireAuth, requireRole("admin"), (req, res) => {
-  const totalUsers = db.prepare("SELECT COUNT(*) as c FROM users").get().c;
-  const proUsers = db.prepare("SELECT COUNT(*) as c FROM users WHERE plan = 'pro'").get().c;
-  const enterpriseUsers = db.prepare("SELECT COUNT(*) as c FROM users WHERE plan = 'enterprise'").get().c;
+// GET /api/users/admin/audit/actions — the registered actions, for filters and reports
+router.get("/admin/audit/actions", requireAuth, requirePermission("audit.read"), (req, res) => {
+  res.json({ actions: audit.ACTIONS });
+});
+
+// GET /api/users/admin/audit/export?format=csv|ndjson — every entry matching the same filters
+router.get("/admin/audit/export", requireAuth, requirePermission("audit.read"), (req, res) => {
+  try {
+    const format = req.query.format === "ndjson" ? "ndjson" : "csv";
+    const filters = auditFilters(req.query);
+    const lines = audit.exportLines(filters, format);
+    // Pull the first line now so bad filters still get a JSON error
+    const first = lines.next();
+    logAudit(req.user.id, "audit_export", JSON.stringify({ format, filters }), req.ip);
+    res.set("Content-Disposition", `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.${format}"`);
+    res.type(format === "csv" ? "text/csv" : "application/x-ndjson");
+    if (!first.done) res.write(first.value);
+    streamLines(res, lines);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// POST /api/users/admin/audit/archive — apply the retention policy now instead of waiting for the hourly run
+router.post("/admin/audit/archive", requireAuth, requirePermission("settings.manage"), (req, res) => {
+  try {
+    res.json(audit.archiveOldEntries());
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// GET /api/users/admin/lockouts — accounts that are locked or have recent failed logins
+router.get("/admin/lockouts", requireAuth, requirePermission("users.read"), (req, res) => {
+  const lockouts = listLockouts().map((u) => ({
+    id: u.id,
+    email: u.email,
+    name: u.name,
+    failedLoginCount: u.failed_login_count,
+    lastFailedLoginAt: u.last_failed_login_at,
+    lockedUntil: u.locked ? u.locked_until : null,
+  }));
+  res.json({ lockouts });
+});
+
+// GET /api/users/admin/settings — admin policy switches
+router.get("/admin/settings", requireAuth, requirePermission("settings.manage"), (req, res) => {
+  res.json({ settings: getSettings() });
+});
+
+// PATCH /api/users/admin/settings — e.g. { requireAdmin2fa: true }
+router.patch("/admin/settings", requireAuth, requirePermission("settings.manage"), (req, res) => {
+  try {
+    const current = getSettings();
+    const changes = Object.entries(req.body || {}).filter(([key, value]) => current[key] !== value);
+    // Turning the policy on without 2FA yourself would shut you out of this page
+    if (req.body.requireAdmin2fa === true && !req.user.twoFactorEnabled) {
+      return res.status(400).json({ error: "Enable two-factor authentication on your own account first" });
+    }
+    db.transaction(() => {
+      for (const [key, value] of changes) setSetting(key, value, req.user.id);
+    })();
+    if (changes.length) logAudit(req.user.id, "admin_update_settings", JSON.stringify(Object.fromEntries(changes)), req.ip);
+    res.json({ settings: getSettings() });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── Roles ──────────────────────────────────────────────────
+// GET /api/users/admin/roles — roles plus the permission catalogue
+router.get("/admin/roles", requireAuth, requirePermission("users.read", "roles.manage"), (req, res) => {
+  res.json({ roles: roles.listRoles(), permissions: roles.PERMISSIONS });
+});
+
+// POST /api/users/admin/roles — { name, description, permissions: [...] }
+router.post("/admin/roles", requireAuth, requirePermission("roles.manage"), (req, res) => {
+  try {
+    const permissions = req.body.permissions || [];
+    if (Array.isArray(permissions)) roles.assertCanGrant(req.user, permissions);
+    const role = roles.createRole({ ...req.body, description: sanitize(req.body.description || ""), permissions });
+    logAudit(req.user.id, "admin_create_role", JSON.stringify({ role: role.name, permissions: role.permissions }), req.ip);
+    res.status(201).json({ role });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/users/admin/roles/:name — change description or permissions
+router.patch("/admin/roles/:name", requireAuth, requirePermission("roles.manage"), (req, res) => {
+  try {
+    if (Array.isArray(req.body.permissions)) {
+      roles.assertCanGrant(req.user, [...roles.getPermissions(req.params.name), ...req.body.permissions]);
+    }
+    const description = req.body.description !== undefined ? sanitize(req.body.description) : undefined;
+    const role = roles.updateRole(req.params.name, { description, permissions: req.body.permissions });
+    logAudit(req.user.id, "admin_update_role", JSON.stringify({ role: role.name, permissions: role.permissions }), req.ip);
+    res.json({ role });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/users/admin/roles/:name — only roles nobody holds
+router.delete("/admin/roles/:name", requireAuth, requirePermission("roles.manage"), (req, res) => {
+  try {
+    roles.deleteRole(req.params.name);
+    logAudit(req.user.id, "admin_delete_role", JSON.stringify({ role: req.params.name }), req.ip);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// GET /api/users/admin/stats — admin dashboard stats
+router.get("/admin/stats", requireAuth, requirePermission("users.read"), (req, res) => {
+  // Deleted accounts aren't counted; suspended ones still are
+  const totalUsers = db.prepare("SELECT COUNT(*) as c FROM users WHERE status != 'deleted'").get().c;
+  const proUsers = db.prepare("SELECT COUNT(*) as c FROM users WHERE plan = 'pro' AND status != 'deleted'").get().c;
+  const enterpriseUsers = db.prepare("SELECT COUNT(*) as c FROM users WHERE plan = 'enterprise' AND status != 'deleted'").get().c;
   const recentSignups = db.prepare("SELECT COUNT(*) as c FROM users WHERE created_at > datetime('now', '-7 days')").get().c;
-  const activeSubscriptions = db.prepare("SELECT COUNT(*) as c FROM users WHERE subscription_status = 'active'").get().c;
+  const activeSubscriptions = db.prepare("SELECT COUNT(*) as c FROM users WHERE subscription_status = 'active' AND status != 'deleted'").get().c;
+  const suspendedUsers = db.prepare("SELECT COUNT(*) as c FROM users WHERE status = 'suspended'").get().c;
+  const organisations = db.prepare("SELECT COUNT(*) as c FROM organisations").get().c;
+  const orgSeats = db.prepare("SELECT COALESCE(SUM(seats), 0) as c FROM organisations WHERE plan != 'free'").get().c;
 
   res.json({
     totalUsers,
@@ -118,7 +481,29 @@ router.get("/admin/stats", requireAuth, requireRole("admin"), (req, res) => {
     freeUsers: totalUsers - proUsers - enterpriseUsers,
     recentSignups,
     activeSubscriptions,
+    organisations,
+    orgSeats,
+    suspendedUsers,
   });
 });
 
+// GET /api/users/admin/analytics?days=30 — every daily series (signups, conversions,
+// cancellations, mrr, logins) for the last `days` days
+router.get("/admin/analytics", requireAuth, requirePermission("users.read"), (req, res) => {
+  try {
+    res.json(analytics.getAll({ days: req.query.days, currency: req.query.currency }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// GET /api/users/admin/analytics/:series?days=30 — one of them
+router.get("/admin/analytics/:series", requireAuth, requirePermission("users.read"), (req, res) => {
+  try {
+    res.json(analytics.getSeries(req.params.series, { days: req.query.days, currency: req.query.currency }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
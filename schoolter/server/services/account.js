@@ -0,0 +1,169 @@
+/**
+ * Self-service account data: GDPR export and account deletion.
+ *
+ * Deletion is scheduled rather than immediate. Asking to delete signs the
+ * user out everywhere, revokes their API keys and sets their subscription to
+ * end at the period end; signing back in within the grace period
+ * (ACCOUNT_DELETION_GRACE_DAYS, default 14) lets them cancel. When it runs
+ * out, purgeDueAccounts cancels the subscription outright, strips the user's
+ * audit rows (archived ones included) of anything identifying and deletes
+ * the user, which cascades to their sessions, invoices, keys and identities.
+ * SSO accounts without a password confirm deletion by signing in again.
+ */
+const bcrypt = require("bcryptjs");
+const db = require("../db/connection");
+const mailer = require("./mailer");
+const billing = require("./billing");
+const { createZip } = require("./zip");
+const { NO_PASSWORD, sanitizeUser, revokeAllSessions, logAudit } = require("./auth");
+const { anonymiseArchives } = require("./audit");
+const { listKeys } = require("./apiKeys");
+
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+// Accounts without a password confirm deletion with a sign-in this recent
+const REAUTH_MINUTES = 10;
+
+// ── Helpers ────────────────────────────────────────────────
+function getUserRow(userId) {
+  const user = db.prepare("SELECT * FROM users WHERE id = ?").get(userId);
+  if (!user) throw Object.assign(new Error("User not found"), { status: 404 });
+  return user;
+}
+
+function parseDetail(detail) {
+  try { return JSON.parse(detail); } catch { return detail; }
+}
+
+// ── Export ─────────────────────────────────────────────────
+// Everything stored about the user, grouped by section. Secrets (password
+// and token hashes, the 2FA secret) are left out.
+function exportData(userId) {
+  const user = getUserRow(userId);
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: {
+      ...sanitizeUser(user),
+      stripeCustomerId: user.stripe_customer_id,
+      emailVerifiedAt: user.email_verified_at,
+      deletionScheduledAt: user.deletion_scheduled_at,
+      updatedAt: user.updated_at,
+    },
+    sessions: db.prepare(`
+      SELECT ip_address AS ipAddress, user_agent AS userAgent, created_at AS createdAt,
+        last_used_at AS lastUsedAt, expires_at AS expiresAt
+      FROM sessions WHERE user_id = ? ORDER BY created_at DESC
+    `).all(userId),
+    auditLog: db.prepare(`
+      SELECT action, detail, ip_address AS ipAddress, created_at AS createdAt
+      FROM audit_log WHERE user_id = ? ORDER BY id DESC
+    `).all(userId).map((row) => ({ ...row, detail: parseDetail(row.detail) })),
+    invoices: db.prepare(`
+      SELECT id, amount_cents AS amountCents, currency, status, description,
+        period_start AS periodStart, period_end AS periodEnd, pdf_url AS pdfUrl, created_at AS createdAt
+      FROM invoices WHERE user_id = ? ORDER BY created_at DESC
+    `).all(userId),
+    usage: db.prepare("SELECT metric, day, count FROM usage_counters WHERE user_id = ? ORDER BY day DESC, metric")
+      .all(userId),
+    apiKeys: listKeys(userId),
+    identities: db.prepare(`
+      SELECT issuer, subject, email, last_login_at AS lastLoginAt, created_at AS createdAt
+      FROM user_identities WHERE user_id = ?
+    `).all(userId),
+  };
+}
+
+// The same export as a ZIP with one JSON file per section.
+function exportZip(userId) {
+  const data = exportData(userId);
+  return createZip(Object.entries(data)
+    .filter(([key]) => key !== "exportedAt")
+    .map(([key, value]) => ({ name: `${key}.json`, data: JSON.stringify(value, null, 2) })));
+}
+
+// ── Deletion ───────────────────────────────────────────────
+// The password, or for SSO accounts without one, a session that started
+// within REAUTH_MINUTES.
+function assertConfirmed(user, password, sessionId) {
+  if (user.password_hash !== NO_PASSWORD) {
+    if (!bcrypt.compareSync(password || "", user.password_hash)) {
+      throw Object.assign(new Error("Password is incorrect"), { status: 403 });
+    }
+    return;
+  }
+  const fresh = db.prepare("SELECT 1 FROM sessions WHERE id = ? AND user_id = ? AND created_at > datetime('now', ?)")
+    .get(sessionId, user.id, `-${REAUTH_MINUTES} minutes`);
+  if (!fresh) {
+    throw Object.assign(new Error(`Sign out and sign in again with SSO, then delete your account within ${REAUTH_MINUTES} minutes`), { status: 403, code: "reauth_required" });
+  }
+}
+
+async function scheduleDeletion(userId, { password, sessionId } = {}) {
+  const user = getUserRow(userId);
+  assertConfirmed(user, password, sessionId);
+  if (user.deletion_scheduled_at) {
+    throw Object.assign(new Error("Your account is already scheduled for deletion"), { status: 409 });
+  }
+  const owned = db.prepare("SELECT name FROM organisations WHERE owner_id = ?").get(userId);
+  if (owned) {
+    throw Object.assign(new Error(`You own ${owned.name}. Delete the organisation first.`), { status: 409 });
+  }
+
+  await billing.setCancelAtPeriodEnd(userId, true);
+  db.prepare(`
+    UPDATE users SET deletion_scheduled_at = datetime('now', ?), updated_at = datetime('now') WHERE id = ?
+  `).run(`+${GRACE_DAYS} days`, userId);
+  revokeAllSessions(userId);
+  db.prepare("DELETE FROM api_keys WHERE user_id = ?").run(userId);
+
+  const { deletion_scheduled_at: scheduledAt } = db.prepare("SELECT deletion_scheduled_at FROM users WHERE id = ?").get(userId);
+  mailer.queueMail(user.email, "accountDeletionScheduled", { name: user.name, days: GRACE_DAYS, path: "/profile" });
+  return scheduledAt;
+}
+
+async function cancelDeletion(userId) {
+  const user = getUserRow(userId);
+  if (!user.deletion_scheduled_at) {
+    throw Object.assign(new Error("Your account isn't scheduled for deletion"), { status: 400 });
+  }
+  await billing.setCancelAtPeriodEnd(userId, false);
+  db.prepare("UPDATE users SET deletion_scheduled_at = NULL, updated_at = datetime('now') WHERE id = ?").run(userId);
+}
+
+// Audit rows stay for the record, minus who, where and any detail (which can
+// hold emails and names). Archived rows are scrubbed first: if that fails the
+// account stays, and the next run tries again.
+async function purgeAccount(userId) {
+  await billing.cancelSubscriptionNow(userId);
+  anonymiseArchives(userId);
+  db.transaction(() => {
+    db.prepare("UPDATE audit_log SET user_id = NULL, ip_address = NULL, detail = NULL WHERE user_id = ?").run(userId);
+    db.prepare("DELETE FROM usage_keys WHERE subject = ?").run(userId);
+    db.prepare("DELETE FROM users WHERE id = ?").run(userId);
+    logAudit(null, "account_deleted", JSON.stringify({ graceDays: GRACE_DAYS }), null);
+  })();
+}
+
+// Deletes accounts whose grace period has ended. Failures (e.g. Stripe being
+// unreachable) are logged and retried on the next run.
+async function purgeDueAccounts() {
+  const due = db.prepare(`
+    SELECT id FROM users WHERE deletion_scheduled_at IS NOT NULL AND deletion_scheduled_at <= datetime('now')
+  `).all();
+  for (const { id } of due) {
+    try {
+      await purgeAccount(id);
+    } catch (err) {
+      console.error(`Account deletion for ${id} failed:`, err.message);
+    }
+  }
+  return due.length;
+}
+
+module.exports = {
+  GRACE_DAYS,
+  exportData,
+  exportZip,
+  scheduleDeletion,
+  cancelDeletion,
+  purgeDueAccounts,
+};
@@ -0,0 +1,122 @@
+/**
+ * Admin analytics — daily time series for the admin dashboard.
+ *
+ * Built from what is already stored: signups from users.created_at, plan
+ * conversions and cancellations from the subscription_started and
+ * subscription_canceled audit entries, logins from login entries, and
+ * monthly recurring revenue from paid invoices. Every series covers the
+ * last `days` days (UTC) with one point per day, zero-filled.
+ *
+ * MRR on a day is the sum of the paid invoices whose billing period covers
+ * it, each divided by the number of months in its period, so a yearly
+ * invoice counts a twelfth. Refunded invoices don't count.
+ */
+const db = require("../db/connection");
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Helpers ────────────────────────────────────────────────
+function parseDays(value) {
+  if (value === undefined || value === "") return DEFAULT_DAYS;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    throw Object.assign(new Error(`days must be a whole number from 1 to ${MAX_DAYS}`), { status: 400 });
+  }
+  return days;
+}
+
+// The `days` UTC dates ending today, oldest first
+function dateRange(days) {
+  const today = Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), new Date().getUTCDate());
+  return Array.from({ length: days }, (_, i) => new Date(today - (days - 1 - i) * DAY_MS).toISOString().slice(0, 10));
+}
+
+// Accepts both SQLite "YYYY-MM-DD HH:MM:SS" (UTC) and ISO strings
+function toTime(value) {
+  return new Date(value.includes("T") ? value : `${value.replace(" ", "T")}Z`).getTime();
+}
+
+function fill(dates, rows, pick) {
+  const byDate = new Map(rows.map((row) => [row.date, row]));
+  return dates.map((date) => ({ date, ...pick(byDate.get(date)) }));
+}
+
+function countByDay(dates, sql, ...params) {
+  const rows = db.prepare(sql).all(...params, dates[0]);
+  return fill(dates, rows, (row) => ({ count: row ? row.count : 0 }));
+}
+
+function countAuditByDay(dates, action) {
+  return countByDay(dates, `
+    SELECT date(created_at) AS date, COUNT(*) AS count FROM audit_log
+    WHERE action = ? AND created_at >= ? GROUP BY date(created_at)
+  `, action);
+}
+
+// ── Series ─────────────────────────────────────────────────
+function signups(dates) {
+  return countByDay(dates, `
+    SELECT date(created_at) AS date, COUNT(*) AS count FROM users
+    WHERE created_at >= ? GROUP BY date(created_at)
+  `);
+}
+
+function conversions(dates) {
+  return countAuditByDay(dates, "subscription_started");
+}
+
+function cancellations(dates) {
+  return countAuditByDay(dates, "subscription_canceled");
+}
+
+// Sign-ins, and how many different users signed in
+function logins(dates) {
+  const rows = db.prepare(`
+    SELECT date(created_at) AS date, COUNT(*) AS count, COUNT(DISTINCT user_id) AS users FROM audit_log
+    WHERE action = 'login' AND created_at >= ? GROUP BY date(created_at)
+  `).all(dates[0]);
+  return fill(dates, rows, (row) => ({ count: row ? row.count : 0, users: row ? row.users : 0 }));
+}
+
+function mrr(dates, { currency = "gbp" } = {}) {
+  // An invoice without a period is taken to cover the month after it was paid
+  const invoices = db.prepare(`
+    SELECT amount_cents, period_start, period_end, created_at FROM invoices
+    WHERE status = 'paid' AND currency = ?
+  `).all(currency).map((inv) => {
+    const start = toTime(inv.period_start || inv.created_at);
+    const end = inv.period_end ? toTime(inv.period_end) : start + 30 * DAY_MS;
+    const months = Math.max(1, Math.round((end - start) / (30.44 * DAY_MS)));
+    return { start, end, monthly: inv.amount_cents / months };
+  });
+
+  return dates.map((date) => {
+    const time = toTime(`${date} 12:00:00`);
+    const cents = invoices.reduce((sum, inv) => (inv.start <= time && time < inv.end ? sum + inv.monthly : sum), 0);
+    return { date, cents: Math.round(cents) };
+  });
+}
+
+const SERIES = { signups, conversions, cancellations, mrr, logins };
+
+// ── Queries ────────────────────────────────────────────────
+function getSeries(name, { days, currency } = {}) {
+  if (!(name in SERIES)) throw Object.assign(new Error(`Unknown series: ${name}`), { status: 404 });
+  const dates = dateRange(parseDays(days));
+  return { from: dates[0], to: dates[dates.length - 1], points: SERIES[name](dates, { currency }) };
+}
+
+function getAll({ days, currency } = {}) {
+  const dates = dateRange(parseDays(days));
+  const result = { from: dates[0], to: dates[dates.length - 1], currency: currency || "gbp" };
+  for (const [name, build] of Object.entries(SERIES)) result[name] = build(dates, { currency });
+  return result;
+}
+
+module.exports = {
+  SERIES: Object.keys(SERIES),
+  getSeries,
+  getAll,
+};
@@ -0,0 +1,100 @@
+/**
+ * Personal API keys for scripts and integrations.
+ *
+ * A key is shown once at creation; only its SHA-256 hash and a short prefix
+ * (to tell keys apart in the UI) are stored. Keys act as their owner with the
+ * scopes chosen at creation: "read" allows GET requests, "write" everything
+ * else. Keys survive password changes — revoke them explicitly.
+ */
+const crypto = require("crypto");
+const { v4: uuid } = require("uuid");
+const db = require("../db/connection");
+const { getPublicUser } = require("./auth");
+
+const KEY_PREFIX = "sch_";
+const MAX_KEYS = 20;
+const SCOPES = {
+  read: "Read data (GET requests)",
+  write: "Create, change and delete data",
+};
+
+// ── Helpers ────────────────────────────────────────────────
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || !scopes.length) {
+    throw Object.assign(new Error("Choose at least one scope"), { status: 400 });
+  }
+  const unknown = scopes.filter((s) => !(s in SCOPES));
+  if (unknown.length) throw Object.assign(new Error(`Unknown scope: ${unknown.join(", ")}`), { status: 400 });
+  return [...new Set(scopes)];
+}
+
+function toApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: JSON.parse(row.scopes),
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    createdAt: row.created_at,
+  };
+}
+
+// GET and HEAD need "read"; anything else needs "write".
+function allowsMethod(key, method) {
+  return key.scopes.includes(["GET", "HEAD"].includes(method) ? "read" : "write");
+}
+
+// ── Keys ───────────────────────────────────────────────────
+function listKeys(userId) {
+  return db.prepare("SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at DESC").all(userId).map(toApiKey);
+}
+
+// Returns the raw key once, alongside the stored record.
+function createKey(userId, { name, scopes }) {
+  if (!name) throw Object.assign(new Error("Give the key a name"), { status: 400 });
+  const count = db.prepare("SELECT COUNT(*) as c FROM api_keys WHERE user_id = ?").get(userId).c;
+  if (count >= MAX_KEYS) {
+    throw Object.assign(new Error(`You can have at most ${MAX_KEYS} API keys. Revoke one first.`), { status: 400 });
+  }
+
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("hex");
+  const id = uuid();
+  db.prepare(`
+    INSERT INTO api_keys (id, user_id, name, prefix, key_hash, scopes) VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, userId, name, key.slice(0, KEY_PREFIX.length + 8), hashKey(key), JSON.stringify(validateScopes(scopes)));
+  return { key, apiKey: toApiKey(db.prepare("SELECT * FROM api_keys WHERE id = ?").get(id)) };
+}
+
+function revokeKey(userId, keyId) {
+  const row = db.prepare("SELECT * FROM api_keys WHERE id = ? AND user_id = ?").get(keyId, userId);
+  if (!row) throw Object.assign(new Error("API key not found"), { status: 404 });
+  db.prepare("DELETE FROM api_keys WHERE id = ?").run(keyId);
+  return toApiKey(row);
+}
+
+// Resolves a raw key to its owner and records the use. Throws when unknown.
+function authenticate(rawKey, ip) {
+  const row = typeof rawKey === "string" && rawKey.startsWith(KEY_PREFIX)
+    ? db.prepare("SELECT * FROM api_keys WHERE key_hash = ?").get(hashKey(rawKey))
+    : null;
+  const user = row && getPublicUser(row.user_id);
+  if (!user) throw Object.assign(new Error("Invalid API key"), { status: 401 });
+  if (user.status !== "active") throw Object.assign(new Error(`This account is ${user.status}`), { status: 401 });
+
+  db.prepare("UPDATE api_keys SET last_used_at = datetime('now'), last_used_ip = ? WHERE id = ?").run(ip || null, row.id);
+  return { user, key: toApiKey(row) };
+}
+
+module.exports = {
+  SCOPES,
+  allowsMethod,
+  listKeys,
+  createKey,
+  revokeKey,
+  authenticate,
+};
@@ -0,0 +1,267 @@
+/**
+ * Audit log — the registered actions, writing entries, filtered queries,
+ * exports and retention.
+ *
+ * Every action must be listed in ACTIONS so reports and filters stay
+ * consistent; logAudit throws on anything else. `detail` is a JSON string
+ * whose shape depends on the action.
+ *
+ * Retention: rows older than the auditRetentionDays setting (0 keeps
+ * everything) are moved out of the database into gzipped NDJSON files in
+ * AUDIT_ARCHIVE_DIR by archiveOldEntries, which the server runs hourly.
+ */
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const db = require("../db/connection");
+const { getSetting } = require("./settings");
+
+const ARCHIVE_DIR = process.env.AUDIT_ARCHIVE_DIR || path.join(__dirname, "..", "archive");
+const MAX_PAGE = 200;
+const EXPORT_BATCH = 1000;
+
+const ACTIONS = {
+  // Sign-in and account
+  register: "Created an account",
+  login: "Signed in",
+  login_failed: "Failed sign-in",
+  login_2fa_challenge: "Passed the password step, awaiting 2FA",
+  account_locked: "Locked after failed sign-ins",
+  logout: "Signed out",
+  refresh_token_reuse: "Reused a refresh token (session revoked)",
+  verify_email: "Confirmed email address",
+  change_password: "Changed password",
+  reset_password: "Reset password",
+  revoke_session: "Signed out a device",
+  revoke_all_sessions: "Signed out everywhere",
+  enable_2fa: "Turned on 2FA",
+  disable_2fa: "Turned off 2FA",
+  regenerate_recovery_codes: "Regenerated 2FA recovery codes",
+  api_key_create: "Created an API key",
+  api_key_revoke: "Revoked an API key",
+  api_key_request: "Changed data with an API key",
+  data_export: "Exported their data",
+  account_deletion_scheduled: "Asked to delete their account",
+  account_deletion_canceled: "Canceled account deletion",
+  account_deleted: "Account deleted after the grace period",
+  // Billing
+  subscription_started: "Started a paid subscription",
+  subscription_canceled: "Subscription ended",
+  subscription_changed: "Changed plan",
+  subscription_change_scheduled: "Scheduled a plan change for renewal",
+  subscription_change_canceled: "Dropped a scheduled plan change",
+  subscription_cancel_scheduled: "Set their subscription to end",
+  subscription_resumed: "Resumed their subscription",
+  duplicate_subscription_canceled: "Paid a second checkout; its subscription was canceled and refunded",
+  dunning_started: "Payment failed; grace period started",
+  dunning_reminder: "Reminded about an overdue payment",
+  dunning_recovered: "Paid after a failed payment",
+  dunning_expired: "Moved to Free after the grace period",
+  trial_started: "Started a free trial",
+  trial_ended: "Trial ended without subscribing",
+  coupon_redeemed: "Redeemed a promo code",
+  // Organisations
+  create_organisation: "Created an organisation",
+  delete_organisation: "Deleted an organisation",
+  invite_org_member: "Invited someone to an organisation",
+  join_organisation: "Joined an organisation",
+  leave_organisation: "Left an organisation",
+  remove_org_member: "Removed an organisation member",
+  update_org_seats: "Changed organisation seats",
+  update_org_sso: "Set up organisation SSO",
+  verify_org_sso_domain: "Verified an SSO domain",
+  delete_org_sso: "Removed organisation SSO",
+  // Staff
+  admin_update_user: "Edited a user",
+  admin_delete_user: "Deleted a user",
+  admin_create_user: "Created a user",
+  admin_suspend_user: "Suspended a user",
+  admin_unsuspend_user: "Unsuspended a user",
+  admin_restore_user: "Restored a deleted user",
+  admin_purge_user: "Purged a deleted user",
+  admin_bulk_users: "Ran a bulk user action",
+  admin_unlock_user: "Unlocked a user",
+  admin_refund_invoice: "Refunded an invoice",
+  admin_replay_stripe_event: "Replayed a Stripe webhook event",
+  admin_create_coupon: "Created a promo code",
+  admin_update_coupon: "Edited a promo code",
+  admin_update_settings: "Changed security settings",
+  admin_create_role: "Created a role",
+  admin_update_role: "Edited a role",
+  admin_delete_role: "Deleted a role",
+  impersonation_start: "Started viewing as a user",
+  impersonation_end: "Stopped viewing as a user",
+  audit_export: "Exported the audit log",
+  audit_archived: "Archived old audit entries",
+};
+
+// ── Writing ────────────────────────────────────────────────
+function logAudit(userId, action, detail, ip) {
+  if (!(action in ACTIONS)) throw new Error(`Unregistered audit action: ${action}`);
+  db.prepare(`
+    INSERT INTO audit_log (user_id, action, detail, ip_address)
+    VALUES (?, ?, ?, ?)
+  `).run(userId, action, detail || null, ip || null);
+}
+
+// ── Queries ────────────────────────────────────────────────
+function parseDetail(detail) {
+  try { return JSON.parse(detail); } catch { return detail; }
+}
+
+function toEntry(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    email: row.email,
+    action: row.action,
+    detail: row.detail ? parseDetail(row.detail) : null,
+    ipAddress: row.ip_address,
+    createdAt: row.created_at,
+  };
+}
+
+// Accepts an ISO date or date-time; a bare `to` date includes that whole day.
+function toSqlTime(value, name, { endOfDay = false } = {}) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw Object.assign(new Error(`${name} must be a date`), { status: 400 });
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().replace("T", " ").slice(0, 19);
+}
+
+// filters: { userId, email, action (one or comma-separated), ip, from, to }
+function buildWhere(filters) {
+  const where = [];
+  const params = [];
+  if (filters.userId) {
+    where.push("a.user_id = ?");
+    params.push(filters.userId);
+  }
+  if (filters.email) {
+    where.push("u.email LIKE ?");
+    params.push(`%${filters.email}%`);
+  }
+  if (filters.action) {
+    const actions = String(filters.action).split(",").map((a) => a.trim()).filter(Boolean);
+    const unknown = actions.filter((a) => !(a in ACTIONS));
+    if (unknown.length) throw Object.assign(new Error(`Unknown action: ${unknown.join(", ")}`), { status: 400 });
+    where.push(`a.action IN (${actions.map(() => "?").join(", ")})`);
+    params.push(...actions);
+  }
+  if (filters.ip) {
+    where.push("a.ip_address = ?");
+    params.push(filters.ip);
+  }
+  if (filters.from) {
+    where.push("a.created_at >= ?");
+    params.push(toSqlTime(filters.from, "from"));
+  }
+  if (filters.to) {
+    const exclusive = /^\d{4}-\d{2}-\d{2}$/.test(filters.to);
+    where.push(exclusive ? "a.created_at < ?" : "a.created_at <= ?");
+    params.push(toSqlTime(filters.to, "to", { endOfDay: true }));
+  }
+  return { where, params };
+}
+
+const SELECT = "SELECT a.*, u.email FROM audit_log a LEFT JOIN users u ON u.id = a.user_id";
+
+// Newest first. `cursor` is the nextCursor of the previous page (an entry id).
+function listEntries(filters = {}, { cursor, limit } = {}) {
+  const { where, params } = buildWhere(filters);
+  if (cursor !== undefined && cursor !== "") {
+    const id = parseInt(cursor);
+    if (!Number.isInteger(id)) throw Object.assign(new Error("Invalid cursor"), { status: 400 });
+    where.push("a.id < ?");
+    params.push(id);
+  }
+  const pageSize = Math.min(MAX_PAGE, Math.max(1, parseInt(limit) || 50));
+  const clause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const rows = db.prepare(`${SELECT} ${clause} ORDER BY a.id DESC LIMIT ?`).all(...params, pageSize + 1);
+  const more = rows.length > pageSize;
+  const entries = rows.slice(0, pageSize).map(toEntry);
+  return { entries, nextCursor: more ? entries[entries.length - 1].id : null };
+}
+
+// ── Export ─────────────────────────────────────────────────
+const CSV_COLUMNS = ["id", "createdAt", "action", "userId", "email", "ipAddress", "detail"];
+
+// Quotes when needed, and defuses values a spreadsheet would run as a formula.
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let s = typeof value === "string" ? value : JSON.stringify(value);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Yields the export line by line so large logs can be streamed. Rows are
+// read in batches rather than with an open iterator, which would hold the
+// connection while the response waits to drain.
+function* exportLines(filters, format) {
+  const { where, params } = buildWhere(filters);
+  const batch = db.prepare(`
+    ${SELECT} WHERE ${[...where, "a.id < ?"].join(" AND ")} ORDER BY a.id DESC LIMIT ${EXPORT_BATCH}
+  `);
+  if (format === "csv") yield `${CSV_COLUMNS.join(",")}\n`;
+  let cursor = Number.MAX_SAFE_INTEGER;
+  for (;;) {
+    const rows = batch.all(...params, cursor);
+    for (const row of rows) {
+      const entry = toEntry(row);
+      yield format === "csv"
+        ? `${CSV_COLUMNS.map((c) => csvField(entry[c])).join(",")}\n`
+        : `${JSON.stringify(entry)}\n`;
+    }
+    if (rows.length < EXPORT_BATCH) return;
+    cursor = rows[rows.length - 1].id;
+  }
+}
+
+// ── Retention ──────────────────────────────────────────────
+// Writes the archive file before deleting, so a failed write loses nothing.
+function archiveOldEntries() {
+  const days = getSetting("auditRetentionDays");
+  if (!days) return { archived: 0 };
+
+  const cutoff = db.prepare("SELECT datetime('now', ?) AS t").get(`-${days} days`).t;
+  const rows = db.prepare("SELECT * FROM audit_log WHERE created_at < ? ORDER BY id").all(cutoff);
+  if (!rows.length) return { archived: 0 };
+
+  fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+  const file = path.join(ARCHIVE_DIR, `audit-${new Date().toISOString().replace(/[:.]/g, "-")}.ndjson.gz`);
+  fs.writeFileSync(file, zlib.gzipSync(rows.map((row) => JSON.stringify(row)).join("\n") + "\n"));
+
+  db.transaction(() => {
+    db.prepare("DELETE FROM audit_log WHERE created_at < ? AND id <= ?").run(cutoff, rows[rows.length - 1].id);
+    logAudit(null, "audit_archived", JSON.stringify({ rows: rows.length, before: cutoff, file: path.basename(file) }), null);
+  })();
+  return { archived: rows.length, file: path.basename(file) };
+}
+
+// Strips a user from the archive files the way account purges strip their
+// live rows. Each file is rewritten through a temporary copy so a failure
+// leaves the old one whole. Returns how many files changed.
+function anonymiseArchives(userId) {
+  if (!fs.existsSync(ARCHIVE_DIR)) return 0;
+  let changed = 0;
+  for (const name of fs.readdirSync(ARCHIVE_DIR).filter((n) => n.endsWith(".ndjson.gz"))) {
+    const file = path.join(ARCHIVE_DIR, name);
+    const rows = zlib.gunzipSync(fs.readFileSync(file)).toString().split("\n").filter(Boolean).map((line) => JSON.parse(line));
+    if (!rows.some((row) => row.user_id === userId)) continue;
+    const scrubbed = rows.map((row) => (row.user_id === userId ? { ...row, user_id: null, ip_address: null, detail: null } : row));
+    fs.writeFileSync(`${file}.tmp`, zlib.gzipSync(scrubbed.map((row) => JSON.stringify(row)).join("\n") + "\n"));
+    fs.renameSync(`${file}.tmp`, file);
+    changed++;
+  }
+  return changed;
+}
+
+module.exports = {
+  ACTIONS,
+  logAudit,
+  listEntries,
+  exportLines,
+  archiveOldEntries,
+  anonymiseArchives,
+};
@@ -3,25 +3,56 @@ const jwt = require("jsonwebtoken");
 const { v4: uuid } = require("uuid");
 const crypto = require("crypto");
 const db = require("../db/connection");
+const twoFactor = require("./twoFactor");
+const mailer = require("./mailer");
+const organisations = require("./organisations");
+const roles = require("./roles");
+// Re-exported: most callers take logAudit from here
+const { logAudit } = require("./audit");
 
 const JWT_SECRET = process.env.JWT_SECRET || "dev-secret-change-me";
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "7d";
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+const MFA_TOKEN_EXPIRES_IN = "5m";
+const ACCOUNT_SETUP_DAYS = 7;
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Accounts created through SSO have no password until they reset one
+const NO_PASSWORD = "!sso";
+// Compared against for unknown emails so they take as long as a wrong password
+const DUMMY_HASH = "$2a$12$O1SzEGDKv3Ze1/sTrRNA1.VWLXFuR3.5XVaPcw/nv57fh9xVBSzWS";
 
 // ── Helpers ────────────────────────────────────────────────
 function hashToken(token) {
   return crypto.createHash("sha256").update(token).digest("hex");
 }
 
-function signToken(userId) {
-  return jwt.sign({ sub: userId }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+// Access tokens are short-lived and carry the session id (`sid`) so a
+// revoked session stops working before the token itself expires.
+function signToken(userId, sessionId) {
+  return jwt.sign({ sub: userId, sid: sessionId }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+}
+
+// Read-only access token for an admin viewing the app as userId. `act` names
+// the admin (the actor claim); `imp` the impersonation row it belongs to.
+function signImpersonationToken(userId, { adminId, sessionId, impersonationId, minutes }) {
+  return jwt.sign({ sub: userId, sid: sessionId, act: { sub: adminId }, imp: impersonationId }, JWT_SECRET, { expiresIn: `${minutes}m` });
 }
 
 function verifyToken(token) {
   return jwt.verify(token, JWT_SECRET);
 }
 
+// Start a session and return the token pair the client stores. Suspended
+// and deleted accounts can't start one, whichever way they sign in.
+function issueTokens(userId, ip, userAgent) {
+  assertActive(userId);
+  const session = createSession(userId, ip, userAgent);
+  return { token: signToken(userId, session.id), refreshToken: session.refreshToken };
+}
+
 // ── Register ───────────────────────────────────────────────
-function register({ email, password, name }) {
+function register({ email, password, name }, { ip, userAgent } = {}) {
   const existing = db.prepare("SELECT id FROM users WHERE email = ?").get(email);
   if (existing) {
     throw Object.assign(new Error("Email already registered"), { status: 409 });
@@ -32,38 +63,243 @@ function register({ email, password, name }) {
     INSERT INTO users (id, email, password_hash, name)
     VALUES (?, ?, ?, ?)
   `).run(id, email, passwordHash, name || "");
+  sendVerificationEmail(id);
+
+  return { ...issueTokens(id, ip, userAgent), user: getPublicUser(id) };
+}
+
+// ── Email verification ─────────────────────────────────────
+// Links are valid for 24 hours; requesting a new one retires the old ones.
+function sendVerificationEmail(userId) {
+  const user = db.prepare("SELECT id, email, name, email_verified_at FROM users WHERE id = ?").get(userId);
+  if (!user) throw Object.assign(new Error("User not found"), { status: 404 });
+  if (user.email_verified_at) throw Object.assign(new Error("Email is already verified"), { status: 409 });
+
+  const rawToken = crypto.randomBytes(32).toString("hex");
+  db.prepare("UPDATE email_verifications SET used = 1 WHERE user_id = ? AND used = 0").run(userId);
+  db.prepare(`
+    INSERT INTO email_verifications (id, user_id, token_hash, expires_at)
+    VALUES (?, ?, ?, datetime('now', '+24 hours'))
+  `).run(uuid(), userId, hashToken(rawToken));
+
+  mailer.queueMail(user.email, "verifyEmail", { name: user.name, path: `/verify-email?token=${rawToken}` });
+}
 
-  const token = signToken(id);
-  return { token, user: getPublicUser(id) };
+function verifyEmail(token) {
+  const row = db.prepare(`
+    SELECT * FROM email_verifications
+    WHERE token_hash = ? AND used = 0 AND expires_at > datetime('now')
+  `).get(hashToken(token));
+
+  if (!row) {
+    throw Object.assign(new Error("Invalid or expired verification link"), { status: 400 });
+  }
+
+  db.prepare("UPDATE email_verifications SET used = 1 WHERE id = ?").run(row.id);
+  db.prepare(`
+    UPDATE users SET email_verified_at = COALESCE(email_verified_at, datetime('now')), updated_at = datetime('now')
+    WHERE id = ?
+  `).run(row.user_id);
+  return row.user_id;
 }
 
 // ── Login ──────────────────────────────────────────────────
-function login({ email, password }) {
-  const user = db.prepare("SELECT * FROM users WHERE email = ?").get(email);
-  if (!user || !bcrypt.compareSync(password, user.password_hash)) {
-    throw Object.assign(new Error("Invalid email or password"), { status: 401 });
+function login({ email, password }, { ip, userAgent } = {}) {
+  const invalid = () => Object.assign(new Error("Invalid email or password"), { status: 401 });
+  const user = db.prepare("SELECT * FROM users WHERE email = ? AND status != 'deleted'").get(email);
+  if (!user) {
+    assertThrottle(getUnknownEmailState(email));
+    bcrypt.compareSync(password, DUMMY_HASH);
+    recordUnknownEmailFailure(email, ip);
+    throw invalid();
+  }
+  assertLoginAllowed(user.id);
+  if (!bcrypt.compareSync(password, user.password_hash)) {
+    recordLoginFailure(user.id, "bad_password", ip);
+    throw invalid();
+  }
+  assertActive(user.id);
+  // With 2FA on, the password only earns a short-lived challenge token;
+  // completeLogin exchanges it plus a code for the real session.
+  if (user.totp_enabled) {
+    return { mfaRequired: true, mfaToken: signMfaToken(user.id), userId: user.id };
+  }
+  clearLoginFailures(user.id);
+  return { ...issueTokens(user.id, ip, userAgent), user: sanitizeUser(user) };
+}
+
+// ── Login throttling ───────────────────────────────────────
+// Failed attempts are counted per account, not per IP, so spreading an
+// attack across addresses doesn't help. From the third failure each attempt
+// must wait twice as long as the last (capped at a minute); at
+// LOCKOUT_THRESHOLD the account locks for LOCKOUT_MINUTES, and every further
+// failure re-locks it. Failures older than a day are forgotten. Success, a
+// password reset or an admin unlock clears the counter.
+//
+// Emails without an account (or whose account is deleted) go through the
+// same steps in login_failures, so the delays and locks don't tell them
+// apart from real accounts.
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_SECONDS = 60;
+
+function loginDelaySeconds(failures) {
+  if (failures < DELAY_AFTER_FAILURES) return 0;
+  return Math.min(2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS);
+}
+
+const LOGIN_STATE_COLUMNS = `failed_login_count,
+  (julianday(locked_until) - julianday('now')) * 86400 AS lock_seconds,
+  (julianday('now') - julianday(last_failed_login_at)) * 86400 AS since_failure`;
+
+function getLoginState(userId) {
+  return db.prepare(`SELECT ${LOGIN_STATE_COLUMNS} FROM users WHERE id = ?`).get(userId);
+}
+
+function getUnknownEmailState(email) {
+  return db.prepare(`SELECT ${LOGIN_STATE_COLUMNS} FROM login_failures WHERE email = ?`).get(String(email).toLowerCase());
+}
+
+function assertLoginAllowed(userId) {
+  assertThrottle(getLoginState(userId));
+}
+
+function assertThrottle(state) {
+  if (!state) return;
+  if (state.lock_seconds > 0) {
+    const retryAfter = Math.ceil(state.lock_seconds);
+    const minutes = Math.ceil(retryAfter / 60);
+    throw Object.assign(
+      new Error(`Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"} or reset your password.`),
+      { status: 423, code: "account_locked", retryAfter }
+    );
+  }
+  const wait = loginDelaySeconds(state.failed_login_count) - (state.since_failure || 0);
+  if (wait > 0) {
+    const retryAfter = Math.ceil(wait);
+    throw Object.assign(
+      new Error(`Too many failed sign-in attempts. Wait ${retryAfter} second${retryAfter === 1 ? "" : "s"} and try again.`),
+      { status: 429, code: "login_throttled", retryAfter }
+    );
+  }
+}
+
+function recordLoginFailure(userId, reason, ip) {
+  db.prepare(`
+    UPDATE users SET
+      failed_login_count = CASE WHEN last_failed_login_at < datetime('now', '-1 day') THEN 1 ELSE failed_login_count + 1 END,
+      last_failed_login_at = datetime('now')
+    WHERE id = ?
+  `).run(userId);
+  const user = db.prepare("SELECT email, name, failed_login_count FROM users WHERE id = ?").get(userId);
+  logAudit(userId, "login_failed", JSON.stringify({ reason, failures: user.failed_login_count }), ip);
+
+  if (user.failed_login_count >= LOCKOUT_THRESHOLD) {
+    db.prepare("UPDATE users SET locked_until = datetime('now', ?) WHERE id = ?").run(`+${LOCKOUT_MINUTES} minutes`, userId);
+    logAudit(userId, "account_locked", JSON.stringify({ failures: user.failed_login_count, minutes: LOCKOUT_MINUTES }), ip);
+    mailer.queueMail(user.email, "accountLocked", { name: user.name, minutes: LOCKOUT_MINUTES, path: "/forgot-password" });
+  }
+}
+
+// Same counting as recordLoginFailure, minus the email. Rows are dropped once
+// a day has passed without failures and no lock is left.
+function recordUnknownEmailFailure(email, ip) {
+  const key = String(email).toLowerCase();
+  db.prepare(`
+    DELETE FROM login_failures
+    WHERE last_failed_login_at < datetime('now', '-1 day') AND (locked_until IS NULL OR locked_until < datetime('now'))
+  `).run();
+  const { failed_login_count: failures } = db.prepare(`
+    INSERT INTO login_failures (email, failed_login_count, last_failed_login_at) VALUES (?, 1, datetime('now'))
+    ON CONFLICT(email) DO UPDATE SET failed_login_count = failed_login_count + 1, last_failed_login_at = datetime('now')
+    RETURNING failed_login_count
+  `).get(key);
+  logAudit(null, "login_failed", JSON.stringify({ email, reason: "unknown_email", failures }), ip);
+  if (failures >= LOCKOUT_THRESHOLD) {
+    db.prepare("UPDATE login_failures SET locked_until = datetime('now', ?) WHERE email = ?").run(`+${LOCKOUT_MINUTES} minutes`, key);
   }
-  const token = signToken(user.id);
-  return { token, user: sanitizeUser(user) };
+}
+
+function clearLoginFailures(userId) {
+  db.prepare(`
+    UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+    WHERE id = ? AND (failed_login_count > 0 OR locked_until IS NOT NULL)
+  `).run(userId);
+}
+
+// Accounts with recent failures or an active lock, for the admin panel.
+function listLockouts() {
+  return db.prepare(`
+    SELECT id, email, name, failed_login_count, last_failed_login_at, locked_until,
+      locked_until > datetime('now') AS locked
+    FROM users
+    WHERE locked_until > datetime('now') OR (failed_login_count > 0 AND last_failed_login_at >= datetime('now', '-1 day'))
+    ORDER BY locked DESC, last_failed_login_at DESC
+  `).all();
+}
+
+// ── Login: second factor ───────────────────────────────────
+// The challenge token has no `sid`, so it's never accepted as an access token.
+function signMfaToken(userId) {
+  return jwt.sign({ sub: userId, purpose: "mfa" }, JWT_SECRET, { expiresIn: MFA_TOKEN_EXPIRES_IN });
+}
+
+function completeLogin({ mfaToken, code, recoveryCode }, { ip, userAgent } = {}) {
+  let payload;
+  try {
+    payload = jwt.verify(mfaToken || "", JWT_SECRET);
+  } catch {
+    throw Object.assign(new Error("Sign-in has expired, please start again"), { status: 401 });
+  }
+  if (payload.purpose !== "mfa") {
+    throw Object.assign(new Error("Sign-in has expired, please start again"), { status: 401 });
+  }
+
+  assertLoginAllowed(payload.sub);
+  const method = twoFactor.check(payload.sub, { code, recoveryCode });
+  if (!method) {
+    recordLoginFailure(payload.sub, "bad_2fa_code", ip);
+    throw Object.assign(new Error("Invalid authentication code"), { status: 401 });
+  }
+  clearLoginFailures(payload.sub);
+  return { ...issueTokens(payload.sub, ip, userAgent), user: getPublicUser(payload.sub), method };
+}
+
+// Only checked once the password is right, so it doesn't reveal the account.
+function assertActive(userId) {
+  const user = db.prepare("SELECT status FROM users WHERE id = ?").get(userId);
+  if (user?.status === "suspended") {
+    throw Object.assign(new Error("This account has been suspended. Please contact support."), { status: 403, code: "account_suspended" });
+  }
+  if (user?.status === "deleted") throw Object.assign(new Error("Invalid email or password"), { status: 401 });
 }
 
 // ── Password reset request ─────────────────────────────────
 function requestPasswordReset(email) {
-  const user = db.prepare("SELECT id FROM users WHERE email = ?").get(email);
+  const user = db.prepare("SELECT id, name FROM users WHERE email = ? AND status != 'deleted'").get(email);
   if (!user) return; // silent — don't reveal whether email exists
 
   const rawToken = crypto.randomBytes(32).toString("hex");
   const tokenHash = hashToken(rawToken);
-  const expiresAt = new Date(Date.now() + 3600000).toISOString(); // 1 hr
 
   db.prepare(`
     INSERT INTO password_resets (id, user_id, token_hash, expires_at)
-    VALUES (?, ?, ?, ?)
-  `).run(uuid(), user.id, tokenHash, expiresAt);
+    VALUES (?, ?, ?, datetime('now', '+1 hour'))
+  `).run(uuid(), user.id, tokenHash);
+
+  mailer.queueMail(email, "passwordReset", { name: user.name, path: `/reset-password?token=${rawToken}` });
+}
+
+// For accounts created by staff: a reset link that lasts long enough to be
+// the welcome email.
+function sendAccountSetup(userId) {
+  const user = db.prepare("SELECT id, email, name FROM users WHERE id = ?").get(userId);
+  const rawToken = crypto.randomBytes(32).toString("hex");
+  db.prepare(`
+    INSERT INTO password_resets (id, user_id, token_hash, expires_at)
+    VALUES (?, ?, ?, datetime('now', ?))
+  `).run(uuid(), user.id, hashToken(rawToken), `+${ACCOUNT_SETUP_DAYS} days`);
 
-  // In production, send email with rawToken. For dev, log it.
-  console.log(`[DEV] Password reset token for ${email}: ${rawToken}`);
-  return rawToken;
+  mailer.queueMail(user.email, "accountCreated", { name: user.name, days: ACCOUNT_SETUP_DAYS, path: `/reset-password?token=${rawToken}` });
 }
 
 // ── Password reset confirm ─────────────────────────────────
@@ -83,19 +319,41 @@ function resetPassword({ token, newPassword }) {
   db.prepare("UPDATE users SET password_hash = ?, updated_at = datetime('now') WHERE id = ?")
     .run(passwordHash, row.user_id);
   db.prepare("UPDATE password_resets SET used = 1 WHERE id = ?").run(row.id);
+  revokeAllSessions(row.user_id);
+  clearLoginFailures(row.user_id);
+  return row.user_id;
+}
+
+// ── Password change ────────────────────────────────────────
+// Revokes every session, then starts a fresh one for the caller.
+function changePassword(userId, { currentPassword, newPassword }, { ip, userAgent } = {}) {
+  const user = db.prepare("SELECT * FROM users WHERE id = ?").get(userId);
+  if (!user || !bcrypt.compareSync(currentPassword || "", user.password_hash)) {
+    throw Object.assign(new Error("Current password is incorrect"), { status: 403 });
+  }
+  const hash = bcrypt.hashSync(newPassword, 12);
+  db.prepare("UPDATE users SET password_hash = ?, updated_at = datetime('now') WHERE id = ?").run(hash, userId);
+  revokeAllSessions(userId);
+  return issueTokens(userId, ip, userAgent);
 }
 
 // ── Session management ─────────────────────────────────────
+// Each session holds one refresh token (stored hashed). Refreshing rotates
+// it and slides the expiry; expires_at uses SQLite's datetime format so it
+// compares correctly against datetime('now').
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString("hex");
+}
+
 function createSession(userId, ip, userAgent) {
   const id = uuid();
-  const rawToken = crypto.randomBytes(48).toString("hex");
-  const tokenHash = hashToken(rawToken);
-  const expiresAt = new Date(Date.now() + 30 * 86400000).toISOString(); // 30d
+  const refreshToken = newRefreshToken();
+  db.prepare("DELETE FROM sessions WHERE user_id = ? AND expires_at <= datetime('now')").run(userId);
   db.prepare(`
-    INSERT INTO sessions (id, user_id, token_hash, ip_address, user_agent, expires_at)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `).run(id, userId, tokenHash, ip, userAgent, expiresAt);
-  return rawToken;
+    INSERT INTO sessions (id, user_id, token_hash, ip_address, user_agent, expires_at, last_used_at)
+    VALUES (?, ?, ?, ?, ?, datetime('now', ?), datetime('now'))
+  `).run(id, userId, hashToken(refreshToken), ip || null, userAgent || null, `+${REFRESH_TOKEN_DAYS} days`);
+  return { id, refreshToken };
 }
 
 function validateSession(rawToken) {
@@ -107,11 +365,64 @@ function validateSession(rawToken) {
   `).get(tokenHash);
 }
 
+function isSessionActive(sessionId) {
+  return !!db.prepare("SELECT 1 FROM sessions WHERE id = ? AND expires_at > datetime('now')").get(sessionId);
+}
+
+// Record activity for "last seen"; throttled to one write per minute per session.
+function touchSession(sessionId) {
+  db.prepare(`
+    UPDATE sessions SET last_used_at = datetime('now')
+    WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', '-1 minute'))
+  `).run(sessionId);
+}
+
+function listSessions(userId) {
+  return db.prepare(`
+    SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at FROM sessions
+    WHERE user_id = ? AND expires_at > datetime('now')
+    ORDER BY COALESCE(last_used_at, created_at) DESC
+  `).all(userId);
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. Presenting a
+ * refresh token that was already rotated means it leaked, so the whole
+ * session is revoked.
+ */
+function refreshSession(rawToken, { ip, userAgent } = {}) {
+  const invalid = () => Object.assign(new Error("Invalid or expired refresh token"), { status: 401 });
+  if (!rawToken) throw invalid();
+
+  const session = validateSession(rawToken);
+  if (!session) {
+    const reused = db.prepare("SELECT id, user_id FROM sessions WHERE previous_token_hash = ?").get(hashToken(rawToken));
+    if (reused) {
+      db.prepare("DELETE FROM sessions WHERE id = ?").run(reused.id);
+      logAudit(reused.user_id, "refresh_token_reuse", JSON.stringify({ sessionId: reused.id }), ip);
+    }
+    throw invalid();
+  }
+
+  const refreshToken = newRefreshToken();
+  db.prepare(`
+    UPDATE sessions SET token_hash = ?, previous_token_hash = token_hash, ip_address = ?, user_agent = ?,
+      expires_at = datetime('now', ?), last_used_at = datetime('now')
+    WHERE id = ?
+  `).run(hashToken(refreshToken), ip || session.ip_address, userAgent || session.user_agent, `+${REFRESH_TOKEN_DAYS} days`, session.id);
+
+  return { token: signToken(session.user_id, session.id), refreshToken, user: getPublicUser(session.user_id) };
+}
+
 function revokeSession(rawToken) {
   const tokenHash = hashToken(rawToken);
   db.prepare("DELETE FROM sessions WHERE token_hash = ?").run(tokenHash);
 }
 
+function revokeSessionById(sessionId) {
+  db.prepare("DELETE FROM sessions WHERE id = ?").run(sessionId);
+}
+
 function revokeAllSessions(userId) {
   db.prepare("DELETE FROM sessions WHERE user_id = ?").run(userId);
 }
@@ -122,38 +433,64 @@ function getPublicUser(id) {
   return user ? sanitizeUser(user) : null;
 }
 
+// `plan` is the effective plan, which may come from the user's organisation;
+// `personalPlan` is the user's own.
 function sanitizeUser(u) {
+  const membership = organisations.getMembership(u.id);
   return {
     id: u.id,
     email: u.email,
     name: u.name,
     role: u.role,
-    plan: u.plan,
+    permissions: roles.getPermissions(u.role),
+    plan: organisations.effectivePlan(u.plan, membership?.plan),
+    personalPlan: u.plan,
+    organisation: membership ? { id: membership.id, name: membership.name, role: membership.role, plan: membership.plan } : null,
     subscriptionStatus: u.subscription_status,
     subscriptionPeriodEnd: u.subscription_period_end,
+    subscriptionInterval: u.subscription_interval,
+    cancelAtPeriodEnd: !!u.cancel_at_period_end,
+    scheduledPlan: u.scheduled_plan ? { plan: u.scheduled_plan, interval: u.scheduled_interval } : null,
+    graceEndsAt: u.subscription_status === "past_due" ? u.grace_ends_at : null,
+    trialEndsAt: u.trial_ends_at,
+    trialAvailable: !u.trial_started_at,
     avatarUrl: u.avatar_url,
+    twoFactorEnabled: !!u.totp_enabled,
+    hasPassword: u.password_hash !== NO_PASSWORD,
+    emailVerified: !!u.email_verified_at,
+    deletionScheduledAt: u.deletion_scheduled_at,
+    status: u.status,
     createdAt: u.created_at,
   };
 }
 
-// ── Audit ──────────────────────────────────────────────────
-function logAudit(userId, action, detail, ip) {
-  db.prepare(`
-    INSERT INTO audit_log (user_id, action, detail, ip_address)
-    VALUES (?, ?, ?, ?)
-  `).run(userId, action, detail || null, ip || null);
-}
-
 module.exports = {
+  REFRESH_TOKEN_DAYS,
   signToken,
+  signImpersonationToken,
   verifyToken,
+  NO_PASSWORD,
+  issueTokens,
+  assertActive,
   register,
   login,
+  completeLogin,
+  clearLoginFailures,
+  listLockouts,
+  sendVerificationEmail,
+  verifyEmail,
   requestPasswordReset,
+  sendAccountSetup,
   resetPassword,
+  changePassword,
   createSession,
   validateSession,
+  isSessionActive,
+  touchSession,
+  listSessions,
+  refreshSession,
   revokeSession,
+  revokeSessionById,
   revokeAllSessions,
   getPublicUser,
   sanitizeUser,
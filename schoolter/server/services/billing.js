@@ -0,0 +1,678 @@
+/**
+ * Billing — plans, subscriptions, checkout, portal, webhooks and invoices.
+ *
+ * Payments go through a provider: Stripe (services/billingStripe.js), or the
+ * built-in fake (services/billingFake.js) that runs checkout, subscriptions,
+ * invoices and signed webhooks locally. BILLING_PROVIDER picks one; by
+ * default it is Stripe when STRIPE_SECRET_KEY is set. The fake is only used
+ * when asked for, and never in production. Without a provider billing
+ * answers 503. A provider has:
+ *
+ *   name
+ *   createCustomer({ email, name, metadata }) → customer id
+ *   createCoupon({ code, percentOff, amountOffCents, duration, durationMonths,
+ *     maxRedemptions, redeemBy }) → coupon id, refusing checkouts past either limit
+ *   createCheckoutSession({ customerId, plan, interval, quantity, unitAmountCents,
+ *     couponId, successUrl, cancelUrl, metadata }) → { id, url }
+ *   createPortalSession({ customerId, returnUrl }) → { url }
+ *   updateSubscriptionQuantity(subscriptionId, quantity)
+ *   previewSubscriptionChange(subscriptionId, { plan, interval, unitAmountCents })
+ *     → { amountDueCents, currency }, what changing now would charge
+ *   changeSubscription(subscriptionId, { plan, interval, unitAmountCents }), prorated and charged now
+ *   scheduleSubscriptionChange(subscriptionId, { plan, interval, unitAmountCents }), from the next period
+ *   cancelScheduledChange(subscriptionId)
+ *   setCancelAtPeriodEnd(subscriptionId, cancel)
+ *   cancelSubscription(subscriptionId)
+ *   removeDiscount(subscriptionId), from the next invoice on
+ *   expireCheckoutSessions(customerId, exceptSessionId), the customer's other open checkouts
+ *   refundInvoice(invoiceId) → { id, amountCents }
+ *   constructEvent(rawBody, headers) → event, throwing with status 400 when unsigned
+ *   signWebhook(payload) → headers (dev tooling)
+ *
+ * All but the last two are async. Events use Stripe's shape whichever
+ * provider sends them, and the stripe_* columns hold the provider's ids.
+ * Subscriptions carry { plan, interval } in their metadata, which is how a
+ * plan change reaches the webhook handlers.
+ */
+const db = require("../db/connection");
+const { v4: uuid } = require("uuid");
+const mailer = require("./mailer");
+const { logAudit } = require("./audit");
+const coupons = require("./coupons");
+const { PLAN_RANK } = require("./organisations");
+const dunning = require("./dunning");
+
+// ── Provider ───────────────────────────────────────────────
+const PROVIDERS = { stripe: require("./billingStripe"), fake: require("./billingFake") };
+
+let provider;
+
+// The configured provider, or null when there is none or it can't run here.
+function getProvider() {
+  if (provider === undefined) {
+    const name = process.env.BILLING_PROVIDER || (PROVIDERS.stripe.isConfigured() ? "stripe" : null);
+    if (name && !PROVIDERS[name]) throw new Error(`Unknown BILLING_PROVIDER: ${name}`);
+    provider = name && PROVIDERS[name].isConfigured() ? PROVIDERS[name].create() : null;
+  }
+  return provider;
+}
+
+function setProvider(p) {
+  provider = p;
+}
+
+function requireProvider() {
+  const p = getProvider();
+  if (!p) throw Object.assign(new Error("Billing not configured"), { status: 503 });
+  return p;
+}
+
+// ── Plans ──────────────────────────────────────────────────
+const PLANS = {
+  free:       { name: "Free",       monthlyPrice: 0,    searchLimit: 20,  compareLimit: 2,  viewLimit: 30, analytics: false },
+  pro:        { name: "Pro",        monthlyPrice: 9.99,  searchLimit: -1,  compareLimit: -1, viewLimit: -1, analytics: true  },
+  enterprise: { name: "Enterprise", monthlyPrice: 29.99, searchLimit: -1,  compareLimit: -1, viewLimit: -1, analytics: true  },
+};
+
+function getPlanDetails(plan) {
+  return PLANS[plan] || PLANS.free;
+}
+
+function listPlans() {
+  return Object.entries(PLANS).map(([key, v]) => ({ id: key, ...v }));
+}
+
+// What the fake provider charges; Stripe uses its own prices
+function unitAmountCents(plan, interval) {
+  return Math.round(PLANS[plan].monthlyPrice * 100) * (interval === "yearly" ? 12 : 1);
+}
+
+// ── Customers ──────────────────────────────────────────────
+async function ensureCustomer(userId) {
+  const billing = requireProvider();
+
+  const user = db.prepare("SELECT * FROM users WHERE id = ?").get(userId);
+  if (!user) throw Object.assign(new Error("User not found"), { status: 404 });
+
+  if (user.stripe_customer_id) return user.stripe_customer_id;
+
+  const customerId = await billing.createCustomer({
+    email: user.email,
+    name: user.name,
+    metadata: { userId: user.id },
+  });
+
+  db.prepare("UPDATE users SET stripe_customer_id = ?, updated_at = datetime('now') WHERE id = ?")
+    .run(customerId, userId);
+
+  return customerId;
+}
+
+// ── Coupons ────────────────────────────────────────────────
+// The provider's id for a coupon, creating the provider's copy on first use.
+async function ensureProviderCoupon(coupon) {
+  const billing = requireProvider();
+  const existing = coupons.getProviderId(coupon, billing.name);
+  if (existing) return existing;
+
+  const providerId = await billing.createCoupon({
+    code: coupon.code,
+    percentOff: coupon.percent_off,
+    amountOffCents: coupon.amount_off_cents,
+    duration: coupon.duration,
+    durationMonths: coupon.duration_months,
+    ...coupons.providerLimits(coupon),
+  });
+  coupons.setProviderId(coupon, billing.name, providerId);
+  return providerId;
+}
+
+// ── Create checkout session ────────────────────────────────
+// `code` is an optional promo code; it is checked here and counted when the
+// checkout completes.
+async function createCheckoutSession(userId, planKey, interval, code) {
+  const billing = requireProvider();
+  const coupon = code ? coupons.findRedeemable(code, userId, planKey) : null;
+  const customerId = await ensureCustomer(userId);
+  const appUrl = process.env.APP_URL || "http://localhost:3000";
+
+  const session = await billing.createCheckoutSession({
+    customerId,
+    plan: planKey,
+    interval,
+    quantity: 1,
+    unitAmountCents: unitAmountCents(planKey, interval),
+    couponId: coupon ? await ensureProviderCoupon(coupon) : null,
+    successUrl: `${appUrl}/billing?session_id={CHECKOUT_SESSION_ID}`,
+    cancelUrl: `${appUrl}/billing`,
+    metadata: { userId, plan: planKey, interval, ...(coupon ? { couponId: coupon.id } : {}) },
+  });
+
+  return { url: session.url, sessionId: session.id };
+}
+
+// ── Customer portal ────────────────────────────────────────
+async function createPortalSession(userId) {
+  const billing = requireProvider();
+  const customerId = await ensureCustomer(userId);
+  const appUrl = process.env.APP_URL || "http://localhost:3000";
+
+  return billing.createPortalSession({ customerId, returnUrl: `${appUrl}/billing` });
+}
+
+// ── Plan changes ───────────────────────────────────────────
+// A subscriber moves between paid plans and intervals in the app. Upgrades
+// (a higher plan, or monthly to yearly on the same plan) apply at once and
+// are charged the prorated difference. Downgrades wait for the end of the
+// paid period, so nothing is refunded. The webhook confirms both; the
+// change is mirrored here straight away, as with organisation seats.
+function toSubscription(user) {
+  return {
+    plan: user.plan,
+    interval: user.subscription_interval,
+    status: user.subscription_status,
+    currentPeriodEnd: user.subscription_period_end,
+    cancelAtPeriodEnd: !!user.cancel_at_period_end,
+    scheduledChange: user.scheduled_plan
+      ? { plan: user.scheduled_plan, interval: user.scheduled_interval, effectiveAt: user.subscription_period_end }
+      : null,
+  };
+}
+
+function hasSubscription(user) {
+  return !!user.stripe_subscription_id && ["active", "past_due"].includes(user.subscription_status);
+}
+
+// The user's own subscription, or null without one
+function getSubscription(userId) {
+  const user = db.prepare("SELECT * FROM users WHERE id = ?").get(userId);
+  if (!user) throw Object.assign(new Error("User not found"), { status: 404 });
+  return hasSubscription(user) ? toSubscription(user) : null;
+}
+
+function loadSubscriber(userId) {
+  const user = db.prepare("SELECT * FROM users WHERE id = ?").get(userId);
+  if (!user) throw Object.assign(new Error("User not found"), { status: 404 });
+  if (!hasSubscription(user)) throw Object.assign(new Error("You don't have a subscription"), { status: 409 });
+  return user;
+}
+
+// Checks a requested change and says when it would take effect: "now" or "period_end".
+function planChange(user, plan, interval) {
+  if (!["pro", "enterprise"].includes(plan)) throw Object.assign(new Error("Invalid plan"), { status: 400 });
+  if (!["monthly", "yearly"].includes(interval)) throw Object.assign(new Error("Invalid interval"), { status: 400 });
+  if (user.subscription_status !== "active") {
+    throw Object.assign(new Error("Settle the overdue payment before changing plan"), { status: 409 });
+  }
+  if (user.cancel_at_period_end) {
+    throw Object.assign(new Error("Resume your subscription before changing plan"), { status: 409 });
+  }
+  const currentInterval = user.subscription_interval || "monthly";
+  if (plan === user.plan && interval === currentInterval) {
+    throw Object.assign(new Error("You're already on that plan"), { status: 409 });
+  }
+  const rank = PLAN_RANK[plan] - PLAN_RANK[user.plan];
+  return rank > 0 || (rank === 0 && interval === "yearly") ? "now" : "period_end";
+}
+
+async function previewSubscriptionChange(userId, plan, interval) {
+  const billing = requireProvider();
+  const user = loadSubscriber(userId);
+  const effective = planChange(user, plan, interval);
+  if (effective === "period_end") {
+    return { plan, interval, effective, effectiveAt: user.subscription_period_end, amountDueCents: 0, currency: "gbp" };
+  }
+  const preview = await billing.previewSubscriptionChange(user.stripe_subscription_id, {
+    plan, interval, unitAmountCents: unitAmountCents(plan, interval),
+  });
+  return { plan, interval, effective, effectiveAt: null, ...preview };
+}
+
+// Applies or schedules the change; returns the subscription and when it takes effect.
+async function changeSubscription(userId, plan, interval) {
+  const billing = requireProvider();
+  const user = loadSubscriber(userId);
+  const effective = planChange(user, plan, interval);
+  const target = { plan, interval, unitAmountCents: unitAmountCents(plan, interval) };
+
+  if (effective === "now") {
+    if (user.scheduled_plan) await billing.cancelScheduledChange(user.stripe_subscription_id);
+    await billing.changeSubscription(user.stripe_subscription_id, target);
+    db.prepare(`
+      UPDATE users SET plan = ?, subscription_interval = ?, scheduled_plan = NULL, scheduled_interval = NULL,
+        updated_at = datetime('now')
+      WHERE id = ?
+    `).run(plan, interval, userId);
+  } else {
+    await billing.scheduleSubscriptionChange(user.stripe_subscription_id, target);
+    db.prepare("UPDATE users SET scheduled_plan = ?, scheduled_interval = ?, updated_at = datetime('now') WHERE id = ?")
+      .run(plan, interval, userId);
+  }
+  return { effective, subscription: getSubscription(userId) };
+}
+
+async function cancelScheduledChange(userId) {
+  const billing = requireProvider();
+  const user = loadSubscriber(userId);
+  if (!user.scheduled_plan) throw Object.assign(new Error("No plan change is scheduled"), { status: 409 });
+  await billing.cancelScheduledChange(user.stripe_subscription_id);
+  db.prepare("UPDATE users SET scheduled_plan = NULL, scheduled_interval = NULL, updated_at = datetime('now') WHERE id = ?")
+    .run(userId);
+  return getSubscription(userId);
+}
+
+// Turns renewal off (dropping any scheduled change) or back on.
+async function setRenewal(userId, renew) {
+  const billing = requireProvider();
+  const user = loadSubscriber(userId);
+  if (!user.cancel_at_period_end === renew) {
+    throw Object.assign(new Error(renew ? "Your subscription already renews" : "Your subscription is already set to end"), { status: 409 });
+  }
+  if (!renew && user.scheduled_plan) await billing.cancelScheduledChange(user.stripe_subscription_id);
+  await billing.setCancelAtPeriodEnd(user.stripe_subscription_id, !renew);
+  db.prepare(`
+    UPDATE users SET cancel_at_period_end = ?, scheduled_plan = CASE WHEN ? THEN scheduled_plan END,
+      scheduled_interval = CASE WHEN ? THEN scheduled_interval END, updated_at = datetime('now')
+    WHERE id = ?
+  `).run(renew ? 0 : 1, renew ? 1 : 0, renew ? 1 : 0, userId);
+  return getSubscription(userId);
+}
+
+// ── Organisation billing ───────────────────────────────────
+// Organisations subscribe to Enterprise per seat: the subscription quantity
+// is the seat count, and the organisation is its own billing customer.
+async function ensureOrgCustomer(orgId) {
+  const billing = requireProvider();
+
+  const org = db.prepare(`
+    SELECT o.*, u.email AS owner_email FROM organisations o JOIN users u ON u.id = o.owner_id WHERE o.id = ?
+  `).get(orgId);
+  if (!org) throw Object.assign(new Error("Organisation not found"), { status: 404 });
+
+  if (org.stripe_customer_id) return org.stripe_customer_id;
+
+  const customerId = await billing.createCustomer({
+    email: org.owner_email,
+    name: org.name,
+    metadata: { orgId: org.id },
+  });
+
+  db.prepare("UPDATE organisations SET stripe_customer_id = ?, updated_at = datetime('now') WHERE id = ?")
+    .run(customerId, orgId);
+
+  return customerId;
+}
+
+async function createOrgCheckoutSession(orgId, interval, seats) {
+  const billing = requireProvider();
+  const customerId = await ensureOrgCustomer(orgId);
+  const appUrl = process.env.APP_URL || "http://localhost:3000";
+
+  const session = await billing.createCheckoutSession({
+    customerId,
+    plan: "enterprise",
+    interval,
+    quantity: seats,
+    unitAmountCents: unitAmountCents("enterprise", interval),
+    successUrl: `${appUrl}/organisation?session_id={CHECKOUT_SESSION_ID}`,
+    cancelUrl: `${appUrl}/organisation`,
+    metadata: { orgId, plan: "enterprise", seats: String(seats) },
+  });
+
+  return { url: session.url, sessionId: session.id };
+}
+
+async function createOrgPortalSession(orgId) {
+  const billing = requireProvider();
+  const customerId = await ensureOrgCustomer(orgId);
+  const appUrl = process.env.APP_URL || "http://localhost:3000";
+
+  return billing.createPortalSession({ customerId, returnUrl: `${appUrl}/organisation` });
+}
+
+// Changes the subscription quantity (prorated) and mirrors it locally; the
+// subscription.updated webhook confirms it.
+async function updateOrgSeats(orgId, seats) {
+  const billing = requireProvider();
+
+  const org = db.prepare("SELECT stripe_subscription_id FROM organisations WHERE id = ?").get(orgId);
+  if (!org || !org.stripe_subscription_id) {
+    throw Object.assign(new Error("The organisation has no subscription"), { status: 400 });
+  }
+
+  await billing.updateSubscriptionQuantity(org.stripe_subscription_id, seats);
+  db.prepare("UPDATE organisations SET seats = ?, updated_at = datetime('now') WHERE id = ?").run(seats, orgId);
+}
+
+// ── Webhook handler ────────────────────────────────────────
+// Applies one event and returns its outcome: "applied", "stale" (a newer
+// event for the subscription was applied first), "duplicate" (a checkout
+// paid alongside a live subscription, see onCheckoutComplete), "unmatched"
+// (no local user or organisation) or "unhandled". Handlers are idempotent, so
+// a redelivered or replayed event changes nothing twice. The changes are made
+// in one transaction, and the emails and provider calls a handler queues go
+// out only once it commits; a handler that throws leaves nothing behind (see
+// services/stripeEvents.js for retries). A failed provider call is logged.
+const HANDLERS = {
+  "checkout.session.completed": onCheckoutComplete,
+  "customer.subscription.updated": onSubscriptionChange,
+  "customer.subscription.deleted": onSubscriptionChange,
+  "invoice.paid": onInvoicePaid,
+  "invoice.payment_failed": onInvoiceFailed,
+};
+
+function handleWebhookEvent(event) {
+  const handler = HANDLERS[event.type];
+  if (!handler) return "unhandled";
+  const mails = [];
+  const calls = [];
+  const outcome = db.transaction(() => handler(event.data.object, event.created, mails, calls))();
+  for (const [to, template, data] of mails) mailer.queueMail(to, template, data);
+  for (const [what, call] of calls) {
+    call().catch((err) => console.error(`Billing: ${what} failed:`, err.message));
+  }
+  return outcome;
+}
+
+// Subscription state only moves forward: an update is applied when the event
+// is at least as new as the last one applied (`created` is Unix seconds), so
+// an event delivered late can't undo a newer one. Returns false when stale.
+function updateSubscriptionState(table, id, created, fields) {
+  const columns = Object.keys(fields);
+  const result = db.prepare(`
+    UPDATE ${table} SET ${columns.map((c) => `${c} = ?`).join(", ")}, subscription_event_at = ?, updated_at = datetime('now')
+    WHERE id = ? AND (subscription_event_at IS NULL OR subscription_event_at <= ?)
+  `).run(...Object.values(fields), created, id, created);
+  return result.changes > 0;
+}
+
+// Completing a checkout expires the customer's other open ones. One that was
+// opened earlier (in a second tab, or during a trial) can still be paid
+// before that, and its subscription would bill alongside the live one, so it
+// is canceled and its first invoice refunded instead of replacing it.
+function onCheckoutComplete(session, created, mails, calls) {
+  if (session.metadata?.orgId) return onOrgCheckoutComplete(session, created, mails, calls);
+
+  const userId = session.metadata?.userId;
+  const plan = session.metadata?.plan;
+  if (!userId || !plan) return "unmatched";
+  const user = db.prepare("SELECT * FROM users WHERE id = ?").get(userId);
+  if (!user) return "unmatched";
+
+  expireOtherCheckouts(session, calls);
+  if (hasSubscription(user) && user.stripe_subscription_id !== session.subscription) {
+    return cancelDuplicate(user.id, session, calls, {});
+  }
+
+  const started = user.stripe_subscription_id !== session.subscription || user.subscription_status !== "active";
+  if (!updateSubscriptionState("users", userId, created, {
+    plan, stripe_subscription_id: session.subscription, subscription_status: "active",
+    ...(session.metadata.interval ? { subscription_interval: session.metadata.interval } : {}),
+    ...(started ? { cancel_at_period_end: 0, scheduled_plan: null, scheduled_interval: null } : {}),
+  })) return "stale";
+  if (session.metadata.couponId && coupons.recordRedemption(session.metadata.couponId, userId, session.id) === "used_up") {
+    calls.push([`removing a used-up promo code from ${session.subscription}`,
+      () => requireProvider().removeDiscount(session.subscription)]);
+  }
+  if (!started) return "applied";
+
+  logAudit(userId, "subscription_started", JSON.stringify({ plan }), null);
+  mails.push([user.email, "subscriptionStarted", { name: user.name, plan: PLANS[plan]?.name || plan, path: "/billing" }]);
+  return "applied";
+}
+
+function onOrgCheckoutComplete(session, created, mails, calls) {
+  const { orgId, plan } = session.metadata;
+  const seats = parseInt(session.metadata.seats) || 1;
+  const org = db.prepare("SELECT * FROM organisations WHERE id = ?").get(orgId);
+  if (!org) return "unmatched";
+
+  expireOtherCheckouts(session, calls);
+  if (hasSubscription(org) && org.stripe_subscription_id !== session.subscription) {
+    return cancelDuplicate(org.owner_id, session, calls, { orgId });
+  }
+
+  const started = org.stripe_subscription_id !== session.subscription || org.subscription_status !== "active";
+  if (!updateSubscriptionState("organisations", orgId, created, {
+    plan, seats, stripe_subscription_id: session.subscription, subscription_status: "active",
+  })) return "stale";
+  if (!started) return "applied";
+
+  const owner = db.prepare("SELECT id, email, name FROM users WHERE id = ?").get(org.owner_id);
+  logAudit(owner?.id || null, "subscription_started", JSON.stringify({ plan, orgId, seats }), null);
+  if (owner) mails.push([owner.email, "subscriptionStarted", { name: owner.name, plan: PLANS[plan]?.name || plan, path: "/organisation" }]);
+  return "applied";
+}
+
+function expireOtherCheckouts(session, calls) {
+  if (!session.customer) return;
+  calls.push([`expiring checkouts for ${session.customer}`,
+    () => requireProvider().expireCheckoutSessions(session.customer, session.id)]);
+}
+
+// The refund is recorded against the payer's invoice, whether invoice.paid
+// arrives before it or after (the row then exists and sends no receipt).
+function cancelDuplicate(payerId, session, calls, detail) {
+  logAudit(payerId, "duplicate_subscription_canceled", JSON.stringify({ subscriptionId: session.subscription, ...detail }), null);
+  calls.push([`canceling duplicate subscription ${session.subscription}`, async () => {
+    const billing = requireProvider();
+    await billing.cancelSubscription(session.subscription);
+    if (!session.invoice || !payerId) return;
+    const refund = await billing.refundInvoice(session.invoice);
+    db.prepare(`
+      INSERT INTO invoices (id, user_id, stripe_invoice_id, amount_cents, currency, status, description)
+      VALUES (?, ?, ?, ?, 'gbp', 'refunded', 'Duplicate subscription (refunded)')
+      ON CONFLICT (stripe_invoice_id) DO UPDATE SET status = 'refunded'
+    `).run(uuid(), payerId, session.invoice, refund.amountCents);
+  }]);
+  return "duplicate";
+}
+
+function subscriptionStatus(sub) {
+  return sub.status === "active" ? "active"
+    : sub.status === "past_due" ? "past_due"
+    : sub.status === "trialing" ? "trialing"
+    : "canceled";
+}
+
+// The plan from the subscription's metadata, when it names a paid plan
+function subscriptionPlan(sub) {
+  const plan = sub.metadata?.plan;
+  return PLANS[plan] && plan !== "free" ? plan : null;
+}
+
+function subscriptionInterval(sub) {
+  const interval = sub.items?.data?.[0]?.price?.recurring?.interval;
+  return interval === "year" ? "yearly" : interval === "month" ? "monthly" : null;
+}
+
+// Grace period columns for a status change (see services/dunning.js): past
+// due starts one unless it's running, anything else ends it. The caller
+// reports the transition once the update is applied.
+function dunningFields(row, status, created) {
+  if (status === "past_due") return row.grace_ends_at ? {} : dunning.graceFields(created);
+  return row.grace_ends_at ? dunning.CLEARED : {};
+}
+
+function reportDunning(table, row, status, mails) {
+  if (status === "past_due" && !row.grace_ends_at) dunning.started(table, row.id, mails);
+  else if (status === "active" && row.grace_ends_at) dunning.recovered(table, row.id);
+}
+
+// A scheduled plan change is cleared once the subscription shows it, or ends.
+function onSubscriptionChange(sub, created, mails) {
+  const user = db.prepare("SELECT * FROM users WHERE stripe_subscription_id = ?").get(sub.id);
+  if (!user) return onOrgSubscriptionChange(sub, created, mails);
+
+  const status = subscriptionStatus(sub);
+
+  const periodEnd = sub.current_period_end
+    ? new Date(sub.current_period_end * 1000).toISOString()
+    : null;
+
+  const plan = status === "canceled" ? "free" : subscriptionPlan(sub) || user.plan;
+  const interval = subscriptionInterval(sub) || user.subscription_interval;
+  const scheduleDone = status === "canceled" || (plan === user.scheduled_plan && interval === user.scheduled_interval);
+
+  if (!updateSubscriptionState("users", user.id, created, {
+    plan, subscription_status: status, subscription_period_end: periodEnd, subscription_interval: interval,
+    cancel_at_period_end: sub.cancel_at_period_end ? 1 : 0,
+    ...(scheduleDone ? { scheduled_plan: null, scheduled_interval: null } : {}),
+    ...dunningFields(user, status, created),
+  })) return "stale";
+  reportDunning("users", user, status, mails);
+
+  if (status === "canceled" && user.subscription_status !== "canceled") {
+    logAudit(user.id, "subscription_canceled", JSON.stringify({ plan: user.plan }), null);
+    mails.push([user.email, "subscriptionCanceled", { name: user.name, path: "/billing" }]);
+  }
+  return "applied";
+}
+
+function onOrgSubscriptionChange(sub, created, mails) {
+  const org = db.prepare(`
+    SELECT o.*, u.email AS owner_email, u.name AS owner_name FROM organisations o
+    JOIN users u ON u.id = o.owner_id WHERE o.stripe_subscription_id = ?
+  `).get(sub.id);
+  if (!org) return "unmatched";
+
+  const status = subscriptionStatus(sub);
+  const periodEnd = sub.current_period_end
+    ? new Date(sub.current_period_end * 1000).toISOString()
+    : null;
+  const seats = sub.items?.data?.[0]?.quantity || org.seats;
+  const plan = status === "canceled" ? "free" : org.plan;
+
+  if (!updateSubscriptionState("organisations", org.id, created, {
+    plan, seats, subscription_status: status, subscription_period_end: periodEnd,
+    ...dunningFields(org, status, created),
+  })) return "stale";
+  reportDunning("organisations", org, status, mails);
+
+  if (status === "canceled" && org.subscription_status !== "canceled") {
+    logAudit(org.owner_id, "subscription_canceled", JSON.stringify({ plan: org.plan, orgId: org.id }), null);
+    mails.push([org.owner_email, "subscriptionCanceled", { name: org.owner_name, path: "/organisation" }]);
+  }
+  return "applied";
+}
+
+// Invoices belong to a user; an organisation's go to its owner.
+function findBillingUser(customerId) {
+  return db.prepare("SELECT id, email, name FROM users WHERE stripe_customer_id = ?").get(customerId)
+    || db.prepare(`
+      SELECT u.id, u.email, u.name FROM organisations o JOIN users u ON u.id = o.owner_id
+      WHERE o.stripe_customer_id = ?
+    `).get(customerId);
+}
+
+// Invoices are keyed by the provider's invoice id, so a redelivery adds no second row
+// and sends no second receipt.
+function onInvoicePaid(inv, created, mails) {
+  const user = findBillingUser(inv.customer);
+  if (!user) return "unmatched";
+
+  const result = db.prepare(`
+    INSERT INTO invoices (id, user_id, stripe_invoice_id, amount_cents, currency, status, description, period_start, period_end, pdf_url)
+    VALUES (?, ?, ?, ?, ?, 'paid', ?, ?, ?, ?)
+    ON CONFLICT (stripe_invoice_id) DO NOTHING
+  `).run(
+    uuid(), user.id, inv.id,
+    inv.amount_paid || 0, inv.currency || "gbp",
+    inv.description || "Subscription",
+    inv.period_start ? new Date(inv.period_start * 1000).toISOString() : null,
+    inv.period_end ? new Date(inv.period_end * 1000).toISOString() : null,
+    inv.hosted_invoice_url || null
+  );
+  if (!result.changes) return "applied";
+
+  mails.push([user.email, "paymentReceipt", {
+    name: user.name,
+    amountCents: inv.amount_paid || 0,
+    currency: inv.currency || "gbp",
+    description: inv.description,
+    invoiceUrl: inv.hosted_invoice_url,
+    path: "/billing",
+  }]);
+  return "applied";
+}
+
+// A failed payment marks the subscription past due unless a newer event (a
+// later payment, say) has already been applied. The grace period, and the
+// email, start with the first failure, not with every retry.
+function onInvoiceFailed(inv, created, mails) {
+  const customerId = inv.customer;
+  const user = db.prepare("SELECT id, grace_ends_at FROM users WHERE stripe_customer_id = ?").get(customerId);
+  const table = user ? "users" : "organisations";
+  const row = user || db.prepare("SELECT id, grace_ends_at FROM organisations WHERE stripe_customer_id = ?").get(customerId);
+  if (!row) return "unmatched";
+
+  if (!updateSubscriptionState(table, row.id, created, {
+    subscription_status: "past_due", ...dunningFields(row, "past_due", created),
+  })) return "stale";
+  reportDunning(table, row, "past_due", mails);
+  return "applied";
+}
+
+// ── Invoice history ────────────────────────────────────────
+function getInvoices(userId) {
+  return db.prepare("SELECT * FROM invoices WHERE user_id = ? ORDER BY created_at DESC LIMIT 50").all(userId);
+}
+
+// ── Refunds ────────────────────────────────────────────────
+// Refunds the full payment behind a paid invoice.
+async function refundInvoice(invoiceId) {
+  const billing = requireProvider();
+
+  const invoice = db.prepare("SELECT * FROM invoices WHERE id = ?").get(invoiceId);
+  if (!invoice) throw Object.assign(new Error("Invoice not found"), { status: 404 });
+  if (invoice.status !== "paid" || !invoice.stripe_invoice_id) {
+    throw Object.assign(new Error("Only paid invoices can be refunded"), { status: 400 });
+  }
+
+  const refund = await billing.refundInvoice(invoice.stripe_invoice_id);
+  db.prepare("UPDATE invoices SET status = 'refunded' WHERE id = ?").run(invoiceId);
+  return { invoiceId, userId: invoice.user_id, refundId: refund.id, amountCents: refund.amountCents };
+}
+
+// ── Account deletion ───────────────────────────────────────
+// Both helpers are no-ops without a provider or a live subscription, so
+// accounts can still be deleted when billing isn't configured.
+
+// Stops (or resumes) renewal of the user's own subscription.
+async function setCancelAtPeriodEnd(userId, cancel) {
+  const billing = getProvider();
+  const user = db.prepare("SELECT stripe_subscription_id, subscription_status FROM users WHERE id = ?").get(userId);
+  if (!billing || !user?.stripe_subscription_id || user.subscription_status === "canceled") return;
+  await billing.setCancelAtPeriodEnd(user.stripe_subscription_id, cancel);
+}
+
+async function cancelSubscriptionNow(userId) {
+  const billing = getProvider();
+  const user = db.prepare("SELECT stripe_subscription_id, subscription_status FROM users WHERE id = ?").get(userId);
+  if (!billing || !user?.stripe_subscription_id || user.subscription_status === "canceled") return;
+  await billing.cancelSubscription(user.stripe_subscription_id);
+}
+
+module.exports = {
+  PLANS,
+  getPlanDetails,
+  listPlans,
+  getProvider,
+  setProvider,
+  requireProvider,
+  createCheckoutSession,
+  createPortalSession,
+  getSubscription,
+  previewSubscriptionChange,
+  changeSubscription,
+  cancelScheduledChange,
+  setRenewal,
+  createOrgCheckoutSession,
+  createOrgPortalSession,
+  updateOrgSeats,
+  handleWebhookEvent,
+  getInvoices,
+  refundInvoice,
+  setCancelAtPeriodEnd,
+  cancelSubscriptionNow,
+};
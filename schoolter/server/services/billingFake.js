@@ -0,0 +1,386 @@
+/**
+ * Fake billing provider for development and CI (see services/billing.js for
+ * the interface). Only used with BILLING_PROVIDER=fake, and never in
+ * production. Anyone who knows its webhook secret can post billing events, so
+ * it won't start without FAKE_BILLING_WEBHOOK_SECRET, or with the old default.
+ *
+ * Customers, coupons, checkout sessions, portal sessions, subscriptions and
+ * invoices are rows in fake_billing_objects. Checkout and portal URLs lead to pages on
+ * this server (routes/fakeBilling.js) where payment is a button press and the
+ * portal can also renew a subscription or fail its payment on demand. Plan
+ * changes are prorated by the time left in the period, and scheduled ones
+ * apply at the next renewal. Every
+ * change is sent as a Stripe-shaped event to our own webhook, signed with
+ * FAKE_BILLING_WEBHOOK_SECRET, so it goes through the same verification,
+ * storage and handlers as Stripe's.
+ */
+const crypto = require("crypto");
+const db = require("../db/connection");
+
+const WEBHOOK_SECRET = process.env.FAKE_BILLING_WEBHOOK_SECRET;
+const OLD_DEFAULT_SECRET = "whsec_fake_local";
+const WEBHOOK_URL = process.env.FAKE_BILLING_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/billing/webhook`;
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+const PORTAL_SESSION_MINUTES = 60;
+const SIGNATURE_HEADER = "fake-signature";
+
+function isConfigured() {
+  return process.env.NODE_ENV !== "production";
+}
+
+// ── Storage ────────────────────────────────────────────────
+function newId(prefix) {
+  return `${prefix}_fake_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function save(obj) {
+  db.prepare(`
+    INSERT INTO fake_billing_objects (id, type, customer_id, data) VALUES (?, ?, ?, ?)
+    ON CONFLICT (id) DO UPDATE SET data = excluded.data
+  `).run(obj.id, obj.object, obj.customer || null, JSON.stringify(obj));
+  return obj;
+}
+
+function find(type, id) {
+  const row = db.prepare("SELECT data FROM fake_billing_objects WHERE id = ? AND type = ?").get(id, type);
+  return row ? JSON.parse(row.data) : null;
+}
+
+function load(type, id) {
+  const obj = find(type, id);
+  if (!obj) throw Object.assign(new Error(`No such ${type}: ${id}`), { status: 404 });
+  return obj;
+}
+
+function listSubscriptions(customerId) {
+  return db.prepare(`
+    SELECT data FROM fake_billing_objects WHERE type = 'subscription' AND customer_id = ? ORDER BY created_at DESC, rowid DESC
+  `).all(customerId).map((row) => JSON.parse(row.data));
+}
+
+// ── Webhooks ───────────────────────────────────────────────
+function sign(payload, timestamp = now()) {
+  const digest = crypto.createHmac("sha256", WEBHOOK_SECRET).update(`${timestamp}.${payload}`).digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+function constructEvent(rawBody, headers) {
+  const payload = Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : String(rawBody);
+  const parts = Object.fromEntries(String(headers[SIGNATURE_HEADER] || "").split(",").map((p) => p.split("=")));
+  const timestamp = parseInt(parts.t);
+  const expected = Buffer.from(sign(payload, timestamp).split("v1=")[1]);
+  const given = Buffer.from(parts.v1 || "");
+  if (!timestamp || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw Object.assign(new Error("Fake-Signature does not match the payload"), { status: 400 });
+  }
+  if (Math.abs(now() - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw Object.assign(new Error("Fake-Signature timestamp is outside the tolerance"), { status: 400 });
+  }
+  return JSON.parse(payload);
+}
+
+// Posts each event to the webhook in turn. A failed delivery is logged and
+// not retried.
+async function deliver(...events) {
+  for (const [type, object] of events) {
+    const payload = JSON.stringify({
+      id: newId("evt"), object: "event", type, created: now(), data: { object },
+    });
+    try {
+      const res = await fetch(WEBHOOK_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Fake-Signature": sign(payload) },
+        body: payload,
+      });
+      if (!res.ok) console.error(`Fake billing: ${type} webhook answered ${res.status}`);
+    } catch (err) {
+      console.error(`Fake billing: ${type} webhook failed:`, err.message);
+    }
+  }
+}
+
+// ── Subscriptions and invoices ─────────────────────────────
+function addInterval(seconds, interval) {
+  const d = new Date(seconds * 1000);
+  if (interval === "yearly") d.setUTCFullYear(d.getUTCFullYear() + 1);
+  else d.setUTCMonth(d.getUTCMonth() + 1);
+  return Math.floor(d.getTime() / 1000);
+}
+
+function priceFor(unitAmount, interval) {
+  return { unit_amount: unitAmount, recurring: { interval: interval === "yearly" ? "year" : "month" } };
+}
+
+// The subscription on another plan and price. Given `start`, a new period
+// starts then, as when the interval changes.
+function withPlan(sub, { plan, interval, unitAmountCents }, start) {
+  return {
+    ...sub,
+    items: { data: [{ ...sub.items.data[0], price: priceFor(unitAmountCents, interval) }] },
+    metadata: { ...sub.metadata, plan, interval },
+    ...(start ? { current_period_start: start, current_period_end: addInterval(start, interval) } : {}),
+  };
+}
+
+// What changing plan now costs: the new price for the rest of the period (or
+// for a whole new period when the interval changes) less the unused part of
+// the current one. The fake keeps no customer balance, so a credit bigger
+// than the charge is dropped.
+function proration(sub, { interval, unitAmountCents }) {
+  const item = sub.items.data[0];
+  const length = sub.current_period_end - sub.current_period_start;
+  const unused = Math.min(1, Math.max(0, (sub.current_period_end - now()) / length));
+  const credit = Math.round(item.price.unit_amount * item.quantity * unused);
+  const charge = interval === sub.metadata.interval
+    ? Math.round(unitAmountCents * item.quantity * unused)
+    : unitAmountCents * item.quantity;
+  return Math.max(0, charge - credit);
+}
+
+// How many invoices a coupon discounts; null for every invoice
+function discountedInvoices(coupon, interval) {
+  if (coupon.duration === "forever") return null;
+  if (coupon.duration === "once") return 1;
+  return interval === "yearly" ? Math.ceil(coupon.duration_in_months / 12) : coupon.duration_in_months;
+}
+
+// Bills the subscription's current period, using up one period of its
+// discount, or, given `prorated`, the cost of a plan change.
+function createInvoice(sub, paid, prorated) {
+  const item = sub.items.data[0];
+  const subtotal = prorated ?? item.price.unit_amount * item.quantity;
+  let discount = 0;
+  if (sub.discount && prorated === undefined) {
+    const { coupon, remaining } = sub.discount;
+    discount = Math.min(subtotal, coupon.percent_off ? Math.round(subtotal * coupon.percent_off / 100) : coupon.amount_off);
+    save({ ...sub, discount: remaining === 1 ? null : { coupon, remaining: remaining && remaining - 1 } });
+  }
+  const amount = subtotal - discount;
+  const plan = sub.metadata.plan;
+  return save({
+    id: newId("in"),
+    object: "invoice",
+    customer: sub.customer,
+    subscription: sub.id,
+    status: paid ? "paid" : "open",
+    amount_due: amount,
+    amount_paid: paid ? amount : 0,
+    subtotal,
+    total_discount_amounts: discount ? [{ amount: discount, discount: sub.discount.coupon.id }] : [],
+    currency: "gbp",
+    description: `${prorated === undefined ? "" : "Change to "}${plan.charAt(0).toUpperCase()}${plan.slice(1)} (${sub.metadata.interval})${item.quantity > 1 ? ` × ${item.quantity}` : ""}`,
+    period_start: sub.current_period_start,
+    period_end: sub.current_period_end,
+    hosted_invoice_url: null,
+    payment_intent: paid ? newId("pi") : null,
+    created: now(),
+  });
+}
+
+// Pays a checkout session: starts the subscription and its first invoice.
+async function completeCheckout(sessionId) {
+  const session = load("checkout.session", sessionId);
+  if (session.status !== "open") throw Object.assign(new Error("This checkout is no longer open"), { status: 409 });
+
+  const start = now();
+  const coupon = session.coupon ? load("coupon", session.coupon) : null;
+  if (coupon && ((coupon.max_redemptions && coupon.times_redeemed >= coupon.max_redemptions)
+    || (coupon.redeem_by && start > coupon.redeem_by))) {
+    throw Object.assign(new Error("This promo code can no longer be redeemed"), { status: 409 });
+  }
+  if (coupon) save({ ...coupon, times_redeemed: (coupon.times_redeemed || 0) + 1 });
+  const sub = save({
+    id: newId("sub"),
+    object: "subscription",
+    customer: session.customer,
+    status: "active",
+    cancel_at_period_end: false,
+    current_period_start: start,
+    current_period_end: addInterval(start, session.interval),
+    items: { data: [{ id: newId("si"), quantity: session.quantity, price: priceFor(session.unit_amount, session.interval) }] },
+    discount: coupon ? { coupon, remaining: discountedInvoices(coupon, session.interval) } : null,
+    metadata: { ...session.metadata, interval: session.interval },
+  });
+  const invoice = createInvoice(sub, true);
+  const completed = save({ ...session, status: "complete", subscription: sub.id, invoice: invoice.id });
+
+  await deliver(
+    ["checkout.session.completed", completed],
+    ["customer.subscription.updated", sub],
+    ["invoice.paid", invoice],
+  );
+  return session.success_url.replace("{CHECKOUT_SESSION_ID}", session.id);
+}
+
+function updateSubscription(id, changes) {
+  const sub = load("subscription", id);
+  if (sub.status === "canceled") throw Object.assign(new Error("The subscription has ended"), { status: 409 });
+  return save({ ...sub, ...changes });
+}
+
+// The subscription's next period, on the scheduled plan if there is one:
+// paid, or the end when renewal was turned off.
+async function renew(subscriptionId) {
+  const sub = load("subscription", subscriptionId);
+  if (sub.cancel_at_period_end) return cancelSubscription(subscriptionId);
+  const next = sub.scheduled_change ? withPlan(sub, sub.scheduled_change) : sub;
+  const renewed = updateSubscription(subscriptionId, {
+    ...next,
+    scheduled_change: null,
+    status: "active",
+    current_period_start: sub.current_period_end,
+    current_period_end: addInterval(sub.current_period_end, next.metadata.interval),
+  });
+  const invoice = createInvoice(renewed, true);
+  await deliver(["invoice.paid", invoice], ["customer.subscription.updated", renewed]);
+}
+
+// The renewal payment fails and the subscription goes past due.
+async function failPayment(subscriptionId) {
+  const sub = updateSubscription(subscriptionId, { status: "past_due" });
+  const invoice = createInvoice(sub, false);
+  await deliver(["invoice.payment_failed", invoice], ["customer.subscription.updated", sub]);
+}
+
+async function setCancelAtPeriodEnd(subscriptionId, cancel) {
+  const sub = updateSubscription(subscriptionId, { cancel_at_period_end: cancel });
+  await deliver(["customer.subscription.updated", sub]);
+}
+
+async function removeDiscount(subscriptionId) {
+  const sub = updateSubscription(subscriptionId, { discount: null });
+  await deliver(["customer.subscription.updated", sub]);
+}
+
+async function cancelSubscription(subscriptionId) {
+  const sub = updateSubscription(subscriptionId, { status: "canceled", canceled_at: now() });
+  await deliver(["customer.subscription.deleted", sub]);
+}
+
+// ── Provider ───────────────────────────────────────────────
+function fakeProvider() {
+  if (!WEBHOOK_SECRET || WEBHOOK_SECRET === OLD_DEFAULT_SECRET) {
+    throw new Error("The fake billing provider needs FAKE_BILLING_WEBHOOK_SECRET set to a random secret");
+  }
+  return {
+    name: "fake",
+
+    async createCustomer({ email, name, metadata }) {
+      return save({ id: newId("cus"), object: "customer", email, name, metadata }).id;
+    },
+
+    async createCoupon({ code, percentOff, amountOffCents, duration, durationMonths, maxRedemptions, redeemBy }) {
+      return save({
+        id: newId("co"),
+        object: "coupon",
+        name: code,
+        percent_off: percentOff || null,
+        amount_off: amountOffCents || null,
+        duration,
+        duration_in_months: durationMonths || null,
+        max_redemptions: maxRedemptions || null,
+        redeem_by: redeemBy || null,
+        times_redeemed: 0,
+      }).id;
+    },
+
+    async createCheckoutSession({ customerId, interval, quantity, unitAmountCents, couponId, successUrl, cancelUrl, metadata }) {
+      const session = save({
+        id: newId("cs"),
+        object: "checkout.session",
+        customer: customerId,
+        status: "open",
+        interval,
+        quantity,
+        unit_amount: unitAmountCents,
+        coupon: couponId || null,
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        metadata,
+      });
+      return { id: session.id, url: `/fake-billing/checkout/${session.id}` };
+    },
+
+    async expireCheckoutSessions(customerId, exceptSessionId) {
+      const open = db.prepare(`
+        SELECT data FROM fake_billing_objects WHERE type = 'checkout.session' AND customer_id = ? AND id != ?
+      `).all(customerId, exceptSessionId).map((row) => JSON.parse(row.data)).filter((s) => s.status === "open");
+      for (const session of open) save({ ...session, status: "expired" });
+    },
+
+    async createPortalSession({ customerId, returnUrl }) {
+      const session = save({
+        id: newId("bps"),
+        object: "billing_portal.session",
+        customer: customerId,
+        return_url: returnUrl,
+        expires_at: now() + PORTAL_SESSION_MINUTES * 60,
+      });
+      return { url: `/fake-billing/portal/${session.id}` };
+    },
+
+    async updateSubscriptionQuantity(subscriptionId, quantity) {
+      const sub = load("subscription", subscriptionId);
+      const updated = updateSubscription(subscriptionId, {
+        items: { data: [{ ...sub.items.data[0], quantity }] },
+      });
+      await deliver(["customer.subscription.updated", updated]);
+    },
+
+    async previewSubscriptionChange(subscriptionId, target) {
+      return { amountDueCents: proration(load("subscription", subscriptionId), target), currency: "gbp" };
+    },
+
+    async changeSubscription(subscriptionId, target) {
+      const sub = load("subscription", subscriptionId);
+      const amount = proration(sub, target);
+      const changed = updateSubscription(subscriptionId, {
+        ...withPlan(sub, target, target.interval !== sub.metadata.interval ? now() : null),
+        scheduled_change: null,
+      });
+      const invoice = createInvoice(changed, true, amount);
+      await deliver(["customer.subscription.updated", changed], ["invoice.paid", invoice]);
+    },
+
+    async scheduleSubscriptionChange(subscriptionId, target) {
+      updateSubscription(subscriptionId, { scheduled_change: target });
+    },
+
+    async cancelScheduledChange(subscriptionId) {
+      updateSubscription(subscriptionId, { scheduled_change: null });
+    },
+
+    setCancelAtPeriodEnd,
+    cancelSubscription,
+    removeDiscount,
+
+    async refundInvoice(invoiceId) {
+      const invoice = load("invoice", invoiceId);
+      if (invoice.status !== "paid") throw Object.assign(new Error("The invoice has no payment to refund"), { status: 400 });
+      save({ ...invoice, status: "refunded" });
+      return { id: newId("re"), amountCents: invoice.amount_paid };
+    },
+
+    constructEvent,
+
+    signWebhook(payload) {
+      return { "Fake-Signature": sign(payload) };
+    },
+  };
+}
+
+module.exports = {
+  isConfigured,
+  create: fakeProvider,
+  find,
+  listSubscriptions,
+  completeCheckout,
+  renew,
+  failPayment,
+  setCancelAtPeriodEnd,
+  cancelSubscription,
+};
@@ -0,0 +1,179 @@
+/**
+ * Stripe billing provider (see services/billing.js for the interface).
+ *
+ * Prices come from STRIPE_PRICE_<PLAN>_<INTERVAL>; webhooks are verified with
+ * STRIPE_WEBHOOK_SECRET. The SDK is only loaded when this provider is used.
+ */
+function badConfig(message) {
+  return Object.assign(new Error(message), { status: 500 });
+}
+
+function getPriceId(plan, interval) {
+  const priceEnv = `STRIPE_PRICE_${plan.toUpperCase()}_${interval.toUpperCase()}`;
+  const priceId = process.env[priceEnv];
+  if (!priceId) throw Object.assign(new Error(`Price not configured: ${priceEnv}`), { status: 400 });
+  return priceId;
+}
+
+function isConfigured() {
+  const key = process.env.STRIPE_SECRET_KEY;
+  return !!key && !key.startsWith("sk_test_...");
+}
+
+function stripeProvider() {
+  const Stripe = require("stripe");
+  const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+  return {
+    name: "stripe",
+
+    async createCustomer({ email, name, metadata }) {
+      const customer = await stripe.customers.create({ email, name, metadata });
+      return customer.id;
+    },
+
+    async createCoupon({ code, percentOff, amountOffCents, duration, durationMonths, maxRedemptions, redeemBy }) {
+      const coupon = await stripe.coupons.create({
+        name: code,
+        duration,
+        ...(percentOff ? { percent_off: percentOff } : { amount_off: amountOffCents, currency: "gbp" }),
+        ...(duration === "repeating" ? { duration_in_months: durationMonths } : {}),
+        ...(maxRedemptions ? { max_redemptions: maxRedemptions } : {}),
+        ...(redeemBy ? { redeem_by: redeemBy } : {}),
+      });
+      return coupon.id;
+    },
+
+    async createCheckoutSession({ customerId, plan, interval, quantity, couponId, successUrl, cancelUrl, metadata }) {
+      const session = await stripe.checkout.sessions.create({
+        customer: customerId,
+        mode: "subscription",
+        line_items: [{ price: getPriceId(plan, interval), quantity }],
+        ...(couponId ? { discounts: [{ coupon: couponId }] } : {}),
+        subscription_data: { metadata: { plan, interval } },
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        metadata,
+      });
+      return { id: session.id, url: session.url };
+    },
+
+    async expireCheckoutSessions(customerId, exceptSessionId) {
+      for await (const session of stripe.checkout.sessions.list({ customer: customerId, status: "open" })) {
+        if (session.id !== exceptSessionId) await stripe.checkout.sessions.expire(session.id);
+      }
+    },
+
+    async createPortalSession({ customerId, returnUrl }) {
+      const session = await stripe.billingPortal.sessions.create({ customer: customerId, return_url: returnUrl });
+      return { url: session.url };
+    },
+
+    // Changes the quantity with proration; subscription.updated confirms it
+    async updateSubscriptionQuantity(subscriptionId, quantity) {
+      const sub = await stripe.subscriptions.retrieve(subscriptionId);
+      await stripe.subscriptions.update(sub.id, {
+        items: [{ id: sub.items.data[0].id, quantity }],
+        proration_behavior: "create_prorations",
+      });
+    },
+
+    async previewSubscriptionChange(subscriptionId, { plan, interval }) {
+      const sub = await stripe.subscriptions.retrieve(subscriptionId);
+      const invoice = await stripe.invoices.createPreview({
+        customer: sub.customer,
+        subscription: sub.id,
+        subscription_details: {
+          items: [{ id: sub.items.data[0].id, price: getPriceId(plan, interval) }],
+          proration_behavior: "always_invoice",
+        },
+      });
+      return { amountDueCents: invoice.amount_due, currency: invoice.currency };
+    },
+
+    // Switches the price now and invoices the proration straight away
+    async changeSubscription(subscriptionId, { plan, interval }) {
+      const sub = await stripe.subscriptions.retrieve(subscriptionId);
+      await stripe.subscriptions.update(sub.id, {
+        items: [{ id: sub.items.data[0].id, price: getPriceId(plan, interval) }],
+        proration_behavior: "always_invoice",
+        metadata: { plan, interval },
+      });
+    },
+
+    // A subscription schedule keeps the current price until the period ends,
+    // then moves to the new one and releases the subscription.
+    async scheduleSubscriptionChange(subscriptionId, { plan, interval }) {
+      const sub = await stripe.subscriptions.retrieve(subscriptionId);
+      const schedule = sub.schedule
+        ? await stripe.subscriptionSchedules.retrieve(sub.schedule)
+        : await stripe.subscriptionSchedules.create({ from_subscription: sub.id });
+      const item = sub.items.data[0];
+      await stripe.subscriptionSchedules.update(schedule.id, {
+        end_behavior: "release",
+        phases: [
+          {
+            items: [{ price: item.price.id, quantity: item.quantity }],
+            start_date: schedule.phases[0].start_date,
+            end_date: sub.current_period_end,
+          },
+          {
+            items: [{ price: getPriceId(plan, interval), quantity: item.quantity }],
+            metadata: { plan, interval },
+            iterations: 1,
+          },
+        ],
+      });
+    },
+
+    async cancelScheduledChange(subscriptionId) {
+      const sub = await stripe.subscriptions.retrieve(subscriptionId);
+      if (sub.schedule) await stripe.subscriptionSchedules.release(sub.schedule);
+    },
+
+    async setCancelAtPeriodEnd(subscriptionId, cancel) {
+      await stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: cancel });
+    },
+
+    async cancelSubscription(subscriptionId) {
+      await stripe.subscriptions.cancel(subscriptionId);
+    },
+
+    async removeDiscount(subscriptionId) {
+      await stripe.subscriptions.deleteDiscount(subscriptionId);
+    },
+
+    // Refunds the full payment behind an invoice
+    async refundInvoice(invoiceId) {
+      const remote = await stripe.invoices.retrieve(invoiceId);
+      if (!remote.payment_intent && !remote.charge) {
+        throw Object.assign(new Error("Stripe has no payment for this invoice"), { status: 400 });
+      }
+      const refund = await stripe.refunds.create(remote.payment_intent ? { payment_intent: remote.payment_intent } : { charge: remote.charge });
+      return { id: refund.id, amountCents: refund.amount };
+    },
+
+    // Verifies the Stripe-Signature header; throws with status 400 when it doesn't match
+    constructEvent(rawBody, headers) {
+      const secret = process.env.STRIPE_WEBHOOK_SECRET;
+      if (!secret) throw badConfig("Webhook secret not configured");
+      try {
+        return stripe.webhooks.constructEvent(rawBody, headers["stripe-signature"], secret);
+      } catch (err) {
+        throw Object.assign(new Error(err.message), { status: 400 });
+      }
+    },
+
+    // Headers for a payload signed the way Stripe signs it (dev tooling)
+    signWebhook(payload) {
+      const secret = process.env.STRIPE_WEBHOOK_SECRET;
+      if (!secret) throw badConfig("Webhook secret not configured");
+      return { "Stripe-Signature": Stripe.webhooks.generateTestHeaderString({ payload, secret }) };
+    },
+  };
+}
+
+module.exports = {
+  isConfigured,
+  create: stripeProvider,
+};
@@ -0,0 +1,274 @@
+/**
+ * Bulk user management for the admin console: change plan or role, suspend,
+ * unsuspend, delete, restore, or create accounts for a list of users.
+ *
+ * Targets come as a list of user IDs or as CSV with a header row. CSV rows
+ * name the user by an `id` or `email` column and may carry their own `plan`,
+ * `role` or `reason`; creating accounts takes `email`, `name`, `plan` and
+ * `role`. Status changes follow the same rules as one at a time (see
+ * userStatus.js).
+ *
+ * Every request is a dry run unless `dryRun: false` is sent, and both return
+ * the same per-row report. Executing re-checks each row and applies the valid
+ * ones in a single transaction, with an audit entry per row plus one for the
+ * batch. Rows that fail their checks are reported and left alone.
+ */
+const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const validator = require("validator");
+const { v4: uuid } = require("uuid");
+const db = require("../db/connection");
+const roles = require("./roles");
+const userStatus = require("./userStatus");
+const { sendAccountSetup, logAudit } = require("./auth");
+
+const MAX_ROWS = 1000;
+const PLANS = ["free", "pro", "enterprise"];
+
+// The permission each action needs on top of access to the admin console
+const ACTIONS = {
+  plan: "billing.write",
+  role: "roles.manage",
+  suspend: "users.write",
+  unsuspend: "users.write",
+  delete: "users.delete",
+  restore: "users.delete",
+  create: "users.write",
+};
+
+// ── Input ──────────────────────────────────────────────────
+// RFC 4180 CSV: quoted fields may hold commas, quotes ("") and newlines.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// One object per target: { id } or { email }, plus any per-row values.
+function readTargets({ ids, csv }) {
+  let targets;
+  if (Array.isArray(ids)) {
+    targets = ids.map((id) => ({ id: String(id).trim() }));
+  } else if (typeof csv === "string") {
+    const [header, ...rows] = parseCsv(csv);
+    if (!header) throw badRequest("The CSV is empty");
+    const columns = header.map((h) => h.trim().toLowerCase());
+    if (!columns.includes("id") && !columns.includes("email")) throw badRequest("The CSV needs an id or email column");
+    targets = rows.map((fields) => Object.fromEntries(columns.map((c, i) => [c, (fields[i] || "").trim()])));
+  } else {
+    throw badRequest("Send ids or csv");
+  }
+  if (!targets.length) throw badRequest("No users to process");
+  if (targets.length > MAX_ROWS) throw badRequest(`At most ${MAX_ROWS} rows at a time`);
+  return targets;
+}
+
+// ── Checks ─────────────────────────────────────────────────
+// Each check returns { status, message, changes, apply }. "ok" rows have an
+// apply function that makes the change and returns the audit entry for it.
+const skip = (message) => ({ status: "skipped", message });
+const fail = (message) => ({ status: "error", message });
+
+// Only staff who hold every permission the account has can edit it
+function checkTarget(actor, user) {
+  try {
+    roles.assertCanGrant(actor, roles.getPermissions(user.role));
+  } catch (err) {
+    return fail(err.message);
+  }
+  return null;
+}
+
+function checkRole(actor, user, role) {
+  if (!roles.roleExists(role)) return fail(`Unknown role: ${role}`);
+  try {
+    // Both the old and the new role's permissions must be the actor's to give
+    roles.assertCanGrant(actor, [...roles.getPermissions(user ? user.role : "user"), ...roles.getPermissions(role)]);
+  } catch (err) {
+    return fail(err.message);
+  }
+  return null;
+}
+
+// Suspend, unsuspend, delete and restore; already being there is a skip
+const STATUS_AFTER = { suspend: "suspended", unsuspend: "active", delete: "deleted", restore: "active" };
+
+function statusCheck(action, auditAction) {
+  return (actor, user, target, options) => {
+    const reason = validator.escape(target.reason || options.reason || "");
+    if (user.status === STATUS_AFTER[action]) return skip(`Already ${user.status}`);
+    const problem = userStatus.check(actor, user, action, reason);
+    if (problem) return fail(problem.message);
+    return {
+      status: "ok",
+      changes: { status: [user.status, STATUS_AFTER[action]] },
+      apply: () => {
+        userStatus.apply(user, action, reason);
+        return [auditAction, { targetUser: user.id, ...(reason ? { reason } : {}) }];
+      },
+    };
+  };
+}
+
+const CHECKS = {
+  plan(actor, user, target, options) {
+    if (user.status === "deleted") return fail("Account is deleted");
+    const plan = target.plan || options.plan;
+    if (!PLANS.includes(plan)) return fail(`Unknown plan: ${plan || "(none)"}`);
+    if (user.plan === plan) return skip(`Already on ${plan}`);
+    const problem = checkTarget(actor, user);
+    if (problem) return problem;
+    return {
+      status: "ok",
+      changes: { plan: [user.plan, plan] },
+      apply: () => {
+        db.prepare("UPDATE users SET plan = ?, updated_at = datetime('now') WHERE id = ?").run(plan, user.id);
+        return ["admin_update_user", { targetUser: user.id, updates: { plan } }];
+      },
+    };
+  },
+
+  role(actor, user, target, options) {
+    const role = target.role || options.role;
+    if (!role) return fail("No role given");
+    if (user.status === "deleted") return fail("Account is deleted");
+    if (user.id === actor.id) return fail("You can't change your own role");
+    if (user.role === role) return skip(`Already ${role}`);
+    const problem = checkRole(actor, user, role);
+    if (problem) return problem;
+    return {
+      status: "ok",
+      changes: { role: [user.role, role] },
+      apply: () => {
+        db.prepare("UPDATE users SET role = ?, updated_at = datetime('now') WHERE id = ?").run(role, user.id);
+        return ["admin_update_user", { targetUser: user.id, updates: { role } }];
+      },
+    };
+  },
+
+  suspend: statusCheck("suspend", "admin_suspend_user"),
+  unsuspend: statusCheck("unsuspend", "admin_unsuspend_user"),
+  delete: statusCheck("delete", "admin_delete_user"),
+  restore: statusCheck("restore", "admin_restore_user"),
+
+  create(actor, user, target) {
+    const email = (target.email || "").toLowerCase();
+    const plan = target.plan || "free";
+    const role = target.role || "user";
+    if (!validator.isEmail(email)) return fail("Invalid email address");
+    if (user) return fail("Email already registered");
+    if (!PLANS.includes(plan)) return fail(`Unknown plan: ${plan}`);
+    if (plan !== "free" && !roles.hasPermission(actor, "billing.write")) return fail("Setting a plan needs billing.write");
+    if (role !== "user") {
+      if (!roles.hasPermission(actor, "roles.manage")) return fail("Setting a role needs roles.manage");
+      const problem = checkRole(actor, null, role);
+      if (problem) return problem;
+    }
+    const name = validator.escape(target.name || "");
+    return {
+      status: "ok",
+      changes: { email, name, plan, role },
+      apply: () => {
+        const id = uuid();
+        // No usable password until they follow the setup link
+        const passwordHash = bcrypt.hashSync(crypto.randomBytes(32).toString("hex"), 12);
+        db.prepare(`
+          INSERT INTO users (id, email, password_hash, name, plan, role) VALUES (?, ?, ?, ?, ?, ?)
+        `).run(id, email, passwordHash, name, plan, role);
+        return ["admin_create_user", { targetUser: id, email, plan, role }, id];
+      },
+    };
+  },
+};
+
+function findUser(target) {
+  if (target.id) return db.prepare("SELECT * FROM users WHERE id = ?").get(target.id);
+  if (target.email) return db.prepare("SELECT * FROM users WHERE email = ? COLLATE NOCASE").get(target.email);
+  return null;
+}
+
+function checkRow(actor, action, target, options, seen) {
+  const key = (target.id || target.email || "").toLowerCase();
+  if (!key) return fail(action === "create" ? "Missing email" : "Missing id or email");
+  if (seen.has(key)) return skip("Duplicate row");
+  seen.add(key);
+
+  const user = findUser(action === "create" ? { email: target.email } : target);
+  if (!user && action !== "create") return fail("User not found");
+  const result = CHECKS[action](actor, user, target, options);
+  return { ...result, user };
+}
+
+// ── Run ────────────────────────────────────────────────────
+// options: { action, ids | csv, plan, role, reason, dryRun (default true) }
+function run(actor, options, ip) {
+  const { action } = options;
+  if (!(action in ACTIONS)) throw badRequest(`Unknown action: ${action}`);
+  if (!roles.hasPermission(actor, ACTIONS[action])) {
+    throw Object.assign(new Error(`Missing permission: ${ACTIONS[action]}`), { status: 403 });
+  }
+  const dryRun = options.dryRun !== false;
+  const targets = readTargets(options);
+  const batchId = dryRun ? null : uuid();
+
+  const seen = new Set();
+  const checked = targets.map((target) => checkRow(actor, action, target, options, seen));
+
+  if (!dryRun) {
+    db.transaction(() => {
+      for (const row of checked) {
+        if (row.status !== "ok") continue;
+        const [auditAction, detail, createdId] = row.apply();
+        row.createdId = createdId;
+        logAudit(actor.id, auditAction, JSON.stringify({ ...detail, batchId }), ip);
+      }
+    })();
+  }
+
+  const results = checked.map((row, i) => ({
+    row: i + 1,
+    id: row.user ? row.user.id : row.createdId || null,
+    email: row.user ? row.user.email : targets[i].email || null,
+    status: row.status,
+    ...(row.message ? { message: row.message } : {}),
+    ...(row.changes ? { changes: row.changes } : {}),
+  }));
+  const summary = { total: results.length, ok: 0, skipped: 0, error: 0 };
+  for (const r of results) summary[r.status]++;
+
+  if (!dryRun) {
+    // Emails go out only once the accounts are committed
+    for (const row of checked) if (row.createdId) sendAccountSetup(row.createdId);
+    logAudit(actor.id, "admin_bulk_users", JSON.stringify({ batchId, action, ...summary }), ip);
+  }
+  return { action, dryRun, batchId, summary, results };
+}
+
+module.exports = {
+  ACTIONS,
+  MAX_ROWS,
+  run,
+};
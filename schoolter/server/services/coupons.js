@@ -0,0 +1,222 @@
+/**
+ * Promo codes.
+ *
+ * Staff create codes that take a percentage or a fixed amount off paid
+ * plans, once, for a number of months, or for as long as the subscription
+ * lasts. A code can be limited to some plans, capped at a number of
+ * redemptions and given an expiry; each user can redeem it once.
+ *
+ * Codes are checked when checkout starts and counted when it completes (the
+ * checkout.session.completed webhook). The billing provider gets its own copy
+ * of the coupon the first time the code is used with it (see billing.js),
+ * carrying the redemptions left and the expiry so the provider refuses
+ * checkouts past either. A checkout that completes after the code ran out
+ * anyway isn't counted, and its subscription loses the discount.
+ */
+const validator = require("validator");
+const { v4: uuid } = require("uuid");
+const db = require("../db/connection");
+const { logAudit } = require("./audit");
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const DURATIONS = ["once", "repeating", "forever"];
+const PAID_PLANS = ["pro", "enterprise"];
+const MAX_DURATION_MONTHS = 36;
+const MAX_DESCRIPTION = 200;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Rejections customers see when entering a code
+function invalid(message) {
+  return Object.assign(new Error(message), { status: 400, code: "invalid_coupon" });
+}
+
+function normalizeCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+function formatAmount(cents) {
+  return new Intl.NumberFormat("en-GB", { style: "currency", currency: "GBP" }).format(cents / 100);
+}
+
+// "20% off for 3 months", "£5.00 off the first payment"
+function summarize(row) {
+  const off = row.percent_off ? `${row.percent_off}% off` : `${formatAmount(row.amount_off_cents)} off`;
+  if (row.duration === "forever") return off;
+  if (row.duration === "once") return `${off} the first payment`;
+  return `${off} for ${row.duration_months} month${row.duration_months === 1 ? "" : "s"}`;
+}
+
+function toCoupon(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    description: row.description,
+    percentOff: row.percent_off,
+    amountOffCents: row.amount_off_cents,
+    duration: row.duration,
+    durationMonths: row.duration_months,
+    plans: row.plans ? JSON.parse(row.plans) : null,
+    maxRedemptions: row.max_redemptions,
+    timesRedeemed: row.times_redeemed,
+    expiresAt: row.expires_at,
+    active: !!row.active,
+    summary: summarize(row),
+    createdAt: row.created_at,
+  };
+}
+
+function getRow(id) {
+  const row = db.prepare("SELECT * FROM coupons WHERE id = ?").get(id);
+  if (!row) throw Object.assign(new Error("Coupon not found"), { status: 404 });
+  return row;
+}
+
+// ── Input ──────────────────────────────────────────────────
+function readPositiveInt(value, name, max) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || (max && n > max)) {
+    throw badRequest(`${name} must be a whole number from 1${max ? ` to ${max}` : ""}`);
+  }
+  return n;
+}
+
+// ISO date or datetime → SQLite datetime, which must be in the future
+function readExpiry(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest("expiresAt must be a date");
+  if (date <= new Date()) throw badRequest("expiresAt must be in the future");
+  return date.toISOString().replace("T", " ").slice(0, 19);
+}
+
+function readDescription(value) {
+  const description = String(value || "").trim();
+  if (description.length > MAX_DESCRIPTION) throw badRequest(`Description must be at most ${MAX_DESCRIPTION} characters`);
+  return validator.escape(description);
+}
+
+// ── Staff ──────────────────────────────────────────────────
+function list() {
+  return db.prepare("SELECT * FROM coupons ORDER BY created_at DESC, rowid DESC").all().map(toCoupon);
+}
+
+function create(actorId, input) {
+  const code = normalizeCode(input.code);
+  if (!CODE_PATTERN.test(code)) throw badRequest("Codes are 3 to 32 letters, digits, dashes or underscores");
+  const percentOff = readPositiveInt(input.percentOff, "percentOff", 100);
+  const amountOffCents = readPositiveInt(input.amountOffCents, "amountOffCents");
+  if (!percentOff === !amountOffCents) throw badRequest("Give either percentOff or amountOffCents");
+  const duration = input.duration || "once";
+  if (!DURATIONS.includes(duration)) throw badRequest(`duration must be one of ${DURATIONS.join(", ")}`);
+  const durationMonths = duration === "repeating" ? readPositiveInt(input.durationMonths, "durationMonths", MAX_DURATION_MONTHS) : null;
+  if (duration === "repeating" && !durationMonths) throw badRequest("Repeating coupons need durationMonths");
+  let plans = null;
+  if (Array.isArray(input.plans) && input.plans.length) {
+    const unknown = input.plans.find((p) => !PAID_PLANS.includes(p));
+    if (unknown) throw badRequest(`Unknown plan: ${unknown}`);
+    plans = JSON.stringify([...new Set(input.plans)]);
+  }
+  if (db.prepare("SELECT 1 FROM coupons WHERE code = ?").get(code)) {
+    throw Object.assign(new Error("That code already exists"), { status: 409 });
+  }
+
+  const id = uuid();
+  db.prepare(`
+    INSERT INTO coupons (id, code, description, percent_off, amount_off_cents, duration, duration_months, plans, max_redemptions, expires_at, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id, code, readDescription(input.description), percentOff, amountOffCents, duration, durationMonths, plans,
+    readPositiveInt(input.maxRedemptions, "maxRedemptions"), readExpiry(input.expiresAt), actorId
+  );
+  return toCoupon(getRow(id));
+}
+
+// The discount itself can't change once created, since providers hold copies.
+// New limits drop those copies, so the next checkout makes one with them.
+function update(id, input) {
+  getRow(id);
+  const fields = {};
+  if (input.active !== undefined) fields.active = input.active ? 1 : 0;
+  if (input.description !== undefined) fields.description = readDescription(input.description);
+  if (input.maxRedemptions !== undefined) fields.max_redemptions = readPositiveInt(input.maxRedemptions, "maxRedemptions");
+  if (input.expiresAt !== undefined) fields.expires_at = readExpiry(input.expiresAt);
+  if (!Object.keys(fields).length) throw badRequest("Nothing to update");
+  if ("max_redemptions" in fields || "expires_at" in fields) fields.provider_ids = "{}";
+  db.prepare(`UPDATE coupons SET ${Object.keys(fields).map((f) => `${f} = ?`).join(", ")} WHERE id = ?`)
+    .run(...Object.values(fields), id);
+  return toCoupon(getRow(id));
+}
+
+// ── Redemption ─────────────────────────────────────────────
+// The coupon row for `code` if `userId` can use it on `plan`; throws otherwise.
+function findRedeemable(code, userId, plan) {
+  const row = db.prepare("SELECT * FROM coupons WHERE code = ?").get(normalizeCode(code));
+  if (!row || !row.active) throw invalid("That promo code isn't valid");
+  if (row.expires_at && db.prepare("SELECT ? <= datetime('now') AS expired").get(row.expires_at).expired) {
+    throw invalid("That promo code has expired");
+  }
+  if (row.max_redemptions !== null && row.times_redeemed >= row.max_redemptions) {
+    throw invalid("That promo code has been used up");
+  }
+  const plans = row.plans ? JSON.parse(row.plans) : PAID_PLANS;
+  if (!plans.includes(plan)) throw invalid(`That promo code doesn't apply to the ${plan} plan`);
+  if (db.prepare("SELECT 1 FROM coupon_redemptions WHERE coupon_id = ? AND user_id = ?").get(row.id, userId)) {
+    throw invalid("You've already used that promo code");
+  }
+  return row;
+}
+
+// Counts a completed checkout's redemption once, however often it's reported.
+// The cap is checked again as it's counted, since a checkout opened before the
+// code ran out can still complete. Returns "redeemed", "repeat" (already
+// counted), "used_up" (not counted) or "unknown".
+function recordRedemption(couponId, userId, checkoutSessionId) {
+  return db.transaction(() => {
+    const coupon = db.prepare("SELECT code, max_redemptions, times_redeemed FROM coupons WHERE id = ?").get(couponId);
+    if (!coupon) return "unknown";
+    if (db.prepare("SELECT 1 FROM coupon_redemptions WHERE coupon_id = ? AND user_id = ?").get(couponId, userId)) {
+      return "repeat";
+    }
+    if (coupon.max_redemptions !== null && coupon.times_redeemed >= coupon.max_redemptions) return "used_up";
+    db.prepare("INSERT INTO coupon_redemptions (coupon_id, user_id, checkout_session_id) VALUES (?, ?, ?)")
+      .run(couponId, userId, checkoutSessionId);
+    db.prepare("UPDATE coupons SET times_redeemed = times_redeemed + 1 WHERE id = ?").run(couponId);
+    logAudit(userId, "coupon_redeemed", JSON.stringify({ couponId, code: coupon.code }), null);
+    return "redeemed";
+  })();
+}
+
+// What the provider's copy may still allow: the redemptions left, and the
+// expiry as Unix seconds (null when there's no limit).
+function providerLimits(row) {
+  return {
+    maxRedemptions: row.max_redemptions === null ? null : Math.max(1, row.max_redemptions - row.times_redeemed),
+    redeemBy: row.expires_at ? Math.floor(new Date(`${row.expires_at.replace(" ", "T")}Z`).getTime() / 1000) : null,
+  };
+}
+
+function getProviderId(row, providerName) {
+  return JSON.parse(row.provider_ids)[providerName] || null;
+}
+
+function setProviderId(row, providerName, providerId) {
+  const ids = { ...JSON.parse(row.provider_ids), [providerName]: providerId };
+  db.prepare("UPDATE coupons SET provider_ids = ? WHERE id = ?").run(JSON.stringify(ids), row.id);
+}
+
+module.exports = {
+  DURATIONS,
+  toCoupon,
+  list,
+  create,
+  update,
+  findRedeemable,
+  recordRedemption,
+  providerLimits,
+  getProviderId,
+  setProviderId,
+};
@@ -0,0 +1,182 @@
+/**
+ * Dunning — what happens after a subscription payment fails.
+ *
+ * The first event that reports a user's or organisation's subscription past
+ * due (usually invoice.payment_failed) starts a grace period of the
+ * `dunningGraceDays` setting, counted from that event's own time, so a
+ * redelivered or replayed event doesn't move it. The paid plan stays during
+ * the grace period, and the billing page and dashboard show when it ends.
+ * Reminders go out REMINDER_DAYS before the end. A payment that goes through
+ * (the subscription turning active again) ends the grace period. Otherwise
+ * runDunning, which the server runs hourly, moves the account to Free and
+ * cancels the provider subscription. Every step is in the audit log.
+ *
+ * runDunning takes the current time as an argument, and the webhook side
+ * uses event times, so a simulated clock can drive the whole flow
+ * (npm run dunning:simulate).
+ */
+const db = require("../db/connection");
+const mailer = require("./mailer");
+const { logAudit } = require("./audit");
+const { getSetting } = require("./settings");
+
+const REMINDER_DAYS = [3, 1];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accounts that pay: users for themselves, and organisations through their owner
+const ACCOUNTS = {
+  users: {
+    path: "/billing",
+    select: `
+      SELECT a.id, a.id AS owner_id, a.email, a.name, a.plan, a.stripe_subscription_id,
+        a.grace_ends_at, a.dunning_reminders_sent
+      FROM users a`,
+  },
+  organisations: {
+    path: "/organisation",
+    select: `
+      SELECT a.id, a.owner_id, u.email, u.name, a.plan, a.stripe_subscription_id,
+        a.grace_ends_at, a.dunning_reminders_sent
+      FROM organisations a JOIN users u ON u.id = a.owner_id`,
+  },
+};
+
+const CLEARED = { past_due_since: null, grace_ends_at: null, dunning_reminders_sent: 0 };
+
+// SQLite timestamps are UTC without a zone marker
+function toSqlTime(date) {
+  return date.toISOString().replace("T", " ").slice(0, 19);
+}
+
+function fromSqlTime(s) {
+  return new Date(s.replace(" ", "T") + "Z");
+}
+
+function formatDay(date) {
+  return date.toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric", timeZone: "UTC" });
+}
+
+function planName(plan) {
+  return plan.charAt(0).toUpperCase() + plan.slice(1);
+}
+
+function loadAccount(table, id) {
+  return db.prepare(`${ACCOUNTS[table].select} WHERE a.id = ?`).get(id);
+}
+
+function auditDetail(table, account, extra) {
+  return JSON.stringify({ ...(table === "organisations" ? { orgId: account.id } : {}), plan: account.plan, ...extra });
+}
+
+// ── Webhook side ───────────────────────────────────────────
+// Columns that start a grace period for a payment that failed at `failedAt`
+// (Unix seconds). Reminders already due by then are skipped.
+function graceFields(failedAt) {
+  const start = new Date(failedAt * 1000);
+  const end = new Date(start.getTime() + getSetting("dunningGraceDays") * DAY_MS);
+  return {
+    past_due_since: toSqlTime(start),
+    grace_ends_at: toSqlTime(end),
+    dunning_reminders_sent: REMINDER_DAYS.filter((days) => end - days * DAY_MS <= start).length,
+  };
+}
+
+// Records a grace period that has just started; the email joins `mails`.
+function started(table, id, mails) {
+  const account = loadAccount(table, id);
+  const end = fromSqlTime(account.grace_ends_at);
+  logAudit(account.owner_id, "dunning_started", auditDetail(table, account, { graceEndsAt: account.grace_ends_at }), null);
+  mails.push([account.email, "paymentFailed", {
+    name: account.name, plan: planName(account.plan), deadline: formatDay(end), path: ACCOUNTS[table].path,
+  }]);
+}
+
+function recovered(table, id) {
+  const account = loadAccount(table, id);
+  logAudit(account.owner_id, "dunning_recovered", auditDetail(table, account), null);
+}
+
+// ── Scheduled job ──────────────────────────────────────────
+function remind(table, account, due, end, now) {
+  const result = db.prepare(`
+    UPDATE ${table} SET dunning_reminders_sent = ? WHERE id = ? AND dunning_reminders_sent < ?
+  `).run(due, account.id, due);
+  if (!result.changes) return false;
+  const daysLeft = Math.ceil((end - now) / DAY_MS);
+  logAudit(account.owner_id, "dunning_reminder", auditDetail(table, account, { daysLeft }), null);
+  mailer.queueMail(account.email, "paymentReminder", {
+    name: account.name, plan: planName(account.plan), daysLeft, deadline: formatDay(end), path: ACCOUNTS[table].path,
+  });
+  return true;
+}
+
+// Moves the account to Free first, so the paid plan ends even when the
+// provider can't be reached; the cancellation webhook then changes nothing.
+async function expire(table, account, now) {
+  // Counts as a subscription event, so webhooks from before it arrive stale
+  // (see updateSubscriptionState in billing.js) and can't restore the plan
+  const result = db.prepare(`
+    UPDATE ${table} SET plan = 'free', subscription_status = 'canceled',
+      ${table === "users" ? "cancel_at_period_end = 0, scheduled_plan = NULL, scheduled_interval = NULL," : ""}
+      past_due_since = NULL, grace_ends_at = NULL, dunning_reminders_sent = 0,
+      subscription_event_at = MAX(COALESCE(subscription_event_at, 0), ?), updated_at = datetime('now')
+    WHERE id = ? AND subscription_status = 'past_due'
+  `).run(Math.floor(now.getTime() / 1000), account.id);
+  if (!result.changes) return false;
+  logAudit(account.owner_id, "dunning_expired", auditDetail(table, account), null);
+  mailer.queueMail(account.email, "pastDueDowngraded", {
+    name: account.name, plan: planName(account.plan), path: ACCOUNTS[table].path,
+  });
+
+  // Required here: billing.js requires this module
+  const provider = require("./billing").getProvider();
+  if (provider && account.stripe_subscription_id) {
+    try {
+      await provider.cancelSubscription(account.stripe_subscription_id);
+    } catch (err) {
+      console.error(`Dunning: canceling ${account.stripe_subscription_id} failed:`, err.message);
+    }
+  }
+  return true;
+}
+
+// Sends due reminders and ends lapsed grace periods as of `now`. Past-due
+// accounts without a grace period (from before dunning) get one starting now.
+// Returns how many accounts were started, reminded and expired.
+async function runDunning(now = new Date()) {
+  const summary = { started: 0, reminded: 0, expired: 0 };
+  for (const table of Object.keys(ACCOUNTS)) {
+    const accounts = db.prepare(`${ACCOUNTS[table].select} WHERE a.subscription_status = 'past_due'`).all();
+    for (const account of accounts) {
+      if (!account.grace_ends_at) {
+        const fields = graceFields(Math.floor(now.getTime() / 1000));
+        db.prepare(`
+          UPDATE ${table} SET past_due_since = ?, grace_ends_at = ?, dunning_reminders_sent = ? WHERE id = ?
+        `).run(fields.past_due_since, fields.grace_ends_at, fields.dunning_reminders_sent, account.id);
+        const mails = [];
+        started(table, account.id, mails);
+        for (const [to, template, data] of mails) mailer.queueMail(to, template, data);
+        summary.started++;
+        continue;
+      }
+
+      const end = fromSqlTime(account.grace_ends_at);
+      if (end <= now) {
+        if (await expire(table, account, now)) summary.expired++;
+        continue;
+      }
+      const due = REMINDER_DAYS.filter((days) => end - days * DAY_MS <= now).length;
+      if (due > account.dunning_reminders_sent && remind(table, account, due, end, now)) summary.reminded++;
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  REMINDER_DAYS,
+  CLEARED,
+  graceFields,
+  started,
+  recovered,
+  runDunning,
+};
@@ -0,0 +1,163 @@
+/**
+ * Transactional email templates. Each template takes a data object and
+ * returns { subject, text, html }; every message gets the same layout.
+ * Values interpolated into HTML are escaped.
+ */
+const APP_NAME = "Schoolter";
+
+// ── Helpers ────────────────────────────────────────────────
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function greeting(name) {
+  return name ? `Hi ${name},` : "Hi,";
+}
+
+function formatAmount(cents, currency = "gbp") {
+  return new Intl.NumberFormat("en-GB", { style: "currency", currency: currency.toUpperCase() }).format(cents / 100);
+}
+
+// paragraphs: plain strings; action: optional { label, url } button
+function layout({ subject, name, paragraphs, action, footer }) {
+  const text = [
+    greeting(name),
+    "",
+    ...paragraphs.flatMap((p) => [p, ""]),
+    ...(action ? [`${action.label}: ${action.url}`, ""] : []),
+    ...(footer ? [footer, ""] : []),
+    `— The ${APP_NAME} team`,
+  ].join("\n");
+
+  const html = `<!doctype html>
+<html><body style="margin:0;padding:24px;background:#f8fafc;font-family:system-ui,-apple-system,sans-serif;color:#334155">
+  <div style="max-width:520px;margin:0 auto;background:#fff;border-radius:12px;padding:32px">
+    <h1 style="margin:0 0 24px;font-size:20px;color:#0f172a">${escapeHtml(APP_NAME)}</h1>
+    <p>${escapeHtml(greeting(name))}</p>
+    ${paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join("\n    ")}
+    ${action ? `<p style="margin:28px 0"><a href="${escapeHtml(action.url)}" style="background:#4f46e5;color:#fff;padding:12px 20px;border-radius:8px;text-decoration:none;font-weight:600">${escapeHtml(action.label)}</a></p>
+    <p style="font-size:13px;color:#64748b">Or paste this link into your browser: ${escapeHtml(action.url)}</p>` : ""}
+    ${footer ? `<p style="font-size:13px;color:#64748b">${escapeHtml(footer)}</p>` : ""}
+    <p>— The ${escapeHtml(APP_NAME)} team</p>
+  </div>
+</body></html>`;
+
+  return { subject, text, html };
+}
+
+// ── Templates ──────────────────────────────────────────────
+const templates = {
+  verifyEmail: ({ name, url }) => layout({
+    subject: `Confirm your ${APP_NAME} email address`,
+    name,
+    paragraphs: ["Please confirm this is your email address so you can upgrade your plan and recover your account."],
+    action: { label: "Confirm email", url },
+    footer: "This link expires in 24 hours. If you didn't create an account, you can ignore this email.",
+  }),
+
+  passwordReset: ({ name, url }) => layout({
+    subject: `Reset your ${APP_NAME} password`,
+    name,
+    paragraphs: ["We received a request to reset your password."],
+    action: { label: "Choose a new password", url },
+    footer: "This link expires in 1 hour. If you didn't ask for a reset, you can ignore this email.",
+  }),
+
+  accountCreated: ({ name, days, url }) => layout({
+    subject: `Your ${APP_NAME} account is ready`,
+    name,
+    paragraphs: [`An account has been created for you on ${APP_NAME}. Choose a password to sign in.`],
+    action: { label: "Choose a password", url },
+    footer: `This link expires in ${days} days. After that, use "Forgot password" on the sign-in page.`,
+  }),
+
+  accountLocked: ({ name, minutes, url }) => layout({
+    subject: `Your ${APP_NAME} account has been temporarily locked`,
+    name,
+    paragraphs: [
+      `We locked your account for ${minutes} minutes after too many failed sign-in attempts.`,
+      "If this wasn't you, someone may be guessing your password. Resetting it unlocks your account straight away.",
+    ],
+    action: { label: "Reset password", url },
+  }),
+
+  organisationInvite: ({ orgName, inviterName, days, url }) => layout({
+    subject: `${inviterName} invited you to join ${orgName} on ${APP_NAME}`,
+    paragraphs: [`${inviterName} has invited you to join the ${orgName} organisation on ${APP_NAME}. Members share the organisation's plan.`],
+    action: { label: "Accept invitation", url },
+    footer: `This invitation expires in ${days} days. Sign in with this email address to accept it.`,
+  }),
+
+  subscriptionStarted: ({ name, plan, url }) => layout({
+    subject: `Welcome to ${APP_NAME} ${plan}`,
+    name,
+    paragraphs: [`Your ${plan} subscription is now active. Thanks for upgrading!`],
+    action: { label: "Manage billing", url },
+  }),
+
+  paymentReceipt: ({ name, amountCents, currency, description, invoiceUrl, url }) => layout({
+    subject: `Your ${APP_NAME} receipt`,
+    name,
+    paragraphs: [`We received your payment of ${formatAmount(amountCents, currency)} for ${description || "your subscription"}.`],
+    action: invoiceUrl ? { label: "View invoice", url: invoiceUrl } : { label: "View billing history", url },
+  }),
+
+  paymentFailed: ({ name, plan, deadline, url }) => layout({
+    subject: `Action needed: your ${APP_NAME} payment failed`,
+    name,
+    paragraphs: [
+      "We couldn't take your latest subscription payment. Please update your payment method to keep your plan.",
+      ...(deadline ? [`You keep ${plan} until ${deadline}. If we still can't take payment by then, your account moves to the Free plan.`] : []),
+    ],
+    action: { label: "Update payment method", url },
+  }),
+
+  paymentReminder: ({ name, plan, daysLeft, deadline, url }) => layout({
+    subject: `Reminder: your ${APP_NAME} payment is still overdue`,
+    name,
+    paragraphs: [
+      `We still haven't been able to take your subscription payment. You have ${daysLeft === 1 ? "1 day" : `${daysLeft} days`} left on ${plan}: on ${deadline} your account moves to the Free plan.`,
+      "Update your payment method to keep your plan.",
+    ],
+    action: { label: "Update payment method", url },
+  }),
+
+  pastDueDowngraded: ({ name, plan, url }) => layout({
+    subject: `Your ${APP_NAME} account has moved to the Free plan`,
+    name,
+    paragraphs: [`We couldn't take payment for ${plan} before the grace period ended, so your subscription has been canceled and your account is now on the Free plan. You can subscribe again at any time.`],
+    action: { label: "See plans", url },
+  }),
+
+  accountDeletionScheduled: ({ name, days, url }) => layout({
+    subject: `Your ${APP_NAME} account will be deleted`,
+    name,
+    paragraphs: [
+      `We received your request to delete your account. It will be deleted in ${days} days, along with your data.`,
+      "We've signed you out everywhere and your subscription won't renew. To keep your account, sign in and cancel the deletion from your profile before then.",
+    ],
+    action: { label: "Keep my account", url },
+    footer: "If you didn't ask for this, sign in and cancel the deletion, then change your password.",
+  }),
+
+  subscriptionCanceled: ({ name, url }) => layout({
+    subject: `Your ${APP_NAME} subscription has ended`,
+    name,
+    paragraphs: ["Your subscription has been canceled and your account is now on the Free plan. You can upgrade again at any time."],
+    action: { label: "See plans", url },
+  }),
+
+  trialEnded: ({ name, url }) => layout({
+    subject: `Your ${APP_NAME} Pro trial has ended`,
+    name,
+    paragraphs: ["Your free Pro trial is over and your account is now on the Free plan. Everything you made is still there. Subscribe to Pro to pick up where you left off."],
+    action: { label: "See plans", url },
+  }),
+};
+
+module.exports = templates;
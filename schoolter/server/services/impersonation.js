@@ -0,0 +1,85 @@
+/**
+ * Admin impersonation ("view as user") for reproducing what a user sees.
+ *
+ * Staff with users.impersonate get a short-lived access token for the user
+ * (IMPERSONATION_MINUTES, default 15). Its `act` claim names the admin and
+ * its sid is the admin's own session, so signing out ends it too.
+ * requireAuth treats these tokens as read-only. Each impersonation is a row
+ * here so it can be ended early; start and end are audited under the admin
+ * with both user IDs.
+ */
+const { v4: uuid } = require("uuid");
+const db = require("../db/connection");
+const { signImpersonationToken, getPublicUser, logAudit } = require("./auth");
+
+const IMPERSONATION_MINUTES = parseInt(process.env.IMPERSONATION_MINUTES) || 15;
+
+// ── Helpers ────────────────────────────────────────────────
+function getActive(impersonationId) {
+  return db.prepare(`
+    SELECT * FROM impersonations WHERE id = ? AND ended_at IS NULL AND expires_at > datetime('now')
+  `).get(impersonationId);
+}
+
+function close(row, reason, ip) {
+  db.prepare("UPDATE impersonations SET ended_at = datetime('now'), end_reason = ? WHERE id = ?").run(reason, row.id);
+  logAudit(row.admin_id, "impersonation_end", JSON.stringify({
+    impersonationId: row.id, adminId: row.admin_id, userId: row.user_id, reason,
+  }), ip);
+}
+
+// ── Lifecycle ──────────────────────────────────────────────
+function start(admin, userId, sessionId, ip) {
+  if (userId === admin.id) throw Object.assign(new Error("You can't impersonate yourself"), { status: 400 });
+  const user = getPublicUser(userId);
+  if (!user) throw Object.assign(new Error("User not found"), { status: 404 });
+  // Viewing as staff would hand out their permissions
+  if (user.permissions.length) {
+    throw Object.assign(new Error("Staff accounts can't be impersonated"), { status: 403 });
+  }
+
+  endForSession(sessionId, "replaced", ip);
+  const id = uuid();
+  db.prepare(`
+    INSERT INTO impersonations (id, admin_id, user_id, session_id, expires_at)
+    VALUES (?, ?, ?, ?, datetime('now', ?))
+  `).run(id, admin.id, userId, sessionId, `+${IMPERSONATION_MINUTES} minutes`);
+  logAudit(admin.id, "impersonation_start", JSON.stringify({ impersonationId: id, adminId: admin.id, userId }), ip);
+
+  const token = signImpersonationToken(userId, {
+    adminId: admin.id, sessionId, impersonationId: id, minutes: IMPERSONATION_MINUTES,
+  });
+  const { expires_at: expiresAt } = db.prepare("SELECT expires_at FROM impersonations WHERE id = ?").get(id);
+  return { token, user, impersonation: { id, expiresAt } };
+}
+
+// For requireAuth: the admin behind a live impersonation, or null once it
+// has ended or expired.
+function resolve(impersonationId) {
+  const row = impersonationId && getActive(impersonationId);
+  if (!row) return null;
+  const admin = getPublicUser(row.admin_id);
+  return admin && { id: row.id, expiresAt: row.expires_at, admin: { id: admin.id, email: admin.email, name: admin.name } };
+}
+
+function end(impersonationId, reason, ip) {
+  const row = db.prepare("SELECT * FROM impersonations WHERE id = ? AND ended_at IS NULL").get(impersonationId);
+  if (!row) throw Object.assign(new Error("You aren't viewing as another user"), { status: 400 });
+  close(row, reason, ip);
+  return row;
+}
+
+// Closes whatever is still open on the admin's session. Refreshing tokens
+// goes back to the admin, so an impersonation that is open then has expired.
+function endForSession(sessionId, reason, ip) {
+  const open = db.prepare("SELECT * FROM impersonations WHERE session_id = ? AND ended_at IS NULL").all(sessionId);
+  for (const row of open) close(row, reason, ip);
+}
+
+module.exports = {
+  IMPERSONATION_MINUTES,
+  start,
+  resolve,
+  end,
+  endForSession,
+};
@@ -0,0 +1,118 @@
+/**
+ * Mailer — renders transactional email templates and hands them to a transport.
+ *
+ * MAIL_TRANSPORT picks the transport:
+ *   smtp   — delivers through SMTP_HOST/SMTP_PORT (nodemailer)
+ *   outbox — writes each message as a JSON file to MAIL_OUTBOX_DIR, for local
+ *            dev and tests
+ * It defaults to smtp when SMTP_HOST is set and outbox otherwise, except in
+ * production, where mail going to files unnoticed would be worse than not
+ * starting: there the outbox has to be asked for with MAIL_TRANSPORT. Any
+ * object with an async send(message) can be plugged in with setTransport().
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const validator = require("validator");
+const templates = require("./emailTemplates");
+
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+const MAIL_FROM = process.env.MAIL_FROM || "Schoolter <no-reply@schoolter.app>";
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "outbox");
+
+// ── Transports ─────────────────────────────────────────────
+function smtpTransport() {
+  const nodemailer = require("nodemailer");
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+function outboxTransport(dir = OUTBOX_DIR) {
+  return {
+    name: "outbox",
+    send: async (message) => {
+      fs.mkdirSync(dir, { recursive: true });
+      const messageId = crypto.randomUUID();
+      const file = path.join(dir, `${Date.now()}-${message.template}-${messageId.slice(0, 8)}.json`);
+      fs.writeFileSync(file, JSON.stringify({ messageId, ...message, createdAt: new Date().toISOString() }, null, 2));
+      return { messageId, file };
+    },
+  };
+}
+
+const TRANSPORTS = { smtp: smtpTransport, outbox: outboxTransport };
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "outbox");
+    if (!TRANSPORTS[name]) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    if (name === "outbox" && !process.env.MAIL_TRANSPORT && process.env.NODE_ENV === "production") {
+      throw new Error("SMTP_HOST is not set; set it, or MAIL_TRANSPORT=outbox to write mail to files in production");
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+}
+
+function setTransport(t) {
+  transport = t;
+}
+
+// ── Sending ────────────────────────────────────────────────
+// `path` in data is resolved against APP_URL and passed to the template as `url`.
+// Names and other text are stored HTML-escaped (sanitize in
+// middleware/security.js), so they are unescaped here and the templates
+// escape them once, for the HTML part only.
+function render(template, data = {}) {
+  const build = templates[template];
+  if (!build) throw new Error(`Unknown email template: ${template}`);
+  const url = data.path ? new URL(data.path, APP_URL).toString() : APP_URL;
+  const fields = Object.fromEntries(Object.entries(data).map(([k, v]) => [k, typeof v === "string" ? validator.unescape(v) : v]));
+  return build({ url, ...fields });
+}
+
+async function sendMail(to, template, data) {
+  const { subject, text, html } = render(template, data);
+  return getTransport().send({ from: MAIL_FROM, to, subject, text, html, template });
+}
+
+// For request handlers and webhooks: delivery runs in the background and
+// failures are logged rather than failing the caller.
+function queueMail(to, template, data) {
+  sendMail(to, template, data).catch((err) => {
+    console.error(`Mailer: ${template} to ${to} failed:`, err.message);
+  });
+}
+
+// Messages in the outbox directory, oldest first (dev tooling and tests).
+function readOutbox(dir = OUTBOX_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .sort()
+    .map((f) => JSON.parse(fs.readFileSync(path.join(dir, f), "utf8")));
+}
+
+module.exports = {
+  TRANSPORTS,
+  getTransport,
+  setTransport,
+  outboxTransport,
+  render,
+  sendMail,
+  queueMail,
+  readOutbox,
+};
@@ -0,0 +1,202 @@
+/**
+ * Organisations — teams that share one subscription.
+ *
+ * Each organisation has one owner and any number of members; a user belongs
+ * to at most one. Members inherit the organisation's plan when it is higher
+ * than their own. Seats mirror the Stripe subscription quantity: members
+ * (owner included) plus pending invitations may not exceed them.
+ */
+const crypto = require("crypto");
+const { v4: uuid } = require("uuid");
+const db = require("../db/connection");
+const mailer = require("./mailer");
+
+const PLAN_RANK = { free: 0, pro: 1, enterprise: 2 };
+const INVITE_DAYS = 7;
+
+// ── Helpers ────────────────────────────────────────────────
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function notFound() {
+  return Object.assign(new Error("Organisation not found"), { status: 404 });
+}
+
+// The better of the user's own plan and their organisation's.
+function effectivePlan(userPlan, orgPlan) {
+  if (!orgPlan) return userPlan;
+  return PLAN_RANK[orgPlan] > PLAN_RANK[userPlan] ? orgPlan : userPlan;
+}
+
+function getMembership(userId) {
+  return db.prepare(`
+    SELECT o.id, o.name, o.plan, o.seats, o.subscription_status, m.role
+    FROM organisation_members m JOIN organisations o ON o.id = m.org_id
+    WHERE m.user_id = ?
+  `).get(userId) || null;
+}
+
+function seatUsage(orgId) {
+  const org = db.prepare("SELECT seats FROM organisations WHERE id = ?").get(orgId);
+  if (!org) throw notFound();
+  const members = db.prepare("SELECT COUNT(*) as c FROM organisation_members WHERE org_id = ?").get(orgId).c;
+  const pending = db.prepare(`
+    SELECT COUNT(*) as c FROM organisation_invitations
+    WHERE org_id = ? AND accepted_at IS NULL AND expires_at > datetime('now')
+  `).get(orgId).c;
+  return { seats: org.seats, members, pending, available: Math.max(0, org.seats - members - pending) };
+}
+
+// ── Organisations ──────────────────────────────────────────
+function createOrganisation(userId, name) {
+  if (getMembership(userId)) {
+    throw Object.assign(new Error("You already belong to an organisation"), { status: 409 });
+  }
+  const id = uuid();
+  db.transaction(() => {
+    db.prepare("INSERT INTO organisations (id, name, owner_id) VALUES (?, ?, ?)").run(id, name, userId);
+    db.prepare("INSERT INTO organisation_members (org_id, user_id, role) VALUES (?, ?, 'owner')").run(id, userId);
+  })();
+  return getOrganisation(id);
+}
+
+function getOrganisation(orgId) {
+  const org = db.prepare("SELECT * FROM organisations WHERE id = ?").get(orgId);
+  if (!org) throw notFound();
+  return {
+    id: org.id,
+    name: org.name,
+    ownerId: org.owner_id,
+    plan: org.plan,
+    subscriptionStatus: org.subscription_status,
+    subscriptionPeriodEnd: org.subscription_period_end,
+    seats: seatUsage(org.id),
+    createdAt: org.created_at,
+  };
+}
+
+function listMembers(orgId) {
+  return db.prepare(`
+    SELECT u.id, u.email, u.name, m.role, m.joined_at FROM organisation_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.org_id = ?
+    ORDER BY m.role = 'owner' DESC, m.joined_at
+  `).all(orgId).map((m) => ({ id: m.id, email: m.email, name: m.name, role: m.role, joinedAt: m.joined_at }));
+}
+
+function renameOrganisation(orgId, name) {
+  db.prepare("UPDATE organisations SET name = ?, updated_at = datetime('now') WHERE id = ?").run(name, orgId);
+  return getOrganisation(orgId);
+}
+
+// Paid organisations are closed by canceling the subscription first.
+function deleteOrganisation(orgId) {
+  const org = db.prepare("SELECT subscription_status FROM organisations WHERE id = ?").get(orgId);
+  if (!org) throw notFound();
+  if (["active", "trialing", "past_due"].includes(org.subscription_status)) {
+    throw Object.assign(new Error("Cancel the organisation's subscription before deleting it"), { status: 409 });
+  }
+  db.prepare("DELETE FROM organisations WHERE id = ?").run(orgId);
+}
+
+// ── Members ────────────────────────────────────────────────
+function removeMember(orgId, userId) {
+  const member = db.prepare("SELECT role FROM organisation_members WHERE org_id = ? AND user_id = ?").get(orgId, userId);
+  if (!member) throw Object.assign(new Error("Member not found"), { status: 404 });
+  if (member.role === "owner") {
+    throw Object.assign(new Error("The owner can't be removed from the organisation"), { status: 400 });
+  }
+  db.prepare("DELETE FROM organisation_members WHERE org_id = ? AND user_id = ?").run(orgId, userId);
+}
+
+// ── Invitations ────────────────────────────────────────────
+function listInvitations(orgId) {
+  return db.prepare(`
+    SELECT id, email, expires_at, created_at FROM organisation_invitations
+    WHERE org_id = ? AND accepted_at IS NULL AND expires_at > datetime('now')
+    ORDER BY created_at DESC
+  `).all(orgId).map((i) => ({ id: i.id, email: i.email, expiresAt: i.expires_at, createdAt: i.created_at }));
+}
+
+function inviteMember(orgId, email, inviter) {
+  const org = db.prepare("SELECT id, name FROM organisations WHERE id = ?").get(orgId);
+  if (!org) throw notFound();
+
+  const member = db.prepare(`
+    SELECT 1 FROM organisation_members m JOIN users u ON u.id = m.user_id
+    WHERE m.org_id = ? AND lower(u.email) = lower(?)
+  `).get(orgId, email);
+  if (member) throw Object.assign(new Error("That person is already a member"), { status: 409 });
+
+  // Re-inviting replaces the pending invitation and frees its seat first
+  db.prepare("DELETE FROM organisation_invitations WHERE org_id = ? AND lower(email) = lower(?) AND accepted_at IS NULL")
+    .run(orgId, email);
+  if (seatUsage(orgId).available < 1) {
+    throw Object.assign(new Error("No seats left. Add seats to invite more people."), { status: 402, code: "no_seats" });
+  }
+
+  const rawToken = crypto.randomBytes(32).toString("hex");
+  const id = uuid();
+  db.prepare(`
+    INSERT INTO organisation_invitations (id, org_id, email, token_hash, invited_by, expires_at)
+    VALUES (?, ?, ?, ?, ?, datetime('now', ?))
+  `).run(id, orgId, email, hashToken(rawToken), inviter.id, `+${INVITE_DAYS} days`);
+
+  mailer.queueMail(email, "organisationInvite", {
+    orgName: org.name,
+    inviterName: inviter.name || inviter.email,
+    days: INVITE_DAYS,
+    path: `/invite?token=${rawToken}`,
+  });
+  return id;
+}
+
+function revokeInvitation(orgId, invitationId) {
+  const result = db.prepare("DELETE FROM organisation_invitations WHERE id = ? AND org_id = ? AND accepted_at IS NULL")
+    .run(invitationId, orgId);
+  if (!result.changes) throw Object.assign(new Error("Invitation not found"), { status: 404 });
+}
+
+// The signed-in user must be the invited address; the invitation already holds their seat.
+function acceptInvitation(token, user) {
+  const invite = db.prepare(`
+    SELECT * FROM organisation_invitations
+    WHERE token_hash = ? AND accepted_at IS NULL AND expires_at > datetime('now')
+  `).get(hashToken(token || ""));
+  if (!invite) throw Object.assign(new Error("Invalid or expired invitation"), { status: 400 });
+  if (invite.email.toLowerCase() !== user.email.toLowerCase()) {
+    throw Object.assign(new Error(`This invitation is for ${invite.email}. Sign in with that address to accept it.`), { status: 403 });
+  }
+  if (getMembership(user.id)) {
+    throw Object.assign(new Error("Leave your current organisation before joining another"), { status: 409 });
+  }
+  // Seats can be reduced after an invitation goes out
+  const usage = seatUsage(invite.org_id);
+  if (usage.members >= usage.seats) {
+    throw Object.assign(new Error("This organisation has no free seats. Ask the owner to add one."), { status: 402, code: "no_seats" });
+  }
+
+  db.transaction(() => {
+    db.prepare("UPDATE organisation_invitations SET accepted_at = datetime('now') WHERE id = ?").run(invite.id);
+    db.prepare("INSERT INTO organisation_members (org_id, user_id, role) VALUES (?, ?, 'member')").run(invite.org_id, user.id);
+  })();
+  return invite.org_id;
+}
+
+module.exports = {
+  PLAN_RANK,
+  effectivePlan,
+  getMembership,
+  seatUsage,
+  createOrganisation,
+  getOrganisation,
+  listMembers,
+  renameOrganisation,
+  deleteOrganisation,
+  removeMember,
+  listInvitations,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+};
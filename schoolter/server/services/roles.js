@@ -0,0 +1,140 @@
+/**
+ * Roles and permissions.
+ *
+ * Permissions are a fixed catalogue defined here; roles are rows in the
+ * `roles` table that grant a set of them, so staff roles (e.g. support) can
+ * be configured without a deploy. users.role names one role. The built-in
+ * "admin" role grants everything ("*") and "user" grants nothing; neither
+ * can be edited or deleted.
+ */
+const db = require("../db/connection");
+
+const PERMISSIONS = {
+  "users.read": "View users, lockouts and stats",
+  "users.write": "Edit user details, unlock, suspend and create accounts",
+  "users.delete": "Delete user accounts",
+  "users.impersonate": "View the app as a user (read-only)",
+  "billing.write": "Change a user's plan and replay Stripe events",
+  "billing.refund": "Refund invoices",
+  "coupons.manage": "Create and deactivate promo codes",
+  "audit.read": "Read the audit log",
+  "roles.manage": "Create and edit roles, and assign them to users",
+  "settings.manage": "Change security settings",
+};
+
+const ALL = "*";
+const NAME_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+
+// ── Helpers ────────────────────────────────────────────────
+function getRoleRow(name) {
+  return db.prepare("SELECT * FROM roles WHERE name = ?").get(name);
+}
+
+function expand(stored) {
+  const list = JSON.parse(stored || "[]");
+  return list.includes(ALL) ? Object.keys(PERMISSIONS) : list.filter((p) => p in PERMISSIONS);
+}
+
+function validatePermissions(permissions) {
+  if (!Array.isArray(permissions)) {
+    throw Object.assign(new Error("permissions must be an array"), { status: 400 });
+  }
+  const unknown = permissions.filter((p) => !(p in PERMISSIONS));
+  if (unknown.length) {
+    throw Object.assign(new Error(`Unknown permission: ${unknown.join(", ")}`), { status: 400 });
+  }
+  return [...new Set(permissions)];
+}
+
+function toRole(row) {
+  return {
+    name: row.name,
+    description: row.description,
+    permissions: expand(row.permissions),
+    builtin: !!row.builtin,
+    users: db.prepare("SELECT COUNT(*) as c FROM users WHERE role = ?").get(row.name).c,
+  };
+}
+
+// ── Lookups ────────────────────────────────────────────────
+function getPermissions(roleName) {
+  const row = getRoleRow(roleName);
+  return row ? expand(row.permissions) : [];
+}
+
+function hasPermission(user, permission) {
+  return !!user && getPermissions(user.role).includes(permission);
+}
+
+// Any permission at all makes a role a staff role (admin panel, 2FA policy).
+function isStaffRole(roleName) {
+  return getPermissions(roleName).length > 0;
+}
+
+// Staff can only hand out permissions they hold themselves, so roles.manage
+// alone can't be used to escalate.
+function assertCanGrant(user, permissions) {
+  const own = getPermissions(user.role);
+  const missing = permissions.filter((p) => p in PERMISSIONS && !own.includes(p));
+  if (missing.length) {
+    throw Object.assign(new Error(`You can't grant permissions you don't have: ${missing.join(", ")}`), { status: 403 });
+  }
+}
+
+function roleExists(name) {
+  return !!getRoleRow(name);
+}
+
+function listRoles() {
+  return db.prepare("SELECT * FROM roles ORDER BY builtin DESC, name").all().map(toRole);
+}
+
+// ── Management ─────────────────────────────────────────────
+function createRole({ name, description, permissions }) {
+  if (typeof name !== "string" || !NAME_PATTERN.test(name)) {
+    throw Object.assign(new Error("Role names are 2–32 lowercase letters, digits, - or _"), { status: 400 });
+  }
+  if (getRoleRow(name)) throw Object.assign(new Error("A role with that name already exists"), { status: 409 });
+
+  db.prepare("INSERT INTO roles (name, description, permissions) VALUES (?, ?, ?)")
+    .run(name, description || "", JSON.stringify(validatePermissions(permissions || [])));
+  return toRole(getRoleRow(name));
+}
+
+function updateRole(name, { description, permissions }) {
+  const row = getRoleRow(name);
+  if (!row) throw Object.assign(new Error("Role not found"), { status: 404 });
+  if (row.builtin) throw Object.assign(new Error("Built-in roles can't be changed"), { status: 400 });
+
+  db.prepare(`
+    UPDATE roles SET description = ?, permissions = ?, updated_at = datetime('now') WHERE name = ?
+  `).run(
+    description !== undefined ? description : row.description,
+    permissions !== undefined ? JSON.stringify(validatePermissions(permissions)) : row.permissions,
+    name,
+  );
+  return toRole(getRoleRow(name));
+}
+
+function deleteRole(name) {
+  const row = getRoleRow(name);
+  if (!row) throw Object.assign(new Error("Role not found"), { status: 404 });
+  if (row.builtin) throw Object.assign(new Error("Built-in roles can't be deleted"), { status: 400 });
+  if (toRole(row).users) {
+    throw Object.assign(new Error("Move this role's users to another role first"), { status: 409 });
+  }
+  db.prepare("DELETE FROM roles WHERE name = ?").run(name);
+}
+
+module.exports = {
+  PERMISSIONS,
+  getPermissions,
+  hasPermission,
+  isStaffRole,
+  assertCanGrant,
+  roleExists,
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+};
@@ -0,0 +1,341 @@
+/**
+ * Schools service — query the SQLite school tables in the same shape the SPA
+ * reads from public/data/schools.js.
+ */
+const db = require("../db/connection");
+
+const PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+const KENT_DISTRICTS = [
+  "Kent", "Canterbury", "Maidstone", "Ashford", "Dover", "Folkestone and Hythe", "Thanet",
+  "Swale", "Dartford", "Gravesham", "Sevenoaks", "Tonbridge and Malling", "Tunbridge Wells", "Medway",
+];
+
+const SECTIONS = ["performance", "admissions", "demographics", "ofsted", "contact", "finances"];
+
+// Sort keys mirror the "Sort by" select in SchoolsPage; ties fall back to id
+// so pages are stable, like the browser's stable Array#sort.
+const SORTS = {
+  "name":             "name COLLATE NOCASE ASC",
+  "name-desc":        "name COLLATE NOCASE DESC",
+  "pupils-desc":      "COALESCE(pupils, 0) DESC",
+  "pupils-asc":       "COALESCE(pupils, 0) ASC",
+  "borough":          "borough COLLATE NOCASE ASC, name COLLATE NOCASE ASC",
+  "ofsted":           "ofsted_rank ASC, name COLLATE NOCASE ASC",
+  "attainment8-desc": "COALESCE(attainment8, 0) DESC",
+  "progress8-desc":   "COALESCE(progress8, 0) DESC",
+  "ks2-desc":         "COALESCE(ks2_combined, 0) DESC",
+};
+
+// Each school joined to its latest child rows, with the derived values the
+// list view filters and sorts on.
+const BASE_QUERY = `
+  WITH base AS (
+    SELECT s.*,
+      COALESCE((SELECT rating FROM school_ofsted WHERE school_urn = s.urn ORDER BY id DESC LIMIT 1), s.ofsted_rating, 'N/A') AS ofsted_effective,
+      (SELECT ks4_attainment8 FROM school_performance WHERE school_urn = s.urn ORDER BY id DESC LIMIT 1) AS attainment8,
+      (SELECT ks4_progress8 FROM school_performance WHERE school_urn = s.urn ORDER BY id DESC LIMIT 1) AS progress8,
+      (SELECT ks2_combined_expected FROM school_performance WHERE school_urn = s.urn ORDER BY id DESC LIMIT 1) AS ks2_combined,
+      (SELECT oversubscribed FROM school_admissions WHERE school_urn = s.urn ORDER BY id DESC LIMIT 1) AS oversubscribed
+    FROM schools s
+  )
+  SELECT *,
+    CASE ofsted_effective WHEN 'Outstanding' THEN 1 WHEN 'Good' THEN 2
+      WHEN 'Requires Improvement' THEN 3 WHEN 'Inadequate' THEN 4 ELSE 5 END AS ofsted_rank
+  FROM base
+`;
+
+// ── Helpers ────────────────────────────────────────────────
+function parseJson(value) {
+  if (value == null) return null;
+  try { return JSON.parse(value); } catch { return null; }
+}
+
+function escapeLike(str) {
+  return str.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+function allNull(obj) {
+  return Object.values(obj).every((v) => v == null);
+}
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// ── Row → record mappers ───────────────────────────────────
+function toSchool(row) {
+  return {
+    id: row.id,
+    urn: row.urn,
+    name: row.name,
+    borough: row.borough,
+    region: row.region,
+    type: row.type,
+    phase: row.phase,
+    gender: row.gender,
+    religiousCharacter: row.religious_character,
+    ofstedRating: row.ofsted_effective || row.ofsted_rating,
+    ageRange: row.age_range,
+    pupils: row.pupils,
+    address: row.address,
+    postcode: row.postcode,
+    lat: row.lat,
+    lng: row.lng,
+    hasSixthForm: row.has_sixth_form === 1,
+    fundingType: row.funding_type,
+    sector: row.sector,
+    website: row.website,
+  };
+}
+
+function toListItem(row) {
+  return {
+    ...toSchool(row),
+    attainment8: row.attainment8,
+    progress8: row.progress8,
+    ks2Combined: row.ks2_combined,
+    oversubscribed: row.oversubscribed == null ? null : row.oversubscribed === 1,
+  };
+}
+
+function toPerformance(row) {
+  if (!row) return null;
+  const ks2 = {
+    readingExpected: row.ks2_reading_expected,
+    mathsExpected: row.ks2_maths_expected,
+    writingExpected: row.ks2_writing_expected,
+    gpsExpected: row.ks2_gps_expected,
+    combinedExpected: row.ks2_combined_expected,
+    readingProgress: row.ks2_reading_progress,
+    mathsProgress: row.ks2_maths_progress,
+    writingProgress: row.ks2_writing_progress,
+    readingHigher: row.ks2_reading_higher,
+    mathsHigher: row.ks2_maths_higher,
+    writingHigher: row.ks2_writing_higher,
+  };
+  const ks4 = {
+    attainment8: row.ks4_attainment8,
+    progress8: row.ks4_progress8,
+    ebacc_entry: row.ks4_ebacc_entry,
+    ebacc_avg: row.ks4_ebacc_avg,
+    grade5EnMa: row.ks4_grade5_en_ma,
+    subjects: parseJson(row.ks4_subjects),
+  };
+  const ks5 = {
+    averagePointScore: row.ks5_average_point_score,
+    aabOrHigher: row.ks5_aab_or_higher,
+    subjects: parseJson(row.ks5_subjects),
+    vocational: parseJson(row.ks5_vocational),
+    destinations: parseJson(row.ks5_destinations),
+  };
+  return {
+    ks2: allNull(ks2) ? null : { ...ks2, year: row.year },
+    ks4: allNull(ks4) ? null : { ...ks4, year: row.year },
+    ks5: allNull(ks5) ? null : { ...ks5, year: row.year },
+  };
+}
+
+function toAdmissions(row) {
+  if (!row) return null;
+  return {
+    capacity: row.capacity,
+    applications: {
+      first: row.applications_first,
+      second: row.applications_second,
+      third: row.applications_third,
+      total: row.applications_total,
+    },
+    offers: row.offers,
+    oversubscribed: row.oversubscribed === 1,
+    lastDistanceOffered: row.last_distance_offered,
+    catchment: row.catchment_official_radius == null && row.catchment_effective_radius == null ? null : {
+      officialRadius: row.catchment_official_radius,
+      effectiveRadius: row.catchment_effective_radius,
+      history: parseJson(row.catchment_history),
+      unit: "km",
+    },
+    criteria: parseJson(row.criteria),
+    appeals: row.appeals_lodged == null ? null : {
+      lodged: row.appeals_lodged,
+      successful: row.appeals_successful,
+    },
+    openDays: parseJson(row.open_days),
+    applicationDeadline: row.application_deadline,
+    year: row.year,
+  };
+}
+
+function toDemographics(row) {
+  if (!row) return null;
+  return {
+    fsmPercent: row.fsm_percent,
+    ealPercent: row.eal_percent,
+    senPercent: row.sen_percent,
+    ethnicities: parseJson(row.ethnicities),
+  };
+}
+
+function toOfsted(row) {
+  if (!row) return null;
+  return {
+    rating: row.rating,
+    date: row.inspection_date,
+    previousRating: row.previous_rating,
+    previousDate: row.previous_date,
+    report: row.report_url,
+    parentView: parseJson(row.parent_view),
+  };
+}
+
+function toContact(row) {
+  if (!row) return null;
+  return { phone: row.phone, email: row.email, headteacher: row.headteacher };
+}
+
+function toFinances(row) {
+  if (!row) return null;
+  return {
+    totalIncome: row.total_income,
+    perPupilFunding: row.per_pupil_funding,
+    teacherCount: row.teacher_count,
+    pupilTeacherRatio: row.pupil_teacher_ratio,
+  };
+}
+
+const SECTION_SOURCES = {
+  performance:  { table: "school_performance",  map: toPerformance },
+  admissions:   { table: "school_admissions",   map: toAdmissions },
+  demographics: { table: "school_demographics", map: toDemographics },
+  ofsted:       { table: "school_ofsted",       map: toOfsted },
+  contact:      { table: "school_contact",      map: toContact },
+  finances:     { table: "school_finances",     map: toFinances },
+};
+
+// ── List ───────────────────────────────────────────────────
+// Throws a 400 for a sort, region or sixthForm value the list can't apply.
+// Separate from listSchools so the route can reject a bad query before metering it.
+function validateListQuery(query = {}) {
+  if (!SORTS[query.sort || "name"]) throw badRequest("Invalid sort");
+  if (!["all", "london", "kent"].includes((query.region || "all").toLowerCase())) throw badRequest("Invalid region");
+  if (query.sixthForm && !["yes", "no"].includes(query.sixthForm)) throw badRequest("Invalid sixthForm filter");
+}
+
+// Filters match SchoolsPage.applyFilters: free-text over name/borough/postcode,
+// a region chip, and exact matches on each filter select.
+function listSchools(query = {}) {
+  validateListQuery(query);
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit) || PAGE_SIZE));
+  const sort = query.sort || "name";
+
+  const where = [];
+  const params = [];
+
+  const region = (query.region || "all").toLowerCase();
+  const kentList = KENT_DISTRICTS.map(() => "?").join(", ");
+  if (region === "london") {
+    where.push(`NOT (region = 'Kent' OR borough IN (${kentList}))`);
+    params.push(...KENT_DISTRICTS);
+  } else if (region === "kent") {
+    where.push(`(region = 'Kent' OR borough IN (${kentList}))`);
+    params.push(...KENT_DISTRICTS);
+  }
+
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  if (q) {
+    const like = `%${escapeLike(q)}%`;
+    where.push("(name LIKE ? ESCAPE '\\' OR borough LIKE ? ESCAPE '\\' OR COALESCE(postcode, '') LIKE ? ESCAPE '\\')");
+    params.push(like, like, like);
+  }
+
+  const exact = {
+    borough: "borough",
+    phase: "phase",
+    gender: "gender",
+    ofsted: "ofsted_effective",
+    religion: "religious_character",
+    funding: "funding_type",
+    sector: "sector",
+  };
+  for (const [param, column] of Object.entries(exact)) {
+    if (query[param]) {
+      where.push(`${column} = ?`);
+      params.push(String(query[param]));
+    }
+  }
+
+  if (query.sixthForm === "yes") where.push("has_sixth_form = 1");
+  else if (query.sixthForm === "no") where.push("has_sixth_form = 0");
+
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+  const total = db.prepare(`SELECT COUNT(*) AS c FROM (${BASE_QUERY}) ${whereSql}`).get(...params).c;
+  const rows = db.prepare(`SELECT * FROM (${BASE_QUERY}) ${whereSql} ORDER BY ${SORTS[sort]}, id ASC LIMIT ? OFFSET ?`)
+    .all(...params, limit, (page - 1) * limit);
+
+  return {
+    schools: rows.map(toListItem),
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+  };
+}
+
+// ── Filter options ─────────────────────────────────────────
+function getFilterOptions() {
+  const distinct = (column) => db.prepare(`SELECT DISTINCT ${column} AS v FROM (${BASE_QUERY}) WHERE ${column} IS NOT NULL AND ${column} != '' ORDER BY v`)
+    .all().map((r) => r.v);
+  return {
+    borough: distinct("borough"),
+    phase: distinct("phase"),
+    gender: distinct("gender"),
+    ofsted: distinct("ofsted_effective"),
+    religion: distinct("religious_character"),
+    funding: distinct("funding_type"),
+    sector: distinct("sector"),
+    sort: Object.keys(SORTS),
+  };
+}
+
+// ── Detail ─────────────────────────────────────────────────
+function getSchoolRow(urn) {
+  return db.prepare(`SELECT * FROM (${BASE_QUERY}) WHERE urn = ?`).get(urn);
+}
+
+function getSectionRow(urn, section) {
+  const source = SECTION_SOURCES[section];
+  if (!source) throw Object.assign(new Error("Unknown section"), { status: 404 });
+  return db.prepare(`SELECT * FROM ${source.table} WHERE school_urn = ? ORDER BY id DESC LIMIT 1`).get(urn);
+}
+
+function getSection(urn, section) {
+  return SECTION_SOURCES[section].map(getSectionRow(urn, section));
+}
+
+// Full record; `dataSources` carries the pipeline provenance of each section.
+function getSchool(urn) {
+  const row = getSchoolRow(urn);
+  if (!row) return null;
+  const school = toSchool(row);
+  const dataSources = {};
+  for (const section of SECTIONS) {
+    const sectionRow = getSectionRow(urn, section);
+    school[section] = SECTION_SOURCES[section].map(sectionRow);
+    dataSources[section] = sectionRow ? sectionRow.data_source : null;
+  }
+  school.dataSources = dataSources;
+  return school;
+}
+
+function schoolExists(urn) {
+  return !!db.prepare("SELECT 1 FROM schools WHERE urn = ?").get(urn);
+}
+
+module.exports = {
+  SECTIONS,
+  validateListQuery,
+  listSchools,
+  getFilterOptions,
+  getSchool,
+  getSection,
+  schoolExists,
+};
@@ -0,0 +1,55 @@
+/**
+ * App settings — admin-managed policy switches stored in app_settings.
+ *
+ * Only keys listed in DEFAULTS can be read or written; values are stored as
+ * JSON and fall back to the default until an admin changes them. Keys in
+ * RULES are checked further before they're saved.
+ */
+const db = require("../db/connection");
+
+const DEFAULTS = {
+  requireAdmin2fa: false,
+  requireVerifiedEmailForCheckout: true,
+  // Days of audit log kept in the database; older rows are archived (0 keeps everything)
+  auditRetentionDays: 365,
+  // Days a past-due subscription keeps its paid plan before moving to Free
+  dunningGraceDays: 7,
+};
+
+const RULES = {
+  auditRetentionDays: (v) => (Number.isInteger(v) && v >= 0) || "auditRetentionDays must be a whole number of days",
+  dunningGraceDays: (v) => (Number.isInteger(v) && v >= 1 && v <= 60) || "dunningGraceDays must be a whole number of days from 1 to 60",
+};
+
+function getSetting(key) {
+  if (!(key in DEFAULTS)) throw new Error(`Unknown setting: ${key}`);
+  const row = db.prepare("SELECT value FROM app_settings WHERE key = ?").get(key);
+  return row ? JSON.parse(row.value) : DEFAULTS[key];
+}
+
+function getSettings() {
+  return Object.fromEntries(Object.keys(DEFAULTS).map((key) => [key, getSetting(key)]));
+}
+
+function setSetting(key, value, updatedBy) {
+  if (!(key in DEFAULTS)) {
+    throw Object.assign(new Error(`Unknown setting: ${key}`), { status: 400 });
+  }
+  if (typeof value !== typeof DEFAULTS[key]) {
+    throw Object.assign(new Error(`${key} must be a ${typeof DEFAULTS[key]}`), { status: 400 });
+  }
+  const problem = RULES[key] && RULES[key](value);
+  if (typeof problem === "string") throw Object.assign(new Error(problem), { status: 400 });
+  db.prepare(`
+    INSERT INTO app_settings (key, value, updated_by, updated_at) VALUES (?, ?, ?, datetime('now'))
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_by = excluded.updated_by, updated_at = excluded.updated_at
+  `).run(key, JSON.stringify(value), updatedBy || null);
+  return value;
+}
+
+module.exports = {
+  DEFAULTS,
+  getSetting,
+  getSettings,
+  setSetting,
+};
@@ -0,0 +1,416 @@
+/**
+ * OpenID Connect single sign-on, configured per organisation.
+ *
+ * An organisation owner registers their identity provider (issuer, client id
+ * and optional secret) and the email domains it signs in for. Sign-in is the
+ * authorization-code flow with PKCE: startLogin picks the connection from the
+ * email's domain and returns the provider's authorization URL; completeLogin
+ * exchanges the code, checks the ID token against the provider's JWKS and
+ * links the identity to a Schoolter account.
+ *
+ * A domain can only be claimed by an owner whose own verified email is on
+ * it, never a public mailbox provider's or one Schoolter staff use, and it
+ * signs nobody in until the owner proves control of it with a DNS TXT record
+ * (verifyDomain). Identities are linked to an existing account by email only
+ * when the provider says the email is verified and the account is a member of
+ * the organisation or invited to it. Staff accounts and accounts with 2FA
+ * keep their own sign-in. Only Enterprise organisations can sign in with SSO.
+ */
+const crypto = require("crypto");
+const dns = require("dns").promises;
+const jwt = require("jsonwebtoken");
+const { v4: uuid } = require("uuid");
+const db = require("../db/connection");
+const { sealSecret, openSecret } = require("./totp");
+const { NO_PASSWORD, assertActive } = require("./auth");
+const organisations = require("./organisations");
+const roles = require("./roles");
+
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+const REDIRECT_URI = `${APP_URL.replace(/\/$/, "")}/api/auth/sso/callback`;
+const STATE_MINUTES = 10;
+const CACHE_MS = 60 * 60 * 1000;
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{0,62}$/;
+// The owner publishes VERIFICATION_PREFIX + token as a TXT record at VERIFICATION_HOST.<domain>
+const VERIFICATION_HOST = "_schoolter-verification";
+const VERIFICATION_PREFIX = "schoolter-verification=";
+// Reserved top-level domains never resolve publicly, so outside production
+// they count as verified (local setups with the mock provider).
+const LOCAL_TLDS = ["test", "example", "invalid", "localhost"];
+// Anyone can have an address on these, so no organisation can claim them
+const FREE_MAIL_DOMAINS = new Set([
+  "gmail.com", "googlemail.com", "outlook.com", "hotmail.com", "hotmail.co.uk", "live.com", "live.co.uk", "msn.com",
+  "yahoo.com", "yahoo.co.uk", "ymail.com", "icloud.com", "me.com", "mac.com", "aol.com", "proton.me", "protonmail.com",
+  "gmx.com", "gmx.co.uk", "mail.com", "zoho.com", "yandex.com", "fastmail.com", "hey.com", "btinternet.com",
+  "sky.com", "virginmedia.com", "talktalk.net", "ntlworld.com",
+]);
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+// ── Helpers ────────────────────────────────────────────────
+function fail(message, status = 400, code) {
+  return Object.assign(new Error(message), { status, ...(code ? { code } : {}) });
+}
+
+function base64url(buf) {
+  return buf.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function domainOf(email) {
+  return String(email || "").split("@").pop().toLowerCase();
+}
+
+// Identity providers must use https; plain http is allowed for a local mock outside production.
+function validateIssuer(issuer) {
+  let url;
+  try { url = new URL(issuer); } catch { throw fail("Issuer must be a URL"); }
+  const local = ["localhost", "127.0.0.1"].includes(url.hostname) && process.env.NODE_ENV !== "production";
+  if (url.protocol !== "https:" && !(url.protocol === "http:" && local)) {
+    throw fail("Issuer must use https");
+  }
+  return issuer;
+}
+
+async function fetchJson(url, options) {
+  let res;
+  try {
+    res = await fetch(url, { ...options, signal: AbortSignal.timeout(10000) });
+  } catch {
+    throw fail("Couldn't reach the identity provider", 502);
+  }
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw fail(body.error_description || body.error || `Identity provider returned ${res.status}`, 502);
+  return body;
+}
+
+async function discover(issuer) {
+  const cached = discoveryCache.get(issuer);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_MS) return cached.config;
+
+  const config = await fetchJson(`${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`);
+  if (config.issuer !== issuer) throw fail(`Identity provider reports issuer ${config.issuer}`, 502);
+  for (const key of ["authorization_endpoint", "token_endpoint", "jwks_uri"]) {
+    if (!config[key]) throw fail(`Identity provider configuration is missing ${key}`, 502);
+  }
+  discoveryCache.set(issuer, { config, fetchedAt: Date.now() });
+  return config;
+}
+
+// Keys are refetched when a token names a kid we haven't seen (key rotation).
+async function getSigningKey(jwksUri, kid) {
+  let cached = jwksCache.get(jwksUri);
+  const known = cached && Date.now() - cached.fetchedAt < CACHE_MS && (!kid || cached.keys.some((k) => k.kid === kid));
+  if (!known) {
+    cached = { keys: (await fetchJson(jwksUri)).keys || [], fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+  }
+  const jwk = cached.keys.find((k) => (!kid || k.kid === kid) && (!k.use || k.use === "sig"));
+  if (!jwk) throw fail("Identity provider signing key not found", 502);
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+}
+
+function toDomain(row) {
+  return {
+    domain: row.domain,
+    verified: !!row.verified_at,
+    verifiedAt: row.verified_at,
+    record: { name: `${VERIFICATION_HOST}.${row.domain}`, type: "TXT", value: `${VERIFICATION_PREFIX}${row.verification_token}` },
+  };
+}
+
+function toConnection(row) {
+  const domains = db.prepare("SELECT * FROM sso_domains WHERE org_id = ? ORDER BY domain").all(row.org_id);
+  return {
+    issuer: row.issuer,
+    clientId: row.client_id,
+    hasClientSecret: !!row.client_secret,
+    domains: domains.map((d) => d.domain),
+    domainVerification: domains.map(toDomain),
+    redirectUri: REDIRECT_URI,
+    updatedAt: row.updated_at,
+  };
+}
+
+function isLocalDomain(domain) {
+  return LOCAL_TLDS.includes(domain.split(".").pop()) && process.env.NODE_ENV !== "production";
+}
+
+// Public mailbox providers, and domains (or parents of domains) that staff accounts use
+function isReservedDomain(domain) {
+  if (FREE_MAIL_DOMAINS.has(domain)) return true;
+  return db.prepare("SELECT DISTINCT role FROM users WHERE lower(email) LIKE ? OR lower(email) LIKE ?")
+    .all(`%@${domain}`, `%.${domain}`)
+    .some((u) => roles.isStaffRole(u.role));
+}
+
+// ── Connections ────────────────────────────────────────────
+function getConnection(orgId) {
+  const row = db.prepare("SELECT * FROM sso_connections WHERE org_id = ?").get(orgId);
+  return row ? toConnection(row) : null;
+}
+
+// clientSecret: a string replaces it, null removes it, undefined keeps it.
+async function saveConnection(orgId, owner, { issuer, clientId, clientSecret, domains }) {
+  if (!issuer || !clientId) throw fail("Issuer and client ID are required");
+  validateIssuer(issuer);
+  if (!Array.isArray(domains) || !domains.length) throw fail("Add at least one email domain");
+
+  const ownerDomain = domainOf(owner.email);
+  const cleaned = [...new Set(domains.map((d) => String(d).trim().toLowerCase()).filter(Boolean))];
+  if (!owner.emailVerified) throw fail("Verify your email address before setting up SSO", 403, "email_unverified");
+  const invalid = cleaned.filter((d) => !DOMAIN_PATTERN.test(d));
+  if (invalid.length) throw fail(`Not a domain name: ${invalid.join(", ")}`);
+  const foreign = cleaned.filter((d) => d !== ownerDomain && !d.endsWith(`.${ownerDomain}`));
+  if (foreign.length) throw fail(`You can only add ${ownerDomain} and its subdomains`);
+  const reserved = cleaned.filter(isReservedDomain);
+  if (reserved.length) throw fail(`These domains can't be used for SSO: ${reserved.join(", ")}`);
+  const taken = cleaned.filter((d) => {
+    const row = db.prepare("SELECT org_id FROM sso_domains WHERE domain = ?").get(d);
+    return row && row.org_id !== orgId;
+  });
+  if (taken.length) throw fail(`Already used by another organisation: ${taken.join(", ")}`, 409);
+
+  // Fails early if the issuer doesn't serve a usable discovery document
+  await discover(issuer);
+
+  const existing = db.prepare("SELECT client_secret FROM sso_connections WHERE org_id = ?").get(orgId);
+  const secret = clientSecret === undefined ? existing?.client_secret || null : clientSecret ? sealSecret(clientSecret) : null;
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO sso_connections (org_id, issuer, client_id, client_secret) VALUES (?, ?, ?, ?)
+      ON CONFLICT(org_id) DO UPDATE SET issuer = excluded.issuer, client_id = excluded.client_id,
+        client_secret = excluded.client_secret, updated_at = datetime('now')
+    `).run(orgId, issuer, clientId, secret);
+    // Domains that stay keep their verification
+    db.prepare(`DELETE FROM sso_domains WHERE org_id = ? AND domain NOT IN (${cleaned.map(() => "?").join(", ")})`)
+      .run(orgId, ...cleaned);
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO sso_domains (domain, org_id, verification_token, verified_at)
+      VALUES (?, ?, ?, CASE WHEN ? THEN datetime('now') END)
+    `);
+    for (const domain of cleaned) insert.run(domain, orgId, base64url(crypto.randomBytes(24)), isLocalDomain(domain) ? 1 : 0);
+  })();
+  return getConnection(orgId);
+}
+
+// Looks up the domain's TXT record and marks the domain verified when it
+// holds the token. Throws with status 422 when it doesn't.
+async function verifyDomain(orgId, domain) {
+  const row = db.prepare("SELECT * FROM sso_domains WHERE org_id = ? AND domain = ?").get(orgId, String(domain || "").toLowerCase());
+  if (!row) throw fail("That domain isn't on your SSO connection", 404);
+  if (row.verified_at) return getConnection(orgId);
+
+  const { record } = toDomain(row);
+  let values = [];
+  try {
+    values = (await dns.resolveTxt(record.name)).map((chunks) => chunks.join(""));
+  } catch (err) {
+    if (!["ENOTFOUND", "ENODATA"].includes(err.code)) throw fail(`Couldn't look up ${record.name}`, 502);
+  }
+  if (!values.includes(record.value)) {
+    throw fail(`No TXT record at ${record.name} with the value ${record.value} yet. DNS changes can take a while to appear.`, 422, "domain_unverified");
+  }
+  db.prepare("UPDATE sso_domains SET verified_at = datetime('now') WHERE domain = ?").run(row.domain);
+  return getConnection(orgId);
+}
+
+function deleteConnection(orgId) {
+  db.transaction(() => {
+    db.prepare("DELETE FROM sso_domains WHERE org_id = ?").run(orgId);
+    db.prepare("DELETE FROM sso_connections WHERE org_id = ?").run(orgId);
+  })();
+}
+
+// ── Sign-in ────────────────────────────────────────────────
+function findConnectionForEmail(email) {
+  const row = db.prepare(`
+    SELECT c.*, o.name as org_name, o.plan as org_plan FROM sso_domains d
+    JOIN sso_connections c ON c.org_id = d.org_id
+    JOIN organisations o ON o.id = d.org_id
+    WHERE d.domain = ? AND d.verified_at IS NOT NULL
+  `).get(domainOf(email));
+  if (!row) throw fail("Single sign-on isn't set up for this email domain", 404, "sso_not_configured");
+  if (row.org_plan !== "enterprise") throw fail(`${row.org_name} needs an Enterprise plan to use single sign-on`, 402);
+  return row;
+}
+
+// Returns the provider's authorization URL; the browser is sent there.
+async function startLogin(email) {
+  const connection = findConnectionForEmail(email);
+  const config = await discover(connection.issuer);
+
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash("sha256").update(codeVerifier).digest());
+
+  db.prepare("DELETE FROM sso_states WHERE expires_at <= datetime('now')").run();
+  db.prepare(`
+    INSERT INTO sso_states (state, org_id, code_verifier, nonce, expires_at)
+    VALUES (?, ?, ?, ?, datetime('now', ?))
+  `).run(state, connection.org_id, codeVerifier, nonce, `+${STATE_MINUTES} minutes`);
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: connection.client_id,
+    redirect_uri: REDIRECT_URI,
+    scope: "openid email profile",
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+    login_hint: email,
+  });
+  return `${config.authorization_endpoint}?${params}`;
+}
+
+async function exchangeCode(connection, config, code, codeVerifier) {
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: REDIRECT_URI,
+    client_id: connection.client_id,
+    code_verifier: codeVerifier,
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" };
+  if (connection.client_secret) {
+    const secret = openSecret(connection.client_secret);
+    const methods = config.token_endpoint_auth_methods_supported || ["client_secret_basic"];
+    if (methods.includes("client_secret_basic")) {
+      const credentials = `${encodeURIComponent(connection.client_id)}:${encodeURIComponent(secret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+    } else {
+      body.set("client_secret", secret);
+    }
+  }
+  const tokens = await fetchJson(config.token_endpoint, { method: "POST", headers, body });
+  if (!tokens.id_token) throw fail("Identity provider didn't return an ID token", 502);
+  return tokens.id_token;
+}
+
+async function verifyIdToken(idToken, connection, config, nonce) {
+  const header = jwt.decode(idToken, { complete: true })?.header;
+  if (!header) throw fail("Identity provider returned a malformed ID token", 502);
+  const key = await getSigningKey(config.jwks_uri, header.kid);
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "PS256"],
+      issuer: connection.issuer,
+      audience: connection.client_id,
+      clockTolerance: 60,
+    });
+  } catch (err) {
+    throw fail(`ID token rejected: ${err.message}`, 401);
+  }
+  if (claims.nonce !== nonce) throw fail("ID token rejected: nonce mismatch", 401);
+  return claims;
+}
+
+function findInvitation(orgId, email) {
+  return db.prepare(`
+    SELECT id FROM organisation_invitations
+    WHERE org_id = ? AND lower(email) = lower(?) AND accepted_at IS NULL AND expires_at > datetime('now')
+  `).get(orgId, email) || null;
+}
+
+// An existing account with the identity's email; null when there is none.
+// Only the organisation's members and invitees are linked, and never staff
+// or 2FA accounts, whose sign-in the organisation's provider mustn't replace.
+// Deleted accounts are skipped, but keep their email until they are purged.
+function findLinkableUser(connection, email) {
+  const user = db.prepare("SELECT id, role, totp_enabled FROM users WHERE lower(email) = lower(?) AND status != 'deleted'").get(email);
+  if (!user) {
+    if (db.prepare("SELECT 1 FROM users WHERE lower(email) = lower(?)").get(email)) {
+      throw fail("The account with this email has been deleted. Contact support to restore it.", 409, "sso_link_refused");
+    }
+    return null;
+  }
+  const refuse = () => fail("An account with this email already exists. Sign in with your password.", 409, "sso_link_refused");
+  if (roles.isStaffRole(user.role) || user.totp_enabled) throw refuse();
+  if (organisations.getMembership(user.id)?.id !== connection.org_id && !findInvitation(connection.org_id, email)) throw refuse();
+  return user.id;
+}
+
+// Finds or creates the user for a verified identity, and seats them in the
+// organisation when they aren't in one yet and a seat is free.
+function linkAccount(connection, claims) {
+  const email = claims.email;
+  if (!email || claims.email_verified !== true) {
+    throw fail("Your identity provider didn't confirm your email address", 403);
+  }
+  const domainRow = db.prepare("SELECT org_id FROM sso_domains WHERE domain = ? AND verified_at IS NOT NULL").get(domainOf(email));
+  if (!domainRow || domainRow.org_id !== connection.org_id) {
+    throw fail(`${email} isn't on one of ${connection.org_name}'s SSO domains`, 403);
+  }
+
+  return db.transaction(() => {
+    const identity = db.prepare("SELECT user_id FROM user_identities WHERE issuer = ? AND subject = ?")
+      .get(connection.issuer, claims.sub);
+    let userId = identity?.user_id;
+    let created = false;
+    if (!userId) {
+      userId = findLinkableUser(connection, email);
+      if (!userId) {
+        userId = uuid();
+        created = true;
+        db.prepare(`
+          INSERT INTO users (id, email, password_hash, name, email_verified_at) VALUES (?, ?, ?, ?, datetime('now'))
+        `).run(userId, email, NO_PASSWORD, claims.name || "");
+      }
+      db.prepare("INSERT INTO user_identities (id, user_id, issuer, subject, email) VALUES (?, ?, ?, ?, ?)")
+        .run(uuid(), userId, connection.issuer, claims.sub, email);
+    } else if (roles.isStaffRole(db.prepare("SELECT role FROM users WHERE id = ?").get(userId).role)) {
+      // Linked before they became staff; the admin 2FA policy applies to them now
+      throw fail("Staff accounts sign in with their password", 403, "sso_staff");
+    }
+    // Suspended and deleted accounts aren't linked, seated or signed in
+    if (!created) assertActive(userId);
+    db.prepare("UPDATE user_identities SET email = ?, last_login_at = datetime('now') WHERE issuer = ? AND subject = ?")
+      .run(email, connection.issuer, claims.sub);
+    db.prepare("UPDATE users SET email_verified_at = COALESCE(email_verified_at, datetime('now')) WHERE id = ?").run(userId);
+
+    let joined = false;
+    if (!organisations.getMembership(userId)) {
+      // A pending invitation already holds a seat for them
+      const invite = findInvitation(connection.org_id, email);
+      if (invite || organisations.seatUsage(connection.org_id).available > 0) {
+        if (invite) db.prepare("UPDATE organisation_invitations SET accepted_at = datetime('now') WHERE id = ?").run(invite.id);
+        db.prepare("INSERT INTO organisation_members (org_id, user_id, role) VALUES (?, ?, 'member')").run(connection.org_id, userId);
+        joined = true;
+      }
+    }
+    return { userId, created, joined };
+  })();
+}
+
+// Handles the provider's redirect back. Returns the linked user's id.
+async function completeLogin({ code, state, error, errorDescription }) {
+  const pending = state && db.prepare("SELECT * FROM sso_states WHERE state = ? AND expires_at > datetime('now')").get(state);
+  if (state) db.prepare("DELETE FROM sso_states WHERE state = ?").run(state);
+  if (error) throw fail(errorDescription || `Identity provider error: ${error}`, 401);
+  if (!pending || !code) throw fail("Sign-in has expired, please start again", 400);
+
+  const connection = db.prepare(`
+    SELECT c.*, o.name as org_name, o.plan as org_plan FROM sso_connections c
+    JOIN organisations o ON o.id = c.org_id WHERE c.org_id = ?
+  `).get(pending.org_id);
+  if (!connection) throw fail("Single sign-on is no longer set up for this organisation", 404);
+  if (connection.org_plan !== "enterprise") throw fail(`${connection.org_name} needs an Enterprise plan to use single sign-on`, 402);
+
+  const config = await discover(connection.issuer);
+  const idToken = await exchangeCode(connection, config, code, pending.code_verifier);
+  const claims = await verifyIdToken(idToken, connection, config, pending.nonce);
+  return { ...linkAccount(connection, claims), orgId: connection.org_id };
+}
+
+module.exports = {
+  REDIRECT_URI,
+  getConnection,
+  saveConnection,
+  verifyDomain,
+  deleteConnection,
+  startLogin,
+  completeLogin,
+};
@@ -0,0 +1,125 @@
+/**
+ * Billing webhook events — stored, deduplicated, retried and replayable.
+ *
+ * Every verified event, from Stripe or the fake provider, is saved in
+ * `stripe_events` under its event id before it is applied. A redelivery of an event that was already processed
+ * is acknowledged without running it again. An event whose handler throws is
+ * marked failed and retried with backoff by retryFailedEvents, which the
+ * server runs every few minutes, until MAX_ATTEMPTS. Staff can replay any
+ * stored event; the handlers are idempotent and ordered by the event's
+ * `created` time (see handleWebhookEvent in billing.js), so replaying is safe.
+ */
+const db = require("../db/connection");
+const billing = require("./billing");
+
+const STATUSES = ["pending", "processed", "failed"];
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MINUTES = 5;
+const RETRY_MAX_MINUTES = 6 * 60;
+const MAX_PAGE = 200;
+
+function toEvent(row, withPayload) {
+  return {
+    id: row.id,
+    type: row.type,
+    created: new Date(row.created * 1000).toISOString(),
+    status: row.status,
+    outcome: row.outcome,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    nextAttemptAt: row.next_attempt_at,
+    receivedAt: row.received_at,
+    processedAt: row.processed_at,
+    ...(withPayload ? { payload: JSON.parse(row.payload) } : {}),
+  };
+}
+
+function getRow(id) {
+  const row = db.prepare("SELECT * FROM stripe_events WHERE id = ?").get(id);
+  if (!row) throw Object.assign(new Error("Event not found"), { status: 404 });
+  return row;
+}
+
+// ── Processing ─────────────────────────────────────────────
+// Runs the stored event and records the result. Failures wait 5, 10, 20...
+// minutes (at most 6 hours) before the next try, and stop being retried
+// after MAX_ATTEMPTS; a replay can still run them.
+function run(row) {
+  const attempts = row.attempts + 1;
+  try {
+    const outcome = billing.handleWebhookEvent(JSON.parse(row.payload));
+    db.prepare(`
+      UPDATE stripe_events SET status = 'processed', outcome = ?, attempts = ?, last_error = NULL,
+        next_attempt_at = NULL, processed_at = datetime('now')
+      WHERE id = ?
+    `).run(outcome, attempts, row.id);
+  } catch (err) {
+    const delay = Math.min(RETRY_MAX_MINUTES, RETRY_BASE_MINUTES * 2 ** (attempts - 1));
+    db.prepare(`
+      UPDATE stripe_events SET status = 'failed', outcome = NULL, attempts = ?, last_error = ?,
+        next_attempt_at = CASE WHEN ? < ? THEN datetime('now', ?) END
+      WHERE id = ?
+    `).run(attempts, err.message, attempts, MAX_ATTEMPTS, `+${delay} minutes`, row.id);
+    console.error(`Billing event ${row.id} (${row.type}) failed:`, err.message);
+  }
+  return toEvent(getRow(row.id));
+}
+
+// Stores and applies a verified webhook event. Returns the stored event and
+// whether it had already been processed.
+function receive(event) {
+  db.prepare(`
+    INSERT OR IGNORE INTO stripe_events (id, type, created, payload) VALUES (?, ?, ?, ?)
+  `).run(event.id, event.type, event.created, JSON.stringify(event));
+  const row = getRow(event.id);
+  if (row.status === "processed") return { duplicate: true, event: toEvent(row) };
+  return { duplicate: false, event: run(row) };
+}
+
+function retryFailedEvents() {
+  const due = db.prepare(`
+    SELECT * FROM stripe_events WHERE status = 'failed' AND next_attempt_at <= datetime('now')
+    ORDER BY created
+  `).all();
+  for (const row of due) run(row);
+  return due.length;
+}
+
+function replay(id) {
+  return run(getRow(id));
+}
+
+// ── Queries ────────────────────────────────────────────────
+// Newest first; filters: status, type.
+function list({ status, type, limit } = {}) {
+  const where = [];
+  const params = [];
+  if (status) {
+    if (!STATUSES.includes(status)) throw Object.assign(new Error(`Unknown status: ${status}`), { status: 400 });
+    where.push("status = ?");
+    params.push(status);
+  }
+  if (type) {
+    where.push("type = ?");
+    params.push(type);
+  }
+  const pageSize = Math.min(MAX_PAGE, Math.max(1, parseInt(limit) || 50));
+  const clause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+  return db.prepare(`SELECT * FROM stripe_events ${clause} ORDER BY created DESC, received_at DESC LIMIT ?`)
+    .all(...params, pageSize)
+    .map((row) => toEvent(row));
+}
+
+function get(id) {
+  return toEvent(getRow(id), true);
+}
+
+module.exports = {
+  STATUSES,
+  MAX_ATTEMPTS,
+  receive,
+  retryFailedEvents,
+  replay,
+  list,
+  get,
+};
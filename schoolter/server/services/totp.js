@@ -0,0 +1,125 @@
+/**
+ * TOTP (RFC 6238) — time-based one-time passwords using HMAC-SHA1,
+ * 30-second steps and 6 digits, the defaults every authenticator app expects.
+ *
+ * Secrets are stored encrypted (AES-256-GCM) so a database dump alone can't
+ * mint codes. The key comes from TOTP_ENCRYPTION_KEY, or is derived from
+ * JWT_SECRET when that isn't set.
+ */
+const crypto = require("crypto");
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = process.env.TOTP_ISSUER || "Schoolter";
+const ENCRYPTION_KEY = crypto.createHash("sha256")
+  .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || "dev-secret-change-me")
+  .digest();
+
+// ── Base32 (RFC 4648, no padding) ──────────────────────────
+const ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0, value = 0, out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = str.toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// ── Codes ──────────────────────────────────────────────────
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// HOTP (RFC 4226) for a given counter; TOTP is HOTP over the time step.
+function generateCode(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/**
+ * Check a code against the current step and `window` steps either side, to
+ * allow for clock drift. Returns the matching step (so callers can refuse
+ * to accept the same code twice) or null.
+ */
+function verifyCode(secret, code, { window = 1, now = Date.now() } = {}) {
+  const candidate = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) return null;
+
+  const step = currentStep(now);
+  for (let i = -window; i <= window; i++) {
+    const expected = generateCode(secret, step + i);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step + i;
+  }
+  return null;
+}
+
+// otpauth:// URI for QR enrollment (Key URI Format).
+function provisioningUri(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// ── Secret storage ─────────────────────────────────────────
+function sealSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", ENCRYPTION_KEY, iv);
+  const data = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((b) => b.toString("base64")).join(".");
+}
+
+function openSecret(sealed) {
+  const [iv, tag, data] = sealed.split(".").map((s) => Buffer.from(s, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  provisioningUri,
+  sealSecret,
+  openSecret,
+};
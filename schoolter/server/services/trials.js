@@ -0,0 +1,59 @@
+/**
+ * Free Pro trials, without a card.
+ *
+ * A free user can start one trial per account. For TRIAL_DAYS (default 14)
+ * they are on Pro with subscription_status "trialing" and no billing-provider
+ * subscription. Subscribing during the trial replaces it. Otherwise
+ * expireTrials, which the server runs hourly, moves them back to Free and
+ * emails them once it lapses.
+ */
+const db = require("../db/connection");
+const mailer = require("./mailer");
+const { logAudit } = require("./audit");
+
+const TRIAL_DAYS = parseInt(process.env.TRIAL_DAYS) || 14;
+const TRIAL_PLAN = "pro";
+
+function startTrial(userId) {
+  const user = db.prepare("SELECT * FROM users WHERE id = ?").get(userId);
+  if (!user) throw Object.assign(new Error("User not found"), { status: 404 });
+  if (user.trial_started_at) {
+    throw Object.assign(new Error("You've already had a free trial"), { status: 409, code: "trial_used" });
+  }
+  if (user.plan !== "free" || ["active", "past_due", "trialing"].includes(user.subscription_status)) {
+    throw Object.assign(new Error("Trials are for accounts on the Free plan"), { status: 409 });
+  }
+
+  // A canceled subscription is unlinked so its late events can't touch the trial
+  db.prepare(`
+    UPDATE users SET plan = ?, subscription_status = 'trialing', stripe_subscription_id = NULL,
+      trial_started_at = datetime('now'), trial_ends_at = datetime('now', ?), updated_at = datetime('now')
+    WHERE id = ?
+  `).run(TRIAL_PLAN, `+${TRIAL_DAYS} days`, userId);
+  logAudit(userId, "trial_started", JSON.stringify({ plan: TRIAL_PLAN, days: TRIAL_DAYS }), null);
+  return db.prepare("SELECT trial_ends_at FROM users WHERE id = ?").get(userId).trial_ends_at;
+}
+
+// Downgrades every lapsed trial; returns how many.
+function expireTrials() {
+  const lapsed = db.prepare(`
+    SELECT id, email, name, plan FROM users
+    WHERE subscription_status = 'trialing' AND stripe_subscription_id IS NULL AND trial_ends_at <= datetime('now')
+  `).all();
+  const downgrade = db.prepare(`
+    UPDATE users SET plan = 'free', subscription_status = 'none', updated_at = datetime('now')
+    WHERE id = ? AND subscription_status = 'trialing'
+  `);
+  for (const user of lapsed) {
+    if (!downgrade.run(user.id).changes) continue;
+    logAudit(user.id, "trial_ended", JSON.stringify({ plan: user.plan }), null);
+    mailer.queueMail(user.email, "trialEnded", { name: user.name, path: "/billing" });
+  }
+  return lapsed.length;
+}
+
+module.exports = {
+  TRIAL_DAYS,
+  startTrial,
+  expireTrials,
+};
@@ -0,0 +1,167 @@
+/**
+ * Two-factor authentication — TOTP enrollment, challenge checks and
+ * recovery codes.
+ *
+ * Enrollment is two-step: setup stores a fresh secret with totp_enabled = 0,
+ * and it only takes effect once the user proves their app produces a valid
+ * code. Each accepted step is remembered (totp_last_step) so a code can't be
+ * replayed within its window. Recovery codes are single-use and stored hashed.
+ */
+const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const { v4: uuid } = require("uuid");
+const db = require("../db/connection");
+const totp = require("./totp");
+const { getSetting } = require("./settings");
+const { isStaffRole } = require("./roles");
+
+const RECOVERY_CODE_COUNT = 10;
+
+// ── Helpers ────────────────────────────────────────────────
+function getUserRow(userId) {
+  const user = db.prepare("SELECT * FROM users WHERE id = ?").get(userId);
+  if (!user) throw Object.assign(new Error("User not found"), { status: 404 });
+  return user;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+}
+
+// xxxxx-xxxxx, hex so it survives being read aloud or retyped
+function newRecoveryCode() {
+  const raw = crypto.randomBytes(5).toString("hex");
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+}
+
+function remainingRecoveryCodes(userId) {
+  return db.prepare("SELECT COUNT(*) as c FROM recovery_codes WHERE user_id = ? AND used_at IS NULL").get(userId).c;
+}
+
+// ── Policy ─────────────────────────────────────────────────
+// Admins can require 2FA on every staff account — any role with a permission.
+function isRequired(user) {
+  return getSetting("requireAdmin2fa") && isStaffRole(user.role);
+}
+
+function getStatus(userId) {
+  const user = getUserRow(userId);
+  return {
+    enabled: !!user.totp_enabled,
+    enabledAt: user.totp_enabled_at,
+    recoveryCodesRemaining: user.totp_enabled ? remainingRecoveryCodes(userId) : 0,
+    required: isRequired(user),
+  };
+}
+
+// ── Enrollment ─────────────────────────────────────────────
+function beginEnrollment(userId) {
+  const user = getUserRow(userId);
+  if (user.totp_enabled) {
+    throw Object.assign(new Error("Two-factor authentication is already enabled"), { status: 409 });
+  }
+  const secret = totp.generateSecret();
+  db.prepare("UPDATE users SET totp_secret = ?, totp_last_step = NULL, updated_at = datetime('now') WHERE id = ?")
+    .run(totp.sealSecret(secret), userId);
+  return { secret, otpauthUrl: totp.provisioningUri(secret, user.email) };
+}
+
+function enable(userId, code) {
+  const user = getUserRow(userId);
+  if (user.totp_enabled) {
+    throw Object.assign(new Error("Two-factor authentication is already enabled"), { status: 409 });
+  }
+  if (!user.totp_secret) {
+    throw Object.assign(new Error("Start two-factor setup first"), { status: 400 });
+  }
+  const step = totp.verifyCode(totp.openSecret(user.totp_secret), code);
+  if (step === null) {
+    throw Object.assign(new Error("Invalid authentication code"), { status: 400 });
+  }
+  db.prepare(`
+    UPDATE users SET totp_enabled = 1, totp_enabled_at = datetime('now'), totp_last_step = ?, updated_at = datetime('now')
+    WHERE id = ?
+  `).run(step, userId);
+  return regenerateRecoveryCodes(userId);
+}
+
+// Requires the password and a current code (or recovery code), so a hijacked
+// session alone can't strip the second factor.
+function disable(userId, { password, code, recoveryCode }) {
+  const user = getUserRow(userId);
+  if (!user.totp_enabled) {
+    throw Object.assign(new Error("Two-factor authentication is not enabled"), { status: 400 });
+  }
+  if (isRequired(user)) {
+    throw Object.assign(new Error("Two-factor authentication is required for staff accounts"), { status: 403 });
+  }
+  if (!bcrypt.compareSync(password || "", user.password_hash)) {
+    throw Object.assign(new Error("Password is incorrect"), { status: 403 });
+  }
+  if (!check(userId, { code, recoveryCode })) {
+    throw Object.assign(new Error("Invalid authentication code"), { status: 400 });
+  }
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_enabled_at = NULL, totp_last_step = NULL,
+        updated_at = datetime('now')
+      WHERE id = ?
+    `).run(userId);
+    db.prepare("DELETE FROM recovery_codes WHERE user_id = ?").run(userId);
+  })();
+}
+
+// ── Recovery codes ─────────────────────────────────────────
+// Replaces any existing codes; the plaintext is only ever returned here.
+function regenerateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+  const insert = db.prepare("INSERT INTO recovery_codes (id, user_id, code_hash) VALUES (?, ?, ?)");
+  db.transaction(() => {
+    db.prepare("DELETE FROM recovery_codes WHERE user_id = ?").run(userId);
+    for (const code of codes) insert.run(uuid(), userId, hashRecoveryCode(code));
+  })();
+  return codes;
+}
+
+// ── Challenge ──────────────────────────────────────────────
+/**
+ * Verify a second factor for a user with 2FA enabled. Accepts either a TOTP
+ * `code` or a `recoveryCode` (which is consumed). Returns the method used,
+ * or null when neither matches.
+ */
+function check(userId, { code, recoveryCode } = {}) {
+  const user = getUserRow(userId);
+  if (!user.totp_enabled || !user.totp_secret) return null;
+
+  if (code) {
+    const step = totp.verifyCode(totp.openSecret(user.totp_secret), code);
+    if (step === null || (user.totp_last_step !== null && step <= user.totp_last_step)) return null;
+    db.prepare("UPDATE users SET totp_last_step = ? WHERE id = ?").run(step, userId);
+    return "totp";
+  }
+
+  if (recoveryCode) {
+    const result = db.prepare(`
+      UPDATE recovery_codes SET used_at = datetime('now')
+      WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+    `).run(userId, hashRecoveryCode(recoveryCode));
+    return result.changes ? "recovery_code" : null;
+  }
+
+  return null;
+}
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  isRequired,
+  getStatus,
+  beginEnrollment,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  check,
+};
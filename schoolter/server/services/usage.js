@@ -0,0 +1,123 @@
+/**
+ * Usage metering — daily counters checked against plan limits.
+ *
+ * Each metered action maps to a limit key on the plan (PLANS in billing.js).
+ * A limit of -1 means unlimited; 0 means the plan does not include it.
+ * Signed-in users are counted per account. Anonymous callers are counted per
+ * IP address against the Free plan's limits.
+ *
+ * A use can carry a key (the search query, the schools compared): a key
+ * already counted that day is free, so paging through one search or opening
+ * the same school twice counts once. Counters are keyed by UTC day and reset
+ * at midnight UTC; the hourly job prunes past days' keys and anonymous counts.
+ */
+const crypto = require("crypto");
+const db = require("../db/connection");
+const { getPlanDetails } = require("./billing");
+
+const METRICS = {
+  search:  "searchLimit",
+  compare: "compareLimit",
+  view:    "viewLimit",
+};
+
+const ANONYMOUS_PLAN = "free";
+
+// Where each kind of subject is counted
+const COUNTERS = {
+  user: { table: "usage_counters", column: "user_id" },
+  ip:   { table: "anonymous_usage_counters", column: "ip" },
+};
+
+// ── Helpers ────────────────────────────────────────────────
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function nextReset() {
+  const d = new Date();
+  d.setUTCHours(24, 0, 0, 0);
+  return d.toISOString();
+}
+
+function getLimit(plan, metric) {
+  if (!METRICS[metric]) throw new Error(`Unknown usage metric: ${metric}`);
+  return getPlanDetails(plan)[METRICS[metric]];
+}
+
+function getCount(kind, id, metric, day = today()) {
+  const { table, column } = COUNTERS[kind];
+  const row = db.prepare(`SELECT count FROM ${table} WHERE ${column} = ? AND metric = ? AND day = ?`)
+    .get(id, metric, day);
+  return row ? row.count : 0;
+}
+
+function summarize(used, limit) {
+  return { used, limit, remaining: limit === -1 ? -1 : Math.max(0, limit - used) };
+}
+
+// Keys are stored hashed; they only need to match
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 32);
+}
+
+// ── Consume ────────────────────────────────────────────────
+/**
+ * Record one use of `metric` if the plan allows it. `caller` is a signed-in
+ * user, or { ip } for an anonymous request; `key` is optional (see above).
+ * Returns { allowed, reason?, used, limit, remaining, resetsAt }; reason is
+ * "not_in_plan" (limit 0) or "quota_exceeded". Check and increment happen
+ * in one transaction so concurrent requests can't overshoot the limit.
+ */
+const consumeTx = db.transaction((kind, id, metric, limit, day, key) => {
+  const used = getCount(kind, id, metric, day);
+  const subject = kind === "user" ? id : `ip:${id}`;
+  if (key && db.prepare("SELECT 1 FROM usage_keys WHERE subject = ? AND metric = ? AND day = ? AND key = ?").get(subject, metric, day, key)) {
+    return { allowed: true, used };
+  }
+  if (limit !== -1 && used >= limit) return { allowed: false, used };
+  const { table, column } = COUNTERS[kind];
+  db.prepare(`
+    INSERT INTO ${table} (${column}, metric, day, count) VALUES (?, ?, ?, 1)
+    ON CONFLICT(${column}, metric, day) DO UPDATE SET count = count + 1, updated_at = datetime('now')
+  `).run(id, metric, day);
+  if (key) db.prepare("INSERT INTO usage_keys (subject, metric, day, key) VALUES (?, ?, ?, ?)").run(subject, metric, day, key);
+  return { allowed: true, used: used + 1 };
+});
+
+function consume(caller, metric, key) {
+  const anonymous = !caller.id;
+  const limit = getLimit(anonymous ? ANONYMOUS_PLAN : caller.plan, metric);
+  const resetsAt = nextReset();
+  if (limit === 0) {
+    return { allowed: false, reason: "not_in_plan", ...summarize(0, 0), resetsAt };
+  }
+  const { allowed, used } = consumeTx(
+    anonymous ? "ip" : "user", anonymous ? caller.ip : caller.id, metric, limit, today(), key ? hashKey(key) : null
+  );
+  return {
+    allowed,
+    reason: allowed ? undefined : "quota_exceeded",
+    ...summarize(used, limit),
+    resetsAt,
+  };
+}
+
+// Drops keys and anonymous counts from past days; returns how many rows went.
+function pruneUsage() {
+  const day = today();
+  return db.prepare("DELETE FROM usage_keys WHERE day < ?").run(day).changes
+    + db.prepare("DELETE FROM anonymous_usage_counters WHERE day < ?").run(day).changes;
+}
+
+// ── Report ─────────────────────────────────────────────────
+function getUsage(user) {
+  const day = today();
+  const metrics = {};
+  for (const metric of Object.keys(METRICS)) {
+    metrics[metric] = summarize(getCount("user", user.id, metric, day), getLimit(user.plan, metric));
+  }
+  return { plan: user.plan, day, resetsAt: nextReset(), metrics };
+}
+
+module.exports = { METRICS, consume, pruneUsage, getUsage };
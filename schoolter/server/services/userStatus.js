@@ -0,0 +1,115 @@
+/**
+ * Account status: active, suspended or deleted.
+ *
+ * Staff suspend an account with a reason. Suspended users are signed out
+ * and can't sign in or use the API (requireAuth answers 403) until they are
+ * unsuspended. Deleting is soft: the user is signed out and disappears from
+ * the app, but the row, invoices and audit history stay, and it can be
+ * restored for USER_RESTORE_DAYS (default 30). Purging a deleted account is
+ * a separate step that removes the row for good, cascading to sessions,
+ * invoices, API keys and identities, and cancels any subscription.
+ *
+ * check() says why an action can't be taken and apply() takes it, so bulk
+ * actions can report on every row before changing any.
+ */
+const db = require("../db/connection");
+const roles = require("./roles");
+const billing = require("./billing");
+const { revokeAllSessions } = require("./auth");
+
+const RESTORE_DAYS = parseInt(process.env.USER_RESTORE_DAYS) || 30;
+const STATUSES = ["active", "suspended", "deleted"];
+const MAX_REASON = 500;
+
+// The status each action moves to, and the status it moves from
+const ACTIONS = {
+  suspend: { from: "active", to: "suspended" },
+  unsuspend: { from: "suspended", to: "active" },
+  delete: { from: ["active", "suspended"], to: "deleted" },
+  restore: { from: "deleted", to: "active" },
+};
+
+// ── Helpers ────────────────────────────────────────────────
+function getUser(userId) {
+  const user = db.prepare("SELECT * FROM users WHERE id = ?").get(userId);
+  if (!user) throw Object.assign(new Error("User not found"), { status: 404 });
+  return user;
+}
+
+function withinRestoreWindow(user) {
+  return !!db.prepare("SELECT 1 FROM users WHERE id = ? AND status_changed_at > datetime('now', ?)")
+    .get(user.id, `-${RESTORE_DAYS} days`);
+}
+
+// ── Transitions ────────────────────────────────────────────
+// Why `actor` can't take `action` on `user`, as { message, status }, or null.
+function check(actor, user, action, reason) {
+  const { from, to } = ACTIONS[action];
+  if (user.status === to) return { message: `Already ${to}`, status: 409 };
+  if (![].concat(from).includes(user.status)) return { message: `Account is ${user.status}`, status: 409 };
+  if (user.id === actor.id) return { message: "You can't change your own account's status", status: 400 };
+  if (action === "suspend" && !String(reason || "").trim()) return { message: "A reason is required", status: 400 };
+  if (String(reason || "").length > MAX_REASON) return { message: `Reason must be at most ${MAX_REASON} characters`, status: 400 };
+  if (action === "restore" && !withinRestoreWindow(user)) {
+    return { message: `Deleted more than ${RESTORE_DAYS} days ago; it can only be purged`, status: 409 };
+  }
+  if (action === "delete") {
+    // Deleting an owner would strand their organisation's members
+    const owned = db.prepare(`
+      SELECT o.name FROM organisations o
+      WHERE o.owner_id = ? AND (SELECT COUNT(*) FROM organisation_members m WHERE m.org_id = o.id) > 1
+    `).get(user.id);
+    if (owned) return { message: `Owns ${owned.name}, which still has members`, status: 409 };
+  }
+  try {
+    // Only staff who hold every permission the account has can change it
+    roles.assertCanGrant(actor, roles.getPermissions(user.role));
+  } catch (err) {
+    return { message: err.message, status: 403 };
+  }
+  return null;
+}
+
+function apply(user, action, reason) {
+  const { to } = ACTIONS[action];
+  db.prepare(`
+    UPDATE users SET status = ?, status_reason = ?, status_changed_at = datetime('now'), updated_at = datetime('now')
+    WHERE id = ?
+  `).run(to, to === "active" ? null : String(reason || "").trim() || null, user.id);
+  if (to !== "active") revokeAllSessions(user.id);
+}
+
+// Checks and applies one action, throwing when it isn't allowed.
+function change(actor, userId, action, reason) {
+  const user = getUser(userId);
+  const problem = check(actor, user, action, reason);
+  if (problem) throw Object.assign(new Error(problem.message), { status: problem.status });
+  apply(user, action, reason);
+  return getUser(userId);
+}
+
+// ── Purge ──────────────────────────────────────────────────
+async function purge(actor, userId) {
+  const user = getUser(userId);
+  if (user.status !== "deleted") {
+    throw Object.assign(new Error("Only deleted accounts can be purged"), { status: 409 });
+  }
+  try {
+    roles.assertCanGrant(actor, roles.getPermissions(user.role));
+  } catch (err) {
+    throw Object.assign(new Error(err.message), { status: 403 });
+  }
+  await billing.cancelSubscriptionNow(user.id);
+  db.prepare("DELETE FROM users WHERE id = ?").run(user.id);
+  return user;
+}
+
+module.exports = {
+  RESTORE_DAYS,
+  STATUSES,
+  ACTIONS: Object.keys(ACTIONS),
+  check,
+  apply,
+  change,
+  purge,
+};